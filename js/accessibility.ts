@@ -0,0 +1,139 @@
+import type * as Axe from 'axe-core'
+import type { Resource, EnhancedAxeResult, EnhancedAxeResults, AxeImpact, ImpactCounts, AxeResultCount, AxeRuleSummary } from './types';
+import { getItemTypeLabel } from './course-parser';
+
+/* =========================================================================
+   axe scan helpers shared by the page and the command-line runner
+   ========================================================================= */
+
+export const AXE_RUN_OPTIONS = {
+    preload: false,
+    runOnly: ['wcag2a', 'wcag2aa', 'wcag21a', 'wcag21aa'],
+};
+
+// Worst first
+export const AXE_IMPACTS: AxeImpact[] = ['critical', 'serious', 'moderate', 'minor'];
+
+/**
+ * Tag one item's axe results with their parent item and merge them into the
+ * course-wide results. Pass null for the first item.
+ */
+export function appendAxeResults(allResults: EnhancedAxeResults | null, results: Axe.AxeResults, item: Resource): EnhancedAxeResults {
+    const addMetadata = (type: string, issue: Axe.Result) => ({
+        ...issue,
+        type,
+        parentItemIdentifier: item.identifier,
+        parentItemTitle: item.title,
+        parentItemType: getItemTypeLabel(item.clarifiedType),
+        parentItemStatus: item.status,
+        parentItemModuleTitle: item.moduleTitle
+    }) as EnhancedAxeResult;
+
+    // If allResults hasn't been initialized yet, do so now
+    if (allResults === null) allResults = {
+        ...results,
+        violations: [],
+        passes: [],
+        incomplete: [],
+        inapplicable: []
+    };
+
+    allResults.violations.push(...results.violations.map(issue => addMetadata('violations', issue)));
+    allResults.passes.push(...results.passes.map(issue => addMetadata('passes', issue)));
+    allResults.incomplete.push(...results.incomplete.map(issue => addMetadata('incomplete', issue)));
+    allResults.inapplicable.push(...results.inapplicable.map(issue => addMetadata('inapplicable', issue)));
+
+    return allResults;
+}
+
+function emptyImpactCounts(): ImpactCounts {
+    return { critical: 0, serious: 0, moderate: 0, minor: 0 };
+}
+
+/**
+ * Count a result's elements into impact counts; an element without an impact
+ * of its own takes the rule's.
+ */
+function addImpacts(counts: ImpactCounts, result: EnhancedAxeResult) {
+    (result.nodes.length ? result.nodes : [null]).forEach(node => {
+        const impact = (node?.impact || result.impact) as AxeImpact | null | undefined;
+        if (impact && impact in counts) counts[impact]++;
+    });
+}
+
+function elementCount(result: EnhancedAxeResult): number {
+    return result.nodes.length || 1;
+}
+
+function moduleTitle(result: EnhancedAxeResult): string {
+    return result.parentItemModuleTitle || '(None)';
+}
+
+/**
+ * Elements and items per group of results, e.g. per module or item type,
+ * in the order the groups first appear.
+ */
+export function countAxeResults(results: EnhancedAxeResult[], groupBy: (result: EnhancedAxeResult) => string): AxeResultCount[] {
+    const groups = new Map<string, { count: AxeResultCount, items: Set<string> }>();
+    results.forEach(result => {
+        const label = groupBy(result);
+        if (!groups.has(label)) groups.set(label, { count: { label, elements: 0, items: 0, impacts: emptyImpactCounts() }, items: new Set() });
+        const group = groups.get(label)!;
+        group.count.elements += elementCount(result);
+        group.items.add(result.parentItemIdentifier);
+        addImpacts(group.count.impacts, result);
+    });
+    return Array.from(groups.values(), ({ count, items }) => ({ ...count, items: items.size }));
+}
+
+/**
+ * Elements per module, counting items outside every module as "(None)".
+ */
+export function countAxeResultsByModule(results: EnhancedAxeResult[]): AxeResultCount[] {
+    return countAxeResults(results, moduleTitle);
+}
+
+/**
+ * Every rule in the results with the elements it matched across the course,
+ * broken down by module and item; worst impact first, then most elements.
+ */
+export function summarizeAxeRules(results: EnhancedAxeResult[]): AxeRuleSummary[] {
+    // A rule can both pass and fail in a course; those are summarized apart
+    const byRule = new Map<string, EnhancedAxeResult[]>();
+    results.forEach(result => {
+        const key = `${result.type}:${result.id}`;
+        byRule.set(key, [...(byRule.get(key) || []), result]);
+    });
+
+    const summaries: AxeRuleSummary[] = Array.from(byRule.values(), ruleResults => {
+        const impacts = emptyImpactCounts();
+        ruleResults.forEach(result => addImpacts(impacts, result));
+        const modules = new Map<string, AxeRuleSummary['modules'][number]>();
+        ruleResults.forEach(result => {
+            const title = moduleTitle(result);
+            if (!modules.has(title)) modules.set(title, { moduleTitle: title, elements: 0, items: [] });
+            const module = modules.get(title)!;
+            module.elements += elementCount(result);
+            const item = module.items.find(i => i.identifier === result.parentItemIdentifier);
+            if (item) {
+                item.elements += elementCount(result);
+            } else {
+                module.items.push({ identifier: result.parentItemIdentifier, title: result.parentItemTitle, itemType: result.parentItemType, elements: elementCount(result) });
+            }
+        });
+        return {
+            rule: ruleResults[0].id,
+            resultType: String(ruleResults[0].type),
+            help: ruleResults[0].help,
+            helpUrl: ruleResults[0].helpUrl,
+            impact: AXE_IMPACTS.find(impact => impacts[impact] > 0) || null,
+            elements: ruleResults.reduce((sum, r) => sum + elementCount(r), 0),
+            items: new Set(ruleResults.map(r => r.parentItemIdentifier)).size,
+            impacts,
+            modules: Array.from(modules.values()),
+        };
+    });
+
+    const rank = (impact: AxeImpact | null) => impact ? AXE_IMPACTS.indexOf(impact) : AXE_IMPACTS.length;
+    return summaries.sort((a, b) => rank(a.impact) - rank(b.impact) || b.elements - a.elements || a.rule.localeCompare(b.rule));
+}
@@ -0,0 +1,295 @@
+import type JSZip from 'jszip';
+import type { Resource, VideoObject, CaptionFile, CaptionStatus } from './types';
+import type { FileContents } from './course-parser';
+import { normalizeFileReference, WEB_RESOURCES_PREFIX } from './file-inventory';
+
+/* =========================================================================
+   Caption and transcript verification: caption files in web_resources/ are
+   parsed and validated, then every video is matched against Canvas media
+   tracks, <track> elements, caption files named after it and transcript
+   links next to it.
+   ========================================================================= */
+
+export const CAPTION_STATUS_LABELS: { [K in CaptionStatus]: string } = {
+    'caption-file': 'Caption file found',
+    'caption-file-invalid': 'Caption file invalid',
+    'transcript-linked': 'Transcript linked',
+    'mentioned': 'Only mentioned',
+    'none': 'Nothing',
+};
+
+// Stretches without any cue longer than this are reported as coverage gaps
+export const CAPTION_GAP_SECONDS = 10;
+
+const CAPTION_FORMATS: { [extension: string]: CaptionFile['format'] } = {
+    vtt: 'vtt',
+    srt: 'srt',
+    dfxp: 'dfxp',
+    ttml: 'dfxp',
+};
+
+interface Cue {
+    start: number,
+    end: number,
+    text: string,
+};
+
+/**
+ * Caption files, and which of them belong to which video.
+ */
+export interface CaptionIndex {
+    files: CaptionFile[],
+    filesByPath: Map<string, CaptionFile>,
+    // web_resources/ path of a media file -> its Canvas media track files
+    tracksByMediaPath: Map<string, string[]>,
+};
+
+/* =========================================================================
+   Parsing
+   ========================================================================= */
+
+/**
+ * hh:mm:ss.ttt / mm:ss.ttt (VTT) or hh:mm:ss,ttt (SRT) to seconds.
+ */
+function parseTimestamp(value: string): number | null {
+    const match = value.trim().match(/^(?:(\d+):)?(\d{1,2}):(\d{1,2})[.,](\d{1,3})$/);
+    if (!match) return null;
+    const [, hours, minutes, seconds, fraction] = match;
+    return (parseInt(hours || '0', 10) * 3600) + (parseInt(minutes, 10) * 60) + parseInt(seconds, 10) + (parseInt(fraction.padEnd(3, '0'), 10) / 1000);
+}
+
+/**
+ * TTML time expressions: clock time (00:00:01.5, 00:00:01:12 frames ignored)
+ * or offset time (1.5s, 1500ms, 2m, 1h).
+ */
+function parseTtmlTime(value: string | null): number | null {
+    if (!value) return null;
+    const clock = value.match(/^(\d+):(\d{2}):(\d{2}(?:\.\d+)?)(?::\d+)?$/);
+    if (clock) return (parseInt(clock[1], 10) * 3600) + (parseInt(clock[2], 10) * 60) + parseFloat(clock[3]);
+    const offset = value.match(/^(\d+(?:\.\d+)?)(h|m|s|ms)$/);
+    if (!offset) return null;
+    const amount = parseFloat(offset[1]);
+    return { h: amount * 3600, m: amount * 60, s: amount, ms: amount / 1000 }[offset[2] as 'h' | 'm' | 's' | 'ms'];
+}
+
+/**
+ * Cues of a WebVTT or SRT file. Both are blank-line separated blocks around
+ * a "start --> end" timing line.
+ */
+function parseTimedText(content: string, format: 'vtt' | 'srt', errors: string[]): Cue[] {
+    const text = content.replace(/^\uFEFF/, '').replace(/\r\n?/g, '\n');
+    const blocks = text.split(/\n{2,}/);
+    const cues: Cue[] = [];
+
+    if (format === 'vtt') {
+        if (!/^WEBVTT(?:[ \t].*)?$/.test(blocks[0].split('\n')[0])) errors.push('Missing WEBVTT header');
+        blocks.shift();
+    }
+
+    blocks.forEach((block, blockIndex) => {
+        const lines = block.split('\n').filter(line => line.trim() !== '');
+        if (lines.length === 0) return;
+        // VTT comment, style and region blocks carry no cues
+        if (format === 'vtt' && /^(NOTE|STYLE|REGION)\b/.test(lines[0])) return;
+
+        const timingIndex = lines.findIndex(line => line.includes('-->'));
+        if (timingIndex === -1 || timingIndex > 1) {
+            errors.push(`Block ${blockIndex + 1}: no timing line`);
+            return;
+        }
+        const [startText, endText] = lines[timingIndex].split('-->');
+        const start = parseTimestamp(startText);
+        // VTT cue settings follow the end time
+        const end = parseTimestamp((endText || '').trim().split(/\s+/)[0] || '');
+        if (start === null || end === null) {
+            errors.push(`Block ${blockIndex + 1}: malformed timing "${lines[timingIndex].trim()}"`);
+            return;
+        }
+        if (end <= start) errors.push(`Block ${blockIndex + 1}: cue ends before it starts`);
+        cues.push({ start, end, text: lines.slice(timingIndex + 1).join('\n').replace(/<[^>]+>/g, '').trim() });
+    });
+
+    return cues;
+}
+
+/**
+ * Cues of a DFXP/TTML document: every <p> with begin and end (or dur).
+ */
+function parseTtml(content: string, parser: DOMParser, errors: string[]): Cue[] {
+    const doc = parser.parseFromString(content, 'application/xml');
+    if (!doc.documentElement || doc.getElementsByTagName('parsererror').length > 0) {
+        errors.push('Not well-formed XML');
+        return [];
+    }
+
+    const cues: Cue[] = [];
+    Array.from(doc.getElementsByTagName('p')).forEach((p, index) => {
+        const start = parseTtmlTime(p.getAttribute('begin'));
+        const duration = parseTtmlTime(p.getAttribute('dur'));
+        const end = parseTtmlTime(p.getAttribute('end')) ?? (start !== null && duration !== null ? start + duration : null);
+        if (start === null || end === null) {
+            errors.push(`Paragraph ${index + 1}: missing or unreadable begin/end`);
+            return;
+        }
+        if (end <= start) errors.push(`Paragraph ${index + 1}: cue ends before it starts`);
+        cues.push({ start, end, text: (p.textContent || '').trim() });
+    });
+    return cues;
+}
+
+/**
+ * Parse and validate one caption file: parse errors, empty cues and gaps
+ * between cues longer than CAPTION_GAP_SECONDS.
+ */
+export function parseCaptionFile(path: string, content: string, parser: DOMParser): CaptionFile {
+    const format = CAPTION_FORMATS[path.split('.').pop()?.toLowerCase() || ''];
+    const errors: string[] = [];
+    const cues = format === 'dfxp' ? parseTtml(content, parser, errors) : parseTimedText(content, format, errors);
+    if (cues.length === 0 && errors.length === 0) errors.push('No cues');
+
+    const sorted = [...cues].sort((a, b) => a.start - b.start);
+    const gaps: CaptionFile['gaps'] = [];
+    let coveredUntil = 0;
+    sorted.forEach((cue, index) => {
+        if (index > 0 && cue.start - coveredUntil > CAPTION_GAP_SECONDS) gaps.push({ start: coveredUntil, end: cue.start });
+        coveredUntil = Math.max(coveredUntil, cue.end);
+    });
+
+    return {
+        path,
+        format,
+        cueCount: cues.length,
+        emptyCues: cues.filter(c => c.text === '').length,
+        duration: coveredUntil,
+        errors,
+        gaps,
+    };
+}
+
+/* =========================================================================
+   Index
+   ========================================================================= */
+
+/**
+ * Canvas lists uploaded media's caption tracks in course_settings/media_tracks.xml,
+ * pointing at both files by manifest identifier.
+ */
+function readMediaTracks(fileContents: FileContents, resources: Resource[], parser: DOMParser): Map<string, string[]> {
+    const tracksByMediaPath: Map<string, string[]> = new Map();
+    const content = fileContents['course_settings/media_tracks.xml'];
+    if (!content) return tracksByMediaPath;
+
+    const filePath = (identifier: string | null) => {
+        const href = resources.find(r => r.identifier === identifier && r.clarifiedType === 'file')?.href;
+        return href ? normalizeFileReference(href.slice(WEB_RESOURCES_PREFIX.length)) : null;
+    };
+
+    const doc = parser.parseFromString(content, 'application/xml');
+    Array.from(doc.getElementsByTagName('media')).forEach(media => {
+        const mediaPath = filePath(media.getAttribute('identifierref'));
+        if (!mediaPath) return;
+        const trackPaths = Array.from(media.getElementsByTagName('track'))
+            .map(track => filePath(track.getAttribute('identifierref')))
+            .filter((p): p is string => !!p);
+        tracksByMediaPath.set(mediaPath, [...(tracksByMediaPath.get(mediaPath) || []), ...trackPaths]);
+    });
+    return tracksByMediaPath;
+}
+
+/**
+ * Read and validate every caption file in web_resources/ and collect Canvas media tracks.
+ */
+export async function buildCaptionIndex(zip: JSZip, fileContents: FileContents, resources: Resource[], parser: DOMParser): Promise<CaptionIndex> {
+    const entries = Object.values(zip.files).filter(f => !f.dir && f.name.startsWith(WEB_RESOURCES_PREFIX) && CAPTION_FORMATS[f.name.split('.').pop()?.toLowerCase() || '']);
+    const files: CaptionFile[] = [];
+    for (const entry of entries) {
+        files.push(parseCaptionFile(entry.name.slice(WEB_RESOURCES_PREFIX.length), await entry.async('string'), parser));
+    }
+
+    return {
+        files,
+        filesByPath: new Map(files.map(f => [f.path, f])),
+        tracksByMediaPath: readMediaTracks(fileContents, resources, parser),
+    };
+}
+
+/* =========================================================================
+   Matching videos
+   ========================================================================= */
+
+/**
+ * An identifier for the video that caption files tend to be named after
+ * (YouTube/Vimeo ids, Canvas media ids, Panopto session ids).
+ */
+function videoIdentifier(src: string): string | null {
+    const patterns = [
+        /(?:youtube\.com\/(?:embed\/|watch\?(?:.*&)?v=)|youtu\.be\/)([\w-]{6,})/,
+        /vimeo\.com\/(?:video\/)?(\d{6,})/,
+        /media_objects(?:_iframe)?\/(m-[\w]+)/,
+        /[?&]id=([0-9a-f-]{16,})/,
+    ];
+    for (const pattern of patterns) {
+        const match = src.match(pattern);
+        if (match) return match[1].toLowerCase();
+    }
+    return null;
+}
+
+function baseName(path: string): string {
+    return (path.split('/').pop() || '').toLowerCase().replace(/\.[^.]+$/, '');
+}
+
+// Segments a caption file name may add after the media name: its extension or a language
+const CAPTION_NAME_SEGMENT = /^(?:[a-z]{2,3}(?:[-_][a-z0-9]{2,8})*|mp4|m4v|mov|webm|mkv|avi|wmv|mp3|m4a|wav|ogg|ogv)$/;
+
+/**
+ * Whether a caption file is named after a media file: lecture.mp4 ->
+ * lecture.vtt, lecture.en.vtt, lecture.mp4.en.srt, but not lecture2.vtt or lecture-extra.vtt.
+ */
+function isNamedAfter(captionPath: string, mediaPath: string): boolean {
+    const captionName = baseName(captionPath);
+    const mediaName = baseName(mediaPath);
+    if (captionName === mediaName) return true;
+    if (!captionName.startsWith(`${mediaName}.`)) return false;
+    return captionName.slice(mediaName.length + 1).split('.').every(segment => CAPTION_NAME_SEGMENT.test(segment));
+}
+
+/**
+ * Caption files in the archive that belong to a video.
+ */
+function matchCaptionFiles(video: VideoObject, index: CaptionIndex): string[] {
+    const paths: Set<string> = new Set([...video.trackSources, ...video.captionLinks].filter(p => index.filesByPath.has(p)));
+
+    if (video.mediaPath) {
+        (index.tracksByMediaPath.get(video.mediaPath) || []).forEach(p => paths.add(p));
+        index.files.forEach(f => {
+            if (isNamedAfter(f.path, video.mediaPath!)) paths.add(f.path);
+        });
+    }
+
+    const identifier = videoIdentifier(video.src);
+    if (identifier) {
+        index.files.forEach(f => {
+            if (baseName(f.path).includes(identifier)) paths.add(f.path);
+        });
+    }
+
+    return [...paths];
+}
+
+/**
+ * Set each video's caption status from the strongest evidence found: caption
+ * file that parses > linked transcript > caption file with errors or no cues >
+ * a mention of captions/transcripts > nothing.
+ */
+export function verifyVideoCaptions(videos: VideoObject[], index: CaptionIndex) {
+    videos.forEach(video => {
+        video.captionFiles = matchCaptionFiles(video, index);
+        const valid = video.captionFiles.some(path => index.filesByPath.get(path)?.errors.length === 0);
+        video.captionStatus = valid ? 'caption-file'
+            : video.transcriptLinks.length > 0 ? 'transcript-linked'
+            : video.captionFiles.length > 0 ? 'caption-file-invalid'
+            : video.transcriptOrCaptionMentioned ? 'mentioned'
+            : 'none';
+    });
+}
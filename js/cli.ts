@@ -0,0 +1,335 @@
+import * as fs from 'fs';
+import * as path from 'path';
+import { parseArgs } from 'util';
+import JSZip from 'jszip';
+import lodash from 'lodash';
+import { JSDOM, VirtualConsole } from 'jsdom';
+import * as axeCore from 'axe-core';
+import type * as Axe from 'axe-core'
+import { readArchiveContents, parseCourseStructure, getAnalysisTargets, discoverItemContent } from './course-parser';
+import { AXE_RUN_OPTIONS, appendAxeResults } from './accessibility';
+import { buildRenderDocument } from './render-frame';
+import { buildFileInventory, findRawFileReferences } from './file-inventory';
+import { checkCourseDocuments } from './document-checks';
+import { buildCaptionIndex, verifyVideoCaptions } from './captions';
+import { parseGradebook } from './grading';
+import { parseRubrics } from './rubrics';
+import { parseQuizSettings } from './quiz-settings';
+import { parseOutcomeAlignments } from './outcomes';
+import { buildCourseCalendar } from './course-calendar';
+import { buildCourseIndex, resolveCourseLinks } from './course-references';
+import { DEFAULT_INSTITUTION_PROFILE, parseInstitutionProfile } from './institution-profile';
+import type { InstitutionProfile } from './institution-profile';
+import { EMPTY_RULE_SET, parseCustomRules } from './custom-rules';
+import type { CustomRuleSet } from './custom-rules';
+import { diffCourseReports } from './course-diff';
+import { withoutFalsePositives, parseTriageDecisions } from './triage';
+import { buildCourseReport, renderHtmlDiffReport, renderConformanceReport } from './report';
+import type { CourseReport } from './report';
+import type { EnhancedAxeResults, LinkObject, FileObject, FileReference, VideoObject, ImageObject, ItemText, CourseDiff, TriageDecisions } from './types';
+
+/* =========================================================================
+   Headless runner: the same pipeline as the page (manifest parsing, module
+   structure, axe scan, link/file/video inventories) for local archives,
+   using jsdom in place of the browser.
+
+   Build with `npm run build:cli`, or build and run in one step:
+       npm run --silent qc -- [options] <archive.imscc>
+   ========================================================================= */
+
+const USAGE = `Usage: qc-cli [options] <archive.imscc> [more archives...]
+
+Options:
+  -o, --output <file>      Write the JSON report to a file (single archive only)
+      --out-dir <dir>      Write one <archive>.json report per archive
+      --thresholds <file>  JSON file with threshold settings (see below)
+      --profile <file>     Institution profile JSON (link categories, video
+                           platforms); defaults to the built-in profile
+      --rules <file>       Custom checklist rules JSON, reported next to the
+                           accessibility results
+      --triage <file>      Reviewer decisions downloaded from the page; they
+                           are added to the report as "triage", and violations
+                           whose elements are all marked false positive don't
+                           count toward thresholds
+      --compare <archive>  Compare each archive with this earlier export; the
+                           changes are added to the report as "comparison"
+      --diff-report <file> Write the comparison as a printable HTML change
+                           report (with --compare, single archive only)
+      --acr <file>         Write a WCAG 2.1 conformance report (ACR) as
+                           printable HTML (single archive only)
+      --max-critical <n>   Fail when critical violations exceed n (default 0)
+      --max-serious <n>    Fail when serious violations exceed n
+      --max-moderate <n>   Fail when moderate violations exceed n
+      --max-minor <n>      Fail when minor violations exceed n
+      --max-violations <n> Fail when total violations exceed n
+      --quiet              Don't print progress to stderr
+  -h, --help               Show this message
+
+A thresholds file uses the same names in camelCase, e.g.
+  { "maxCritical": 0, "maxSerious": 5, "maxViolations": 50 }
+Limits are non-negative integers; null turns a limit off.
+
+Exit codes: 0 all thresholds met, 1 a threshold was exceeded, 2 usage or read error.`;
+
+export interface Thresholds {
+    maxCritical?: number,
+    maxSerious?: number,
+    maxModerate?: number,
+    maxMinor?: number,
+    maxViolations?: number,
+};
+
+export interface ThresholdEvaluation {
+    passed: boolean,
+    thresholds: Thresholds,
+    exceeded: { threshold: keyof Thresholds, limit: number, actual: number }[],
+};
+
+// Every threshold there is; the ones left undefined are off unless configured
+const DEFAULT_THRESHOLDS: Thresholds = { maxCritical: 0, maxSerious: undefined, maxModerate: undefined, maxMinor: undefined, maxViolations: undefined };
+
+// The HTML renderers use the lodash global the page loads from its CDN
+(globalThis as unknown as { _: typeof lodash })._ = lodash;
+
+let quiet = false;
+
+function log(message: string) {
+    if (!quiet) process.stderr.write(`${message}\n`);
+}
+
+/**
+ * Scan one item's HTML with axe inside its own jsdom window, styled like the
+ * page's render frame. jsdom has no layout, so box-dependent rules mostly end up
+ * incomplete here.
+ */
+async function runAxe(html: string, parser: DOMParser): Promise<Axe.AxeResults | null> {
+    // A bare virtual console drops jsdom's "not implemented" noise (canvas etc.)
+    const dom = new JSDOM(buildRenderDocument(html, parser), { runScripts: 'outside-only', pretendToBeVisual: true, virtualConsole: new VirtualConsole() });
+    try {
+        const { window } = dom;
+        const body = window.document.body;
+        if (!body || body.innerHTML.trim() === '' || body.querySelectorAll('*').length === 0) return null;
+        window.eval(axeCore.source);
+        const windowAxe = (window as unknown as { axe: typeof axeCore }).axe;
+        return await windowAxe.run(body.querySelectorAll('*') as unknown as Axe.ElementContext, AXE_RUN_OPTIONS);
+    } finally {
+        dom.window.close();
+    }
+}
+
+/**
+ * Run the full analysis for a single archive on disk.
+ */
+export async function analyzeArchive(archivePath: string, profile: InstitutionProfile = DEFAULT_INSTITUTION_PROFILE, rules: CustomRuleSet = EMPTY_RULE_SET, triage: TriageDecisions = {}): Promise<CourseReport> {
+    const parser = new (new JSDOM('').window.DOMParser)();
+
+    log(`Unzipping ${archivePath}...`);
+    const zip = await JSZip.loadAsync(fs.readFileSync(archivePath));
+    const fileContents = await readArchiveContents(zip);
+
+    log('Parsing manifest...');
+    const { resources, modules } = parseCourseStructure(fileContents, parser);
+    const courseIndex = buildCourseIndex(resources, modules, fileContents, Object.keys(zip.files), parser);
+    const captionIndex = await buildCaptionIndex(zip, fileContents, resources, parser);
+
+    const links: LinkObject[] = [], files: FileObject[] = [], videos: VideoObject[] = [], images: ImageObject[] = [], fileReferences: FileReference[] = [], contentText: ItemText[] = [];
+    let allResults: EnhancedAxeResults | null = null;
+
+    const items = resources.filter(r => (r.analysisHref && fileContents[r.analysisHref]) || r.questionsHref);
+    for (const [index, item] of items.entries()) {
+        log(`[${index + 1}/${items.length}] ${item.title}`);
+        for (const { resource, doc: itemDoc } of getAnalysisTargets(item, fileContents, parser)) {
+            const discovered = discoverItemContent(itemDoc, resource, profile);
+            resolveCourseLinks(discovered.links, courseIndex);
+            verifyVideoCaptions(discovered.videos, captionIndex);
+            links.push(...discovered.links);
+            files.push(...discovered.files);
+            videos.push(...discovered.videos);
+            images.push(...discovered.images);
+            fileReferences.push(...discovered.fileReferences);
+            contentText.push({ resourceIdentifier: resource.identifier, title: resource.title, itemType: resource.clarifiedType, text: discovered.text });
+
+            try {
+                const results = await runAxe(itemDoc.documentElement ? itemDoc.documentElement.outerHTML : '', parser);
+                if (results) allResults = appendAxeResults(allResults, results, resource);
+            } catch (e) {
+                log(`Accessibility scan skipped for ${resource.title}: ${(e as Error).message}`);
+            }
+        }
+    }
+
+    log('Inventorying web_resources...');
+    const fileInventory = await buildFileInventory(zip, fileReferences, findRawFileReferences(fileContents));
+
+    log('Checking attached documents...');
+    const documentChecks = await checkCourseDocuments(zip, JSZip, parser);
+    const gradebook = parseGradebook(fileContents, resources, parser);
+    const rubrics = parseRubrics(fileContents, gradebook, parser);
+
+    return buildCourseReport({
+        sourceFileName: path.basename(archivePath),
+        modules,
+        resources,
+        accessibility: allResults || undefined,
+        links,
+        files,
+        videos,
+        images,
+        fileInventory,
+        documentChecks,
+        captionFiles: captionIndex.files,
+        gradebook,
+        quizzes: parseQuizSettings(fileContents, resources, parser),
+        rubrics,
+        outcomes: parseOutcomeAlignments(fileContents, resources, modules, rubrics, parser),
+        calendar: buildCourseCalendar(fileContents, resources, modules, parser),
+        contentText,
+        profile,
+        rules,
+        triage,
+    });
+}
+
+/**
+ * Compare a report's violation counts against the configured limits.
+ */
+export function evaluateThresholds(report: CourseReport, thresholds: Thresholds): ThresholdEvaluation {
+    const violations = report.accessibility.violations.map(v => withoutFalsePositives(report.triage, v)).filter(v => v !== null);
+    const counts: { [K in keyof Thresholds]-?: number } = {
+        maxCritical: violations.filter(v => v.impact === 'critical').length,
+        maxSerious: violations.filter(v => v.impact === 'serious').length,
+        maxModerate: violations.filter(v => v.impact === 'moderate').length,
+        maxMinor: violations.filter(v => v.impact === 'minor').length,
+        maxViolations: violations.length,
+    };
+
+    const exceeded: ThresholdEvaluation['exceeded'] = [];
+    (Object.keys(counts) as (keyof Thresholds)[]).forEach(key => {
+        const limit = thresholds[key];
+        if (limit !== undefined && counts[key] > limit) {
+            exceeded.push({ threshold: key, limit, actual: counts[key] });
+        }
+    });
+
+    return { passed: exceeded.length === 0, thresholds, exceeded };
+}
+
+function parseLimit(name: string, value: string | undefined): number | undefined {
+    if (value === undefined) return undefined;
+    const limit = Number(value);
+    if (!Number.isInteger(limit) || limit < 0) throw new Error(`--${name} expects a non-negative integer, got "${value}".`);
+    return limit;
+}
+
+/**
+ * Read and validate a thresholds file: known names only, each a non-negative integer or null.
+ */
+export function parseThresholds(json: string): Thresholds {
+    let data: unknown;
+    try {
+        data = JSON.parse(json);
+    } catch (e) {
+        throw new Error(`Thresholds file is not valid JSON: ${(e as Error).message}`);
+    }
+    if (!data || typeof data !== 'object' || Array.isArray(data)) throw new Error('Thresholds file must be a JSON object.');
+
+    const names = Object.keys(DEFAULT_THRESHOLDS) as (keyof Thresholds)[];
+    const thresholds: Thresholds = {};
+    Object.entries(data as { [key: string]: unknown }).forEach(([key, value]) => {
+        if (!names.includes(key as keyof Thresholds)) throw new Error(`Unknown threshold "${key}"; use ${names.join(', ')}.`);
+        if (value !== null && (typeof value !== 'number' || !Number.isInteger(value) || value < 0)) {
+            throw new Error(`Threshold "${key}" must be a non-negative integer or null, got ${JSON.stringify(value)}.`);
+        }
+        thresholds[key as keyof Thresholds] = value === null ? undefined : value;
+    });
+    return thresholds;
+}
+
+async function main(argv: string[]): Promise<number> {
+    const { values, positionals } = parseArgs({
+        args: argv,
+        allowPositionals: true,
+        options: {
+            'output': { type: 'string', short: 'o' },
+            'out-dir': { type: 'string' },
+            'thresholds': { type: 'string' },
+            'profile': { type: 'string' },
+            'rules': { type: 'string' },
+            'triage': { type: 'string' },
+            'compare': { type: 'string' },
+            'diff-report': { type: 'string' },
+            'acr': { type: 'string' },
+            'max-critical': { type: 'string' },
+            'max-serious': { type: 'string' },
+            'max-moderate': { type: 'string' },
+            'max-minor': { type: 'string' },
+            'max-violations': { type: 'string' },
+            'quiet': { type: 'boolean' },
+            'help': { type: 'boolean', short: 'h' },
+        },
+    });
+
+    if (values.help) {
+        process.stdout.write(`${USAGE}\n`);
+        return 0;
+    }
+    if (positionals.length === 0) throw new Error('No archive given.');
+    if (values.output && positionals.length > 1) throw new Error('--output takes a single archive; use --out-dir for several.');
+    if (values['diff-report'] && (!values.compare || positionals.length > 1)) throw new Error('--diff-report needs --compare and a single archive.');
+    if (values.acr && positionals.length > 1) throw new Error('--acr takes a single archive.');
+    quiet = !!values.quiet;
+
+    const thresholds: Thresholds = { ...DEFAULT_THRESHOLDS };
+    if (values.thresholds) Object.assign(thresholds, parseThresholds(fs.readFileSync(values.thresholds, 'utf8')));
+    const flagLimits: Thresholds = {
+        maxCritical: parseLimit('max-critical', values['max-critical']),
+        maxSerious: parseLimit('max-serious', values['max-serious']),
+        maxModerate: parseLimit('max-moderate', values['max-moderate']),
+        maxMinor: parseLimit('max-minor', values['max-minor']),
+        maxViolations: parseLimit('max-violations', values['max-violations']),
+    };
+    (Object.keys(flagLimits) as (keyof Thresholds)[]).forEach(key => {
+        if (flagLimits[key] !== undefined) thresholds[key] = flagLimits[key];
+    });
+
+    const profile = values.profile ? parseInstitutionProfile(fs.readFileSync(values.profile, 'utf8')) : DEFAULT_INSTITUTION_PROFILE;
+    const rules = values.rules ? parseCustomRules(fs.readFileSync(values.rules, 'utf8')) : EMPTY_RULE_SET;
+    const triage = values.triage ? parseTriageDecisions(fs.readFileSync(values.triage, 'utf8')) : {};
+
+    if (values['out-dir']) fs.mkdirSync(values['out-dir'], { recursive: true });
+
+    const baseline = values.compare ? await analyzeArchive(values.compare, profile, rules, triage) : null;
+
+    const reports: (CourseReport & { thresholds: ThresholdEvaluation, comparison?: CourseDiff })[] = [];
+    for (const archivePath of positionals) {
+        const report = await analyzeArchive(archivePath, profile, rules, triage);
+        const evaluation = evaluateThresholds(report, thresholds);
+        const result = { ...report, thresholds: evaluation, ...(baseline ? { comparison: diffCourseReports(baseline, report) } : {}) };
+        reports.push(result);
+        if (values['diff-report'] && result.comparison) fs.writeFileSync(values['diff-report'], renderHtmlDiffReport(result.comparison));
+        if (values.acr) fs.writeFileSync(values.acr, renderConformanceReport(report));
+
+        evaluation.exceeded.forEach(e => log(`${path.basename(archivePath)}: ${e.threshold} exceeded (${e.actual} > ${e.limit})`));
+        log(`${path.basename(archivePath)}: ${evaluation.passed ? 'PASS' : 'FAIL'}`);
+
+        if (values['out-dir']) {
+            const outFile = path.join(values['out-dir'], `${path.basename(archivePath).replace(/\.(imscc|zip)$/i, '')}.json`);
+            fs.writeFileSync(outFile, JSON.stringify(result, null, 2));
+        }
+    }
+
+    if (values.output) {
+        fs.writeFileSync(values.output, JSON.stringify(reports[0], null, 2));
+    } else if (!values['out-dir']) {
+        process.stdout.write(JSON.stringify(reports.length === 1 ? reports[0] : reports, null, 2) + '\n');
+    }
+
+    return reports.every(r => r.thresholds.passed) ? 0 : 1;
+}
+
+main(process.argv.slice(2)).then(code => {
+    process.exitCode = code;
+}, error => {
+    process.stderr.write(`Error: ${(error as Error).message}\nRun with --help for usage.\n`);
+    process.exitCode = 2;
+});
@@ -0,0 +1,195 @@
+import type { Resource, Module, CalendarEvent, CalendarEventKind, CourseCalendar, DateWarning, DateWarningCode } from './types';
+import type { FileContents } from './course-parser';
+import { childElement, fieldReader } from './grading';
+
+/* =========================================================================
+   Course calendar: due, availability and posting dates of every item and
+   module unlock dates, laid out week by week from the term start and
+   checked against the term and each other.
+   ========================================================================= */
+
+export const DATE_WARNING_LABELS: { [K in DateWarningCode]: string } = {
+    'due-before-unlock': 'Due before it unlocks',
+    'outside-term': 'Outside the term',
+    'deadline-cluster': 'Many deadlines on one day',
+    'previous-term': 'Looks left over from a previous term',
+};
+
+export const CALENDAR_EVENT_LABELS: { [K in CalendarEventKind]: string } = {
+    'due': 'Due',
+    'unlock': 'Available from',
+    'lock': 'Available until',
+    'post': 'Posted',
+    'module-unlock': 'Module unlocks',
+};
+
+// This many deadlines on one day or more are reported as a cluster
+export const DEADLINE_CLUSTER_SIZE = 4;
+
+// Dates further than this before the term start are taken for leftovers of a course copy
+export const STALE_DATE_DAYS = 60;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Settings fields that hold dates, and what they mean
+const DATE_FIELDS: [string, CalendarEventKind][] = [
+    ['due_at', 'due'],
+    ['unlock_at', 'unlock'],
+    ['lock_at', 'lock'],
+    ['delayed_post_at', 'post'],
+];
+
+/**
+ * Canvas exports dates in UTC without a zone designator.
+ */
+export function parseCanvasDate(value: string | null): Date | null {
+    if (!value) return null;
+    const date = new Date(/(?:Z|[+-]\d{2}:?\d{2})$/.test(value) ? value : `${value}Z`);
+    return isNaN(date.getTime()) ? null : date;
+}
+
+/**
+ * "YYYY-MM-DD HH:MM" in the given time zone.
+ */
+function formatLocal(date: Date, timeZone: string): string {
+    const parts = Object.fromEntries(new Intl.DateTimeFormat('en-US', {
+        timeZone, year: 'numeric', month: '2-digit', day: '2-digit', hour: '2-digit', minute: '2-digit', hourCycle: 'h23',
+    }).formatToParts(date).map(p => [p.type, p.value]));
+    return `${parts.year}-${parts.month}-${parts.day} ${parts.hour}:${parts.minute}`;
+}
+
+function isValidTimeZone(timeZone: string): boolean {
+    try {
+        new Intl.DateTimeFormat('en-US', { timeZone });
+        return true;
+    } catch (e) {
+        return false;
+    }
+}
+
+// Days since the epoch of a "YYYY-MM-DD..." local time, for week arithmetic
+function dayNumber(localTime: string): number {
+    const [year, month, day] = localTime.slice(0, 10).split('-').map(Number);
+    return Date.UTC(year, month - 1, day) / DAY_MS;
+}
+
+function itemEvents(resource: Resource, fileContents: FileContents, parser: DOMParser, timeZone: string): CalendarEvent[] {
+    if (!resource.settingsHref || !fileContents[resource.settingsHref]) return [];
+    const root = parser.parseFromString(fileContents[resource.settingsHref], 'application/xml').documentElement;
+    if (!root) return [];
+    // Quizzes and graded discussions keep some dates on their <assignment>
+    const assignment = childElement(root, 'assignment');
+    const field = fieldReader(assignment ? [assignment, root] : [root]);
+
+    return DATE_FIELDS.flatMap(([fieldName, kind]) => {
+        const value = field(fieldName);
+        const date = parseCanvasDate(value);
+        return date ? [{
+            date: value!,
+            localTime: formatLocal(date, timeZone),
+            kind,
+            title: resource.title,
+            itemType: resource.clarifiedType,
+            resourceIdentifier: resource.identifier,
+        }] : [];
+    });
+}
+
+function dateWarnings(events: CalendarEvent[], termStart: Date | null, termEnd: Date | null): DateWarning[] {
+    const warnings: DateWarning[] = [];
+
+    // Items due before they unlock
+    const byItem = new Map<string, CalendarEvent[]>();
+    events.filter(e => e.resourceIdentifier).forEach(e => byItem.set(e.resourceIdentifier!, [...(byItem.get(e.resourceIdentifier!) || []), e]));
+    byItem.forEach(itemEvents => {
+        const due = itemEvents.find(e => e.kind === 'due');
+        const unlock = itemEvents.find(e => e.kind === 'unlock');
+        if (due && unlock && parseCanvasDate(due.date)! < parseCanvasDate(unlock.date)!) {
+            warnings.push({ code: 'due-before-unlock', title: due.title, detail: `Due ${due.localTime}, unlocks ${unlock.localTime}` });
+        }
+    });
+
+    // Dates outside the term; long before it they are more likely copied over than mistyped
+    const times = events.map(e => parseCanvasDate(e.date)!.getTime()).sort((a, b) => a - b);
+    const referenceStart = termStart ? termStart.getTime() : times[Math.floor(times.length / 2)];
+    events.forEach(e => {
+        const time = parseCanvasDate(e.date)!.getTime();
+        const label = `${CALENDAR_EVENT_LABELS[e.kind]} ${e.localTime}`;
+        if (referenceStart !== undefined && time < referenceStart - STALE_DATE_DAYS * DAY_MS) {
+            warnings.push({ code: 'previous-term', title: e.title, detail: label });
+        } else if ((termStart && time < termStart.getTime()) || (termEnd && time > termEnd.getTime())) {
+            warnings.push({ code: 'outside-term', title: e.title, detail: label });
+        }
+    });
+
+    // Deadline clusters
+    const dueByDay = new Map<string, CalendarEvent[]>();
+    events.filter(e => e.kind === 'due').forEach(e => dueByDay.set(e.localTime.slice(0, 10), [...(dueByDay.get(e.localTime.slice(0, 10)) || []), e]));
+    dueByDay.forEach((dayEvents, day) => {
+        if (dayEvents.length >= DEADLINE_CLUSTER_SIZE) {
+            warnings.push({ code: 'deadline-cluster', title: day, detail: `${dayEvents.length} deadlines: ${dayEvents.map(e => e.title).join(', ')}` });
+        }
+    });
+
+    return warnings;
+}
+
+/**
+ * Collect every dated item and module and check the dates.
+ */
+export function buildCourseCalendar(fileContents: FileContents, resources: Resource[], modules: Module[], parser: DOMParser): CourseCalendar {
+    const settingsContent = fileContents['course_settings/course_settings.xml'];
+    const settings = settingsContent ? parser.parseFromString(settingsContent, 'application/xml') : null;
+    const setting = (tagName: string) => settings?.getElementsByTagName(tagName)[0]?.textContent?.trim() || null;
+
+    const configuredTimeZone = setting('time_zone');
+    const timeZone = configuredTimeZone && isValidTimeZone(configuredTimeZone) ? configuredTimeZone : 'UTC';
+    const termStart = setting('start_at');
+    const termEnd = setting('conclude_at');
+
+    const events: CalendarEvent[] = [
+        ...resources.flatMap(r => itemEvents(r, fileContents, parser, timeZone)),
+        ...modules.flatMap(m => {
+            const date = parseCanvasDate(m.unlockAt);
+            return date ? [{ date: m.unlockAt!, localTime: formatLocal(date, timeZone), kind: 'module-unlock' as const, title: m.title, itemType: 'module', resourceIdentifier: null }] : [];
+        }),
+    ].sort((a, b) => parseCanvasDate(a.date)!.getTime() - parseCanvasDate(b.date)!.getTime());
+
+    return {
+        timeZone,
+        termStart,
+        termEnd,
+        events,
+        warnings: dateWarnings(events, parseCanvasDate(termStart), parseCanvasDate(termEnd)),
+    };
+}
+
+/**
+ * Group the calendar's events by week of the term (weeks start on the term
+ * start day, or the first event's day without one). Events before the term
+ * start and after its end get groups of their own.
+ */
+export function calendarWeeks(calendar: CourseCalendar): { label: string, events: CalendarEvent[] }[] {
+    if (calendar.events.length === 0) return [];
+    const start = parseCanvasDate(calendar.termStart);
+    const end = parseCanvasDate(calendar.termEnd);
+    const firstDay = start ? dayNumber(formatLocal(start, calendar.timeZone)) : dayNumber(calendar.events[0].localTime);
+
+    const weeks = new Map<string, CalendarEvent[]>();
+    calendar.events.forEach(event => {
+        const time = parseCanvasDate(event.date)!;
+        let label: string;
+        if (start && time < start) {
+            label = 'Before term start';
+        } else if (end && time > end) {
+            label = 'After term end';
+        } else {
+            const week = Math.floor((dayNumber(event.localTime) - firstDay) / 7);
+            const weekStart = new Date((firstDay + week * 7) * DAY_MS).toISOString().slice(0, 10);
+            const weekEnd = new Date((firstDay + week * 7 + 6) * DAY_MS).toISOString().slice(0, 10);
+            label = `Week ${week + 1} (${weekStart} – ${weekEnd})`;
+        }
+        weeks.set(label, [...(weeks.get(label) || []), event]);
+    });
+    return Array.from(weeks, ([label, events]) => ({ label, events }));
+}
@@ -0,0 +1,267 @@
+import type { Module, ModuleItem, Resource, ItemText, LinkObject, EnhancedAxeResult, CourseDiff, ModuleChange, ModuleChangeKind, ResourceChange, ResourceChangeKind, ContentChange, AccessibilityChange } from './types';
+import type { CourseReport } from './report';
+
+/* =========================================================================
+   Export comparison: what changed between two exports of a course (usually
+   last term's course and its copy for the new term) in module order,
+   items, publish state, item text, accessibility violations and links.
+   ========================================================================= */
+
+export const MODULE_CHANGE_LABELS: { [K in ModuleChangeKind]: string } = {
+    'added': 'Module added',
+    'removed': 'Module removed',
+    'renamed': 'Module renamed',
+    'moved': 'Module moved',
+    'published': 'Module published',
+    'unpublished': 'Module unpublished',
+    'items-changed': 'Module items changed',
+};
+
+export const RESOURCE_CHANGE_LABELS: { [K in ResourceChangeKind]: string } = {
+    'added': 'Added',
+    'removed': 'Removed',
+    'renamed': 'Renamed',
+    'published': 'Published',
+    'unpublished': 'Unpublished',
+    'module-changed': 'Moved to another module',
+};
+
+// Beyond this many line pairs an item's text is compared as sets of lines
+const MAX_LINE_DIFF_CELLS = 1_000_000;
+
+/**
+ * Index pairs of a longest common subsequence of two lists.
+ */
+function commonSubsequence<T>(a: T[], b: T[], equal: (x: T, y: T) => boolean): [number, number][] {
+    const lengths: number[][] = Array.from({ length: a.length + 1 }, () => new Array(b.length + 1).fill(0));
+    for (let i = a.length - 1; i >= 0; i--) {
+        for (let j = b.length - 1; j >= 0; j--) {
+            lengths[i][j] = equal(a[i], b[j]) ? lengths[i + 1][j + 1] + 1 : Math.max(lengths[i + 1][j], lengths[i][j + 1]);
+        }
+    }
+    const pairs: [number, number][] = [];
+    let i = 0, j = 0;
+    while (i < a.length && j < b.length) {
+        if (equal(a[i], b[j])) {
+            pairs.push([i, j]);
+            i++;
+            j++;
+        } else if (lengths[i + 1][j] >= lengths[i][j + 1]) {
+            i++;
+        } else {
+            j++;
+        }
+    }
+    return pairs;
+}
+
+/**
+ * Pair up the entries of two exports: first by identifier, then the rest by key (title and type).
+ */
+function matchEntries<T>(before: T[], after: T[], identifier: (x: T) => string, key: (x: T) => string): Map<T, T> {
+    const matches = new Map<T, T>();
+    const afterById = new Map(after.map(x => [identifier(x), x]));
+    const matched = new Set<T>();
+    before.forEach(x => {
+        const match = afterById.get(identifier(x));
+        if (match && !matched.has(match)) {
+            matches.set(x, match);
+            matched.add(match);
+        }
+    });
+    before.filter(x => !matches.has(x)).forEach(x => {
+        const match = after.find(y => !matched.has(y) && key(y) === key(x));
+        if (match) {
+            matches.set(x, match);
+            matched.add(match);
+        }
+    });
+    return matches;
+}
+
+function statusChange(before: string, after: string): 'published' | 'unpublished' | null {
+    if (before === after) return null;
+    if (after === 'active') return 'published';
+    return before === 'active' ? 'unpublished' : null;
+}
+
+function moduleItemKey(item: ModuleItem): string {
+    return item.identifierRef || `${item.contentType}:${item.title}`;
+}
+
+function diffModules(before: Module[], after: Module[], matches: Map<Module, Module>): ModuleChange[] {
+    const changes: ModuleChange[] = [];
+    const matchedAfter = new Set(matches.values());
+
+    before.filter(m => !matches.has(m)).forEach(m => changes.push({ kind: 'removed', title: m.title, detail: `${m.items.length} item(s)` }));
+    after.filter(m => !matchedAfter.has(m)).forEach(m => changes.push({ kind: 'added', title: m.title, detail: `${m.items.length} item(s)` }));
+
+    // Modules outside the longest run that kept its order are the ones that moved
+    const kept = before.filter(m => matches.has(m));
+    const inOrder = new Set(commonSubsequence(kept, after, (x, y) => matches.get(x) === y).map(([i]) => kept[i]));
+    kept.forEach(m => {
+        const match = matches.get(m)!;
+        if (m.title !== match.title) changes.push({ kind: 'renamed', title: match.title, detail: `was "${m.title}"` });
+        if (!inOrder.has(m)) changes.push({ kind: 'moved', title: match.title, detail: `position ${before.indexOf(m) + 1} → ${after.indexOf(match) + 1}` });
+        const status = statusChange(m.status, match.status);
+        if (status) changes.push({ kind: status, title: match.title, detail: '' });
+
+        const beforeItems = m.items.map(moduleItemKey);
+        const afterItems = match.items.map(moduleItemKey);
+        const added = match.items.filter(i => !beforeItems.includes(moduleItemKey(i))).map(i => i.title);
+        const removed = m.items.filter(i => !afterItems.includes(moduleItemKey(i))).map(i => i.title);
+        const common = beforeItems.filter(k => afterItems.includes(k));
+        const reordered = common.join('\n') !== afterItems.filter(k => beforeItems.includes(k)).join('\n');
+        if (added.length || removed.length || reordered) {
+            changes.push({
+                kind: 'items-changed',
+                title: match.title,
+                detail: [
+                    ...(added.length ? [`Added: ${added.join(', ')}`] : []),
+                    ...(removed.length ? [`Removed: ${removed.join(', ')}`] : []),
+                    ...(reordered ? ['Items reordered'] : []),
+                ].join('; '),
+            });
+        }
+    });
+
+    return changes;
+}
+
+/**
+ * Titles of the modules each resource is placed in, by resource identifier.
+ */
+function resourceModules(modules: Module[], moduleTitle: (title: string) => string): Map<string, string> {
+    const placements = new Map<string, string[]>();
+    modules.forEach(m => m.items.forEach(item => {
+        if (item.identifierRef) placements.set(item.identifierRef, [...(placements.get(item.identifierRef) || []), moduleTitle(m.title)]);
+    }));
+    return new Map(Array.from(placements, ([identifier, titles]) => [identifier, Array.from(new Set(titles)).sort().join(', ')]));
+}
+
+function diffResources(before: CourseReport, after: CourseReport, matches: Map<Resource, Resource>, currentModuleTitle: (title: string) => string): ResourceChange[] {
+    const changes: ResourceChange[] = [];
+    const matchedAfter = new Set(matches.values());
+    const beforeModules = resourceModules(before.modules, currentModuleTitle);
+    const afterModules = resourceModules(after.modules, title => title);
+    const placement = (placements: Map<string, string>, r: Resource) => placements.get(r.identifier) || '(None)';
+
+    before.resources.filter(r => !matches.has(r)).forEach(r => changes.push({ kind: 'removed', title: r.title, itemType: r.clarifiedType, detail: '' }));
+    after.resources.filter(r => !matchedAfter.has(r)).forEach(r => changes.push({ kind: 'added', title: r.title, itemType: r.clarifiedType, detail: `Module: ${placement(afterModules, r)}` }));
+    matches.forEach((match, r) => {
+        if (r.title !== match.title) changes.push({ kind: 'renamed', title: match.title, itemType: match.clarifiedType, detail: `was "${r.title}"` });
+        const status = statusChange(r.status, match.status);
+        if (status) changes.push({ kind: status, title: match.title, itemType: match.clarifiedType, detail: '' });
+        if (placement(beforeModules, r) !== placement(afterModules, match)) {
+            changes.push({ kind: 'module-changed', title: match.title, itemType: match.clarifiedType, detail: `${placement(beforeModules, r)} → ${placement(afterModules, match)}` });
+        }
+    });
+
+    return changes;
+}
+
+/**
+ * Lines only in the earlier and only in the later text, in order.
+ */
+export function diffLines(before: string[], after: string[]): { removed: string[], added: string[] } {
+    if (before.length * after.length > MAX_LINE_DIFF_CELLS) {
+        return { removed: before.filter(l => !after.includes(l)), added: after.filter(l => !before.includes(l)) };
+    }
+    const pairs = commonSubsequence(before, after, (x, y) => x === y);
+    const keptBefore = new Set(pairs.map(([i]) => i));
+    const keptAfter = new Set(pairs.map(([, j]) => j));
+    return {
+        removed: before.filter((_line, i) => !keptBefore.has(i)),
+        added: after.filter((_line, j) => !keptAfter.has(j)),
+    };
+}
+
+function diffContent(before: ItemText[], after: ItemText[]): ContentChange[] {
+    const matches = matchEntries(before, after, t => t.resourceIdentifier, t => `${t.itemType}:${t.title}`);
+    const changes: ContentChange[] = [];
+    matches.forEach((match, t) => {
+        if (t.text === match.text) return;
+        const { removed, added } = diffLines(t.text.split('\n').filter(Boolean), match.text.split('\n').filter(Boolean));
+        if (removed.length || added.length) changes.push({ title: match.title, itemType: match.itemType, removed, added });
+    });
+    return changes;
+}
+
+function accessibilityChanges(violations: EnhancedAxeResult[], itemTitle: (title: string) => string, itemIdentifier: (identifier: string) => string): AccessibilityChange[] {
+    return violations.flatMap(v => (v.nodes.length ? v.nodes : [null]).map(node => ({
+        rule: v.id,
+        impact: v.impact || '',
+        help: v.help,
+        itemIdentifier: itemIdentifier(v.parentItemIdentifier),
+        itemTitle: itemTitle(v.parentItemTitle),
+        itemType: v.parentItemType,
+        target: node ? node.target.join(', ') : '',
+    })));
+}
+
+function accessibilityKey(change: AccessibilityChange): string {
+    return `${change.itemIdentifier}\n${change.rule}\n${change.target}`;
+}
+
+function linkKey(link: LinkObject, itemIdentifier: (identifier: string) => string): string {
+    return `${itemIdentifier(link.parentResourceIdentifier)}\n${link.url}`;
+}
+
+/**
+ * Compare an earlier export of a course with a later one.
+ */
+export function diffCourseReports(before: CourseReport, after: CourseReport): CourseDiff {
+    const moduleMatches = matchEntries(before.modules, after.modules, m => m.identifier, m => m.title);
+    const resourceMatches = matchEntries(before.resources, after.resources, r => r.identifier, r => `${r.clarifiedType}:${r.title}`);
+
+    // Findings are compared by the later export's identifier of their item, so
+    // they follow an item whose identifier changed; titles follow renames for display
+    const matchedIdentifiers = new Map(Array.from(resourceMatches, ([r, match]) => [r.identifier, match.identifier]));
+    // Quiz questions ("quiz#question") follow their quiz
+    const currentIdentifier = (identifier: string) => {
+        const [base, ...question] = identifier.split('#');
+        return [matchedIdentifiers.get(base) || base, ...question].join('#');
+    };
+    const sameIdentifier = (identifier: string) => identifier;
+    const renames = <T extends { title: string }>(matches: Map<T, T>) => new Map(Array.from(matches).filter(([x, match]) => x.title !== match.title).map(([x, match]) => [x.title, match.title]));
+    const renamedResources = renames(resourceMatches);
+    const renamedModules = renames(moduleMatches);
+    const currentTitle = (title: string) => renamedResources.get(title) || title;
+    const currentModuleTitle = (title: string) => renamedModules.get(title) || title;
+    const sameTitle = (title: string) => title;
+
+    const beforeViolations = accessibilityChanges(before.accessibility.violations, currentTitle, currentIdentifier);
+    const afterViolations = accessibilityChanges(after.accessibility.violations, sameTitle, sameIdentifier);
+    const beforeViolationKeys = new Set(beforeViolations.map(accessibilityKey));
+    const afterViolationKeys = new Set(afterViolations.map(accessibilityKey));
+
+    const beforeLinkKeys = new Set(before.links.map(l => linkKey(l, currentIdentifier)));
+    const afterLinkKeys = new Set(after.links.map(l => linkKey(l, sameIdentifier)));
+
+    return {
+        beforeFileName: before.sourceFileName,
+        afterFileName: after.sourceFileName,
+        generatedAt: new Date().toISOString(),
+        moduleOrder: { before: before.modules.map(m => m.title), after: after.modules.map(m => m.title) },
+        modules: diffModules(before.modules, after.modules, moduleMatches),
+        resources: diffResources(before, after, resourceMatches, currentModuleTitle),
+        content: diffContent(before.contentText, after.contentText),
+        accessibility: {
+            introduced: afterViolations.filter(v => !beforeViolationKeys.has(accessibilityKey(v))),
+            fixed: beforeViolations.filter(v => !afterViolationKeys.has(accessibilityKey(v))),
+        },
+        links: {
+            added: after.links.filter(l => !beforeLinkKeys.has(linkKey(l, sameIdentifier))),
+            removed: before.links.filter(l => !afterLinkKeys.has(linkKey(l, currentIdentifier))),
+        },
+    };
+}
+
+/**
+ * Number of individual changes in a comparison, for summaries.
+ */
+export function courseDiffSize(diff: CourseDiff): number {
+    return diff.modules.length + diff.resources.length + diff.content.length
+        + diff.accessibility.introduced.length + diff.accessibility.fixed.length
+        + diff.links.added.length + diff.links.removed.length;
+}
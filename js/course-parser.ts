@@ -0,0 +1,590 @@
+import type JSZip from 'jszip';
+import type { Resource, Module, ModuleItem, ModulePrerequisite, ModuleCompletionRequirement, VideoObject, FileObject, ImageObject, FileReference, LinkType, LinkObject } from './types';
+import { findFileReferences, normalizeFileReference } from './file-inventory';
+import { qtiMetadataField, getQuestionItems } from './quiz-questions';
+import { findImages } from './images';
+import { classifyExternalLink, matchVideoPlatform } from './institution-profile';
+import type { InstitutionProfile } from './institution-profile';
+
+/* =========================================================================
+   Course parsing shared by the analysis worker and the command-line runner.
+   Nothing here touches the page: callers supply a DOMParser implementation
+   (the browser's, linkedom's in the worker, jsdom's in Node).
+   ========================================================================= */
+
+export type FileContents = { [key: string]: string };
+
+export interface CourseStructure {
+    resources: Resource[],
+    modules: Module[],
+};
+
+/* =========================================================================
+   Archive extraction
+   ========================================================================= */
+
+/**
+ * Read every text entry of a loaded archive into a map of name->content.
+ * web_resources/ holds binary course files and is skipped.
+ * onProgress - called after each entry with the running and total counts
+ */
+export async function readArchiveContents(zip: JSZip, onProgress?: (fileCount: number, totalFiles: number) => void): Promise<FileContents> {
+    const fileContents: FileContents = {};
+    const zipFiles = Object.values(zip.files).filter(f => !f.dir && !f.name.startsWith('web_resources/'));
+    const totalFiles = zipFiles.length;
+    let fileCount = 0;
+
+    for (const zipEntry of zipFiles) {
+        const content = await zipEntry.async('string');
+        fileContents[zipEntry.name] = content;
+        fileCount++;
+        if (onProgress) onProgress(fileCount, totalFiles);
+    }
+
+    return fileContents;
+}
+
+/* =========================================================================
+   Item types
+   ========================================================================= */
+
+const ITEM_TYPE_LABELS: { [type: string]: string } = {
+    contextmodulesubheader: 'Header',
+    assignment: 'Assignment',
+    page: 'Page',
+    externalurl: 'Link',
+    survey: 'Survey',
+    quiz: 'Quiz',
+    new_quiz: 'New Quiz',
+    question_bank: 'Question Bank',
+    announcement: 'Announcement',
+    discussion: 'Discussion',
+};
+
+/**
+ * Human-readable label for a clarified type (falls back to 'File').
+ */
+export function getItemTypeLabel(type: string): string {
+    return ITEM_TYPE_LABELS[type] || 'File';
+}
+
+/* =========================================================================
+   Manifest parsing and content assembly
+   ========================================================================= */
+
+/**
+ * Parse the imsmanifest and module_meta.xml and assemble course structure and content items.
+ */
+export function parseCourseStructure(fileContents: FileContents, parser: DOMParser): CourseStructure {
+    const allResources: Resource[] = [];
+    const allModules: Module[] = [];
+    const inModuleResourceIdentifiers: Set<string> = new Set();
+
+    // Helper to find a manifest <item> element by an identifier (e.g., a meta item's identifier)
+    const findManifestItemElementByIdentifier = (id: string): Element | null => {
+        if (!id) return null;
+        return Array.from(manifestFileContentParsed.getElementsByTagName('item')).find(i => i.getAttribute('identifier') === id) || null;
+    };
+
+    // Helper to find a manifest <resource> element by an identifier (e.g., its corresponding <item>'s identifierref)
+    const findManifestResourceElementByIentifier = (id: string): Element | null => {
+        if (!id) return null;
+        return Array.from(manifestFileContentParsed.getElementsByTagName('resource')).find(i => i.getAttribute('identifier') === id) || null;
+    };
+
+    // Map of resource items gathered from imsmanifest.xml
+    const manifestFileContent = fileContents['imsmanifest.xml'];
+    if (!manifestFileContent) {
+        throw new Error("imsmanifest.xml not found in the archive.");
+    }
+    const manifestFileContentParsed = parser.parseFromString(manifestFileContent, "application/xml");
+    const manifestSupportingResourceElements: string[] = [];
+
+    // Gather all manifest <resource> elements
+    for (const manifestResourceElement of manifestFileContentParsed.getElementsByTagName("resource")) {
+        const resourceIdentifier = manifestResourceElement.getAttribute("identifier")!;
+        const resourceHref = manifestResourceElement.getAttribute("href");
+        const resourceType = manifestResourceElement.getAttribute("type")!;
+
+        // Skip supporting element
+        if (resourceIdentifier && manifestSupportingResourceElements.includes(resourceIdentifier)) continue;
+
+        // Skip several types of resources: LTIs, links in modules, syllabus and settings
+        if (
+            // LTIs
+            resourceType === 'imsbasiclti_xmlv1p3' ||
+            // Links in modules
+            resourceType === 'imswl_xmlv1p1' ||
+            // Syllabus entry in manifest
+            resourceIdentifier.endsWith('_syllabus') ||
+            // Course settings entry
+            resourceHref?.includes('canvas_export.txt')
+        ) continue;
+
+        let resourceStatus = 'unknown';
+        let resourceTitle = 'untitled';
+
+        let resourceAnalysisHref: string | null = null;
+        let resourceAnalysisType = 'html';
+        let resourceQuestionsHref: string | undefined;
+        let resourceSettingsHref: string | undefined;
+        const isAssignment = resourceType.includes('associatedcontent/imscc_xmlv1p1/learning-application-resource') && resourceHref && resourceHref.endsWith('html') && !resourceHref.startsWith('course_settings/');
+        const isQuizOrSurvey = resourceType.includes('imsqti_xmlv1p2/imscc_xmlv1p1/assessment');
+        const isDiscussion = resourceType.includes('imsdt_xmlv1p1');
+        const isPage = resourceType === 'webcontent' && resourceHref && resourceHref.startsWith('wiki_content/');
+        const isFile = resourceType === 'webcontent' && resourceHref && resourceHref.startsWith('web_resources/');
+        const isQuestionBank = resourceHref && resourceHref.startsWith('non_cc_assessments/') && fileContents[resourceHref]?.includes('<objectbank');
+        // New Quizzes come out as QTI 2.1 tests referencing one file per question
+        const isNewQuiz = resourceType.startsWith('imsqti_test_xmlv2p1');
+
+        let resourceClarifiedType: string | null = null;
+        let resourceIdentifierRef: string | null = null;
+
+        // TODO: A lot of refactoring opportunities here
+        if (isQuestionBank) {
+            resourceClarifiedType = 'question_bank';
+            const bankDoc = parser.parseFromString(fileContents[resourceHref], "application/xml");
+            resourceTitle = qtiMetadataField(bankDoc.documentElement, 'bank_title') || bankDoc.querySelector('objectbank')?.getAttribute('ident') || resourceTitle;
+            resourceQuestionsHref = resourceHref;
+        } else if (isNewQuiz) {
+            const testHref = resourceHref || manifestResourceElement.querySelector('file')?.getAttribute('href');
+            if (testHref && fileContents[testHref]) {
+                resourceClarifiedType = 'new_quiz';
+                const testDoc = parser.parseFromString(fileContents[testHref], "application/xml");
+                resourceTitle = testDoc.documentElement?.getAttribute('title') || resourceTitle;
+                resourceQuestionsHref = testHref;
+            }
+        } else if (isFile) {
+            resourceClarifiedType = 'file';
+            // Files have no settings of their own; title them by file name
+            resourceTitle = normalizeFileReference(resourceHref).split('/').pop() || resourceTitle;
+            resourceStatus = 'active';
+        } else if (isPage) {
+            resourceClarifiedType = 'page';
+            const pageContent = fileContents[resourceHref];
+            if (pageContent) {
+                const pageDoc = parser.parseFromString(pageContent, "text/html");
+                resourceTitle = pageDoc.querySelector('title')?.textContent || resourceTitle;
+                resourceStatus = pageDoc.querySelector('meta[name="workflow_state"]')?.getAttribute('content') === 'active' ? 'active' : 'unpublished';
+            }
+            resourceAnalysisHref = resourceHref;
+        } else if (isAssignment) {
+            resourceClarifiedType = 'assignment';
+            const assignmentSettingsPath = Object.keys(fileContents).find(fileName => fileName.startsWith(`${resourceIdentifier}/`) && fileName.endsWith('assignment_settings.xml'));
+            if (assignmentSettingsPath) {
+                const settingsDoc = parser.parseFromString(fileContents[assignmentSettingsPath], "application/xml");
+                // Assignments are 'published'; 'active' is what pages and modules use
+                resourceStatus = ['published', 'active'].includes(settingsDoc.querySelector('workflow_state')?.textContent || '') ? 'active' : 'unpublished';
+                resourceSettingsHref = assignmentSettingsPath;
+                resourceTitle = settingsDoc.querySelector('title')?.textContent || resourceTitle;
+            }
+            const assignmentHtmlPath = Object.keys(fileContents).find(fileName => fileName.startsWith(`${resourceIdentifier}/`) && fileName.endsWith('.html'));
+            if (assignmentHtmlPath) resourceAnalysisHref = assignmentHtmlPath;
+        } else if (isQuizOrSurvey) {
+            const resourceIdentifierRef = manifestResourceElement.querySelector('dependency')!.getAttribute("identifierref")!;
+            const matchingManifestResourceElement = findManifestResourceElementByIentifier(resourceIdentifierRef);
+
+            if (matchingManifestResourceElement && fileContents[matchingManifestResourceElement.getAttribute('href')!]) {
+                const matchingManifestResourceElementIdentifier = matchingManifestResourceElement.getAttribute('identifier');
+                if (matchingManifestResourceElementIdentifier === null) throw new Error("matchingManifestResourceElementIdentifier should NOT be null.");
+                manifestSupportingResourceElements.push(matchingManifestResourceElementIdentifier);
+
+                resourceAnalysisHref = matchingManifestResourceElement.getAttribute('href');
+                resourceAnalysisType = 'xml';
+                if (resourceAnalysisHref === null) throw new Error('resourceAnalysisHref should NOT be null.');
+
+                resourceSettingsHref = resourceAnalysisHref;
+                const itemMetaDoc = parser.parseFromString(fileContents[resourceAnalysisHref], "application/xml");
+                if (itemMetaDoc) {
+                    resourceTitle = itemMetaDoc.querySelector('title')?.textContent || resourceTitle;
+                    resourceStatus = itemMetaDoc.querySelector('available')?.textContent === 'true' ? 'active' : 'unpublished';
+                }
+                // Canvas' own QTI keeps every question type; the CC profile copy is the fallback
+                const questionsHref = [`non_cc_assessments/${resourceIdentifier}.xml.qti`, manifestResourceElement.querySelector('file')?.getAttribute('href')]
+                    .find(href => href && fileContents[href]);
+                if (questionsHref) resourceQuestionsHref = questionsHref;
+
+                const quizType = itemMetaDoc.querySelector('quiz_type')?.textContent;
+                if (quizType === 'survey') {
+                    resourceClarifiedType = 'survey';
+                } else {
+                    resourceClarifiedType = 'quiz';
+                }
+            }
+        } else if (isDiscussion) {
+            resourceClarifiedType = 'discussion';
+            const discussionXmlPath = `${resourceIdentifier}.xml`;
+            if (fileContents[discussionXmlPath]) {
+                resourceAnalysisHref = discussionXmlPath;
+                resourceAnalysisType = 'discussion_xml';
+                const discussionDoc = parser.parseFromString(fileContents[discussionXmlPath], "application/xml");
+                resourceTitle = discussionDoc.querySelector('title')?.textContent || resourceTitle;
+
+                const resourceIdentifierRef = manifestResourceElement.querySelector('dependency')!.getAttribute("identifierref")!;
+                const matchingManifestResourceElement = findManifestResourceElementByIentifier(resourceIdentifierRef);
+
+                if (matchingManifestResourceElement && fileContents[matchingManifestResourceElement.getAttribute('href')!]) {
+                    const matchingManifestResourceElementIdentifier = matchingManifestResourceElement.getAttribute('identifier');
+                    if (matchingManifestResourceElementIdentifier === null) throw new Error("matchingManifestResourceElementIdentifier should NOT be null.");
+                    manifestSupportingResourceElements.push(matchingManifestResourceElementIdentifier);
+
+                    const settingsHref = matchingManifestResourceElement.getAttribute('href');
+                    if (settingsHref === null) throw new Error('settingsHref should NOT be null.');
+                    resourceSettingsHref = settingsHref;
+
+                    const itemSettingsDoc = parser.parseFromString(fileContents[settingsHref], "application/xml");
+                    if (itemSettingsDoc) {
+                        resourceStatus = itemSettingsDoc.querySelector('workflow_state')?.textContent === 'active' ? 'active' : 'unpublished';
+                    }
+                    const discussionType = itemSettingsDoc.querySelector('type')?.textContent;
+                    if (discussionType === 'announcement') {
+                        resourceClarifiedType = 'announcement';
+                    }
+                }
+            }
+        }
+
+        if (!resourceClarifiedType) {
+            continue;
+        }
+        allResources.push({
+            identifier: resourceIdentifier,
+            title: resourceTitle,
+            href: resourceHref || undefined,
+            identifierref: resourceIdentifierRef,
+            status: resourceStatus,
+            clarifiedType: resourceClarifiedType,
+            contentType: resourceType,
+            analysisHref: resourceAnalysisHref,
+            analysisType: resourceAnalysisType,
+            questionsHref: resourceQuestionsHref,
+            settingsHref: resourceSettingsHref,
+        });
+    }
+
+    // Gather modules and module contents
+    const metaModuleFileContent = fileContents['course_settings/module_meta.xml'];
+    if (!metaModuleFileContent) {
+        throw new Error("course_settings/module_meta.xml not found in the archive.");
+    }
+
+    const moduleMetaFileContentParsed = parser.parseFromString(metaModuleFileContent, "application/xml");
+    const metaModuleElements = Array.from(moduleMetaFileContentParsed.querySelectorAll("module"));
+    metaModuleElements.forEach(metaModuleElement => {
+        const moduleItems: ModuleItem[] = [];
+
+        const moduleTitle = metaModuleElement.querySelector('title')?.textContent!;
+        const moduleStatus = metaModuleElement.querySelector('workflow_state')?.textContent === 'active' ? 'active' : 'unpublished';
+
+        const metaModuleItemElements = Array.from(metaModuleElement.querySelectorAll('item'));
+        metaModuleItemElements.forEach(metaModuleItemElement => {
+            const moduleItemIdentifier = metaModuleItemElement.getAttribute('identifier')!;
+            const indent = parseInt(metaModuleItemElement.querySelector('indent')?.textContent!, 10);
+            const status = metaModuleItemElement.querySelector('workflow_state')?.textContent!;
+            const contentType = metaModuleItemElement.querySelector('content_type')?.textContent!;
+            const title = metaModuleItemElement.querySelector('title')?.textContent!;
+            const moduleItemIdentifierRef = metaModuleItemElement.querySelector('identifierref')?.textContent || null;
+
+            let clarifiedType = 'tbd';
+
+            const matchingResource = allResources.find(r => r.identifier === moduleItemIdentifierRef);
+
+            if (matchingResource) {
+                clarifiedType = matchingResource?.clarifiedType || contentType;
+                matchingResource.moduleTitle = moduleTitle;
+            }
+
+            const moduleItem: ModuleItem = {
+                identifier: moduleItemIdentifier,
+                title,
+                identifierRef: moduleItemIdentifierRef,
+                moduleTitle: moduleTitle,
+                status,
+                indent,
+                clarifiedType,
+                contentType
+            };
+
+            moduleItems.push(moduleItem);
+            // Building our list of in-module items
+            inModuleResourceIdentifiers.add(moduleItemIdentifier);
+        });
+
+        const prerequisites: ModulePrerequisite[] = Array.from(metaModuleElement.querySelectorAll('prerequisite')).map(prerequisite => ({
+            identifierRef: prerequisite.querySelector('identifierref')?.textContent || '',
+            title: prerequisite.querySelector('title')?.textContent || '',
+        }));
+        const completionRequirements: ModuleCompletionRequirement[] = Array.from(metaModuleElement.querySelectorAll('completionRequirement')).map(requirement => {
+            const minScore = requirement.querySelector('min_score')?.textContent;
+            return {
+                type: requirement.getAttribute('type') || '',
+                moduleItemIdentifier: requirement.querySelector('identifierref')?.textContent || '',
+                minScore: minScore ? parseFloat(minScore) : null,
+            };
+        });
+
+        const module: Module = {
+            identifier: metaModuleElement.getAttribute('identifier') || '',
+            title: moduleTitle,
+            items: moduleItems,
+            status: moduleStatus,
+            unlockAt: metaModuleElement.querySelector('unlock_at')?.textContent || null,
+            requireSequentialProgress: metaModuleElement.querySelector('require_sequential_progress')?.textContent === 'true',
+            requirementCount: metaModuleElement.querySelector('requirement_count')?.textContent === '1' ? 'one' : 'all',
+            prerequisites,
+            completionRequirements,
+        };
+
+        allModules.push(module);
+    });
+
+    return { resources: allResources, modules: allModules };
+}
+
+/**
+ * Return the HTML document to analyze for an item, unwrapping the HTML stored
+ * inside quiz meta and discussion XML files.
+ */
+export function getAnalysisDocument(content: string, analysisType: string | null, parser: DOMParser): Document {
+    if (analysisType === 'xml') {
+        const xmlDoc = parser.parseFromString(content, "application/xml");
+        const description = xmlDoc.querySelector("description");
+        const htmlContent = description ? description.textContent : '';
+        return parser.parseFromString(htmlContent, "text/html");
+    } else if (analysisType === 'discussion_xml') {
+        const xmlDoc = parser.parseFromString(content, "application/xml");
+        const text = xmlDoc.querySelector("text");
+        const htmlContent = text ? text.textContent : '';
+        return parser.parseFromString(htmlContent, "text/html");
+    }
+    return parser.parseFromString(content, "text/html");
+}
+
+/**
+ * Every document to scan for an item: its own content (if any) followed by
+ * its questions for quizzes, question banks and New Quizzes.
+ */
+export function getAnalysisTargets(item: Resource, fileContents: FileContents, parser: DOMParser): { resource: Resource, doc: Document }[] {
+    const targets: { resource: Resource, doc: Document }[] = [];
+    if (item.analysisHref && fileContents[item.analysisHref]) {
+        targets.push({ resource: item, doc: getAnalysisDocument(fileContents[item.analysisHref], item.analysisType, parser) });
+    }
+    targets.push(...getQuestionItems(item, fileContents, parser));
+    return targets;
+}
+
+/* =========================================================================
+   Content parsing helpers (links/files/videos               
+   ========================================================================= */
+
+/**
+ * Find external links in a document and return structured items, typed by
+ * the institution profile's link categories.
+ */
+// TODO: Fix formatting issues
+export function findLinks(doc: Document, item: Resource, profile: InstitutionProfile): LinkObject[] {
+
+    const links: LinkObject[] = [];
+    if (!doc || !doc.querySelectorAll) return links;
+    doc.querySelectorAll('a[href]').forEach(a => {
+        const href = (a as HTMLAnchorElement).getAttribute('href');
+        if (href && !href.startsWith('#') && !href.startsWith('mailto') && !a.classList.contains('instructure_file_link') && !a.classList.contains('instructure_scribd_file')) {
+            let type: LinkType = 'unknown';
+            if (href.startsWith('$CANVAS') || href.includes('$WIKI_REFERENCE$') || /^(?:\$IMS-CC-FILEBASE\$|%24IMS-CC-FILEBASE%24)\//i.test(href)) {
+                type = 'course';
+            } else {
+                type = classifyExternalLink(href, profile);
+            }
+            links.push({
+                url: href,
+                text: a.textContent.trim(),
+                parentResourceIdentifier: item.identifier,
+                parentResourceTitle: item.title,
+                parentResourceType: item.clarifiedType,
+                parentResourceModuleTitle: item.moduleTitle === undefined ? '(None)' : item.moduleTitle,
+                parentResourceStatus: item.status,
+                type
+            });
+        }
+    });
+    return links;
+}
+
+/**
+ * Find file attachment links in a document.
+ */
+// TODO: Refactor
+export function findFileAttachments(doc: Document, item: Resource): FileObject[] {
+    const files: FileObject[] = [];
+
+    if (!doc || !doc.querySelectorAll) return files;
+    doc.querySelectorAll('a.instructure_file_link, a.instructure_scribd_file').forEach(a => {
+        files.push({
+            parentAnchorText: a.textContent.trim(),
+            parentResourceIdentifier: item.identifier,
+            parentResourceType: item.clarifiedType,
+            parentResourceModuleTitle: item.moduleTitle === undefined ? '(None)' : item.moduleTitle,
+            parentResourceTitle: item.title,
+            parentResourceStatus: item.status,
+            href: a.getAttribute('href') || ''
+        });
+    });
+
+    return files;
+}
+
+/**
+ * Tag-name check instead of `instanceof HTMLParagraphElement`, which only
+ * works against the page's own DOM classes.
+ */
+function isParagraph(el: Element | null): boolean {
+    return !!el && el.tagName.toUpperCase() === 'P';
+}
+
+/**
+ * Parent item fields shared by every video found in an item.
+ */
+function videoParentDetails(item: Resource) {
+    return {
+        parentResourceIdentifier: item.identifier,
+        parentResourceTitle: item.title,
+        parentResourceType: item.clarifiedType,
+        parentResourceModuleTitle: item.moduleTitle === undefined ? '(None)' : item.moduleTitle,
+        parentResourceStatus: item.status,
+    };
+}
+
+function isFileBaseReference(href: string): boolean {
+    return /^(?:\$IMS-CC-FILEBASE\$|%24IMS-CC-FILEBASE%24)\//i.test(href);
+}
+
+/**
+ * What the content right around a video says about captions and transcripts:
+ * a mention in the text, links to transcripts, and links to caption files.
+ * Looks at the same neighbors as the original mention check (previous
+ * sibling, next two siblings).
+ */
+function nearbyCaptionEvidence(traverseRootTag: Element): Pick<VideoObject, 'transcriptOrCaptionMentioned' | 'transcriptLinks' | 'captionLinks'> {
+    const neighbors = [traverseRootTag.previousElementSibling, traverseRootTag.nextElementSibling, traverseRootTag.nextElementSibling?.nextElementSibling]
+        .filter((el): el is Element => !!el);
+
+    const adjacentText = neighbors.map(el => el.innerHTML).join(' ').toLowerCase();
+
+    // Transcript links often share the video's own paragraph
+    const anchors = [traverseRootTag, ...neighbors].flatMap(el => el.tagName.toUpperCase() === 'A' ? [el] : Array.from(el.querySelectorAll('a[href]')));
+    const transcriptLinks: string[] = [];
+    const captionLinks: string[] = [];
+    anchors.forEach(a => {
+        const href = a.getAttribute('href') || '';
+        if (/\.(vtt|srt|dfxp|ttml)(?:[?#]|$)/i.test(href)) captionLinks.push(isFileBaseReference(href) ? normalizeFileReference(href) : href);
+        else if (/transcript/i.test(href) || /transcript/i.test(a.textContent || '')) transcriptLinks.push(href);
+    });
+
+    return {
+        transcriptOrCaptionMentioned: /transcript|caption/i.test(adjacentText),
+        transcriptLinks,
+        captionLinks,
+    };
+}
+
+/**
+ * Find embedded iframes, <video> elements and links that correspond to
+ * the institution profile's video platforms.
+ */
+export function findVideos(doc: Document, item: Resource, profile: InstitutionProfile): VideoObject[] {
+    const videos: VideoObject[] = [];
+    if (!doc || !doc.querySelectorAll) return videos;
+
+    // TODO: Future opportunity to refactor
+
+    // Check iFrames
+    doc.querySelectorAll('iframe').forEach(iframe => {
+        const src = (iframe.getAttribute('src') || '').toLowerCase();
+        const title = iframe.getAttribute('title') || '(Title Not Found)';
+        let type = 'embed'
+        // Canvas' own media player is the same at every institution
+        const platform = src.includes('media_objects_iframe') ? 'Canvas' : (matchVideoPlatform(src, 'embed', profile) || 'Unknown');
+
+        if (platform != 'Unknown') {
+            const traverseRootTag = isParagraph(iframe.parentElement) ? iframe.parentElement! : iframe;
+
+            videos.push({ title: title, platform, src: src, type: type, ...nearbyCaptionEvidence(traverseRootTag), trackSources: [], ...videoParentDetails(item) });
+        }
+    });
+
+    // Videos uploaded to Canvas and played with its own player
+    doc.querySelectorAll('video').forEach(video => {
+        const src = video.getAttribute('src') || video.querySelector('source[src]')?.getAttribute('src') || '';
+        const title = video.getAttribute('title') || video.getAttribute('aria-label') || normalizeFileReference(src).split('/').pop() || '(Title Not Found)';
+        const trackSources = Array.from(video.querySelectorAll('track[src]')).map(track => normalizeFileReference(track.getAttribute('src')!));
+        const traverseRootTag = isParagraph(video.parentElement) ? video.parentElement! : video;
+
+        videos.push({
+            title,
+            platform: 'Canvas',
+            src: src.toLowerCase(),
+            type: 'embed',
+            mediaPath: isFileBaseReference(src) ? normalizeFileReference(src) : undefined,
+            ...nearbyCaptionEvidence(traverseRootTag),
+            trackSources,
+            ...videoParentDetails(item),
+        });
+    });
+
+    doc.querySelectorAll('a').forEach(a => {
+        const src = (a.getAttribute('href') || '').toLowerCase();
+        const title = a.textContent || '(Title Not Found)';
+        let type = 'link'
+        const platform = a.classList.contains('instructure_inline_media_comment') || src.includes('/media_objects/')
+            ? 'Canvas'
+            : (matchVideoPlatform(src, 'link', profile) || 'Unknown');
+
+        if (platform != 'Unknown') {
+            const traverseRootTag = isParagraph(a.parentElement) ? a.parentElement! : a;
+
+            videos.push({ title: title, platform, src: src, type: type, ...nearbyCaptionEvidence(traverseRootTag), trackSources: [], ...videoParentDetails(item) });
+        }
+    });
+    return videos;
+}
+
+// Elements that end a line of item text
+const TEXT_BLOCK_TAGS = ['p', 'div', 'li', 'dt', 'dd', 'h1', 'h2', 'h3', 'h4', 'h5', 'h6', 'tr', 'td', 'th', 'br', 'blockquote', 'pre', 'figcaption', 'caption', 'section', 'article'];
+
+/**
+ * Visible text of an item, one line per block element, for comparing content
+ * between exports.
+ */
+export function findItemText(doc: Document): string {
+    const root = doc.body || doc.documentElement;
+    if (!root) return '';
+    const parts: string[] = [];
+    const collect = (node: Node) => {
+        node.childNodes.forEach(child => {
+            if (child.nodeType === 3) {
+                parts.push(child.textContent || '');
+            } else if (child.nodeType === 1) {
+                const tagName = ((child as Element).localName || (child as Element).tagName).toLowerCase();
+                if (tagName === 'script' || tagName === 'style') return;
+                collect(child);
+                if (TEXT_BLOCK_TAGS.includes(tagName)) parts.push('\n');
+            }
+        });
+    };
+    collect(root);
+    return parts.join('').split('\n').map(line => line.replace(/\s+/g, ' ').trim()).filter(Boolean).join('\n');
+}
+
+/**
+ * Run link, file, video, image and text discovery on a single item.
+ */
+export function discoverItemContent(doc: Document, item: Resource, profile: InstitutionProfile): { links: LinkObject[], files: FileObject[], videos: VideoObject[], images: ImageObject[], fileReferences: FileReference[], text: string } {
+    return {
+        text: findItemText(doc),
+        links: findLinks(doc, item, profile),
+        files: findFileAttachments(doc, item),
+        videos: findVideos(doc, item, profile),
+        images: findImages(doc, item),
+        fileReferences: findFileReferences(doc, item),
+    };
+}
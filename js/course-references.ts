@@ -0,0 +1,199 @@
+import type { Resource, Module, LinkObject, LinkResolution, LinkIssue } from './types';
+import type { FileContents } from './course-parser';
+import { normalizeFileReference, WEB_RESOURCES_PREFIX } from './file-inventory';
+
+/* =========================================================================
+   Internal course references: resolve $WIKI_REFERENCE$,
+   $CANVAS_OBJECT_REFERENCE$, $CANVAS_COURSE_REFERENCE$ and $IMS-CC-FILEBASE$
+   placeholders against the resources in the export.
+   ========================================================================= */
+
+/**
+ * Lookup tables for everything a course link can point at.
+ */
+export interface CourseIndex {
+    resourcesByIdentifier: Map<string, Resource>,
+    pagesBySlug: Map<string, Resource>,
+    filesByPath: Map<string, Resource>,
+    modulesByIdentifier: Map<string, Module>,
+    // Assignment identifiers of graded quizzes/discussions -> the quiz/discussion resource
+    assignmentAliases: Map<string, Resource>,
+    filePaths: Set<string>,
+};
+
+export const LINK_ISSUE_LABELS: { [K in LinkIssue]: string } = {
+    'broken': 'Broken',
+    'unpublished-target': 'Unpublished target',
+    'not-in-module': 'Not in module',
+};
+
+// Object types in $CANVAS_OBJECT_REFERENCE$/<type>/<identifier> and the clarified types they may resolve to
+const OBJECT_REFERENCE_TYPES: { [segment: string]: { kind: string, clarifiedTypes: string[] } } = {
+    assignments: { kind: 'assignment', clarifiedTypes: ['assignment', 'quiz', 'new_quiz', 'survey', 'discussion'] },
+    quizzes: { kind: 'quiz', clarifiedTypes: ['quiz', 'new_quiz', 'survey'] },
+    discussion_topics: { kind: 'discussion', clarifiedTypes: ['discussion', 'announcement'] },
+    announcements: { kind: 'announcement', clarifiedTypes: ['announcement', 'discussion'] },
+    attachments: { kind: 'file', clarifiedTypes: ['file'] },
+    pages: { kind: 'page', clarifiedTypes: ['page'] },
+    wiki_pages: { kind: 'page', clarifiedTypes: ['page'] },
+};
+
+/**
+ * Canvas page URLs are the page file name without its extension.
+ */
+function pageSlug(resource: Resource): string | null {
+    if (resource.clarifiedType !== 'page' || !resource.href) return null;
+    return resource.href.replace(/^wiki_content\//, '').replace(/\.html?$/i, '').toLowerCase();
+}
+
+/**
+ * Graded quizzes and discussions carry an <assignment identifier="..."> of their own,
+ * and course links to the assignment use that identifier.
+ */
+function findAssignmentAliases(resources: Resource[], fileContents: FileContents, parser: DOMParser): Map<string, Resource> {
+    const aliases: Map<string, Resource> = new Map();
+    const resourcesByIdentifier = new Map(resources.map(r => [r.identifier, r]));
+
+    Object.entries(fileContents).forEach(([fileName, content]) => {
+        if (!fileName.endsWith('.xml') || !content.includes('<assignment ')) return;
+        if (!content.includes('<quiz ') && !content.includes('<topicMeta')) return;
+
+        const doc = parser.parseFromString(content, 'application/xml');
+        const root = doc.documentElement;
+        if (!root) return;
+        const ownerIdentifier = root.tagName === 'quiz'
+            ? root.getAttribute('identifier')
+            : root.querySelector('topic_id')?.textContent;
+        const owner = ownerIdentifier ? resourcesByIdentifier.get(ownerIdentifier) : undefined;
+        const assignmentIdentifier = root.querySelector('assignment')?.getAttribute('identifier');
+        if (owner && assignmentIdentifier) aliases.set(assignmentIdentifier, owner);
+    });
+
+    return aliases;
+}
+
+/**
+ * Build the lookup tables used to resolve course links.
+ * archiveFileNames - every entry name in the archive (used for $IMS-CC-FILEBASE$ links)
+ */
+export function buildCourseIndex(resources: Resource[], modules: Module[], fileContents: FileContents, archiveFileNames: string[], parser: DOMParser): CourseIndex {
+    const pagesBySlug: Map<string, Resource> = new Map();
+    const filesByPath: Map<string, Resource> = new Map();
+    resources.forEach(r => {
+        const slug = pageSlug(r);
+        if (slug) pagesBySlug.set(slug, r);
+        if (r.clarifiedType === 'file' && r.href) filesByPath.set(normalizeFileReference(r.href.slice(WEB_RESOURCES_PREFIX.length)), r);
+    });
+
+    return {
+        resourcesByIdentifier: new Map(resources.map(r => [r.identifier, r])),
+        pagesBySlug,
+        filesByPath,
+        modulesByIdentifier: new Map(modules.map(m => [m.identifier, m])),
+        assignmentAliases: findAssignmentAliases(resources, fileContents, parser),
+        filePaths: new Set(archiveFileNames.filter(n => n.startsWith(WEB_RESOURCES_PREFIX)).map(n => n.slice(WEB_RESOURCES_PREFIX.length))),
+    };
+}
+
+function resolvedTo(targetKind: string, target: Resource): LinkResolution {
+    return {
+        targetKind,
+        status: 'resolved',
+        targetIdentifier: target.identifier,
+        targetTitle: target.title,
+        targetStatus: target.status,
+        issues: [],
+    };
+}
+
+function brokenLink(targetKind: string, targetIdentifier: string | null): LinkResolution {
+    return { targetKind, status: 'broken', targetIdentifier, targetTitle: null, targetStatus: null, issues: ['broken'] };
+}
+
+function courseNavigation(targetKind: string): LinkResolution {
+    return { targetKind, status: 'unverifiable', targetIdentifier: null, targetTitle: null, targetStatus: null, issues: [] };
+}
+
+function safeDecode(value: string): string {
+    try {
+        return decodeURIComponent(value);
+    } catch (e) {
+        return value;
+    }
+}
+
+/**
+ * Resolve a single internal course URL to its target in the export.
+ * Returns null for URLs that aren't course placeholders.
+ */
+export function resolveCourseReference(url: string, index: CourseIndex): LinkResolution | null {
+    const path = url.split(/[?#]/)[0];
+
+    if (/^(?:\$IMS-CC-FILEBASE\$|%24IMS-CC-FILEBASE%24)\//i.test(path)) {
+        const filePath = normalizeFileReference(url);
+        const file = index.filesByPath.get(filePath);
+        if (file) return resolvedTo('file', file);
+        return index.filePaths.has(filePath)
+            ? { targetKind: 'file', status: 'resolved', targetIdentifier: null, targetTitle: filePath, targetStatus: 'active', issues: [] }
+            : brokenLink('file', filePath);
+    }
+
+    const wikiMatch = path.match(/^\$WIKI_REFERENCE\$\/(?:pages|wiki)\/([^/]+)/);
+    if (wikiMatch) {
+        const slug = safeDecode(wikiMatch[1]).toLowerCase();
+        const page = index.pagesBySlug.get(slug) || index.resourcesByIdentifier.get(wikiMatch[1]);
+        return page ? resolvedTo('page', page) : brokenLink('page', slug);
+    }
+    if (path.startsWith('$WIKI_REFERENCE$')) return courseNavigation('pages');
+
+    const objectMatch = path.match(/^\$CANVAS_OBJECT_REFERENCE\$\/([^/]+)\/([^/]+)/);
+    if (objectMatch) {
+        const [, segment, identifier] = objectMatch;
+        if (segment === 'modules') {
+            const module = index.modulesByIdentifier.get(identifier);
+            return module
+                ? { targetKind: 'module', status: 'resolved', targetIdentifier: identifier, targetTitle: module.title, targetStatus: module.status, issues: [] }
+                : brokenLink('module', identifier);
+        }
+        const objectType = OBJECT_REFERENCE_TYPES[segment];
+        if (!objectType) return courseNavigation(segment);
+        const target = index.resourcesByIdentifier.get(identifier) || (segment === 'assignments' ? index.assignmentAliases.get(identifier) : undefined);
+        return target && objectType.clarifiedTypes.includes(target.clarifiedType)
+            ? resolvedTo(objectType.kind, target)
+            : brokenLink(objectType.kind, identifier);
+    }
+
+    const fileRefMatch = path.match(/^\$CANVAS_COURSE_REFERENCE\$\/file_ref\/([^/]+)/);
+    if (fileRefMatch) {
+        const file = index.resourcesByIdentifier.get(fileRefMatch[1]);
+        return file && file.clarifiedType === 'file' ? resolvedTo('file', file) : brokenLink('file', fileRefMatch[1]);
+    }
+
+    const courseMatch = path.match(/^\$CANVAS_COURSE_REFERENCE\$\/?([^/]*)/);
+    if (courseMatch) return courseNavigation(courseMatch[1] || 'course');
+
+    return null;
+}
+
+/**
+ * Attach a resolution to every course link and flag published items that link to
+ * unpublished targets or to content students can't reach through a module.
+ */
+export function resolveCourseLinks(links: LinkObject[], index: CourseIndex) {
+    links.forEach(link => {
+        if (link.type !== 'course') return;
+        const resolution = resolveCourseReference(link.url, index);
+        if (!resolution) return;
+
+        const target = resolution.targetIdentifier ? index.resourcesByIdentifier.get(resolution.targetIdentifier) : undefined;
+        const issues: LinkIssue[] = resolution.issues;
+        if (resolution.status === 'resolved' && link.parentResourceStatus === 'active' && resolution.targetStatus !== 'active') {
+            issues.push('unpublished-target');
+        }
+        // Files and announcements are reached through links and the course menu, not modules
+        if (target && !['file', 'announcement'].includes(target.clarifiedType) && target.moduleTitle === undefined) {
+            issues.push('not-in-module');
+        }
+        link.resolution = { ...resolution, issues };
+    });
+}
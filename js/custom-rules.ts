@@ -0,0 +1,348 @@
+import type { Module, ModuleItem } from './types';
+import type { CourseReport } from './report';
+
+/* =========================================================================
+   Custom QC rules: institution checklist items axe doesn't cover, written
+   as JSON and evaluated against the parsed course. A rule picks elements
+   of one scope (resources, modules, module items, links, files, videos),
+   narrows them with "where" and checks each with "assert":
+
+   {
+     "name": "Course review checklist",
+     "rules": [
+       { "id": "start-here", "description": "Start Here is in the first module", "severity": "serious",
+         "scope": "resources", "where": { "type": "page", "title": "Start Here" },
+         "assert": { "modulePosition": 1 } },
+       { "id": "rubrics", "description": "Every assignment has a rubric", "severity": "moderate",
+         "scope": "resources", "where": { "type": "assignment" }, "assert": { "hasRubric": true } },
+       { "id": "long-pages", "description": "No page over 2,500 words", "severity": "minor",
+         "scope": "resources", "where": { "type": "page" }, "assert": { "wordCount": { "max": 2500 } } }
+     ]
+   }
+
+   Fields per scope:
+     resources   identifier, title, type, published, module, modules,
+                 modulePosition, wordCount, graded, pointsPossible, dueAt,
+                 hasRubric, links, videos
+     modules     title, position, published, itemCount, firstItemTitle,
+                 firstItemType, unlockAt, prerequisites, requireSequentialProgress
+     moduleItems title, type, published, module, modulePosition, position, indent
+     links       url, text, type, item, itemType, module, broken
+     files       href, text, item, itemType, module
+     videos      title, platform, src, kind, item, itemType, module, captionStatus
+   Types are the item types of the parser (page, assignment, quiz, ...);
+   text headers in modules are "header".
+
+   A condition is a value the field must equal, or an object of operators:
+   equals, notEquals, in, matches (case-insensitive regex), contains, min,
+   max, exists. "expect" is "all" (default; every element picked must pass),
+   "some" (at least one must) or "none" (nothing may be picked at all).
+   ========================================================================= */
+
+export type RuleSeverity = 'critical' | 'serious' | 'moderate' | 'minor';
+
+export type RuleScope = 'resources' | 'modules' | 'moduleItems' | 'links' | 'files' | 'videos';
+
+export type FieldValue = string | number | boolean | null | string[];
+
+export interface FieldOperators {
+    equals?: FieldValue,
+    notEquals?: FieldValue,
+    in?: FieldValue[],
+    matches?: string,
+    contains?: string,
+    min?: number,
+    max?: number,
+    exists?: boolean,
+};
+
+export type FieldCondition = FieldValue | FieldOperators;
+
+export interface CustomRule {
+    id: string,
+    description: string,
+    severity: RuleSeverity,
+    scope: RuleScope,
+    where: { [field: string]: FieldCondition },
+    assert: { [field: string]: FieldCondition },
+    expect: 'all' | 'some' | 'none',
+};
+
+export interface CustomRuleSet {
+    name: string,
+    rules: CustomRule[],
+};
+
+export interface CustomRuleFailure {
+    title: string,
+    detail: string,
+};
+
+// Outcome of one rule; checked is the number of elements the rule picked
+export interface CustomRuleResult {
+    id: string,
+    description: string,
+    severity: RuleSeverity,
+    passed: boolean,
+    checked: number,
+    failures: CustomRuleFailure[],
+};
+
+export const RULE_SEVERITIES: RuleSeverity[] = ['critical', 'serious', 'moderate', 'minor'];
+
+const RULE_SCOPES: RuleScope[] = ['resources', 'modules', 'moduleItems', 'links', 'files', 'videos'];
+
+const OPERATORS = ['equals', 'notEquals', 'in', 'matches', 'contains', 'min', 'max', 'exists'];
+
+export const EMPTY_RULE_SET: CustomRuleSet = { name: 'No custom rules', rules: [] };
+
+// Fields rules can refer to, per scope
+type RuleElement = { title: string, fields: { [field: string]: FieldValue } };
+
+function wordCount(text: string): number {
+    return text.split(/\s+/).filter(Boolean).length;
+}
+
+function moduleItemType(item: ModuleItem): string {
+    if (item.contentType === 'ContextModuleSubHeader') return 'header';
+    return item.clarifiedType !== 'tbd' ? item.clarifiedType : item.contentType;
+}
+
+function published(status: string): boolean {
+    return status === 'active';
+}
+
+/**
+ * The course seen through the fields rules can check.
+ */
+function ruleElements(report: CourseReport, scope: RuleScope): RuleElement[] {
+    const modulesOf = (identifier: string): Module[] => report.modules.filter(m => m.items.some(i => i.identifierRef === identifier));
+    const moduleTitle = (title: string) => title === '(None)' ? null : title;
+    // Quiz questions are identified as "<quiz>#<question>"; they count towards the quiz.
+    const belongsTo = (identifier: string, resourceIdentifier: string) => identifier.split('#')[0] === resourceIdentifier;
+
+    switch (scope) {
+        case 'resources':
+            return report.resources.map(r => {
+                const modules = modulesOf(r.identifier);
+                const text = report.contentText.filter(t => belongsTo(t.resourceIdentifier, r.identifier)).map(t => t.text).join('\n');
+                const assignment = report.gradebook.assignments.find(a => a.resourceIdentifier === r.identifier);
+                return {
+                    title: r.title,
+                    fields: {
+                        identifier: r.identifier,
+                        title: r.title,
+                        type: r.clarifiedType,
+                        published: published(r.status),
+                        module: modules.length ? modules[0].title : null,
+                        modules: modules.map(m => m.title),
+                        modulePosition: modules.length ? Math.min(...modules.map(m => report.modules.indexOf(m) + 1)) : null,
+                        wordCount: wordCount(text),
+                        graded: !!assignment,
+                        pointsPossible: assignment ? assignment.pointsPossible : null,
+                        dueAt: assignment ? assignment.dueAt : null,
+                        hasRubric: assignment ? !!assignment.rubricIdentifier : false,
+                        links: report.links.filter(l => belongsTo(l.parentResourceIdentifier, r.identifier)).length,
+                        videos: report.videos.filter(v => belongsTo(v.parentResourceIdentifier, r.identifier)).length,
+                    },
+                };
+            });
+        case 'modules':
+            return report.modules.map((m, index) => ({
+                title: m.title,
+                fields: {
+                    title: m.title,
+                    position: index + 1,
+                    published: published(m.status),
+                    itemCount: m.items.length,
+                    firstItemTitle: m.items[0]?.title ?? null,
+                    firstItemType: m.items[0] ? moduleItemType(m.items[0]) : null,
+                    unlockAt: m.unlockAt,
+                    prerequisites: m.prerequisites.map(p => p.title || p.identifierRef),
+                    requireSequentialProgress: m.requireSequentialProgress,
+                },
+            }));
+        case 'moduleItems':
+            return report.modules.flatMap((m, moduleIndex) => m.items.map((item, index) => ({
+                title: `${m.title} › ${item.title}`,
+                fields: {
+                    title: item.title,
+                    type: moduleItemType(item),
+                    published: published(item.status),
+                    module: m.title,
+                    modulePosition: moduleIndex + 1,
+                    position: index + 1,
+                    indent: item.indent || 0,
+                },
+            })));
+        case 'links':
+            return report.links.map(l => ({
+                title: `${l.parentResourceTitle}: ${l.text || l.url}`,
+                fields: {
+                    url: l.url,
+                    text: l.text,
+                    type: l.type,
+                    item: l.parentResourceTitle,
+                    itemType: l.parentResourceType,
+                    module: moduleTitle(l.parentResourceModuleTitle),
+                    broken: !!l.resolution?.issues.includes('broken'),
+                },
+            }));
+        case 'files':
+            return report.files.map(f => ({
+                title: `${f.parentResourceTitle}: ${f.parentAnchorText || f.href}`,
+                fields: {
+                    href: f.href,
+                    text: f.parentAnchorText,
+                    item: f.parentResourceTitle,
+                    itemType: f.parentResourceType,
+                    module: moduleTitle(f.parentResourceModuleTitle),
+                },
+            }));
+        case 'videos':
+            return report.videos.map(v => ({
+                title: `${v.parentResourceTitle}: ${v.title || v.src}`,
+                fields: {
+                    title: v.title,
+                    platform: v.platform,
+                    src: v.src,
+                    kind: v.type,
+                    item: v.parentResourceTitle,
+                    itemType: v.parentResourceType,
+                    module: moduleTitle(v.parentResourceModuleTitle),
+                    captionStatus: v.captionStatus || null,
+                },
+            }));
+    }
+}
+
+function sameValue(actual: FieldValue | undefined, expected: FieldValue): boolean {
+    if (Array.isArray(actual) || Array.isArray(expected)) return JSON.stringify(actual) === JSON.stringify(expected);
+    return actual === expected;
+}
+
+function formatValue(value: FieldValue | undefined): string {
+    if (value === undefined || value === null) return 'empty';
+    return Array.isArray(value) ? `[${value.join(', ')}]` : JSON.stringify(value);
+}
+
+/**
+ * Why a field fails a condition, or null if it passes.
+ */
+function conditionFailure(field: string, actual: FieldValue | undefined, condition: FieldCondition): string | null {
+    const operators: FieldOperators = condition !== null && typeof condition === 'object' && !Array.isArray(condition) ? condition : { equals: condition };
+    const is = `${field} is ${formatValue(actual)}`;
+
+    if (operators.exists !== undefined && operators.exists !== (actual !== undefined && actual !== null && actual !== '')) {
+        return `${is} (expected ${operators.exists ? 'a value' : 'none'})`;
+    }
+    if (operators.equals !== undefined && !sameValue(actual, operators.equals)) return `${is} (expected ${formatValue(operators.equals)})`;
+    if (operators.notEquals !== undefined && sameValue(actual, operators.notEquals)) return is;
+    if (operators.in !== undefined && !operators.in.some(v => sameValue(actual, v))) return `${is} (expected one of ${operators.in.map(formatValue).join(', ')})`;
+    if (operators.matches !== undefined && !(typeof actual === 'string' && new RegExp(operators.matches, 'i').test(actual))) {
+        return `${is} (expected to match /${operators.matches}/)`;
+    }
+    if (operators.contains !== undefined) {
+        const found = Array.isArray(actual) ? actual.includes(operators.contains)
+            : typeof actual === 'string' && actual.toLowerCase().includes(operators.contains.toLowerCase());
+        if (!found) return `${is} (expected to contain ${JSON.stringify(operators.contains)})`;
+    }
+    if (operators.min !== undefined && !(typeof actual === 'number' && actual >= operators.min)) return `${is} (min ${operators.min})`;
+    if (operators.max !== undefined && !(typeof actual === 'number' && actual <= operators.max)) return `${is} (max ${operators.max})`;
+    return null;
+}
+
+function conditionFailures(element: RuleElement, conditions: { [field: string]: FieldCondition }): string[] {
+    return Object.entries(conditions)
+        .map(([field, condition]) => conditionFailure(field, element.fields[field], condition))
+        .filter((failure): failure is string => failure !== null);
+}
+
+function evaluateRule(rule: CustomRule, report: CourseReport): CustomRuleResult {
+    const picked = ruleElements(report, rule.scope).filter(e => conditionFailures(e, rule.where).length === 0);
+    let failures: CustomRuleFailure[];
+
+    switch (rule.expect) {
+        case 'none':
+            failures = picked.map(e => ({ title: e.title, detail: 'should not exist' }));
+            break;
+        case 'some':
+            failures = picked.some(e => conditionFailures(e, rule.assert).length === 0) ? []
+                : [{ title: `(${rule.scope})`, detail: picked.length ? `none of ${picked.length} pass` : 'nothing matches' }];
+            break;
+        default:
+            failures = picked.flatMap(e => {
+                const reasons = conditionFailures(e, rule.assert);
+                return reasons.length ? [{ title: e.title, detail: reasons.join('; ') }] : [];
+            });
+    }
+
+    return { id: rule.id, description: rule.description, severity: rule.severity, passed: failures.length === 0, checked: picked.length, failures };
+}
+
+/**
+ * Run every rule of a rule set against a course report.
+ */
+export function evaluateCustomRules(ruleSet: CustomRuleSet, report: CourseReport): CustomRuleResult[] {
+    return ruleSet.rules.map(rule => evaluateRule(rule, report));
+}
+
+function conditions(value: unknown, field: string): { [field: string]: FieldCondition } {
+    if (value === undefined) return {};
+    if (!value || typeof value !== 'object' || Array.isArray(value)) throw new Error(`"${field}" must be an object of field conditions.`);
+    Object.entries(value).forEach(([name, condition]) => {
+        if (condition === null || typeof condition !== 'object' || Array.isArray(condition)) return;
+        const unknown = Object.keys(condition).find(op => !OPERATORS.includes(op));
+        if (unknown) throw new Error(`"${field}.${name}" uses unknown operator "${unknown}" (expected ${OPERATORS.join(', ')}).`);
+        const matches = (condition as FieldOperators).matches;
+        if (matches !== undefined) {
+            try {
+                new RegExp(matches, 'i');
+            } catch (e) {
+                throw new Error(`"${field}.${name}.matches" is not a valid regular expression: ${(e as Error).message}`);
+            }
+        }
+    });
+    return value as { [field: string]: FieldCondition };
+}
+
+/**
+ * Parse and validate a rule set JSON document; anything malformed throws
+ * with the offending rule and field.
+ */
+export function parseCustomRules(json: string): CustomRuleSet {
+    let data: { name?: unknown, rules?: unknown };
+    try {
+        data = JSON.parse(json);
+    } catch (e) {
+        throw new Error(`Rules file is not valid JSON: ${(e as Error).message}`);
+    }
+    if (!data || typeof data !== 'object' || Array.isArray(data)) throw new Error('Rules file must be a JSON object.');
+    if (!Array.isArray(data.rules)) throw new Error('"rules" must be a list.');
+
+    const rules = data.rules.map((value, i): CustomRule => {
+        const rule = value as { [key: string]: unknown } | null;
+        const field = `rules[${i}]`;
+        if (!rule || typeof rule !== 'object') throw new Error(`"${field}" must be an object.`);
+        if (typeof rule.id !== 'string' || !rule.id) throw new Error(`"${field}.id" must be a non-empty string.`);
+        if (!RULE_SCOPES.includes(rule.scope as RuleScope)) throw new Error(`"${field}.scope" must be one of ${RULE_SCOPES.join(', ')}.`);
+        const severity = rule.severity === undefined ? 'moderate' : rule.severity;
+        if (!RULE_SEVERITIES.includes(severity as RuleSeverity)) throw new Error(`"${field}.severity" must be one of ${RULE_SEVERITIES.join(', ')}.`);
+        const expect = rule.expect === undefined ? 'all' : rule.expect;
+        if (expect !== 'all' && expect !== 'some' && expect !== 'none') throw new Error(`"${field}.expect" must be all, some or none.`);
+        return {
+            id: rule.id,
+            description: typeof rule.description === 'string' && rule.description ? rule.description : rule.id,
+            severity: severity as RuleSeverity,
+            scope: rule.scope as RuleScope,
+            where: conditions(rule.where, `${field}.where`),
+            assert: conditions(rule.assert, `${field}.assert`),
+            expect,
+        };
+    });
+    const ids = rules.map(r => r.id);
+    const duplicate = ids.find((id, i) => ids.indexOf(id) !== i);
+    if (duplicate) throw new Error(`Rule id "${duplicate}" is used more than once.`);
+
+    return { name: typeof data.name === 'string' && data.name ? data.name : 'Custom rules', rules };
+}
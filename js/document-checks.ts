@@ -0,0 +1,269 @@
+import type JSZip from 'jszip';
+import type { DocumentCheck, DocumentIssue } from './types';
+import { WEB_RESOURCES_PREFIX } from './file-inventory';
+
+/* =========================================================================
+   Accessibility checks for attached documents in web_resources/: Word and
+   PowerPoint files are opened as zips and their XML inspected; PDFs are
+   scanned for tagging, metadata and a text layer.
+   ========================================================================= */
+
+// JSZip is a page/worker global in the browser and an import in Node, so callers pass it in
+type ZipLoader = Pick<typeof JSZip, 'loadAsync'>;
+
+type DocumentFindings = Pick<DocumentCheck, 'title' | 'language' | 'issues'>;
+
+export const DOCUMENT_ISSUE_LABELS: { [K in DocumentIssue['code']]: string } = {
+    'no-title': 'No document title',
+    'no-language': 'No document language',
+    'images-without-alt': 'Images without alt text',
+    'no-headings': 'No heading styles',
+    'slides-without-titles': 'Slides without titles',
+    'untagged': 'Untagged PDF',
+    'no-text-layer': 'No text layer (scanned?)',
+    'unreadable': 'Could not be read',
+};
+
+const DOCUMENT_FORMATS: { [extension: string]: DocumentCheck['format'] } = {
+    pdf: 'pdf',
+    docx: 'docx',
+    pptx: 'pptx',
+};
+
+function issue(code: DocumentIssue['code'], detail = ''): DocumentIssue {
+    return { code, detail };
+}
+
+function xmlText(doc: Document, tagName: string): string {
+    return (doc.getElementsByTagName(tagName)[0]?.textContent || '').trim();
+}
+
+/**
+ * Core properties (title) shared by Word and PowerPoint files.
+ */
+async function readCoreTitle(officeZip: JSZip, parser: DOMParser): Promise<string | null> {
+    const core = await officeZip.file('docProps/core.xml')?.async('string');
+    if (!core) return null;
+    return xmlText(parser.parseFromString(core, 'application/xml'), 'dc:title') || null;
+}
+
+/**
+ * Count drawing properties (wp:docPr / p:cNvPr) with no description. An image
+ * counts as described when it has alt text or is marked decorative.
+ */
+function countImagesWithoutAlt(properties: Element[]): number {
+    return properties
+        .filter(props => !(props.getAttribute('descr') || '').trim() && !props.getElementsByTagName('adec:decorative').length)
+        .length;
+}
+
+async function checkDocx(bytes: Uint8Array, loader: ZipLoader, parser: DOMParser): Promise<DocumentFindings> {
+    const docx = await loader.loadAsync(bytes);
+    const issues: DocumentIssue[] = [];
+
+    const title = await readCoreTitle(docx, parser);
+    if (!title) issues.push(issue('no-title'));
+
+    // Default language lives in the style defaults, with the settings' theme language as a fallback
+    let language: string | null = null;
+    const styles = await docx.file('word/styles.xml')?.async('string');
+    const stylesDoc = styles ? parser.parseFromString(styles, 'application/xml') : null;
+    if (stylesDoc) language = stylesDoc.getElementsByTagName('w:docDefaults')[0]?.getElementsByTagName('w:lang')[0]?.getAttribute('w:val') || null;
+    if (!language) {
+        const settings = await docx.file('word/settings.xml')?.async('string');
+        if (settings) language = parser.parseFromString(settings, 'application/xml').getElementsByTagName('w:themeFontLang')[0]?.getAttribute('w:val') || null;
+    }
+    if (!language) issues.push(issue('no-language'));
+
+    const body = await docx.file('word/document.xml')?.async('string');
+    if (!body) throw new Error('word/document.xml not found.');
+    const bodyDoc = parser.parseFromString(body, 'application/xml');
+
+    const missingAlt = countImagesWithoutAlt(Array.from(bodyDoc.getElementsByTagName('wp:docPr')));
+    if (missingAlt > 0) issues.push(issue('images-without-alt', `${missingAlt} image(s)`));
+
+    // Heading styles are referenced by id; custom styles count when they're based on an outline level
+    const headingStyleIds = new Set(
+        stylesDoc ? Array.from(stylesDoc.getElementsByTagName('w:style'))
+            .filter(style => /^(heading|title)/i.test(style.getElementsByTagName('w:name')[0]?.getAttribute('w:val') || '') || style.getElementsByTagName('w:outlineLvl').length > 0)
+            .map(style => style.getAttribute('w:styleId') || '') : []
+    );
+    const paragraphStyles = Array.from(bodyDoc.getElementsByTagName('w:pStyle')).map(s => s.getAttribute('w:val') || '');
+    const paragraphCount = bodyDoc.getElementsByTagName('w:p').length;
+    if (paragraphCount > 1 && !paragraphStyles.some(id => headingStyleIds.has(id) || /^heading\d|^title$/i.test(id))) {
+        issues.push(issue('no-headings'));
+    }
+
+    return { title, language, issues };
+}
+
+async function checkPptx(bytes: Uint8Array, loader: ZipLoader, parser: DOMParser): Promise<DocumentFindings> {
+    const pptx = await loader.loadAsync(bytes);
+    const issues: DocumentIssue[] = [];
+
+    const title = await readCoreTitle(pptx, parser);
+    if (!title) issues.push(issue('no-title'));
+
+    const slidePaths = Object.keys(pptx.files)
+        .filter(name => /^ppt\/slides\/slide\d+\.xml$/.test(name))
+        .sort((a, b) => parseInt(a.replace(/\D/g, ''), 10) - parseInt(b.replace(/\D/g, ''), 10));
+
+    let language: string | null = null;
+    const presentation = await pptx.file('ppt/presentation.xml')?.async('string');
+    if (presentation) language = parser.parseFromString(presentation, 'application/xml').getElementsByTagName('a:defRPr')[0]?.getAttribute('lang') || null;
+
+    let missingAlt = 0;
+    const untitledSlides: number[] = [];
+    for (const slidePath of slidePaths) {
+        const slideDoc = parser.parseFromString(await pptx.file(slidePath)!.async('string'), 'application/xml');
+        if (!language) language = slideDoc.getElementsByTagName('a:rPr')[0]?.getAttribute('lang') || null;
+        missingAlt += countImagesWithoutAlt(Array.from(slideDoc.getElementsByTagName('p:pic'))
+            .map(pic => pic.getElementsByTagName('p:cNvPr')[0])
+            .filter(Boolean));
+
+        const hasTitle = Array.from(slideDoc.getElementsByTagName('p:sp')).some(shape => {
+            const placeholder = shape.getElementsByTagName('p:ph')[0];
+            return placeholder && ['title', 'ctrTitle'].includes(placeholder.getAttribute('type') || '') && (shape.textContent || '').trim() !== '';
+        });
+        if (!hasTitle) untitledSlides.push(parseInt(slidePath.replace(/\D/g, ''), 10));
+    }
+
+    if (!language) issues.push(issue('no-language'));
+    if (missingAlt > 0) issues.push(issue('images-without-alt', `${missingAlt} image(s)`));
+    if (untitledSlides.length > 0) issues.push(issue('slides-without-titles', `Slide(s) ${untitledSlides.join(', ')}`));
+
+    return { title, language, issues };
+}
+
+/* =========================================================================
+   PDF
+   ========================================================================= */
+
+/**
+ * Inflate a FlateDecode stream. Returns '' when the data isn't valid zlib.
+ */
+async function inflate(bytes: Uint8Array): Promise<string> {
+    try {
+        const stream = new Blob([bytes as Uint8Array<ArrayBuffer>]).stream().pipeThrough(new DecompressionStream('deflate'));
+        return latin1(new Uint8Array(await new Response(stream).arrayBuffer()));
+    } catch (e) {
+        return '';
+    }
+}
+
+function latin1(bytes: Uint8Array): string {
+    let text = '';
+    for (let i = 0; i < bytes.length; i += 0x8000) {
+        text += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
+    }
+    return text;
+}
+
+/**
+ * The PDF's text with compressed object streams expanded. PDF 1.5+ writers
+ * keep the catalog (/MarkInfo, /Lang) and info dictionaries inside them.
+ */
+async function readPdfObjects(bytes: Uint8Array): Promise<string> {
+    const raw = latin1(bytes);
+    const parts = [raw];
+    const streamPattern = /\bobj\s*<<((?:(?!endobj)[\s\S])*?)>>\s*stream\r?\n/g;
+
+    for (const match of raw.matchAll(streamPattern)) {
+        const dictionary = match[1];
+        if (!/\/Type\s*\/ObjStm/.test(dictionary) || !/\/FlateDecode/.test(dictionary)) continue;
+        const start = match.index! + match[0].length;
+        const end = raw.indexOf('endstream', start);
+        if (end === -1) continue;
+        parts.push(await inflate(bytes.subarray(start, end)));
+    }
+
+    return parts.join('\n');
+}
+
+/**
+ * Decode a PDF string value: a (literal) or <hex> string, UTF-16BE when it
+ * starts with a byte-order mark.
+ */
+function decodePdfString(value: string): string {
+    let bytes: string;
+    if (value.startsWith('<')) {
+        const hex = value.slice(1, -1).replace(/\s+/g, '');
+        bytes = (hex.match(/../g) || []).map(pair => String.fromCharCode(parseInt(pair, 16))).join('');
+    } else {
+        bytes = value.slice(1, -1)
+            .replace(/\\([0-7]{1,3})/g, (_, octal) => String.fromCharCode(parseInt(octal, 8)))
+            .replace(/\\([nrtbf()\\])/g, (_, c) => ({ n: '\n', r: '\r', t: '\t', b: '\b', f: '\f' } as { [k: string]: string })[c] || c);
+    }
+    if (bytes.startsWith('þÿ')) {
+        let decoded = '';
+        for (let i = 2; i + 1 < bytes.length; i += 2) decoded += String.fromCharCode((bytes.charCodeAt(i) << 8) | bytes.charCodeAt(i + 1));
+        return decoded;
+    }
+    return bytes;
+}
+
+function pdfStringEntry(objects: string, key: string): string | null {
+    const match = objects.match(new RegExp(`/${key}\\s*(\\((?:\\\\.|[^\\\\)])*\\)|<[0-9A-Fa-f\\s]*>)`));
+    return match ? decodePdfString(match[1]).trim() || null : null;
+}
+
+async function checkPdf(bytes: Uint8Array): Promise<DocumentFindings> {
+    if (latin1(bytes.subarray(0, 1024)).indexOf('%PDF') === -1) throw new Error('Not a PDF file.');
+    const objects = await readPdfObjects(bytes);
+    const issues: DocumentIssue[] = [];
+
+    const xmpTitle = objects.match(/<dc:title>[\s\S]*?<rdf:li[^>]*>([^<]*)<\/rdf:li>/);
+    const title = pdfStringEntry(objects, 'Title') || (xmpTitle ? xmpTitle[1].trim() || null : null);
+    if (!title) issues.push(issue('no-title'));
+
+    const language = pdfStringEntry(objects, 'Lang');
+    if (!language) issues.push(issue('no-language'));
+
+    const tagged = /\/Marked\s+true/.test(objects) && /\/StructTreeRoot/.test(objects);
+    if (!tagged) issues.push(issue('untagged'));
+
+    // Pages with images but no fonts anywhere are almost always scans without OCR
+    if (!/\/Font\b/.test(objects) && /\/Subtype\s*\/Image/.test(objects)) issues.push(issue('no-text-layer'));
+
+    return { title, language, issues };
+}
+
+/* =========================================================================
+   Course documents
+   ========================================================================= */
+
+/**
+ * Run the document checks on every PDF, DOCX and PPTX file in web_resources/.
+ * onProgress - called after each document with the running and total counts
+ */
+export async function checkCourseDocuments(
+    zip: JSZip,
+    loader: ZipLoader,
+    parser: DOMParser,
+    onProgress?: (documentCount: number, totalDocuments: number) => void
+): Promise<DocumentCheck[]> {
+    const entries = Object.values(zip.files).filter(f => {
+        const extension = f.name.split('.').pop()?.toLowerCase() || '';
+        return !f.dir && f.name.startsWith(WEB_RESOURCES_PREFIX) && DOCUMENT_FORMATS[extension];
+    });
+    const checks: DocumentCheck[] = [];
+
+    for (const [index, entry] of entries.entries()) {
+        const path = entry.name.slice(WEB_RESOURCES_PREFIX.length);
+        const format = DOCUMENT_FORMATS[path.split('.').pop()!.toLowerCase()];
+        const bytes = await entry.async('uint8array');
+
+        let findings: DocumentFindings;
+        try {
+            findings = format === 'pdf' ? await checkPdf(bytes)
+                : format === 'docx' ? await checkDocx(bytes, loader, parser)
+                : await checkPptx(bytes, loader, parser);
+        } catch (e) {
+            findings = { title: null, language: null, issues: [issue('unreadable', (e as Error).message)] };
+        }
+        checks.push({ path, format, size: bytes.length, ...findings });
+        if (onProgress) onProgress(index + 1, entries.length);
+    }
+
+    return checks;
+}
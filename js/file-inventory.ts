@@ -0,0 +1,175 @@
+import type JSZip from 'jszip';
+import type { Resource, CourseFile, FileReference, FileInventory } from './types';
+import type { FileContents } from './course-parser';
+
+/* =========================================================================
+   web_resources/ file inventory: every course file with its size, MIME type
+   and hash, plus orphaned files, references to missing files and duplicates.
+   ========================================================================= */
+
+export const WEB_RESOURCES_PREFIX = 'web_resources/';
+
+const FILEBASE_PATTERN = /(?:\$IMS-CC-FILEBASE\$|%24IMS-CC-FILEBASE%24)\/([^"'<>\s)]+)/gi;
+
+const MIME_TYPES: { [extension: string]: string } = {
+    pdf: 'application/pdf',
+    doc: 'application/msword',
+    docx: 'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+    xls: 'application/vnd.ms-excel',
+    xlsx: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+    ppt: 'application/vnd.ms-powerpoint',
+    pptx: 'application/vnd.openxmlformats-officedocument.presentationml.presentation',
+    txt: 'text/plain',
+    csv: 'text/csv',
+    rtf: 'application/rtf',
+    html: 'text/html',
+    htm: 'text/html',
+    css: 'text/css',
+    js: 'text/javascript',
+    json: 'application/json',
+    xml: 'application/xml',
+    zip: 'application/zip',
+    png: 'image/png',
+    jpg: 'image/jpeg',
+    jpeg: 'image/jpeg',
+    gif: 'image/gif',
+    svg: 'image/svg+xml',
+    webp: 'image/webp',
+    bmp: 'image/bmp',
+    mp3: 'audio/mpeg',
+    wav: 'audio/wav',
+    m4a: 'audio/mp4',
+    mp4: 'video/mp4',
+    m4v: 'video/mp4',
+    mov: 'video/quicktime',
+    webm: 'video/webm',
+    vtt: 'text/vtt',
+    srt: 'application/x-subrip',
+    dfxp: 'application/ttml+xml',
+};
+
+/**
+ * Guess a MIME type from a file's extension.
+ */
+export function getMimeType(filePath: string): string {
+    const extension = filePath.split('.').pop()?.toLowerCase() || '';
+    return MIME_TYPES[extension] || 'application/octet-stream';
+}
+
+/**
+ * Turn a $IMS-CC-FILEBASE$ reference into a path relative to web_resources/
+ * (query string and fragment dropped, percent-encoding decoded).
+ */
+export function normalizeFileReference(reference: string): string {
+    let filePath = reference.replace(/^(?:\$IMS-CC-FILEBASE\$|%24IMS-CC-FILEBASE%24)\//i, '').split(/[?#]/)[0];
+    try {
+        filePath = decodeURIComponent(filePath);
+    } catch (e) {
+        // Keep the raw path when it isn't valid percent-encoding
+    }
+    return filePath.replace(/^\.?\//, '');
+}
+
+const FILE_REFERENCE_SELECTORS: [string, string][] = [
+    ['a', 'href'],
+    ['img', 'src'],
+    ['iframe', 'src'],
+    ['source', 'src'],
+    ['video', 'src'],
+    ['audio', 'src'],
+    ['track', 'src'],
+    ['embed', 'src'],
+    ['object', 'data'],
+    ['link', 'href'],
+];
+
+/**
+ * Find every element in an item that points at a file in the archive.
+ */
+export function findFileReferences(doc: Document, item: Resource): FileReference[] {
+    const references: FileReference[] = [];
+    if (!doc || !doc.querySelectorAll) return references;
+
+    FILE_REFERENCE_SELECTORS.forEach(([tag, attribute]) => {
+        doc.querySelectorAll(`${tag}[${attribute}]`).forEach(el => {
+            const value = el.getAttribute(attribute) || '';
+            if (!/^(?:\$IMS-CC-FILEBASE\$|%24IMS-CC-FILEBASE%24)\//i.test(value)) return;
+            references.push({
+                path: normalizeFileReference(value),
+                element: tag,
+                parentResourceIdentifier: item.identifier,
+                parentResourceTitle: item.title,
+                parentResourceType: item.clarifiedType,
+                parentResourceModuleTitle: item.moduleTitle === undefined ? '(None)' : item.moduleTitle,
+                parentResourceStatus: item.status,
+            });
+        });
+    });
+
+    return references;
+}
+
+/**
+ * Collect every file path referenced anywhere in the archive's text files,
+ * including content that isn't analyzed as an item (question banks, syllabus...).
+ */
+export function findRawFileReferences(fileContents: FileContents): Set<string> {
+    const paths: Set<string> = new Set();
+    Object.values(fileContents).forEach(content => {
+        // References inside XML are usually entity-escaped HTML
+        const text = content.replace(/&amp;/g, '&').replace(/&quot;/g, '"').replace(/&lt;/g, '<').replace(/&gt;/g, '>');
+        for (const match of text.matchAll(FILEBASE_PATTERN)) {
+            paths.add(normalizeFileReference(match[0]));
+        }
+    });
+    return paths;
+}
+
+async function sha256(bytes: Uint8Array): Promise<string> {
+    const digest = await crypto.subtle.digest('SHA-256', bytes as Uint8Array<ArrayBuffer>);
+    return Array.from(new Uint8Array(digest)).map(b => b.toString(16).padStart(2, '0')).join('');
+}
+
+/**
+ * Build the inventory of web_resources/ and cross-check it against references.
+ * itemReferences - references found in analyzed items (used for "referenced by" and missing files)
+ * rawReferences - every path referenced anywhere in the archive
+ * onProgress - called after each file with the running and total counts
+ */
+export async function buildFileInventory(
+    zip: JSZip,
+    itemReferences: FileReference[],
+    rawReferences: Set<string>,
+    onProgress?: (fileCount: number, totalFiles: number) => void
+): Promise<FileInventory> {
+    const entries = Object.values(zip.files).filter(f => !f.dir && f.name.startsWith(WEB_RESOURCES_PREFIX));
+    const files: CourseFile[] = [];
+
+    for (const [index, entry] of entries.entries()) {
+        const bytes = await entry.async('uint8array');
+        const filePath = entry.name.slice(WEB_RESOURCES_PREFIX.length);
+        const referencedBy = [...new Set(itemReferences.filter(r => r.path === filePath).map(r => r.parentResourceTitle))];
+        files.push({
+            path: filePath,
+            size: bytes.length,
+            mimeType: getMimeType(filePath),
+            hash: await sha256(bytes),
+            referencedBy,
+            orphaned: referencedBy.length === 0 && !rawReferences.has(filePath),
+        });
+        if (onProgress) onProgress(index + 1, entries.length);
+    }
+
+    const knownPaths = new Set(files.map(f => f.path));
+    const missing = itemReferences.filter(r => !knownPaths.has(r.path));
+
+    const byHash = files.reduce((acc, file) => {
+        if (file.size > 0) (acc[file.hash] = acc[file.hash] || []).push(file);
+        return acc;
+    }, {} as { [hash: string]: CourseFile[] });
+    const duplicateGroups = Object.entries(byHash)
+        .filter(([, group]) => group.length > 1)
+        .map(([hash, group]) => ({ hash, size: group[0].size, paths: group.map(f => f.path) }));
+
+    return { files, missing, duplicateGroups };
+}
@@ -0,0 +1,168 @@
+import type { Resource, AssignmentSettings, AssignmentGroup, Gradebook, GradingFinding, GradingIssue } from './types';
+import type { FileContents } from './course-parser';
+
+/* =========================================================================
+   Assignments & grading: gradebook settings of every assignment, graded
+   quiz and graded discussion (assignment_settings.xml, assessment_meta.xml,
+   topicMeta) and the assignment groups in assignment_groups.xml, checked
+   for the usual pre-term mistakes.
+   ========================================================================= */
+
+export const GRADING_ISSUE_LABELS: { [K in GradingIssue]: string } = {
+    'weights-not-100': 'Group weights do not add up to 100%',
+    'zero-points': 'Published, graded and worth 0 points',
+    'no-submission-types': 'Online submission without allowed types',
+    'discussion-without-due-date': 'Graded discussion without due date',
+};
+
+// Submission types that make "Online" submissions possible
+const ONLINE_SUBMISSION_TYPES = ['online_text_entry', 'online_url', 'online_upload', 'media_recording', 'student_annotation'];
+
+// Quiz types that create a gradebook column
+const GRADED_QUIZ_TYPES = ['assignment', 'graded_survey'];
+
+export function childElement(el: Element, tagName: string): Element | null {
+    return Array.from(el.children).find(c => (c.localName || c.tagName) === tagName) || null;
+}
+
+/**
+ * Read settings fields from the first of several elements that has them, so a
+ * quiz's <assignment> falls back to the quiz's own fields.
+ */
+export function fieldReader(elements: Element[]): (tagName: string) => string | null {
+    return tagName => {
+        for (const el of elements) {
+            const value = childElement(el, tagName)?.textContent?.trim();
+            if (value) return value;
+        }
+        return null;
+    };
+}
+
+function listField(value: string | null): string[] {
+    return (value || '').split(',').map(v => v.trim()).filter(Boolean);
+}
+
+/**
+ * Elements holding an item's grading settings, or none if it isn't graded.
+ */
+function settingsElements(resource: Resource, doc: Document): Element[] {
+    const root = doc.documentElement;
+    if (!root) return [];
+    const assignment = childElement(root, 'assignment');
+
+    switch (resource.clarifiedType) {
+        case 'assignment':
+            return [root];
+        case 'quiz':
+        case 'survey': {
+            const quizType = childElement(root, 'quiz_type')?.textContent || '';
+            if (!GRADED_QUIZ_TYPES.includes(quizType)) return [];
+            return assignment ? [assignment, root] : [root];
+        }
+        case 'discussion':
+            // Only graded discussions carry an <assignment>
+            return assignment ? [assignment] : [];
+        default:
+            return [];
+    }
+}
+
+function parseAssignmentSettings(resource: Resource, elements: Element[]): AssignmentSettings {
+    const field = fieldReader(elements);
+    const points = field('points_possible');
+    const submissionTypes = listField(field('submission_types'));
+
+    return {
+        resourceIdentifier: resource.identifier,
+        title: resource.title,
+        itemType: resource.clarifiedType,
+        status: resource.status,
+        moduleTitle: resource.moduleTitle === undefined ? '(None)' : resource.moduleTitle,
+        pointsPossible: points === null ? null : parseFloat(points),
+        gradingType: field('grading_type') || 'points',
+        submissionTypes: submissionTypes.length === 0 && resource.clarifiedType !== 'assignment'
+            ? [resource.clarifiedType === 'discussion' ? 'discussion_topic' : 'online_quiz']
+            : submissionTypes,
+        allowedExtensions: listField(field('allowed_extensions')),
+        assignmentGroupIdentifier: field('assignment_group_identifierref'),
+        rubricIdentifier: field('rubric_identifierref'),
+        dueAt: field('due_at'),
+        unlockAt: field('unlock_at'),
+        lockAt: field('lock_at'),
+        peerReviews: field('peer_reviews') === 'true',
+        peerReviewCount: parseInt(field('peer_review_count') || '0', 10),
+        groupCategory: (field('has_group_category') === 'true' || field('group_category_identifierref')) ? field('group_category') || '(Group set)' : null,
+        gradeGroupStudentsIndividually: field('grade_group_students_individually') === 'true',
+        omitFromFinalGrade: field('omit_from_final_grade') === 'true',
+    };
+}
+
+function parseAssignmentGroups(fileContents: FileContents, parser: DOMParser): AssignmentGroup[] {
+    const content = fileContents['course_settings/assignment_groups.xml'];
+    if (!content) return [];
+    const doc = parser.parseFromString(content, 'application/xml');
+    return Array.from(doc.getElementsByTagName('assignmentGroup')).map(group => {
+        const weight = childElement(group, 'group_weight')?.textContent;
+        return {
+            identifier: group.getAttribute('identifier') || '',
+            title: childElement(group, 'title')?.textContent || '(Untitled group)',
+            position: parseInt(childElement(group, 'position')?.textContent || '0', 10),
+            weight: weight ? parseFloat(weight) : null,
+        };
+    }).sort((a, b) => a.position - b.position);
+}
+
+export function isGraded(assignment: AssignmentSettings): boolean {
+    return assignment.gradingType !== 'not_graded' && !assignment.submissionTypes.includes('not_graded');
+}
+
+/**
+ * Flag weights that don't add up, published graded items worth nothing,
+ * online submissions with nothing to submit and undated graded discussions.
+ */
+function auditGradebook(weighted: boolean, groups: AssignmentGroup[], assignments: AssignmentSettings[]): GradingFinding[] {
+    const findings: GradingFinding[] = [];
+
+    if (weighted) {
+        const total = groups.reduce((sum, g) => sum + (g.weight || 0), 0);
+        if (Math.abs(total - 100) > 0.01) {
+            findings.push({ code: 'weights-not-100', title: 'Assignment groups', detail: `Weights add up to ${Math.round(total * 100) / 100}%` });
+        }
+    }
+
+    assignments.forEach(a => {
+        if (a.status === 'active' && isGraded(a) && !a.pointsPossible) {
+            findings.push({ code: 'zero-points', title: a.title, detail: `${a.gradingType} grading` });
+        }
+        const online = a.submissionTypes.length === 0 || a.submissionTypes.includes('online');
+        if (a.itemType === 'assignment' && online && !a.submissionTypes.some(t => ONLINE_SUBMISSION_TYPES.includes(t))) {
+            findings.push({ code: 'no-submission-types', title: a.title, detail: a.submissionTypes.join(', ') || '(none)' });
+        }
+        if (a.itemType === 'discussion' && isGraded(a) && !a.dueAt) {
+            findings.push({ code: 'discussion-without-due-date', title: a.title, detail: '' });
+        }
+    });
+
+    return findings;
+}
+
+/**
+ * Read the gradebook setup of the course.
+ */
+export function parseGradebook(fileContents: FileContents, resources: Resource[], parser: DOMParser): Gradebook {
+    const courseSettings = fileContents['course_settings/course_settings.xml'];
+    const weighted = !!courseSettings
+        && parser.parseFromString(courseSettings, 'application/xml').getElementsByTagName('group_weighting_scheme')[0]?.textContent === 'percent';
+
+    const assignments: AssignmentSettings[] = [];
+    resources.forEach(resource => {
+        if (!resource.settingsHref || !fileContents[resource.settingsHref]) return;
+        const doc = parser.parseFromString(fileContents[resource.settingsHref], 'application/xml');
+        const elements = settingsElements(resource, doc);
+        if (elements.length > 0) assignments.push(parseAssignmentSettings(resource, elements));
+    });
+
+    const groups = parseAssignmentGroups(fileContents, parser);
+    return { weighted, groups, assignments, findings: auditGradebook(weighted, groups, assignments) };
+}
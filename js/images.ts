@@ -0,0 +1,150 @@
+import type JSZip from 'jszip';
+import type { Resource, ImageObject, ImageIssue, ImageIssueCode } from './types';
+import { WEB_RESOURCES_PREFIX, normalizeFileReference, getMimeType } from './file-inventory';
+
+/* =========================================================================
+   Image inventory: every <img> in the analyzed items and the quality of its
+   alt text, which axe only checks for presence. Course images are read from
+   web_resources/ as thumbnails for stepping through them in the Images tab.
+   ========================================================================= */
+
+export const IMAGE_ISSUE_LABELS: { [K in ImageIssueCode]: string } = {
+    'missing-alt': 'No alt attribute',
+    'filename-alt': 'Alt text is a file name',
+    'long-alt': 'Alt text too long',
+    'redundant-alt': 'Alt text repeats nearby text',
+    'image-of-alt': 'Alt text starts with "image of"',
+    'decorative-in-link': 'Decorative image in a link',
+    'image-of-text': 'Likely image of text or an equation',
+};
+
+// Screen readers read longer alt text in one go; longer descriptions belong in the page
+export const MAX_ALT_LENGTH = 150;
+
+// Larger images are listed without a thumbnail
+const MAX_THUMBNAIL_BYTES = 5 * 1024 * 1024;
+
+const FILE_NAME_ALT = /^[^\s]+\.(?:png|jpe?g|gif|svg|webp|bmp|tiff?|heic)$|^(?:img|image|dsc|dscn|pxl|screenshot|screen shot|photo)[\s_-]?\d+/i;
+
+const IMAGE_OF_ALT = /^(?:an?\s+|the\s+)?(?:image|picture|photo|photograph|graphic|icon|screenshot|screen shot)\s+(?:of|showing)\b/i;
+
+// File names that suggest the image shows text (slides, scans, screenshots of documents)
+const TEXT_IMAGE_NAME = /(?:^|[\s_\-/.])(?:screenshot|screen[\s_-]?shot|scan|slide|quote|text|table|formula|equation|handout|syllabus|worksheet)/i;
+
+const CONTEXT_BLOCK_TAGS = ['p', 'li', 'td', 'th', 'figure', 'dd', 'blockquote', 'h1', 'h2', 'h3', 'h4', 'h5', 'h6'];
+
+function normalizeText(text: string): string {
+    return text.replace(/\s+/g, ' ').trim();
+}
+
+function closestByTag(el: Element, tagNames: string[]): Element | null {
+    for (let node = el.parentElement; node; node = node.parentElement) {
+        if (tagNames.includes((node.localName || node.tagName).toLowerCase())) return node;
+    }
+    return null;
+}
+
+/**
+ * Text around an image: its figure caption, the link it sits in or the
+ * surrounding block; for an image standing alone, the elements next to it.
+ */
+function nearbyText(img: Element): string {
+    const figure = closestByTag(img, ['figure']);
+    const caption = figure?.querySelector('figcaption');
+    if (caption) return normalizeText(caption.textContent || '');
+    const block = closestByTag(img, ['a']) || closestByTag(img, CONTEXT_BLOCK_TAGS);
+    const text = block ? normalizeText(block.textContent || '') : '';
+    if (text) return text;
+    const standalone = block || img;
+    return normalizeText([standalone.previousElementSibling, standalone.nextElementSibling].map(el => el?.textContent || '').join(' '));
+}
+
+function isDecorative(img: Element): boolean {
+    const role = (img.getAttribute('role') || '').toLowerCase();
+    return img.getAttribute('alt') === '' || role === 'presentation' || role === 'none'
+        || img.getAttribute('aria-hidden') === 'true' || img.getAttribute('data-decorative') === 'true';
+}
+
+function isEquation(img: Element, src: string): boolean {
+    return img.classList.contains('equation_image') || img.hasAttribute('data-equation-content') || /\/equation_images\//i.test(src);
+}
+
+/**
+ * Check an image's alt text against its surroundings.
+ */
+function checkImage(img: Element, src: string, alt: string | null, decorative: boolean, context: string): ImageIssue[] {
+    const issues: ImageIssue[] = [];
+    const issue = (code: ImageIssueCode, detail: string) => issues.push({ code, detail });
+    const fileName = normalizeFileReference(src).split('/').pop() || '';
+    const link = closestByTag(img, ['a']);
+
+    if (alt === null && !decorative) issue('missing-alt', '');
+    if (alt) {
+        if (FILE_NAME_ALT.test(alt) || (fileName && alt.toLowerCase() === fileName.toLowerCase())) issue('filename-alt', alt);
+        if (alt.length > MAX_ALT_LENGTH) issue('long-alt', `${alt.length} characters, limit ${MAX_ALT_LENGTH}`);
+        if (IMAGE_OF_ALT.test(alt)) issue('image-of-alt', alt);
+        const normalizedAlt = alt.toLowerCase();
+        const normalizedContext = context.toLowerCase();
+        if (normalizedContext && (normalizedContext === normalizedAlt || (normalizedAlt.length >= 10 && normalizedContext.includes(normalizedAlt)))) {
+            issue('redundant-alt', context.length > 80 ? `${context.slice(0, 80)}…` : context);
+        }
+    }
+    if (decorative && link) {
+        const linkHasName = normalizeText(link.textContent || '') !== '' || !!link.getAttribute('aria-label')
+            || Array.from(link.querySelectorAll('img')).some(other => other !== img && !!other.getAttribute('alt'));
+        issue('decorative-in-link', linkHasName ? 'link has other text' : 'link has no other text');
+    }
+    if (isEquation(img, src)) {
+        issue('image-of-text', 'equation image');
+    } else if (TEXT_IMAGE_NAME.test(fileName)) {
+        issue('image-of-text', `file name "${fileName}"`);
+    }
+    return issues;
+}
+
+/**
+ * Find every image in an item and check its alt text.
+ */
+export function findImages(doc: Document, item: Resource): ImageObject[] {
+    const images: ImageObject[] = [];
+    if (!doc || !doc.querySelectorAll) return images;
+
+    doc.querySelectorAll('img').forEach(img => {
+        const src = img.getAttribute('src') || '';
+        const alt = img.hasAttribute('alt') ? normalizeText(img.getAttribute('alt') || '') : null;
+        const decorative = isDecorative(img);
+        const context = nearbyText(img);
+        images.push({
+            src,
+            path: /^(?:\$IMS-CC-FILEBASE\$|%24IMS-CC-FILEBASE%24)\//i.test(src) ? normalizeFileReference(src) : null,
+            alt,
+            decorative,
+            inLink: !!closestByTag(img, ['a']),
+            nearbyText: context,
+            issues: checkImage(img, src, alt, decorative, context),
+            parentResourceIdentifier: item.identifier,
+            parentResourceTitle: item.title,
+            parentResourceType: item.clarifiedType,
+            parentResourceModuleTitle: item.moduleTitle === undefined ? '(None)' : item.moduleTitle,
+            parentResourceStatus: item.status,
+        });
+    });
+
+    return images;
+}
+
+/**
+ * Read the course images under web_resources/ as blobs for thumbnails, by path.
+ */
+export async function loadImageThumbnails(zip: JSZip, paths: string[]): Promise<{ [path: string]: Blob }> {
+    const thumbnails: { [path: string]: Blob } = {};
+    for (const path of new Set(paths)) {
+        const entry = zip.file(WEB_RESOURCES_PREFIX + path);
+        const mimeType = getMimeType(path);
+        if (!entry || !mimeType.startsWith('image/')) continue;
+        const bytes = await entry.async('uint8array');
+        if (bytes.length > MAX_THUMBNAIL_BYTES) continue;
+        thumbnails[path] = new Blob([bytes as Uint8Array<ArrayBuffer>], { type: mimeType });
+    }
+    return thumbnails;
+}
@@ -0,0 +1,165 @@
+/* =========================================================================
+   Institution profile: which link hosts count as internal or belong to a
+   custom category, and which hosts are video platforms (separately for
+   embeds and plain links). Partner institutions load their own profile as
+   JSON instead of patching the parser.
+   ========================================================================= */
+
+/**
+ * A group of links recognised by host name.
+ * domains - host names; subdomains match too ("osu.edu" matches "go.osu.edu")
+ * color   - badge color in the link inventory (blue, red, green, yellow,
+ *           indigo, purple, pink or gray)
+ */
+export interface LinkCategory {
+    id: string,
+    label: string,
+    domains: string[],
+    color?: string,
+};
+
+/**
+ * A video platform, recognised by substrings of the iframe src (embed) or
+ * anchor href (link). Leave a list empty to never match that way.
+ */
+export interface VideoPlatform {
+    name: string,
+    embed: string[],
+    link: string[],
+};
+
+export interface InstitutionProfile {
+    name: string,
+    // Links to the institution's own sites
+    internalLinks: LinkCategory,
+    // More specific categories, checked before internalLinks in this order
+    linkCategories: LinkCategory[],
+    // Checked in this order; the first match names the platform
+    videoPlatforms: VideoPlatform[],
+};
+
+// Link type, label and badge color in the order the link filters show them
+export interface LinkTypeDefinition {
+    id: string,
+    label: string,
+    color: string,
+};
+
+// Link types every profile has; profile category ids may not reuse them
+export const BUILT_IN_LINK_TYPES: LinkTypeDefinition[] = [
+    { id: 'external', label: 'External', color: 'blue' },
+    { id: 'course', label: 'Course', color: 'yellow' },
+    { id: 'unknown', label: 'Unknown', color: 'indigo' },
+];
+
+export const DEFAULT_INSTITUTION_PROFILE: InstitutionProfile = {
+    name: 'The Ohio State University',
+    internalLinks: { id: 'osu', label: 'OSU', domains: ['osu.edu', 'ohio-state.edu'], color: 'red' },
+    linkCategories: [],
+    videoPlatforms: [
+        { name: 'YouTube', embed: ['www.youtube.com/embed/'], link: ['www.youtube.com/watch', 'youtu.be'] },
+        { name: 'Vimeo', embed: ['player.vimeo.com'], link: ['vimeo.com'] },
+        { name: 'Mediasite', embed: ['mediasite.osu.edu/mediasite/lti/home/coverplay', 'mediasite.osu.edu/mediasite/play'], link: ['mediasite.osu.edu/mediasite/play'] },
+        { name: 'External Tool (potentially Mediasite)', embed: [], link: ['external_tools'] },
+        { name: 'Echo360', embed: ['echo360.com/media'], link: ['echo360.org/media'] },
+        { name: 'Panopto', embed: ['osucon.hosted.panopto.com'], link: ['osucon.hosted.panopto.com'] },
+        { name: 'Instructure', embed: ['instructuremedia.com'], link: ['instructuremedia.com'] },
+    ],
+};
+
+const DEFAULT_CATEGORY_COLOR = 'pink';
+
+/**
+ * Every link type of a profile: custom categories, internal links, then the built-in types.
+ */
+export function linkTypes(profile: InstitutionProfile): LinkTypeDefinition[] {
+    return [
+        ...[...profile.linkCategories, profile.internalLinks].map(c => ({ id: c.id, label: c.label, color: c.color || DEFAULT_CATEGORY_COLOR })),
+        ...BUILT_IN_LINK_TYPES,
+    ];
+}
+
+function hostName(href: string): string | null {
+    const match = href.trim().match(/^(?:[a-z][\w+.-]*:)?\/\/(?:[^@/?#]*@)?([^/?#:]+)/i);
+    return match ? match[1].toLowerCase() : null;
+}
+
+function matchesDomain(host: string, domain: string): boolean {
+    const normalized = domain.trim().toLowerCase().replace(/^\.+/, '');
+    return host === normalized || host.endsWith(`.${normalized}`);
+}
+
+/**
+ * Link type of a link outside the course: the first custom category whose
+ * domains match, then the internal links, otherwise 'external'.
+ */
+export function classifyExternalLink(href: string, profile: InstitutionProfile): string {
+    const host = hostName(href);
+    if (!host) return 'external';
+    const category = [...profile.linkCategories, profile.internalLinks].find(c => c.domains.some(d => matchesDomain(host, d)));
+    return category ? category.id : 'external';
+}
+
+/**
+ * Name of the video platform an embed src or link href belongs to, if any.
+ */
+export function matchVideoPlatform(src: string, kind: 'embed' | 'link', profile: InstitutionProfile): string | null {
+    const lower = src.toLowerCase();
+    const platform = profile.videoPlatforms.find(p => p[kind].some(pattern => pattern && lower.includes(pattern.toLowerCase())));
+    return platform ? platform.name : null;
+}
+
+function stringList(value: unknown, field: string): string[] {
+    if (value === undefined) return [];
+    if (!Array.isArray(value) || value.some(v => typeof v !== 'string')) throw new Error(`"${field}" must be a list of strings.`);
+    return value;
+}
+
+function linkCategory(value: unknown, field: string): LinkCategory {
+    const category = value as Partial<LinkCategory> | null;
+    if (!category || typeof category !== 'object') throw new Error(`"${field}" must be an object.`);
+    if (typeof category.id !== 'string' || !/^[\w-]+$/.test(category.id)) throw new Error(`"${field}.id" must be a word (letters, digits, - or _).`);
+    if (BUILT_IN_LINK_TYPES.some(t => t.id === category.id)) throw new Error(`"${field}.id" may not be "${category.id}", which is a built-in link type.`);
+    return {
+        id: category.id,
+        label: typeof category.label === 'string' && category.label ? category.label : category.id,
+        domains: stringList(category.domains, `${field}.domains`),
+        ...(typeof category.color === 'string' ? { color: category.color } : {}),
+    };
+}
+
+/**
+ * Parse and validate a profile JSON document. Omitted sections fall back to
+ * the default profile's; anything malformed throws with the offending field.
+ */
+export function parseInstitutionProfile(json: string): InstitutionProfile {
+    let data: Partial<InstitutionProfile>;
+    try {
+        data = JSON.parse(json);
+    } catch (e) {
+        throw new Error(`Profile is not valid JSON: ${(e as Error).message}`);
+    }
+    if (!data || typeof data !== 'object' || Array.isArray(data)) throw new Error('Profile must be a JSON object.');
+
+    const internalLinks = data.internalLinks === undefined ? DEFAULT_INSTITUTION_PROFILE.internalLinks : linkCategory(data.internalLinks, 'internalLinks');
+    if (data.linkCategories !== undefined && !Array.isArray(data.linkCategories)) throw new Error('"linkCategories" must be a list.');
+    const linkCategories = (data.linkCategories || []).map((c, i) => linkCategory(c, `linkCategories[${i}]`));
+    const ids = [internalLinks, ...linkCategories].map(c => c.id);
+    const duplicate = ids.find((id, i) => ids.indexOf(id) !== i);
+    if (duplicate) throw new Error(`Link category id "${duplicate}" is used more than once.`);
+
+    if (data.videoPlatforms !== undefined && !Array.isArray(data.videoPlatforms)) throw new Error('"videoPlatforms" must be a list.');
+    const videoPlatforms = data.videoPlatforms === undefined
+        ? DEFAULT_INSTITUTION_PROFILE.videoPlatforms
+        : data.videoPlatforms.map((p, i) => {
+            if (!p || typeof p.name !== 'string' || !p.name) throw new Error(`"videoPlatforms[${i}].name" must be a non-empty string.`);
+            return { name: p.name, embed: stringList(p.embed, `videoPlatforms[${i}].embed`), link: stringList(p.link, `videoPlatforms[${i}].link`) };
+        });
+
+    return {
+        name: typeof data.name === 'string' && data.name ? data.name : 'Custom profile',
+        internalLinks,
+        linkCategories,
+        videoPlatforms,
+    };
+}
@@ -3,94 +3,88 @@ import JSZip from 'jszip';
 import axe from 'axe-core';
 import _ from 'lodash';
 */
-import type * as Axe from 'axe-core'
+import type { Resource, Module, ModuleAuditCode, Gradebook, QuizSettingsAudit, RubricInventory, OutcomeAlignments, OutcomeIssue, CourseCalendar, DateWarningCode, ItemText, CourseWorkload, ItemWorkload, CourseDiff, VideoObject, CaptionFile, CaptionStatus, ImageObject, ItemRemediation, RemediationCode, FileObject, FileInventory, DocumentCheck, LinkObject, LinkIssue, EnhancedAxeResult, EnhancedAxeResults, AxeImpact, AxeResultCount, AxeRuleSummary, WcagConformance, ConformanceLevel, TriageStatus, TriageDecisions, AnalysisItem, AnalysisWorkerRequest, AnalysisWorkerMessage } from './types';
+import { buildCourseReport, renderHtmlReport, renderHtmlDiffReport, renderConformanceReport, courseDiffToCsv, customRulesToCsv, accessibilityToCsv, linksToCsv, filesToCsv, fileInventoryToCsv, documentChecksToCsv, videosToCsv, imagesToCsv, imageIssuesLabel, moduleAuditToCsv, assignmentsToCsv, assignmentOptionsLabel, quizzesToCsv, quizAttemptsLabel, quizCorrectAnswersLabel, quizRestrictionsLabel, rubricsToCsv, outcomesToCsv, calendarToCsv, workloadToCsv, captionFileHasProblems, captionProblemsLabel } from './report';
+import type { CourseReport } from './report';
+import { getItemTypeLabel } from './course-parser';
+import { AXE_RUN_OPTIONS, AXE_IMPACTS, appendAxeResults, countAxeResults, countAxeResultsByModule, summarizeAxeRules } from './accessibility';
+import { LINK_ISSUE_LABELS } from './course-references';
+import { createRenderFrame, renderInFrame, frameAxe } from './render-frame';
+import { normalizeFileReference, WEB_RESOURCES_PREFIX } from './file-inventory';
+import { DOCUMENT_ISSUE_LABELS } from './document-checks';
+import { CAPTION_STATUS_LABELS } from './captions';
+import { DEFAULT_INSTITUTION_PROFILE, parseInstitutionProfile, linkTypes } from './institution-profile';
+import type { InstitutionProfile } from './institution-profile';
+import { EMPTY_RULE_SET, RULE_SEVERITIES, parseCustomRules } from './custom-rules';
+import type { CustomRuleSet, CustomRuleResult } from './custom-rules';
+import { auditModuleStructure, completionRequirementLabel, MODULE_AUDIT_LABELS } from './module-audit';
+import { GRADING_ISSUE_LABELS } from './grading';
+import { RUBRIC_ISSUE_LABELS } from './rubrics';
+import { QUIZ_SETTINGS_ISSUE_LABELS, QUIZ_TYPE_LABELS } from './quiz-settings';
+import { OUTCOME_ISSUE_LABELS, alignedAssessments, moduleAlignmentCount, assessmentAlignmentLabel } from './outcomes';
+import { IMAGE_ISSUE_LABELS } from './images';
+import { WORKLOAD_ISSUE_LABELS, buildWorkload, formatMinutes } from './workload';
+import { CALENDAR_EVENT_LABELS, DATE_WARNING_LABELS, calendarWeeks } from './course-calendar';
+import { diffCourseReports, courseDiffSize, diffLines, MODULE_CHANGE_LABELS, RESOURCE_CHANGE_LABELS } from './course-diff';
+import { CONFORMANCE_LABELS, wcagCriteriaLabel } from './wcag';
+import { TRIAGE_STATUS_LABELS, TRIAGE_STATUSES, axeFingerprint, axeTriageStatuses, linkFingerprint, videoFingerprint, triageStatus, mergeTriageDecisions, parseTriageDecisions } from './triage';
+import { REMEDIATION_LABELS, remediateArchive, buildRemediatedArchive, reviewLines } from './remediation';
 
 declare const JSZip: typeof import('jszip');
-declare const axe: typeof import('axe-core');
 declare const _: typeof import('lodash');
 
 document.addEventListener('DOMContentLoaded', () => {
-    /* =======================================================================
-        Types
-        ======================================================================== */
-    interface Resource {
-        title: string,
-        moduleTitle?: string,
-        identifier: string,
-        identifierref: string | null,
-        href?: string
-        status: string,
-        clarifiedType: string,
-        contentType: string,
-        analysisHref: string | null,
-        analysisType: string | null
-    };
-
-    interface Module {
-        title: string,
-        items: ModuleItem[],
-        status: string,
-    };
-
-    interface ModuleItem {
-        identifier: string,
-        title: string,
-        identifierRef: string | null,
-        moduleTitle: string,
-        status: string,
-        indent: number,
-        clarifiedType: string,
-        contentType: string,
-    }
-
-    interface VideoObject {
-        title: string;
-        platform: string;
-        type: string;
-        src: string;
-        transcriptOrCaptionMentioned: boolean;
-        parentResourceTitle: string;
-    }
-
-    interface FileObject {
-        href: string;
-        parentAnchorText: string;
-        parentResourceType: string;
-        parentResourceModuleTitle: string;
-        parentResourceTitle: string;
-    };
-
-    const LINK_TYPES = ['osu', 'external', 'course', 'unknown'] as const;
-    type LinkType = (typeof LINK_TYPES)[number];
-
-    interface LinkObject {
-        url: string;
-        text: string;
-        parentResourceTitle: string;
-        type: LinkType;
-    };
-
-    type EnhancedAxeResult = Axe.Result & {
-        type: String,
-        parentItemTitle: string,
-        parentItemType: string,
-        parentItemStatus: string,
-        parentItemModuleTitle: string,
-    };
-
-    type EnhancedAxeResults = Omit<Axe.AxeResults, 'violations' | 'passes' | 'incomplete' | 'inapplicable'> & {
-        violations: EnhancedAxeResult[],
-        passes: EnhancedAxeResult[],
-        incomplete: EnhancedAxeResult[],
-        inapplicable: EnhancedAxeResult[]
-    };
-
     /* =========================================================================
        State & Shared Utilities
        ========================================================================= */
 
     const allResources: Resource[] = [];
     const allModules: Module[] = [];
+    const allLinks: LinkObject[] = [];
+    const allFiles: FileObject[] = [];
+    const allVideos: VideoObject[] = [];
+    const allImages: ImageObject[] = [];
+    // Object URLs of course image thumbnails by web_resources/ path
+    const imageThumbnailUrls: Map<string, string> = new Map();
+    let fileInventory: FileInventory | null = null;
+    const documentChecks: DocumentCheck[] = [];
+    const captionFiles: CaptionFile[] = [];
+    let gradebook: Gradebook | null = null;
+    let quizzes: QuizSettingsAudit | null = null;
+    let rubrics: RubricInventory | null = null;
+    let outcomes: OutcomeAlignments | null = null;
+    let calendar: CourseCalendar | null = null;
+    const contentText: ItemText[] = [];
+
+    // Report of the earlier export when this analysis is a comparison (see compareWithExport)
+    let baselineReport: CourseReport | null = null;
+    let courseDiff: CourseDiff | null = null;
+
+    // Name of the archive currently loaded (used for export file names)
+    let currentFileName = '';
+
+    // Archive currently loaded, read again to write a fixed copy (see previewFixes)
+    let currentFile: File | null = null;
+
+    // Items changed by the last fix preview, in the order shown in the Fix tab
+    const remediations: ItemRemediation[] = [];
+
+    // Institution profile links and videos are classified with (see loadInstitutionProfile)
+    let institutionProfile: InstitutionProfile = DEFAULT_INSTITUTION_PROFILE;
+
+    // Checklist rules evaluated next to the axe scan (see loadCustomRules)
+    let customRules: CustomRuleSet = EMPTY_RULE_SET;
+
+    // Reviewer decisions on findings by fingerprint, kept across sessions and exports (see loadTriageDecisions)
+    let triageDecisions: TriageDecisions = {};
+
+    // Running analysis worker, and a way to abort the pending analysis (see cancelAnalysis)
+    let activeWorker: Worker | null = null;
+    let rejectActiveAnalysis: ((reason: Error) => void) | null = null;
+
+    // Number of the current analysis. Cancelling or starting another one bumps it,
+    // and an older run stops at its next await (see checkAnalysisRun)
+    let analysisRun = 0;
 
     /**
      * Stored summary of accessibility scan results.
@@ -114,6 +108,17 @@ document.addEventListener('DOMContentLoaded', () => {
     const resultsSection = document.getElementById('results-section')!;
     const tabButtons = resultsSection.querySelectorAll('.tab-btn')!;
     const tabContents = resultsSection.querySelectorAll('.tab-content')!;
+    const exportControls = document.getElementById('export-controls')!;
+    const cancelButton = document.getElementById('cancel-analysis')!;
+    const profileNameEl = document.getElementById('profile-name')!;
+    const profileInput = document.getElementById('profile-input') as HTMLInputElement;
+    const profileError = document.getElementById('profile-error')!;
+    const rulesNameEl = document.getElementById('rules-name')!;
+    const rulesInput = document.getElementById('rules-input') as HTMLInputElement;
+    const rulesError = document.getElementById('rules-error')!;
+    const triageCountEl = document.getElementById('triage-count')!;
+    const triageInput = document.getElementById('triage-input') as HTMLInputElement;
+    const triageError = document.getElementById('triage-error')!;
 
     /* =========================================================================
        Small DOM helpers
@@ -139,6 +144,12 @@ document.addEventListener('DOMContentLoaded', () => {
         return s.charAt(0).toUpperCase() + s.slice(1);
     }
 
+    function formatFileSize(bytes: number): string {
+        if (bytes < 1024) return `${bytes} B`;
+        if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+        return `${(bytes / 1024 / 1024).toFixed(2)} MB`;
+    }
+
     /**
          * Create badge components
         */
@@ -187,6 +198,7 @@ document.addEventListener('DOMContentLoaded', () => {
         status: {
             published: createBadge('Published', 'green'),
             unpublished: createBadge('Unpublished', 'red'),
+            unknown: createBadge('Status Unknown', 'gray'),
         }
     };
 
@@ -250,6 +262,175 @@ document.addEventListener('DOMContentLoaded', () => {
         }
     });
 
+    /* =========================================================================
+       Institution profile
+       ========================================================================= */
+
+    const PROFILE_STORAGE_KEY = 'canvas-qa-institution-profile';
+
+    /**
+     * Restore the profile imported in an earlier session, or the default profile.
+     */
+    function loadInstitutionProfile() {
+        const stored = localStorage.getItem(PROFILE_STORAGE_KEY);
+        try {
+            institutionProfile = stored ? parseInstitutionProfile(stored) : DEFAULT_INSTITUTION_PROFILE;
+        } catch (e) {
+            console.warn('Ignoring stored institution profile:', e);
+            institutionProfile = DEFAULT_INSTITUTION_PROFILE;
+        }
+        profileNameEl.textContent = institutionProfile.name;
+    }
+
+    function showProfileError(message: string) {
+        profileError.textContent = message;
+        profileError.classList.toggle('hidden', message === '');
+    }
+
+    profileInput.addEventListener('change', async () => {
+        const file = profileInput.files?.[0];
+        profileInput.value = '';
+        if (!file) return;
+        try {
+            const profile = parseInstitutionProfile(await file.text());
+            localStorage.setItem(PROFILE_STORAGE_KEY, JSON.stringify(profile));
+            showProfileError('');
+            loadInstitutionProfile();
+        } catch (e) {
+            showProfileError(`Could not import ${file.name}: ${(e as Error).message}`);
+        }
+    });
+
+    document.getElementById('profile-import')!.addEventListener('click', () => profileInput.click());
+
+    document.getElementById('profile-download')!.addEventListener('click', () => {
+        downloadFile('institution-profile.json', JSON.stringify(institutionProfile, null, 2), 'application/json');
+    });
+
+    document.getElementById('profile-reset')!.addEventListener('click', () => {
+        localStorage.removeItem(PROFILE_STORAGE_KEY);
+        showProfileError('');
+        loadInstitutionProfile();
+    });
+
+    loadInstitutionProfile();
+
+    /* =========================================================================
+       Custom checklist rules
+       ========================================================================= */
+
+    const RULES_STORAGE_KEY = 'canvas-qa-custom-rules';
+
+    /**
+     * Restore the rules imported in an earlier session, if any.
+     */
+    function loadCustomRules() {
+        const stored = localStorage.getItem(RULES_STORAGE_KEY);
+        try {
+            customRules = stored ? parseCustomRules(stored) : EMPTY_RULE_SET;
+        } catch (e) {
+            console.warn('Ignoring stored custom rules:', e);
+            customRules = EMPTY_RULE_SET;
+        }
+        rulesNameEl.textContent = customRules.rules.length ? `${customRules.name} (${customRules.rules.length})` : 'none';
+    }
+
+    function showRulesError(message: string) {
+        rulesError.textContent = message;
+        rulesError.classList.toggle('hidden', message === '');
+    }
+
+    rulesInput.addEventListener('change', async () => {
+        const file = rulesInput.files?.[0];
+        rulesInput.value = '';
+        if (!file) return;
+        try {
+            const rules = parseCustomRules(await file.text());
+            localStorage.setItem(RULES_STORAGE_KEY, JSON.stringify(rules));
+            showRulesError('');
+            loadCustomRules();
+        } catch (e) {
+            showRulesError(`Could not import ${file.name}: ${(e as Error).message}`);
+        }
+    });
+
+    document.getElementById('rules-import')!.addEventListener('click', () => rulesInput.click());
+
+    document.getElementById('rules-reset')!.addEventListener('click', () => {
+        localStorage.removeItem(RULES_STORAGE_KEY);
+        showRulesError('');
+        loadCustomRules();
+    });
+
+    loadCustomRules();
+
+    /* =========================================================================
+       Triage decisions
+       ========================================================================= */
+
+    const TRIAGE_STORAGE_KEY = 'canvas-qa-triage';
+
+    /**
+     * Restore the decisions made in earlier sessions, on this or earlier exports.
+     */
+    function loadTriageDecisions() {
+        const stored = localStorage.getItem(TRIAGE_STORAGE_KEY);
+        try {
+            triageDecisions = stored ? parseTriageDecisions(stored) : {};
+        } catch (e) {
+            console.warn('Ignoring stored triage decisions:', e);
+            triageDecisions = {};
+        }
+        triageCountEl.textContent = Object.keys(triageDecisions).length.toString();
+    }
+
+    function showTriageError(message: string) {
+        triageError.textContent = message;
+        triageError.classList.toggle('hidden', message === '');
+    }
+
+    /**
+     * Record a reviewer's decision on a finding; open findings without a note are forgotten.
+     */
+    function saveTriageDecision(fingerprint: string, status: TriageStatus, note: string) {
+        if (status === 'open' && note === '') {
+            delete triageDecisions[fingerprint];
+        } else {
+            triageDecisions[fingerprint] = { status, note, updatedAt: new Date().toISOString() };
+        }
+        localStorage.setItem(TRIAGE_STORAGE_KEY, JSON.stringify(triageDecisions));
+        triageCountEl.textContent = Object.keys(triageDecisions).length.toString();
+    }
+
+    triageInput.addEventListener('change', async () => {
+        const file = triageInput.files?.[0];
+        triageInput.value = '';
+        if (!file) return;
+        try {
+            const decisions = mergeTriageDecisions(triageDecisions, parseTriageDecisions(await file.text()));
+            localStorage.setItem(TRIAGE_STORAGE_KEY, JSON.stringify(decisions));
+            showTriageError('');
+            loadTriageDecisions();
+        } catch (e) {
+            showTriageError(`Could not import ${file.name}: ${(e as Error).message}`);
+        }
+    });
+
+    document.getElementById('triage-import')!.addEventListener('click', () => triageInput.click());
+
+    document.getElementById('triage-download')!.addEventListener('click', () => {
+        downloadFile('triage-decisions.json', JSON.stringify(triageDecisions, null, 2), 'application/json');
+    });
+
+    document.getElementById('triage-reset')!.addEventListener('click', () => {
+        if (!confirm('Forget all triage decisions and notes?')) return;
+        localStorage.removeItem(TRIAGE_STORAGE_KEY);
+        showTriageError('');
+        loadTriageDecisions();
+    });
+
+    loadTriageDecisions();
+
     /* =========================================================================
        Progress & UI helpers
        ========================================================================= */
@@ -262,57 +443,185 @@ document.addEventListener('DOMContentLoaded', () => {
         loadingStatus.textContent = status;
     }
 
+    /**
+     * Clear the course model collected from a previous analysis.
+     */
+    function resetState() {
+        allResources.length = 0;
+        allModules.length = 0;
+        allLinks.length = 0;
+        allFiles.length = 0;
+        allVideos.length = 0;
+        allImages.length = 0;
+        imageThumbnailUrls.forEach(url => URL.revokeObjectURL(url));
+        imageThumbnailUrls.clear();
+        fileInventory = null;
+        documentChecks.length = 0;
+        captionFiles.length = 0;
+        gradebook = null;
+        quizzes = null;
+        rubrics = null;
+        outcomes = null;
+        calendar = null;
+        contentText.length = 0;
+        remediations.length = 0;
+        courseDiff = null;
+    }
+
     /**
      * Reset all result panes to their initial empty states.
      */
     function resetResults() {
         setInnerHTMLById('course-structure', '');
+        setInnerHTMLById('module-audit', '');
+        setInnerHTMLById('grading-summary', '');
+        setInnerHTMLById('grading-results', '<p class="text-gray-500">No graded items found or analysis not run.</p>');
+        setInnerHTMLById('quiz-results', '');
+        setInnerHTMLById('rubric-results', '');
+        setInnerHTMLById('outcomes-summary', '');
+        setInnerHTMLById('outcomes-results', '<p class="text-gray-500">No learning outcomes found or analysis not run.</p>');
+        setInnerHTMLById('calendar-summary', '');
+        setInnerHTMLById('calendar-results', '<p class="text-gray-500">No dated items found or analysis not run.</p>');
+        setInnerHTMLById('custom-rule-results', '');
+        setInnerHTMLById('wcag-results', '');
+        document.getElementById('wcag-export')!.classList.add('hidden');
+        setInnerHTMLById('changes-summary', '');
+        setInnerHTMLById('changes-results', '<p class="text-gray-500">Load a second export of this course to see what changed.</p>');
+        document.getElementById('changes-export')!.classList.add('hidden');
         setInnerHTMLById('course-content-list', '');
         setInnerHTMLById('accessibility-results', '<p class="text-gray-500">No issues found or analysis not run.</p>');
+        setInnerHTMLById('accessibility-dashboard', '');
         setInnerHTMLById('accessibility-controls', '');
         setInnerHTMLById('link-inventory-results', '<p class="text-gray-500">No links found or analysis not run.</p>');
+        setInnerHTMLById('file-inventory-results', '<p class="text-gray-500">No course files found.</p>');
         setInnerHTMLById('file-attachment-results', '<p class="text-gray-500">No file attachments found.</p>');
         setInnerHTMLById('video-results', '<p class="text-gray-500">No videos found or analysis not run.</p>');
         setInnerHTMLById('link-summary', '');
+        setInnerHTMLById('file-inventory-summary', '');
         setInnerHTMLById('file-attachment-summary', '');
         setInnerHTMLById('video-summary', '');
+        setInnerHTMLById('image-summary', '');
+        setInnerHTMLById('image-viewer', '');
+        setInnerHTMLById('image-results', '<p class="text-gray-500">No images found or analysis not run.</p>');
+        setInnerHTMLById('fix-summary', '');
+        setInnerHTMLById('fix-results', '<p class="text-gray-500">Choose fixes and preview them.</p>');
+        updateFixDownload();
     }
 
     /* =========================================================================
-       Archive extraction
+       Report export
        ========================================================================= */
 
     /**
-     * Extracts files from the provided ZIP archive and returns a map of name->content.
+     * Offer a generated file to the user as a download.
      */
-    async function extractArchive(file: File): Promise<{ [key: string]: string }> {
-        try {
-            updateProgress(10, 'Unzipping archive...');
-            const zip = await JSZip.loadAsync(file);
-
-            updateProgress(30, 'Reading all course files...');
-
-            const fileContents: { [key: string]: string } = {};
-            const zipFiles = Object.values(zip.files).filter(f => !f.dir && !f.name.startsWith('web_resources/'));
-            const totalFiles = zipFiles.length;
-            let fileCount = 0;
-
-            for (const zipEntry of zipFiles) {
-                const content = await zipEntry.async('string');
-                fileContents[zipEntry.name] = content;
-                fileCount++;
-                const progress = 30 + (60 * (fileCount / totalFiles));
-                updateProgress(progress, `Reading file ${fileCount} of ${totalFiles}`);
-            }
+    function downloadFile(fileName: string, content: string | Blob, mimeType: string) {
+        const blob = new Blob([content], { type: mimeType });
+        const url = URL.createObjectURL(blob);
+        const a = document.createElement('a');
+        a.href = url;
+        a.download = fileName;
+        document.body.appendChild(a);
+        a.click();
+        a.remove();
+        setTimeout(() => URL.revokeObjectURL(url), 0);
+    }
+
+    /**
+     * Report of everything found so far in the current analysis.
+     */
+    function currentReport(): CourseReport {
+        return buildCourseReport({
+            sourceFileName: currentFileName,
+            modules: allModules,
+            resources: allResources,
+            accessibility: accessibilityData,
+            links: allLinks,
+            files: allFiles,
+            videos: allVideos,
+            images: allImages,
+            fileInventory,
+            documentChecks,
+            captionFiles,
+            gradebook,
+            quizzes,
+            rubrics,
+            outcomes,
+            calendar,
+            contentText,
+            profile: institutionProfile,
+            rules: customRules,
+            triage: triageDecisions,
+        });
+    }
 
-            return fileContents;
-        } catch (error) {
-            loadingStatus.textContent = `Error: ${(error as Error).message}`;
-            progressBar.style.backgroundColor = '#ef4444';
-            throw error;
+    /**
+     * Write the requested export format for the current analysis.
+     * format - one of the data-export values on the export buttons
+     */
+    function exportReport(format: string) {
+        const baseName = (currentFileName.replace(/\.(imscc|zip)$/i, '') || 'course') + '-qa';
+        const report = currentReport();
+
+        switch (format) {
+            case 'html':
+                downloadFile(`${baseName}-report.html`, renderHtmlReport(report), 'text/html;charset=utf-8');
+                break;
+            case 'json':
+                downloadFile(`${baseName}.json`, JSON.stringify(report, null, 2), 'application/json');
+                break;
+            case 'accessibility-csv':
+                downloadFile(`${baseName}-accessibility.csv`, accessibilityToCsv([...report.accessibility.violations, ...report.accessibility.incomplete], report.triage), 'text/csv;charset=utf-8');
+                break;
+            case 'links-csv':
+                downloadFile(`${baseName}-links.csv`, linksToCsv(report.links, report.triage), 'text/csv;charset=utf-8');
+                break;
+            case 'files-csv':
+                downloadFile(`${baseName}-files.csv`, filesToCsv(report.files), 'text/csv;charset=utf-8');
+                break;
+            case 'file-inventory-csv':
+                downloadFile(`${baseName}-file-inventory.csv`, fileInventoryToCsv(report.fileInventory), 'text/csv;charset=utf-8');
+                break;
+            case 'assignments-csv':
+                downloadFile(`${baseName}-assignments.csv`, assignmentsToCsv(report.gradebook), 'text/csv;charset=utf-8');
+                break;
+            case 'custom-rules-csv':
+                downloadFile(`${baseName}-checklist.csv`, customRulesToCsv(report.customRules.results), 'text/csv;charset=utf-8');
+                break;
+            case 'quizzes-csv':
+                downloadFile(`${baseName}-quizzes.csv`, quizzesToCsv(report.quizzes, report.gradebook), 'text/csv;charset=utf-8');
+                break;
+            case 'rubrics-csv':
+                downloadFile(`${baseName}-rubrics.csv`, rubricsToCsv(report.rubrics), 'text/csv;charset=utf-8');
+                break;
+            case 'workload-csv':
+                downloadFile(`${baseName}-workload.csv`, workloadToCsv(report.workload, report.modules), 'text/csv;charset=utf-8');
+                break;
+            case 'outcomes-csv':
+                downloadFile(`${baseName}-outcomes.csv`, outcomesToCsv(report.outcomes), 'text/csv;charset=utf-8');
+                break;
+            case 'calendar-csv':
+                downloadFile(`${baseName}-calendar.csv`, calendarToCsv(report.calendar), 'text/csv;charset=utf-8');
+                break;
+            case 'module-audit-csv':
+                downloadFile(`${baseName}-module-audit.csv`, moduleAuditToCsv(report.moduleAudit), 'text/csv;charset=utf-8');
+                break;
+            case 'documents-csv':
+                downloadFile(`${baseName}-documents.csv`, documentChecksToCsv(report.documentChecks), 'text/csv;charset=utf-8');
+                break;
+            case 'images-csv':
+                downloadFile(`${baseName}-images.csv`, imagesToCsv(report.images), 'text/csv;charset=utf-8');
+                break;
+            case 'videos-csv':
+                downloadFile(`${baseName}-videos.csv`, videosToCsv(report.videos, report.triage), 'text/csv;charset=utf-8');
+                break;
         }
     }
 
+    exportControls.querySelectorAll('button[data-export]').forEach(button => {
+        button.addEventListener('click', () => exportReport((button as HTMLElement).dataset['export']!));
+    });
+
     /* =========================================================================
        File handling (entry point)
        ========================================================================= */
@@ -321,1274 +630,2269 @@ document.addEventListener('DOMContentLoaded', () => {
      * Handle file selected by user (drag/drop or file dialog).
      * Shows progress UI and kicks off analysis pipeline.
      */
-    function handleFile(file: File) {
+    function handleFile(file: File, baseline: CourseReport | null = null) {
+        stopActiveWorker();
+        const run = ++analysisRun;
+        currentFileName = file.name;
+        currentFile = file;
         fileNameEl.textContent = file.name;
         fileSizeEl.textContent = `${(file.size / 1024 / 1024).toFixed(2)} MB`;
         fileInfo.classList.remove('hidden');
         uploadSection.classList.add('hidden');
         loadingSection.classList.remove('hidden');
         resultsSection.classList.add('hidden');
+        progressBar.style.backgroundColor = '';
+        resetState();
         resetResults();
-        switchTab('structure');
+        baselineReport = baseline;
+        switchTab(baseline ? 'changes' : 'structure');
 
         (async () => {
             try {
-                const fileContents = await extractArchive(file);
-                await processAndAnalyze(fileContents);
+                const items = await runAnalysisWorker(file, run);
+                checkAnalysisRun(run);
+                await analyzeContent(items, run);
+                checkAnalysisRun(run);
+                const report = currentReport();
+                displayCustomRules(report.customRules.results);
+                displayWcagConformance(report.wcag);
+                if (baselineReport) {
+                    courseDiff = diffCourseReports(baselineReport, report);
+                    displayCourseDiff(courseDiff);
+                }
                 updateProgress(100, 'Analysis complete!');
                 loadingSection.classList.add('hidden');
                 resultsSection.classList.remove('hidden');
             } catch (err) {
+                if (run !== analysisRun) return;
                 console.error(err);
+                loadingStatus.textContent = `Error: ${(err as Error).message}`;
+                progressBar.style.backgroundColor = '#ef4444';
+            } finally {
+                if (run === analysisRun) activeWorker = null;
             }
         })();
     }
 
-    /* =========================================================================
-       Manifest parsing and content assembly
-       ========================================================================= */
-
     /**
-     * Parse the imsmanifest and assemble course structure, content items, and then analyze.
-     * Preserves original behavior and logic.
+     * Stop a run that was cancelled or replaced by a newer one.
      */
-    async function processAndAnalyze(fileContents: { [key: string]: string }) {
-        const inModuleResourceIdentifiers: Set<string> = new Set();
+    function checkAnalysisRun(run: number) {
+        if (run !== analysisRun) throw new Error('Analysis cancelled.');
+    }
 
-        updateProgress(90, 'Parsing manifest...');
+    function stopActiveWorker() {
+        if (activeWorker) {
+            activeWorker.terminate();
+            activeWorker = null;
+        }
+        if (rejectActiveAnalysis) rejectActiveAnalysis(new Error('Analysis cancelled.'));
+        rejectActiveAnalysis = null;
+    }
 
-        // Helper to find a manifest <item> element by an identifier (e.g., a meta item's identifier)
-        const findManifestItemElementByIdentifier = (id: string): Element | null => {
-            if (!id) return null;
-            return Array.from(manifestFileContentParsed.getElementsByTagName('item')).find(i => i.getAttribute('identifier') === id) || null;
-        };
+    /**
+     * Stop a running analysis and return to the upload screen.
+     */
+    function cancelAnalysis() {
+        analysisRun++;
+        stopActiveWorker();
+        resetState();
+        resetResults();
+        fileInfo.classList.add('hidden');
+        loadingSection.classList.add('hidden');
+        resultsSection.classList.add('hidden');
+        uploadSection.classList.remove('hidden');
+        (fileInput as HTMLInputElement).value = '';
+        updateProgress(0, 'Processing course...');
+    }
 
-        // Helper to find a manifest <resource> element by an identifier (e.g., its corresponding <item>'s identifierref)
-        const findManifestResourceElementByIentifier = (id: string): Element | null => {
-            if (!id) return null;
-            return Array.from(manifestFileContentParsed.getElementsByTagName('resource')).find(i => i.getAttribute('identifier') === id) || null;
-        };
+    cancelButton.addEventListener('click', cancelAnalysis);
 
-        // Map of resource items gathered from imsmanifest.xml
-        const manifestFileContent = fileContents['imsmanifest.xml'];
-        if (!manifestFileContent) {
-            throw new Error("imsmanifest.xml not found in the archive.");
-        }
-        const manifestFileContentParsed = SHARED_PARSER.parseFromString(manifestFileContent, "application/xml");
-        const manifestSupportingResourceElements: string[] = [];
-
-        // Gather all manifest <resource> elements
-        for (const manifestResourceElement of manifestFileContentParsed.getElementsByTagName("resource")) {
-            const resourceIdentifier = manifestResourceElement.getAttribute("identifier")!;
-            const resourceHref = manifestResourceElement.getAttribute("href");
-            const resourceType = manifestResourceElement.getAttribute("type")!;
-
-            // Skip supporting element
-            if (resourceIdentifier && manifestSupportingResourceElements.includes(resourceIdentifier)) continue;
-
-            // Skip several types of resources:LTIs, links in modules, and qustion banks (for now)
-            if (
-                // LTIs
-                resourceType === 'imsbasiclti_xmlv1p3' ||
-                // Links in modules
-                resourceType === 'imswl_xmlv1p1' ||
-                // Question banks (for now)
-                resourceHref?.includes('non_cc_assessments') ||
-                // Syllabus entry in manifest
-                resourceIdentifier.endsWith('_syllabus') ||
-                // Course settings entry
-                resourceHref?.includes('canvas_export.txt')
-            ) continue;
-
-            let resourceStatus = 'unknown';
-            let resourceTitle = 'untitled';
-
-            let resourceAnalysisHref: string | null = null;
-            let resourceAnalysisType = 'html';
-            const isAssignment = resourceType.includes('associatedcontent/imscc_xmlv1p1/learning-application-resource') && resourceHref && resourceHref.endsWith('html') && !resourceHref.startsWith('course_settings/');
-            const isQuizOrSurvey = resourceType.includes('imsqti_xmlv1p2/imscc_xmlv1p1/assessment');
-            const isDiscussion = resourceType.includes('imsdt_xmlv1p1');
-            const isPage = resourceType === 'webcontent' && resourceHref && resourceHref.startsWith('wiki_content/');
-            const isFile = resourceType === 'webcontent' && resourceHref && resourceHref.startsWith('web_resources/');
-
-            let resourceClarifiedType: string | null = null;
-            let resourceIdentifierRef: string | null = null;
-
-            // TODO: A lot of refactoring opportunities here
-            if (isFile) {
-                resourceClarifiedType = 'file';
-            } else if (isPage) {
-                resourceClarifiedType = 'page';
-                const pageContent = fileContents[resourceHref];
-                if (pageContent) {
-                    const pageDoc = SHARED_PARSER.parseFromString(pageContent, "text/html");
-                    resourceTitle = pageDoc.querySelector('title')?.textContent || resourceTitle;
-                    resourceStatus = pageDoc.querySelector('meta[name="workflow_state"]')?.getAttribute('content') === 'active' ? 'active' : 'unpublished';
-                }
-                resourceAnalysisHref = resourceHref;
-            } else if (isAssignment) {
-                resourceClarifiedType = 'assignment';
-                const assignmentSettingsPath = Object.keys(fileContents).find(fileName => fileName.startsWith(`${resourceIdentifier}/`) && fileName.endsWith('assignment_settings.xml'));
-                if (assignmentSettingsPath) {
-                    const settingsDoc = SHARED_PARSER.parseFromString(fileContents[assignmentSettingsPath], "application/xml");
-                    resourceStatus = settingsDoc.querySelector('workflow_state')?.textContent === 'active' ? 'active' : 'unpublished';
-                    resourceTitle = settingsDoc.querySelector('title')?.textContent || resourceTitle;
-                }
-                const assignmentHtmlPath = Object.keys(fileContents).find(fileName => fileName.startsWith(`${resourceIdentifier}/`) && fileName.endsWith('.html'));
-                if (assignmentHtmlPath) resourceAnalysisHref = assignmentHtmlPath;
-            } else if (isQuizOrSurvey) {
-                const resourceIdentifierRef = manifestResourceElement.querySelector('dependency')!.getAttribute("identifierref")!;
-                const matchingManifestResourceElement = findManifestResourceElementByIentifier(resourceIdentifierRef);
-
-                if (matchingManifestResourceElement && fileContents[matchingManifestResourceElement.getAttribute('href')!]) {
-                    const matchingManifestResourceElementIdentifier = matchingManifestResourceElement.getAttribute('identifier');
-                    if (matchingManifestResourceElementIdentifier === null) throw new Error("matchingManifestResourceElementIdentifier should NOT be null.");
-                    manifestSupportingResourceElements.push(matchingManifestResourceElementIdentifier);
-
-                    resourceAnalysisHref = matchingManifestResourceElement.getAttribute('href');
-                    resourceAnalysisType = 'xml';
-                    if (resourceAnalysisHref === null) throw new Error('resourceAnalysisHref should NOT be null.');
-
-                    const itemMetaDoc = SHARED_PARSER.parseFromString(fileContents[resourceAnalysisHref], "application/xml");
-                    if (itemMetaDoc) {
-                        resourceTitle = itemMetaDoc.querySelector('title')?.textContent || resourceTitle;
-                        resourceStatus = itemMetaDoc.querySelector('available')?.textContent === 'true' ? 'active' : 'unpublished';
-                    }
-                    const quizType = itemMetaDoc.querySelector('quiz_type')?.textContent;
-                    if (quizType === 'survey') {
-                        resourceClarifiedType = 'survey';
-                    } else {
-                        resourceClarifiedType = 'quiz';
-                    }
-                }
-            } else if (isDiscussion) {
-                resourceClarifiedType = 'discussion';
-                const discussionXmlPath = `${resourceIdentifier}.xml`;
-                if (fileContents[discussionXmlPath]) {
-                    resourceAnalysisHref = discussionXmlPath;
-                    resourceAnalysisType = 'discussion_xml';
-                    const discussionDoc = SHARED_PARSER.parseFromString(fileContents[discussionXmlPath], "application/xml");
-                    resourceTitle = discussionDoc.querySelector('title')?.textContent || resourceTitle;
-
-                    const resourceIdentifierRef = manifestResourceElement.querySelector('dependency')!.getAttribute("identifierref")!;
-                    const matchingManifestResourceElement = findManifestResourceElementByIentifier(resourceIdentifierRef);
-
-                    if (matchingManifestResourceElement && fileContents[matchingManifestResourceElement.getAttribute('href')!]) {
-                        const matchingManifestResourceElementIdentifier = matchingManifestResourceElement.getAttribute('identifier');
-                        if (matchingManifestResourceElementIdentifier === null) throw new Error("matchingManifestResourceElementIdentifier should NOT be null.");
-                        manifestSupportingResourceElements.push(matchingManifestResourceElementIdentifier);
-
-                        const settingsHref = matchingManifestResourceElement.getAttribute('href');
-                        if (settingsHref === null) throw new Error('settingsHref should NOT be null.');
-
-                        const itemSettingsDoc = SHARED_PARSER.parseFromString(fileContents[settingsHref], "application/xml");
-                        if (itemSettingsDoc) {
-                            resourceStatus = itemSettingsDoc.querySelector('workflow_state')?.textContent === 'active' ? 'active' : 'unpublished';
-                        }
-                        const discussionType = itemSettingsDoc.querySelector('type')?.textContent;
-                        if (discussionType === 'announcement') {
-                            resourceClarifiedType = 'announcement';
-                        }
-                    }
-                }
-            }
+    /* =========================================================================
+       Export comparison
+       ========================================================================= */
 
-            if (!resourceClarifiedType || resourceClarifiedType === 'file') {
-                continue;
-            }
-            allResources.push({
-                identifier: resourceIdentifier,
-                title: resourceTitle,
-                identifierref: resourceIdentifierRef,
-                status: resourceStatus,
-                clarifiedType: resourceClarifiedType,
-                contentType: resourceType,
-                analysisHref: resourceAnalysisHref,
-                analysisType: resourceAnalysisType,
-            });
-        }
+    const compareInput = document.getElementById('compare-input') as HTMLInputElement;
 
-        // Gather modules and module contents
-        const metaModuleFileContent = fileContents['course_settings/module_meta.xml'];
-        if (!metaModuleFileContent) {
-            throw new Error("course_settings/module_meta.xml not found in the archive.");
-        }
+    /**
+     * Analyze a later export of the course and compare it with the one loaded now.
+     */
+    function compareWithExport(file: File) {
+        handleFile(file, currentReport());
+    }
 
-        const moduleMetaFileContentParsed = SHARED_PARSER.parseFromString(metaModuleFileContent, "application/xml");
-        const metaModuleElements = Array.from(moduleMetaFileContentParsed.querySelectorAll("module"));
-        metaModuleElements.forEach(metaModuleElement => {
-            const moduleItems: ModuleItem[] = [];
+    document.getElementById('compare-button')!.addEventListener('click', () => compareInput.click());
 
-            const moduleTitle = metaModuleElement.querySelector('title')?.textContent!;
-            const moduleStatus = metaModuleElement.querySelector('workflow_state')?.textContent === 'active' ? 'active' : 'unpublished';
+    compareInput.addEventListener('change', () => {
+        const file = compareInput.files?.[0];
+        compareInput.value = '';
+        if (file) compareWithExport(file);
+    });
 
-            const metaModuleItemElements = Array.from(metaModuleElement.querySelectorAll('item'));
-            metaModuleItemElements.forEach(metaModuleItemElement => {
-                const moduleItemIdentifier = metaModuleItemElement.getAttribute('identifier')!;
-                const indent = parseInt(metaModuleItemElement.querySelector('indent')?.textContent!, 10);
-                const status = metaModuleItemElement.querySelector('workflow_state')?.textContent!;
-                const contentType = metaModuleItemElement.querySelector('content_type')?.textContent!;
-                const title = metaModuleItemElement.querySelector('title')?.textContent!;
-                const moduleItemIdentifierRef = metaModuleItemElement.querySelector('identifierref')?.textContent || null;
+    document.getElementById('changes-export')!.querySelectorAll('button[data-diff-export]').forEach(button => {
+        button.addEventListener('click', () => {
+            if (!courseDiff) return;
+            const baseName = (currentFileName.replace(/\.(imscc|zip)$/i, '') || 'course') + '-changes';
+            if ((button as HTMLElement).dataset['diffExport'] === 'csv') {
+                downloadFile(`${baseName}.csv`, courseDiffToCsv(courseDiff), 'text/csv;charset=utf-8');
+            } else {
+                const signOff = {
+                    reviewer: (document.getElementById('changes-reviewer') as HTMLInputElement).value.trim(),
+                    notes: (document.getElementById('changes-notes') as HTMLTextAreaElement).value.trim(),
+                };
+                downloadFile(`${baseName}-report.html`, renderHtmlDiffReport(courseDiff, signOff), 'text/html;charset=utf-8');
+            }
+        });
+    });
 
-                let clarifiedType = 'tbd';
+    /* =========================================================================
+       Analysis worker
+       ========================================================================= */
 
-                const matchingResource = allResources.find(r => r.identifier === moduleItemIdentifierRef);
+    /**
+     * Unzip and parse the archive in a worker. Structure is rendered as soon as the
+     * worker reports it; link/file/video findings stream in item by item.
+     * Resolves with the extracted HTML of every item for the accessibility scan.
+     */
+    function runAnalysisWorker(file: File, run: number): Promise<AnalysisItem[]> {
+        return new Promise((resolve, reject) => {
+            const worker = new Worker('js/worker.js');
+            const items: AnalysisItem[] = [];
+            activeWorker = worker;
+            rejectActiveAnalysis = reject;
+
+            const finish = () => {
+                worker.terminate();
+                rejectActiveAnalysis = null;
+            };
 
-                if (matchingResource) {
-                    clarifiedType = matchingResource?.clarifiedType || contentType;
-                    matchingResource.moduleTitle = moduleTitle;
+            worker.onmessage = (e: MessageEvent<AnalysisWorkerMessage>) => {
+                if (run !== analysisRun) return;
+                const message = e.data;
+                switch (message.type) {
+                    case 'progress':
+                        updateProgress(message.percentage, message.status);
+                        break;
+                    case 'structure':
+                        allResources.push(...message.resources);
+                        allModules.push(...message.modules);
+                        displayModules(allModules);
+                        displayModuleAudit(allModules, allResources);
+                        displayCourseContent(allResources);
+                        // Structure is browsable while the rest of the analysis runs
+                        resultsSection.classList.remove('hidden');
+                        break;
+                    case 'item':
+                        allLinks.push(...message.links);
+                        allFiles.push(...message.files);
+                        allVideos.push(...message.videos);
+                        allImages.push(...message.images);
+                        items.push({ resource: message.resource, html: message.html });
+                        contentText.push({ resourceIdentifier: message.resource.identifier, title: message.resource.title, itemType: message.resource.clarifiedType, text: message.text });
+                        break;
+                    case 'thumbnails':
+                        Object.entries(message.thumbnails).forEach(([path, blob]) => imageThumbnailUrls.set(path, URL.createObjectURL(blob)));
+                        break;
+                    case 'files':
+                        fileInventory = message.inventory;
+                        break;
+                    case 'documents':
+                        documentChecks.push(...message.checks);
+                        break;
+                    case 'captions':
+                        captionFiles.push(...message.files);
+                        break;
+                    case 'grading':
+                        gradebook = message.gradebook;
+                        displayGradebook(message.gradebook);
+                        break;
+                    case 'quizzes':
+                        quizzes = message.quizzes;
+                        displayQuizSettings(message.quizzes);
+                        break;
+                    case 'rubrics':
+                        rubrics = message.rubrics;
+                        displayRubrics(message.rubrics);
+                        break;
+                    case 'outcomes':
+                        outcomes = message.outcomes;
+                        displayOutcomes(message.outcomes);
+                        break;
+                    case 'calendar':
+                        calendar = message.calendar;
+                        displayCalendar(message.calendar);
+                        break;
+                    case 'done':
+                        finish();
+                        // Item text and media are all in; show the workload next to the structure
+                        displayWorkload(buildWorkload(contentText, allVideos, allFiles, allResources, allModules));
+                        resolve(items);
+                        break;
+                    case 'error':
+                        finish();
+                        reject(new Error(message.message));
+                        break;
                 }
+            };
 
-                const moduleItem: ModuleItem = {
-                    identifier: moduleItemIdentifier,
-                    title,
-                    identifierRef: moduleItemIdentifierRef,
-                    moduleTitle: moduleTitle,
-                    status,
-                    indent,
-                    clarifiedType,
-                    contentType
-                };
-
-                moduleItems.push(moduleItem);
-                // Building our list of in-module items
-                inModuleResourceIdentifiers.add(moduleItemIdentifier);
-            });
-
-            const module = {
-                title: moduleTitle,
-                items: moduleItems,
-                status: moduleStatus
+            worker.onerror = (e) => {
+                finish();
+                reject(new Error(e.message || 'Analysis worker failed.'));
             };
 
-            allModules.push(module);
+            worker.postMessage({ type: 'analyze', file, profile: institutionProfile } as AnalysisWorkerRequest);
         });
+    }
 
-        displayModules(allModules);
-        displayCourseContent(allResources);
-
-        updateProgress(95, 'Analyzing course content...');
-        await analyzeContent(fileContents, allResources);
+    /* =========================================================================
+       UI: Course Structure & Content display
+       (keeps markup and interaction identical to original)
+       ========================================================================= */
 
-        updateProgress(100, 'Analysis complete!');
-        loadingSection.classList.add('hidden');
-        resultsSection.classList.remove('hidden');
-
-
-        /* =========================================================================
-           UI: Course Structure & Content display
-           (keeps markup and interaction identical to original)
-           ========================================================================= */
-
-        /**
-         * Return icon & label given a clarified type.
-         * Kept implementation and SVGs identical to original to avoid behavioral changes.
-         */
-        function getItemTypeDetails(type: string): { icon: string, label: string } {
-            const iconClass = "w-5 h-5 mr-3 text-gray-500 flex-shrink-0";
-            let details = {
-                icon: `<svg class="${iconClass}" fill="none" stroke="currentColor" viewBox="0 0 24 24"><path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M7 21h10a2 2 0 002-2V9.414a1 1 0 00-.293-.707l-5.414-5.414A1 1 0 0012.586 3H7a2 2 0 00-2 2v14a2 2 0 002 2z"></path></svg>`,
-                label: 'File'
-            };
+    /**
+     * Return icon & label given a clarified type.
+     * Kept implementation and SVGs identical to original to avoid behavioral changes.
+     */
+    function getItemTypeDetails(type: string): { icon: string, label: string } {
+        const iconClass = "w-5 h-5 mr-3 text-gray-500 flex-shrink-0";
+        let details = {
+            icon: `<svg class="${iconClass}" fill="none" stroke="currentColor" viewBox="0 0 24 24"><path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M7 21h10a2 2 0 002-2V9.414a1 1 0 00-.293-.707l-5.414-5.414A1 1 0 0012.586 3H7a2 2 0 00-2 2v14a2 2 0 002 2z"></path></svg>`,
+            label: getItemTypeLabel(type)
+        };
 
-            if (type === 'contextmodulesubheader') {
-                details.label = 'Header';
-                details.icon = `<svg class="${iconClass}" fill="none" stroke="currentColor" viewBox="0 0 24 24"><path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M4 6h16M4 10h16M4 14h16M4 18h16"></path></svg>`;
-            } else if (type === 'assignment') {
-                details.label = 'Assignment';
-                details.icon = `<svg class="${iconClass}" fill="none" stroke="currentColor" viewBox="0 0 24 24"><path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M9 5H7a2 2 0 00-2 2v12a2 2 0 002 2h10a2 2 0 002-2V7a2 2 0 00-2-2h-2M9 5a2 2 0 002 2h2a2 2 0 002-2M9 5a2 2 0 012-2h2a2 2 0 012 2m-3 7h3m-3 4h3m-6-4h.01M9 16h.01"></path></svg>`;
-            } else if (type === 'page') {
-                details.label = 'Page';
-                details.icon = `<svg class="${iconClass}" fill="none" stroke="currentColor" viewBox="0 0 24 24"><path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M9 12h6m-6 4h6m2 5H7a2 2 0 01-2-2V5a2 2 0 012-2h5.586a1 1 0 01.707.293l5.414 5.414a1 1 0 01.293.707V19a2 2 0 01-2 2z"></path></svg>`;
-            } else if (type === 'externalurl') {
-                details.label = 'Link';
-                details.icon = `<svg class="${iconClass}" fill="none" stroke="currentColor" viewBox="0 0 24 24"><path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M13.828 10.172a4 4 0 00-5.656 0l-4 4a4 4 0 105.656 5.656l1.102-1.101m-.758-4.899a4 4 0 005.656 0l4-4a4 4 0 00-5.656-5.656l-1.1 1.1"></path></svg>`;
-            } else if (type === 'survey') {
-                details.label = 'Survey';
-                details.icon = `<svg class="${iconClass}" fill="none" stroke="currentColor" viewBox="0 0 24 24"><path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M9 5H7a2 2 0 00-2 2v12a2 2 0 002 2h10a2 2 0 002-2V7a2 2 0 00-2-2h-2M9 5a2 2 0 002 2h2a2 2 0 002-2M9 5a2 2 0 012-2h2a2 2 0 012 2m-6 9l2 2 4-4"></path></svg>`;
-            } else if (type === 'quiz') {
-                details.label = 'Quiz';
-                details.icon = `<svg class="${iconClass}" fill="none" stroke="currentColor" viewBox="0 0 24 24"><path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M8.228 9c.549-1.165 2.03-2 3.772-2 2.21 0 4 1.343 4 3 0 1.4-1.278 2.575-3.006 2.907-.542.104-.994.54-.994 1.093m0 3h.01M21 12a9 9 0 11-18 0 9 9 0 0118 0z"></path></svg>`;
-            } else if (type === 'announcement') {
-                details.label = 'Announcement';
-                details.icon = `<svg class="${iconClass}" fill="none" stroke="currentColor" viewBox="0 0 24 24"><path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M11 5.882V19.24a1.76 1.76 0 01-3.417.592l-2.147-6.15M18 13a3 3 0 100-6M5.436 13.683A4.001 4.001 0 017 6h1.832c4.1 0 7.625-2.236 9.168-5.518l-2.168 1.558a6.002 6.002 0 00-4.5 3.468V13a3 3 0 00-3-3H5.436z"></path></svg>`;
-            } else if (type === 'discussion') {
-                details.label = 'Discussion';
-                details.icon = `<svg class="${iconClass}" fill="none" stroke="currentColor" viewBox="0 0 24 24"><path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M8 12h.01M12 12h.01M16 12h.01M21 12c0 4.418-4.03 8-9 8a9.863 9.863 0 01-4.255-.949L3 20l1.395-3.72C3.512 15.042 3 13.574 3 12c0-4.418 4.03-8 9-8s9 3.582 9 8z"></path></svg>`;
-            }
-            return details;
+        if (type === 'contextmodulesubheader') {
+            details.icon = `<svg class="${iconClass}" fill="none" stroke="currentColor" viewBox="0 0 24 24"><path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M4 6h16M4 10h16M4 14h16M4 18h16"></path></svg>`;
+        } else if (type === 'assignment') {
+            details.icon = `<svg class="${iconClass}" fill="none" stroke="currentColor" viewBox="0 0 24 24"><path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M9 5H7a2 2 0 00-2 2v12a2 2 0 002 2h10a2 2 0 002-2V7a2 2 0 00-2-2h-2M9 5a2 2 0 002 2h2a2 2 0 002-2M9 5a2 2 0 012-2h2a2 2 0 012 2m-3 7h3m-3 4h3m-6-4h.01M9 16h.01"></path></svg>`;
+        } else if (type === 'page') {
+            details.icon = `<svg class="${iconClass}" fill="none" stroke="currentColor" viewBox="0 0 24 24"><path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M9 12h6m-6 4h6m2 5H7a2 2 0 01-2-2V5a2 2 0 012-2h5.586a1 1 0 01.707.293l5.414 5.414a1 1 0 01.293.707V19a2 2 0 01-2 2z"></path></svg>`;
+        } else if (type === 'externalurl') {
+            details.icon = `<svg class="${iconClass}" fill="none" stroke="currentColor" viewBox="0 0 24 24"><path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M13.828 10.172a4 4 0 00-5.656 0l-4 4a4 4 0 105.656 5.656l1.102-1.101m-.758-4.899a4 4 0 005.656 0l4-4a4 4 0 00-5.656-5.656l-1.1 1.1"></path></svg>`;
+        } else if (type === 'survey') {
+            details.icon = `<svg class="${iconClass}" fill="none" stroke="currentColor" viewBox="0 0 24 24"><path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M9 5H7a2 2 0 00-2 2v12a2 2 0 002 2h10a2 2 0 002-2V7a2 2 0 00-2-2h-2M9 5a2 2 0 002 2h2a2 2 0 002-2M9 5a2 2 0 012-2h2a2 2 0 012 2m-6 9l2 2 4-4"></path></svg>`;
+        } else if (type === 'question_bank') {
+            details.icon = `<svg class="${iconClass}" fill="none" stroke="currentColor" viewBox="0 0 24 24"><path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M19 11H5m14 0a2 2 0 012 2v6a2 2 0 01-2 2H5a2 2 0 01-2-2v-6a2 2 0 012-2m14 0V9a2 2 0 00-2-2M5 11V9a2 2 0 012-2m0 0V5a2 2 0 012-2h6a2 2 0 012 2v2M7 7h10"></path></svg>`;
+        } else if (type === 'quiz' || type === 'new_quiz') {
+            details.icon = `<svg class="${iconClass}" fill="none" stroke="currentColor" viewBox="0 0 24 24"><path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M8.228 9c.549-1.165 2.03-2 3.772-2 2.21 0 4 1.343 4 3 0 1.4-1.278 2.575-3.006 2.907-.542.104-.994.54-.994 1.093m0 3h.01M21 12a9 9 0 11-18 0 9 9 0 0118 0z"></path></svg>`;
+        } else if (type === 'announcement') {
+            details.icon = `<svg class="${iconClass}" fill="none" stroke="currentColor" viewBox="0 0 24 24"><path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M11 5.882V19.24a1.76 1.76 0 01-3.417.592l-2.147-6.15M18 13a3 3 0 100-6M5.436 13.683A4.001 4.001 0 017 6h1.832c4.1 0 7.625-2.236 9.168-5.518l-2.168 1.558a6.002 6.002 0 00-4.5 3.468V13a3 3 0 00-3-3H5.436z"></path></svg>`;
+        } else if (type === 'discussion') {
+            details.icon = `<svg class="${iconClass}" fill="none" stroke="currentColor" viewBox="0 0 24 24"><path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M8 12h.01M12 12h.01M16 12h.01M21 12c0 4.418-4.03 8-9 8a9.863 9.863 0 01-4.255-.949L3 20l1.395-3.72C3.512 15.042 3 13.574 3 12c0-4.418 4.03-8 9-8s9 3.582 9 8z"></path></svg>`;
         }
+        return details;
+    }
 
-        /**
-         * Render the course structure accordion.
-         * Implementation mirrors original behavior.
-         */
-        function displayModules(modules: Module[]) {
-            const container = document.getElementById('course-structure')!;
-            container.innerHTML = '';
-            if (!modules.length) {
-                container.innerHTML = '<p class="text-gray-500">No course structure found in manifest.</p>';
-                return;
-            }
-
-            modules.forEach(module => {
-                const accordionDiv = document.createElement('div');
-                accordionDiv.className = 'border border-gray-200 rounded-lg';
+    /**
+     * Unlock date, prerequisites and completion requirements of a module as HTML lines (empty if none).
+     */
+    function moduleSettings(module: Module): string {
+        const lines: string[] = [];
+        if (module.unlockAt) lines.push(`<p><strong>Unlocks</strong>: ${_.escape(module.unlockAt.replace('T', ' '))}</p>`);
+        if (module.prerequisites.length) {
+            lines.push(`<p><strong>Prerequisites</strong>: ${module.prerequisites.map(p => _.escape(p.title || p.identifierRef)).join(', ')}</p>`);
+        }
+        if (module.completionRequirements.length) {
+            lines.push(`<p><strong>Requirements</strong>: students must complete ${module.requirementCount === 'one' ? 'one' : 'all'} of the marked items${module.requireSequentialProgress ? ', in order' : ''}</p>`);
+        }
+        return lines.join('');
+    }
 
-                const button = document.createElement('button');
-                button.className = 'accordion-header w-full flex justify-between items-center p-4 text-left font-semibold text-gray-800 bg-gray-50 hover:bg-gray-100 focus:outline-none';
+    /**
+     * Display the module structure audit above the module list.
+     */
+    function displayModuleAudit(modules: Module[], resources: Resource[]) {
+        const container = document.getElementById('module-audit')!;
+        const findings = auditModuleStructure(modules, resources);
+
+        const counts = _.countBy(findings, f => f.code);
+        const colors: { [K in ModuleAuditCode]: string } = {
+            'empty-module': 'gray',
+            'published-in-unpublished-module': 'yellow',
+            'unpublished-in-published-module': 'yellow',
+            'not-in-module': 'red',
+            'multiple-modules': 'blue',
+            'empty-text-header': 'gray',
+        };
 
-                const statusIndicator = module.status === 'active'
-                    ? DEFAULT_BADGES.status.published
-                    : DEFAULT_BADGES.status.unpublished;
+        if (findings.length === 0) {
+            container.innerHTML = `<p class="text-sm">${createBadge('No module structure issues found', 'green')}</p>`;
+            return;
+        }
 
-                button.innerHTML = `
-                        <span class="truncate pr-4">${module.title}</span>
-                        <div class="flex items-center flex-shrink-0">
-                            ${statusIndicator}
-                            <svg class="w-5 h-5 transform transition-transform ml-4" fill="none" stroke="currentColor" viewBox="0 0 24 24"><path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M19 9l-7 7-7-7"></path></svg>
-                        </div>
-                    `;
+        container.innerHTML = `
+            <p class="text-sm font-medium text-gray-700 mb-2">Structure audit:</p>
+            <p class="flex flex-wrap gap-1 mb-3">
+                ${(Object.keys(MODULE_AUDIT_LABELS) as ModuleAuditCode[]).filter(code => counts[code]).map(code => createBadge(`${counts[code]} ${MODULE_AUDIT_LABELS[code]}`, colors[code])).join(' ')}
+            </p>
+            <ul class="space-y-2 max-h-64 overflow-y-auto">
+                ${findings.map(f => `
+                    <li class="p-2 rounded-md bg-gray-50 text-sm text-gray-700">
+                        ${createBadge(MODULE_AUDIT_LABELS[f.code], colors[f.code])}
+                        ${f.itemTitle ? `<span class="font-medium">${_.escape(f.itemTitle)}</span>` : ''}
+                        ${f.moduleTitle ? `<span class="text-gray-500">${f.itemTitle ? 'in ' : ''}${_.escape(f.moduleTitle)}</span>` : ''}
+                        ${f.detail ? `<span class="text-gray-500">(${_.escape(f.detail)})</span>` : ''}
+                    </li>`).join('')}
+            </ul>
+        `;
+    }
 
-                const content = document.createElement('div');
-                content.className = 'accordion-content bg-white';
-
-                const innerContent = document.createElement('div');
-                innerContent.className = 'p-4 border-t border-gray-200';
-
-                const ul = document.createElement('ul');
-                ul.className = 'space-y-3';
-
-                module.items.forEach(item => {
-                    const li = document.createElement('li');
-                    li.className = 'flex items-center justify-between text-gray-700';
-
-                    // Use numeric indent from module_meta.xml (safe default 0)
-                    const rawIndent = item.indent; // Use the indent from the item directly
-                    const indentLevel = Number.isFinite(rawIndent) ? Math.max(0, Math.floor(rawIndent)) : 0;
-
-                    // Apply visual indentation (padding-left) so layout remains stable.
-                    li.style.paddingLeft = `${indentLevel * 1.5}rem`;
-
-                    // Get the correct type details from allCourseContent
-                    const itemClarifiedType = (item.clarifiedType != 'tbd' && item.clarifiedType != 'unspecified') ? item.clarifiedType : item.contentType;
-                    const typeDetails = getItemTypeDetails(itemClarifiedType.toLowerCase());
-                    const itemStatusIndicator = item.status === 'active'
-                        ? DEFAULT_BADGES.status.published
-                        : DEFAULT_BADGES.status.unpublished;
-
-                    li.innerHTML = `
-                            <div class="flex items-center flex-grow min-w-0">
-                                ${typeDetails.icon}
-                                <span class="truncate" title="${item.title}">${item.title}</span>
-                            </div>
-                            <div class="flex items-center flex-shrink-0 ml-4 space-x-2">
-                                <span class="text-xs text-gray-600 bg-gray-100 px-2 py-1 rounded-md">${typeDetails.label}</span>
-                                ${itemStatusIndicator}
-                            </div>
-                        `;
-                    ul.appendChild(li);
-                });
+    /**
+     * Word count, grade level and estimated time of an item, with badges for the limits it exceeds.
+     */
+    function itemWorkloadDetails(item: ItemWorkload | undefined, workload: CourseWorkload): string {
+        if (!item) return '';
+        const issues = workload.findings.filter(f => f.code !== 'heavy-module' && f.title === item.title);
+        const media = [
+            ...(item.videos ? [`${item.videos} video(s)`] : []),
+            ...(item.attachments ? [`${item.attachments} attachment(s)`] : []),
+        ];
+        return `
+            ${issues.map(f => createBadge(WORKLOAD_ISSUE_LABELS[f.code], 'yellow')).join('')}
+            <span class="text-xs text-gray-500" title="Words, Flesch-Kincaid grade level and estimated time">
+                ${item.words.toLocaleString()} words${item.gradeLevel !== null ? ` &middot; grade ${item.gradeLevel}` : ''}${media.length ? ` &middot; ${media.join(', ')}` : ''} &middot; ~${formatMinutes(item.minutes)}
+            </span>`;
+    }
 
-                innerContent.appendChild(ul);
-                content.appendChild(innerContent);
-                accordionDiv.appendChild(button);
-                accordionDiv.appendChild(content);
-                container.appendChild(accordionDiv);
-            });
+    /**
+     * Redraw the module and content lists with the workload of every item and module.
+     */
+    function displayWorkload(workload: CourseWorkload) {
+        displayModules(allModules, workload);
+        displayCourseContent(allResources, workload);
+    }
 
-            // Add accordion toggle functionality
-            container.querySelectorAll('.accordion-header').forEach(button => {
-                button.addEventListener('click', () => {
-                    const content = button.nextElementSibling;
-                    const icon = button.querySelector('svg');
-
-                    if (content instanceof HTMLElement && icon) {
-                        if (content.style.maxHeight.charAt(0) !== '0') {
-                            content.style.maxHeight = '0px';
-                            icon.classList.remove('rotate-180');
-                        } else {
-                            content.style.maxHeight = 'fit-content';
-                            icon.classList.add('rotate-180');
-                        }
-                    }
-                });
-            });
+    /**
+     * Render the course structure accordion.
+     * Implementation mirrors original behavior.
+     */
+    function displayModules(modules: Module[], workload: CourseWorkload | null = null) {
+        const container = document.getElementById('course-structure')!;
+        container.innerHTML = '';
+        if (!modules.length) {
+            container.innerHTML = '<p class="text-gray-500">No course structure found in manifest.</p>';
+            return;
         }
 
-        /**
-         * Render grouped course content accordion (by type).
-         */
-        function displayCourseContent(contentItems: Resource[]) {
-            const container = document.getElementById('course-content-list')!;
-            container.innerHTML = '';
-            if (!contentItems.length) {
-                container.innerHTML = '<p class="text-gray-500">No content items found.</p>';
-                return;
-            }
+        modules.forEach(module => {
+            const accordionDiv = document.createElement('div');
+            accordionDiv.className = 'border border-gray-200 rounded-lg';
 
-            const groupedByType = contentItems.reduce((acc, item) => {
-                const typeLabel = getItemTypeDetails(item.clarifiedType).label;
-                (acc[typeLabel] = acc[typeLabel] || []).push(item);
-                return acc;
-            }, {} as { [key: string]: Resource[] });
-
-            for (const [type, items] of Object.entries(groupedByType)) {
-                const accordionDiv = document.createElement('div');
-                accordionDiv.className = 'border border-gray-200 rounded-lg';
-
-                const button = document.createElement('button');
-                button.className = 'accordion-header w-full flex justify-between items-center p-4 text-left font-semibold text-gray-800 bg-gray-50 hover:bg-gray-100 focus:outline-none';
-                button.innerHTML = `
-                        <span>${type} (${(items as any[]).length})</span>
-                        <svg class="w-5 h-5 transform transition-transform" fill="none" stroke="currentColor" viewBox="0 0 24 24"><path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M19 9l-7 7-7-7"></path></svg>
-                    `;
+            const button = document.createElement('button');
+            button.className = 'accordion-header w-full flex justify-between items-center p-4 text-left font-semibold text-gray-800 bg-gray-50 hover:bg-gray-100 focus:outline-none';
 
-                const content = document.createElement('div');
-                content.className = 'accordion-content bg-white';
-                const innerContent = document.createElement('div');
-                innerContent.className = 'p-4 border-t border-gray-200';
-                const ul = document.createElement('ul');
-                ul.className = 'space-y-3';
+            const statusIndicator = module.status === 'active'
+                ? DEFAULT_BADGES.status.published
+                : DEFAULT_BADGES.status.unpublished;
+            const moduleWorkload = workload?.modules.find(m => m.title === module.title);
+            const heavy = !!workload?.findings.some(f => f.code === 'heavy-module' && f.title === module.title);
+            const workloadIndicator = moduleWorkload && moduleWorkload.items > 0
+                ? `<span class="mr-2" title="${moduleWorkload.words.toLocaleString()} words, ${moduleWorkload.videos} video(s), ${moduleWorkload.attachments} attachment(s)">${createBadge(`~${formatMinutes(moduleWorkload.minutes)}`, heavy ? 'red' : 'gray')}</span>`
+                : '';
 
-                items.sort((a, b) => a.title.localeCompare(b.title)).forEach(item => {
-                    const li = document.createElement('li');
-                    li.className = 'flex items-center justify-between text-gray-700 text-sm';
-                    const statusIndicator = item.status === 'active' ? DEFAULT_BADGES.status.published : DEFAULT_BADGES.status.unpublished;
-                    const moduleIndicator = item.moduleTitle !== undefined ? createBadge('In Module', 'blue') : createBadge('Not in Module', 'gray');
+            button.innerHTML = `
+                    <span class="truncate pr-4">${module.title}</span>
+                    <div class="flex items-center flex-shrink-0">
+                        ${workloadIndicator}
+                        ${statusIndicator}
+                        <svg class="w-5 h-5 transform transition-transform ml-4" fill="none" stroke="currentColor" viewBox="0 0 24 24"><path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M19 9l-7 7-7-7"></path></svg>
+                    </div>
+                `;
 
-                    li.innerHTML = `
-                            <span class="truncate" title="${item.title}">${item.title}</span>
-                            <div class="flex items-center flex-shrink-0 ml-4 space-x-2">
-                                ${moduleIndicator}
-                                ${statusIndicator}
-                            </div>
-                        `;
-                    ul.appendChild(li);
-                });
+            const content = document.createElement('div');
+            content.className = 'accordion-content bg-white';
 
-                innerContent.appendChild(ul);
-                content.appendChild(innerContent);
-                accordionDiv.appendChild(button);
-                accordionDiv.appendChild(content);
-                container.appendChild(accordionDiv);
+            const innerContent = document.createElement('div');
+            innerContent.className = 'p-4 border-t border-gray-200';
+
+            const settings = moduleSettings(module);
+            if (settings) {
+                const settingsDiv = document.createElement('div');
+                settingsDiv.className = 'mb-3 text-sm text-gray-500 space-y-1';
+                settingsDiv.innerHTML = settings;
+                innerContent.appendChild(settingsDiv);
             }
 
-            container.querySelectorAll('.accordion-header').forEach(button => {
-                button.addEventListener('click', () => {
-                    const content = button.nextElementSibling;
-                    const icon = button.querySelector('svg');
-                    if (content instanceof HTMLElement && icon) {
-                        if (content.style.maxHeight.charAt(0) !== '0') {
-                            content.style.maxHeight = '0px';
-                            icon.classList.remove('rotate-180');
-                        } else {
-                            content.style.maxHeight = 'fit-content';
-                            icon.classList.add('rotate-180');
-                        }
-                    }
-                });
-            });
-        }
+            const requirementsByItem = new Map(module.completionRequirements.map(r => [r.moduleItemIdentifier, r]));
 
-        /* =========================================================================
-           Content analysis (links, files, videos, accessibility)
-           ========================================================================= */
-
-        /**
-         * Analyze provided items: extract links/files/videos and run accessibility checks.
-         * items - items to analyze (with href and analysisType)
-         */
-        async function analyzeContent(fileContents: { [key: string]: string }, items: Resource[]) {
-            let allLinks: LinkObject[] = [], allFiles: FileObject[] = [], allVideos: VideoObject[] = [];
-
-            for (const item of items) {
-                if (!item.analysisHref) continue
-                const content = fileContents[item.analysisHref];
-                if (!content) continue;
-
-                let doc: Document;
-                if (item.analysisType === 'xml') {
-                    const xmlDoc = SHARED_PARSER.parseFromString(content, "application/xml");
-                    const description = xmlDoc.querySelector("description");
-                    const htmlContent = description ? description.textContent : '';
-                    doc = SHARED_PARSER.parseFromString(htmlContent, "text/html");
-                } else if (item.analysisType === 'discussion_xml') {
-                    const xmlDoc = SHARED_PARSER.parseFromString(content, "application/xml");
-                    const text = xmlDoc.querySelector("text");
-                    const htmlContent = text ? text.textContent : '';
-                    doc = SHARED_PARSER.parseFromString(htmlContent, "text/html");
-                } else {
-                    doc = SHARED_PARSER.parseFromString(content, "text/html");
-                }
+            const ul = document.createElement('ul');
+            ul.className = 'space-y-3';
 
-                allLinks.push(...findLinks(doc, item));
-                allFiles.push(...findFileAttachments(doc, item));
-                allVideos.push(...findVideos(doc, item));
-            }
+            module.items.forEach(item => {
+                const li = document.createElement('li');
+                li.className = 'flex items-center justify-between text-gray-700';
 
-            await runAndDisplayAccessibilityChecks(items, fileContents);
-            await checkAndDisplayLinks(allLinks);
-            displayFileAttachments(allFiles);
-            displayVideos(allVideos);
-        }
+                // Use numeric indent from module_meta.xml (safe default 0)
+                const rawIndent = item.indent; // Use the indent from the item directly
+                const indentLevel = Number.isFinite(rawIndent) ? Math.max(0, Math.floor(rawIndent)) : 0;
 
-        /**
-         * Run axe accessibility checks on items and prepare data for the accessibility tab.
-         */
-        async function runAndDisplayAccessibilityChecks(items: Resource[], fileContents: { [key: string]: string }) {
-            let allResults: EnhancedAxeResults | null = null;
-
-            for (const item of items) {
-                if (!item.analysisHref) continue;
-                const content = fileContents[item.analysisHref];
-                if (!content) continue;
-
-                let doc: Document;
-
-                if (item.analysisType === 'xml') {
-                    const xmlDoc = SHARED_PARSER.parseFromString(content, "application/xml");
-                    const description = xmlDoc.querySelector("description");
-                    const htmlContent = description ? description.textContent : '';
-                    doc = SHARED_PARSER.parseFromString(htmlContent, "text/html");
-                } else if (item.analysisType === 'discussion_xml') {
-                    const xmlDoc = SHARED_PARSER.parseFromString(content, "application/xml");
-                    const text = xmlDoc.querySelector("text");
-                    const htmlContent = text ? text.textContent : '';
-                    doc = SHARED_PARSER.parseFromString(htmlContent, "text/html");
-                } else {
-                    doc = SHARED_PARSER.parseFromString(content, "text/html");
-                }
+                // Apply visual indentation (padding-left) so layout remains stable.
+                li.style.paddingLeft = `${indentLevel * 1.5}rem`;
 
-                if (doc.body && doc.body.innerHTML.trim() !== '') {
-                    try {
-                        if (doc.body.querySelectorAll('*').length > 0) {
-                            const axeOptions = {
-                                preload: false,
-                                runOnly: ['wcag2a', 'wcag2aa', 'wcag21a', 'wcag21aa'],
-                            };
-                            const results = await axe.run(doc.body.querySelectorAll('*'), axeOptions);
-
-                            const addMetadata = (type: string, issue: Axe.Result) => ({
-                                ...issue,
-                                type,
-                                parentItemTitle: item.title,
-                                parentItemType: getItemTypeDetails(item.clarifiedType).label,
-                                parentItemStatus: item.status,
-                                parentItemModuleTitle: item.moduleTitle
-                            }) as EnhancedAxeResult;
-
-                            // If allResults hasn't been initialized yet, do so now
-                            if (allResults === null) allResults = {
-                                ...results,
-                                violations: [],
-                                passes: [],
-                                incomplete: [],
-                                inapplicable: []
-                            };
-
-                            allResults.violations.push(...results.violations.map(issue => addMetadata('violations', issue)));
-                            allResults.passes.push(...results.passes.map(issue => addMetadata('passes', issue)));
-                            allResults.incomplete.push(...results.incomplete.map(issue => addMetadata('incomplete', issue)));
-                            allResults.inapplicable.push(...results.inapplicable.map(issue => addMetadata('inapplicable', issue)));
-                        }
-                    } catch (e) {
-                        console.warn(`Accessibility scan skipped for ${item.title}: ${(e as Error).message}`);
-                    }
-                }
-            }
+                // Get the correct type details from allCourseContent
+                const itemClarifiedType = (item.clarifiedType != 'tbd' && item.clarifiedType != 'unspecified') ? item.clarifiedType : item.contentType;
+                const typeDetails = getItemTypeDetails(itemClarifiedType.toLowerCase());
+                const itemStatusIndicator = item.status === 'active'
+                    ? DEFAULT_BADGES.status.published
+                    : DEFAULT_BADGES.status.unpublished;
+                const requirement = requirementsByItem.get(item.identifier);
 
-            if (!allResults) throw new Error('allResults should NOT be null.');
-            accessibilityData = allResults;
+                li.innerHTML = `
+                        <div class="flex items-center flex-grow min-w-0">
+                            ${typeDetails.icon}
+                            <span class="truncate" title="${item.title}">${item.title}</span>
+                        </div>
+                        <div class="flex items-center flex-shrink-0 ml-4 space-x-2">
+                            ${workload && item.identifierRef ? itemWorkloadDetails(workload.items.find(i => i.resourceIdentifier === item.identifierRef), workload) : ''}
+                            ${requirement ? createBadge(completionRequirementLabel(requirement), 'purple') : ''}
+                            <span class="text-xs text-gray-600 bg-gray-100 px-2 py-1 rounded-md">${typeDetails.label}</span>
+                            ${itemStatusIndicator}
+                        </div>
+                    `;
+                ul.appendChild(li);
+            });
 
-            setupAccessibilityTab(accessibilityData, items);
-        }
-
-        /* =========================================================================
-           Accessibility tab: controls & rendering
-           ========================================================================= */
-
-        /**
-         * Build the accessibility controls and wire up filters and sorting.
-         */
-        function setupAccessibilityTab(results: EnhancedAxeResults, allScannedItems: Resource[]) {
-            const controlsContainer = document.getElementById('accessibility-controls')!;
-            controlsContainer.innerHTML = '';
-
-            // Create grid for filters
-            const filterGrid = document.createElement('div');
-            filterGrid.className = 'grid grid-cols-1 md:grid-cols-2 lg:grid-cols-4 gap-4';
-
-            // 1. Result Type Filters
-            const resultTypeContainer = document.createElement('div');
-            resultTypeContainer.innerHTML = `<label class="block text-sm font-medium text-gray-700 mb-2">Show Results:</label>`;
-            const resultTypeFilters = document.createElement('div');
-            resultTypeFilters.id = 'result-type-filters';
-            resultTypeFilters.className = 'flex flex-wrap gap-4';
-
-            const categories = [
-                { name: 'Violations', data: results.violations, color: 'red' },
-                { name: 'Passes', data: results.passes, color: 'green' },
-                { name: 'Incomplete', data: results.incomplete, color: 'yellow' }
-            ];
-
-            categories.forEach(cat => {
-                const filterId = `filter-check-${cat.name.toLowerCase()}`;
-                const filterWrapper = document.createElement('div');
-                filterWrapper.className = 'flex items-center';
-                const checkbox = document.createElement('input');
-                checkbox.type = 'checkbox';
-                checkbox.id = filterId;
-                checkbox.dataset['category'] = cat.name.toLowerCase();
-                checkbox.className = 'h-4 w-4 rounded border-gray-300 text-indigo-600 focus:ring-indigo-500';
-                if (cat.name === 'Violations') checkbox.checked = true;
-
-                const label = document.createElement('label');
-                label.htmlFor = filterId;
-                label.className = 'ml-2 flex items-center cursor-pointer';
-                label.innerHTML = `${cat.name} ${cat.name === 'Incomplete' ? '(Manual Inspection Recommended)' : ''} &nbsp; ${createBadge(cat.data.length.toString(), 'purple')}`;
-
-                filterWrapper.appendChild(checkbox);
-                filterWrapper.appendChild(label);
-                resultTypeFilters.appendChild(filterWrapper);
-            });
-            resultTypeContainer.appendChild(resultTypeFilters);
-            filterGrid.appendChild(resultTypeContainer);
-
-            // 2. Item Type Filters
-            const allItemTypes = [...new Set([...results.violations, ...results.passes].map(r => r.parentItemType))];
-            if (allItemTypes.length > 1) {
-                const itemTypeContainer = document.createElement('div');
-                itemTypeContainer.innerHTML = `<label class="block text-sm font-medium text-gray-700 mb-2">Filter by Item Type:</label>`;
-                const itemTypeFilters = document.createElement('div');
-                itemTypeFilters.id = 'item-type-filters';
-                itemTypeFilters.className = 'flex flex-wrap gap-4';
-
-                allItemTypes.forEach(type => {
-                    const filterId = `filter-item-type-${type.replace(/\s+/g, '')}`;
-                    const filterWrapper = document.createElement('div');
-                    filterWrapper.className = 'flex items-center';
-                    const checkbox = document.createElement('input');
-                    checkbox.type = 'checkbox';
-                    checkbox.id = filterId;
-                    checkbox.dataset['itemType'] = type;
-                    checkbox.className = 'h-4 w-4 rounded border-gray-300 text-indigo-600 focus:ring-indigo-500';
-                    checkbox.checked = true;
-
-                    const label = document.createElement('label');
-                    label.htmlFor = filterId;
-                    label.className = 'ml-2 flex items-center cursor-pointer text-sm';
-                    label.textContent = type;
-
-                    filterWrapper.appendChild(checkbox);
-                    filterWrapper.appendChild(label);
-                    itemTypeFilters.appendChild(filterWrapper);
-                });
-                itemTypeContainer.appendChild(itemTypeFilters);
-                filterGrid.appendChild(itemTypeContainer);
-            }
-
-            // 3. Status Filters
-            const statusContainer = document.createElement('div');
-            statusContainer.innerHTML = `<label class="block text-sm font-medium text-gray-700 mb-2">Filter by Status:</label>`;
-            const statusFilters = document.createElement('div');
-            statusFilters.id = 'status-filters';
-            statusFilters.className = 'flex flex-wrap gap-4';
-            statusFilters.innerHTML = `
-                    <div class="flex items-center">
-                        <input id="filter-status-published" type="checkbox" data-status="active" class="h-4 w-4 rounded border-gray-300 text-indigo-600 focus:ring-indigo-500" checked>
-                        <label for="filter-status-published" class="ml-2 text-sm">Published</label>
-                    </div>
-                    <div class="flex items-center">
-                        <input id="filter-status-unpublished" type="checkbox" data-status="unpublished" class="h-4 w-4 rounded border-gray-300 text-indigo-600 focus:ring-indigo-500" checked>
-                        <label for="filter-status-unpublished" class="ml-2 text-sm">Unpublished</label>
-                    </div>
-                `;
-            statusContainer.appendChild(statusFilters);
-            filterGrid.appendChild(statusContainer);
-
-            // 4. Module Filters
-            const moduleContainer = document.createElement('div');
-            moduleContainer.innerHTML = `<label class="block text-sm font-medium text-gray-700 mb-2">Filter by Location:</label>`;
-            const moduleFilters = document.createElement('div');
-            moduleFilters.id = 'module-filters';
-            moduleFilters.className = 'flex flex-wrap gap-4';
-            moduleFilters.innerHTML = `
-                    <div class="flex items-center">
-                        <input id="filter-module-in" type="checkbox" data-in-module="true" class="h-4 w-4 rounded border-gray-300 text-indigo-600 focus:ring-indigo-500" checked>
-                        <label for="filter-module-in" class="ml-2 text-sm">In a Module</label>
-                    </div>
-                    <div class="flex items-center">
-                        <input id="filter-module-out" type="checkbox" data-in-module="false" class="h-4 w-4 rounded border-gray-300 text-indigo-600 focus:ring-indigo-500" checked>
-                        <label for="filter-module-out" class="ml-2 text-sm">Not in a Module</label>
-                    </div>
-                `;
-            moduleContainer.appendChild(moduleFilters);
-            filterGrid.appendChild(moduleContainer);
-
-            controlsContainer.appendChild(filterGrid);
-
-            // 5. Sort control
-            const sortContainer = document.createElement('div');
-            sortContainer.innerHTML = `<label for="sort-select" class="block text-sm font-medium text-gray-700 mt-4">Sort by:</label>`;
-            const select = document.createElement('select');
-            select.id = 'sort-select';
-            select.className = 'mt-1 block w-full md:w-1/4 pl-3 pr-10 py-2 text-base border-gray-300 focus:outline-none focus:ring-indigo-500 focus:border-indigo-500 sm:text-sm rounded-md';
-            select.innerHTML = `
-                    <option value="name-asc">Item Name (A-Z)</option>
-                    <option value="name-desc">Item Name (Z-A)</option>
-                `;
-            sortContainer.appendChild(select);
-            controlsContainer.appendChild(sortContainer);
-
-            // Wire up events and render initial results
-            controlsContainer.querySelectorAll('input[type="checkbox"], select').forEach(el => {
-                el.addEventListener('change', renderAccessibilityResults);
-            });
-            renderAccessibilityResults();
-
-            // Add debug accordion listing scanned items (mirrors original)
-            const debugAccordion = createDebugAccordion(allScannedItems);
-            document.getElementById('accessibility-results')!.appendChild(debugAccordion);
-        }
-
-        /**
-         * Render accessibility results honoring filters and sort control.
-         */
-        function renderAccessibilityResults() {
-            const resultsContainer = document.getElementById('accessibility-results')!;
-            resultsContainer.innerHTML = '';
-
-            const selectedResultTypes = Array.from(document.querySelectorAll('#result-type-filters input:checked')).map(cb => (cb as HTMLInputElement).dataset['category']);
-
-            const itemTypeFilters = document.querySelectorAll('#item-type-filters input');
-            const selectedItemTypes = Array.from(itemTypeFilters).length > 0
-                ? Array.from(itemTypeFilters).filter(cb => (cb as HTMLInputElement).checked).map(cb => (cb as HTMLInputElement).dataset['itemType'])
-                : null;
-
-            const selectedStatuses = Array.from(document.querySelectorAll('#status-filters input:checked')).map(cb => (cb as HTMLInputElement).dataset['status']);
+            innerContent.appendChild(ul);
+            content.appendChild(innerContent);
+            accordionDiv.appendChild(button);
+            accordionDiv.appendChild(content);
+            container.appendChild(accordionDiv);
+        });
 
-            const inModule = (document.getElementById('filter-module-in') as HTMLInputElement)?.checked;
-            const notInModule = (document.getElementById('filter-module-in') as HTMLInputElement)?.checked;
+        // Add accordion toggle functionality
+        container.querySelectorAll('.accordion-header').forEach(button => {
+            button.addEventListener('click', () => {
+                const content = button.nextElementSibling;
+                const icon = button.querySelector('svg');
 
-            let filteredResults: EnhancedAxeResult[] = [];
-            selectedResultTypes.forEach(type => {
-                if (!type) return;
-                const results = accessibilityData[type as keyof EnhancedAxeResults];
-                if (Array.isArray(results)) {
-                    // TS now knows results is an array at runtime; assert element type
-                    filteredResults.push(...(results as EnhancedAxeResult[]));
+                if (content instanceof HTMLElement && icon) {
+                    if (content.style.maxHeight.charAt(0) !== '0') {
+                        content.style.maxHeight = '0px';
+                        icon.classList.remove('rotate-180');
+                    } else {
+                        content.style.maxHeight = 'fit-content';
+                        icon.classList.add('rotate-180');
+                    }
                 }
-                // if (type && type in accessibilityData) filteredResults.push(...accessibilityData[type as keyof EnhancedAxeResults]);
             });
+        });
+    }
 
-            filteredResults = filteredResults.filter(result => {
-                const itemTypeMatch = selectedItemTypes ? selectedItemTypes.includes(result.parentItemType) : true;
-                const statusMatch = selectedStatuses.includes(result.parentItemStatus);
-                const inModuleMatch = inModule && result.parentItemModuleTitle;
-                const notInModuleMatch = notInModule && !result.parentItemModuleTitle;
-                return itemTypeMatch && statusMatch && (inModuleMatch || notInModuleMatch);
-            });
-
-            const groupedByItem = filteredResults.reduce((acc, issue) => {
-                (acc[issue.parentItemTitle] = acc[issue.parentItemTitle] || []).push(issue);
-                return acc;
-            }, {} as { [key: string]: EnhancedAxeResult[] });
-
-            const sortValue = (document.getElementById('sort-select') as HTMLSelectElement)?.value || 'name-asc';
-            const sortedItemTitles = Object.keys(groupedByItem).sort((a, b) => {
-                if (sortValue === 'name-asc') return a.localeCompare(b);
-                return b.localeCompare(a);
-            });
-
-            if (sortedItemTitles.length === 0) {
-                resultsContainer.innerHTML = '<p class="text-center text-gray-500 py-4">No results match the current filters.</p>';
-                return;
-            }
-
-            sortedItemTitles.forEach(itemTitle => {
-                const issues = groupedByItem[itemTitle];
-                const itemAccordion = createItemAccordion(itemTitle, issues);
-                resultsContainer.appendChild(itemAccordion);
-            });
+    /**
+     * Render grouped course content accordion (by type).
+     */
+    function displayCourseContent(contentItems: Resource[], workload: CourseWorkload | null = null) {
+        const container = document.getElementById('course-content-list')!;
+        container.innerHTML = '';
+        if (!contentItems.length) {
+            container.innerHTML = '<p class="text-gray-500">No content items found.</p>';
+            return;
         }
 
-        /**
-         * Create an accordion block for a single item and its issues.
-         */
-        function createItemAccordion(itemTitle: string, issues: EnhancedAxeResult[]): HTMLElement {
-            const firstIssue = issues[0];
+        const groupedByType = contentItems.reduce((acc, item) => {
+            const typeLabel = getItemTypeDetails(item.clarifiedType).label;
+            (acc[typeLabel] = acc[typeLabel] || []).push(item);
+            return acc;
+        }, {} as { [key: string]: Resource[] });
+
+        for (const [type, items] of Object.entries(groupedByType)) {
             const accordionDiv = document.createElement('div');
             accordionDiv.className = 'border border-gray-200 rounded-lg';
 
             const button = document.createElement('button');
-            button.className = 'accordion-header w-full flex justify-between items-center p-3 text-left text-sm font-medium text-gray-800 bg-gray-50 hover:bg-gray-100 focus:outline-none';
-
-            const itemStatusIndicator = firstIssue.parentItemStatus === 'active'
-                ? DEFAULT_BADGES.status.published
-                : DEFAULT_BADGES.status.unpublished;
-
+            button.className = 'accordion-header w-full flex justify-between items-center p-4 text-left font-semibold text-gray-800 bg-gray-50 hover:bg-gray-100 focus:outline-none';
             button.innerHTML = `
-                <div class="flex-grow min-w-0">
-                    <p class="truncate font-semibold">${itemTitle}</p>
-                    <p class="text-xs text-gray-500 truncate">Module: ${firstIssue.parentItemModuleTitle || 'N/A'}</p>
-                </div>
-                <div class="flex items-center flex-shrink-0 ml-4 space-x-2">
-                    <span class="text-xs text-gray-600 bg-gray-100 px-2 py-1 rounded-md">${firstIssue.parentItemType}</span>
-                    ${itemStatusIndicator}
+                    <span>${type} (${(items as any[]).length})</span>
                     <svg class="w-5 h-5 transform transition-transform" fill="none" stroke="currentColor" viewBox="0 0 24 24"><path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M19 9l-7 7-7-7"></path></svg>
-                </div>
-            `;
+                `;
 
             const content = document.createElement('div');
             content.className = 'accordion-content bg-white';
             const innerContent = document.createElement('div');
-            innerContent.className = 'p-4 border-t border-gray-200 space-y-2';
+            innerContent.className = 'p-4 border-t border-gray-200';
+            const ul = document.createElement('ul');
+            ul.className = 'space-y-3';
+
+            items.sort((a, b) => a.title.localeCompare(b.title)).forEach(item => {
+                const li = document.createElement('li');
+                li.className = 'flex items-center justify-between text-gray-700 text-sm';
+                const statusIndicator = item.status === 'active' ? DEFAULT_BADGES.status.published
+                    : item.status === 'unknown' ? DEFAULT_BADGES.status.unknown
+                    : DEFAULT_BADGES.status.unpublished;
+                // Question banks are only reachable through the quizzes that draw from them
+                const moduleIndicator = item.clarifiedType === 'question_bank' ? ''
+                    : item.moduleTitle !== undefined ? createBadge('In Module', 'blue') : createBadge('Not in Module', 'gray');
 
-            issues.forEach(issue => {
-                const issueAccordion = createIssueAccordion(issue);
-                innerContent.appendChild(issueAccordion);
+                li.innerHTML = `
+                        <span class="truncate" title="${item.title}">${item.title}</span>
+                        <div class="flex items-center flex-shrink-0 ml-4 space-x-2">
+                            ${workload ? itemWorkloadDetails(workload.items.find(i => i.resourceIdentifier === item.identifier), workload) : ''}
+                            ${moduleIndicator}
+                            ${statusIndicator}
+                        </div>
+                    `;
+                ul.appendChild(li);
             });
 
+            innerContent.appendChild(ul);
             content.appendChild(innerContent);
             accordionDiv.appendChild(button);
             accordionDiv.appendChild(content);
+            container.appendChild(accordionDiv);
+        }
 
+        container.querySelectorAll('.accordion-header').forEach(button => {
             button.addEventListener('click', () => {
+                const content = button.nextElementSibling;
                 const icon = button.querySelector('svg');
-                if (content && icon) {
+                if (content instanceof HTMLElement && icon) {
                     if (content.style.maxHeight.charAt(0) !== '0') {
-                        content.style.maxHeight = '0px'; // Collapse
+                        content.style.maxHeight = '0px';
                         icon.classList.remove('rotate-180');
                     } else {
-                        content.style.maxHeight = 'fit-content'; // Expand to fit content
+                        content.style.maxHeight = 'fit-content';
                         icon.classList.add('rotate-180');
                     }
                 }
             });
+        });
+    }
 
-            return accordionDiv;
-        }
+    /* =========================================================================
+       Content analysis (links, files, videos, accessibility)
+       ========================================================================= */
 
-        /**
-         * Create an accordion for a single accessibility issue.
-         */
-        function createIssueAccordion(issue: EnhancedAxeResult): HTMLElement {
-            const accordionDiv = document.createElement('div');
-            accordionDiv.className = 'border border-gray-200 rounded-lg';
+    /**
+     * Run accessibility checks on the items the worker extracted and render the
+     * link, file and video inventories it discovered.
+     */
+    async function analyzeContent(items: AnalysisItem[], run: number) {
+        await checkAndDisplayLinks(allLinks);
+        checkAnalysisRun(run);
+        if (fileInventory) displayFileInventory(fileInventory);
+        displayFileAttachments(allFiles, documentChecks);
+        displayVideos(allVideos, captionFiles);
+        displayImages(allImages);
+        await runAndDisplayAccessibilityChecks(items, run);
+    }
 
-            const button = document.createElement('button');
-            button.className = 'accordion-header w-full flex justify-between items-center p-2 text-left text-xs font-medium text-gray-700 bg-gray-50 hover:bg-gray-100 focus:outline-none';
-
-        
-            let issueTypeIndicator: string;
-            switch (issue.type) {
-                case 'violations':
-                    issueTypeIndicator = createBadge('Violation', 'red');
-                    break;  
-                case 'passes':
-                    issueTypeIndicator = createBadge('Pass', 'green');
-                    break;
-                case 'incomplete':
-                    issueTypeIndicator = createBadge('Incomplete', 'yellow');
-                    break;
-                default:
-                    issueTypeIndicator = createBadge('Other', 'gray');
-                    break;
+    /**
+     * Run axe accessibility checks on items and prepare data for the accessibility tab.
+     * Each item is rendered in a sandboxed offscreen frame first so layout-dependent
+     * rules (color contrast, target size, visibility) work on real styles.
+     * Stops without touching the tab once the run is cancelled or replaced.
+     */
+    async function runAndDisplayAccessibilityChecks(items: AnalysisItem[], run: number) {
+        let allResults: EnhancedAxeResults | null = null;
+        const renderFrame = createRenderFrame();
+
+        try {
+            for (const [index, analysisItem] of items.entries()) {
+                checkAnalysisRun(run);
+                const item = analysisItem.resource;
+                updateProgress(90 + (10 * (index / items.length)), `Checking accessibility: ${item.title}`);
+
+                try {
+                    const doc = await renderInFrame(renderFrame, analysisItem.html, SHARED_PARSER);
+                    checkAnalysisRun(run);
+                    if (doc.body && doc.body.innerHTML.trim() !== '' && doc.body.querySelectorAll('*').length > 0) {
+                        const results = await frameAxe(doc).run(doc.body.querySelectorAll('*'), AXE_RUN_OPTIONS);
+                        checkAnalysisRun(run);
+                        allResults = appendAxeResults(allResults, results, item);
+                    }
+                } catch (e) {
+                    // A cancelled run stops here instead of skipping to the next item
+                    checkAnalysisRun(run);
+                    console.warn(`Accessibility scan skipped for ${item.title}: ${(e as Error).message}`);
+                }
             }
+        } finally {
+            renderFrame.remove();
+        }
 
-            button.innerHTML = `
-                    <span class="truncate pr-4">${issueTypeIndicator} ${_.escape(issue.help)}</span>
-                    <div class="flex items-center flex-shrink-0 ml-4">
-                        ${DEFAULT_BADGES.impact[issue.impact!] || ''}
-                        <svg class="w-4 h-4 transform transition-transform ml-2" fill="none" stroke="currentColor" viewBox="0 0 24 24"><path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M19 9l-7 7-7-7"></path></svg>
-                    </div>
-                `;
+        checkAnalysisRun(run);
+        if (!allResults) throw new Error('allResults should NOT be null.');
+        accessibilityData = allResults;
 
+        setupAccessibilityTab(accessibilityData, items.map(i => i.resource));
+    }
 
+    /* =========================================================================
+       Triage: status badges, decision controls and filters shared by the
+       accessibility, link and video lists
+       ========================================================================= */
 
-            const content = document.createElement('div');
-            content.className = 'accordion-content bg-white';
+    const TRIAGE_COLORS: { [K in TriageStatus]: string } = { 'open': 'gray', 'false-positive': 'purple', 'fixed': 'green', 'deferred': 'yellow' };
 
-            const innerContent = document.createElement('div');
-            innerContent.className = 'p-3 border-t border-gray-200 text-xs space-y-2';
+    /**
+     * Badge for a finding's decision; open findings get none.
+     */
+    function triageBadge(fingerprint: string): string {
+        const status = triageStatus(triageDecisions, fingerprint);
+        return status === 'open' ? '' : createBadge(TRIAGE_STATUS_LABELS[status], TRIAGE_COLORS[status]);
+    }
 
-            // Safe access for nodes array to avoid undefined errors
-            const nodeHtml = (issue.nodes && issue.nodes[0] && issue.nodes[0].html) ? issue.nodes[0].html.replace(/</g, '&lt;').replace(/>/g, '&gt;') : '';
-            const nodeTargets = (issue.nodes && issue.nodes[0] && issue.nodes[0].target) ? issue.nodes[0].target.join(', ') : '';
+    /**
+     * Status select and note field for one finding. Changes are saved right
+     * away; badgeEl, if given, is updated to the new status.
+     */
+    function createTriageControls(fingerprint: string, badgeEl: HTMLElement | null = null): HTMLElement {
+        const decision = triageDecisions[fingerprint];
+        const wrapper = document.createElement('div');
+        wrapper.className = 'flex flex-wrap items-center gap-2 mt-2 text-xs';
+        wrapper.innerHTML = `
+                <label class="font-semibold text-gray-800">Triage:
+                    <select class="ml-1 border border-gray-300 rounded-md px-1 py-0.5 text-xs">
+                        ${TRIAGE_STATUSES.map(status => `<option value="${status}"${status === (decision?.status || 'open') ? ' selected' : ''}>${TRIAGE_STATUS_LABELS[status]}</option>`).join('')}
+                    </select>
+                </label>
+                <input type="text" placeholder="Note" aria-label="Triage note" value="${_.escape(decision?.note || '')}" class="flex-grow min-w-[12rem] border border-gray-300 rounded-md px-2 py-0.5 text-xs" />
+                <span class="text-gray-500">${decision?.updatedAt ? `Updated ${new Date(decision.updatedAt).toLocaleString()}` : ''}</span>
+            `;
+        const select = wrapper.querySelector('select')!;
+        const note = wrapper.querySelector('input')!;
+        const save = () => {
+            saveTriageDecision(fingerprint, select.value as TriageStatus, note.value.trim());
+            wrapper.querySelector('span')!.textContent = triageDecisions[fingerprint] ? `Updated ${new Date(triageDecisions[fingerprint].updatedAt).toLocaleString()}` : '';
+            if (badgeEl) badgeEl.innerHTML = triageBadge(fingerprint);
+        };
+        select.addEventListener('change', save);
+        note.addEventListener('change', save);
+        return wrapper;
+    }
 
-            // TODO: Add feature to show issue type
-            innerContent.innerHTML = `
-                    <div>
-                        <p class="font-semibold text-gray-800">Description:</p>
-                        <p class="text-gray-600">${_.escape(issue.description)}</p>
-                    </div>
-                    <div>
-                        <p class="font-semibold text-gray-800">Affected Element:</p>
-                        <pre class="bg-gray-100 p-2 rounded-md text-xs overflow-x-auto"><code>${nodeHtml}</code></pre>
-                    </div>
-                     <div>
-                        <p class="font-semibold text-gray-800">CSS Selector:</p>
-                        <p class="text-gray-600 font-mono">${nodeTargets}</p>
-                    </div>
-                    <a href="${issue.helpUrl}" target="_blank" class="text-indigo-600 hover:underline font-semibold">Learn More &rarr;</a>
-                `;
+    /**
+     * One checkbox per triage status, all checked, for a list's filters.
+     */
+    function triageFilterCheckboxes(idPrefix: string): string {
+        return TRIAGE_STATUSES.map(status => `
+                <div class="flex items-center">
+                    <input id="${idPrefix}-triage-${status}" type="checkbox" data-triage-status="${status}" class="h-4 w-4 rounded border-gray-300 text-indigo-600 focus:ring-indigo-500" checked>
+                    <label for="${idPrefix}-triage-${status}" class="ml-2 text-sm">${TRIAGE_STATUS_LABELS[status]}</label>
+                </div>`).join('');
+    }
 
-            content.appendChild(innerContent);
-            accordionDiv.appendChild(button);
-            accordionDiv.appendChild(content);
+    function selectedTriageStatuses(container: Element): TriageStatus[] {
+        return Array.from(container.querySelectorAll('input[data-triage-status]:checked')).map(cb => (cb as HTMLInputElement).dataset['triageStatus'] as TriageStatus);
+    }
 
-            button.addEventListener('click', (e) => {
-                e.stopPropagation();
-                const icon = button.querySelector('svg');
-                if (content && icon) {
-                    if (content.style.maxHeight.charAt(0) !== '0') {
-                        content.style.maxHeight = '0px';
-                        icon.classList.remove('rotate-180');
-                    } else {
-                        content.style.maxHeight = 'fit-content';
-                        icon.classList.add('rotate-180');
-                    }
-                }
-            });
+    /* =========================================================================
+       Accessibility tab: controls & rendering
+       ========================================================================= */
 
-            return accordionDiv;
+    /**
+     * Show checklist rule results below the axe results, failures first and by severity.
+     */
+    function displayCustomRules(results: CustomRuleResult[]) {
+        const container = document.getElementById('custom-rule-results')!;
+        if (results.length === 0) {
+            container.innerHTML = '<p class="text-sm text-gray-500">No checklist rules loaded. Import a rules file on the upload screen to check institution-specific requirements.</p>';
+            return;
         }
 
-        /**
-         * Create debug accordion listing scanned items (keeps original behavior).
-         */
-        function createDebugAccordion(scannedItems: Resource[]): HTMLElement {
-            const accordionDiv = document.createElement('div');
-            accordionDiv.className = 'border border-gray-200 rounded-lg mt-4';
+        const sorted = [...results].sort((a, b) => Number(a.passed) - Number(b.passed) || RULE_SEVERITIES.indexOf(a.severity) - RULE_SEVERITIES.indexOf(b.severity));
+        const failed = results.filter(r => !r.passed).length;
+        container.innerHTML = `
+            <h3 class="text-base font-semibold text-gray-800 mb-2">Checklist Rules: ${_.escape(customRules.name)}
+                ${createBadge(`${failed} failed`, failed ? 'red' : 'green')} ${createBadge(`${results.length - failed} passed`, 'green')}</h3>
+            <ul class="space-y-2">
+                ${sorted.map(r => `
+                    <li class="p-3 rounded-md bg-gray-50 text-sm text-gray-700">
+                        <p>${DEFAULT_BADGES.impact[r.severity]} ${r.passed ? createBadge('Pass', 'green') : createBadge('Fail', 'red')}
+                            <span class="font-medium">${_.escape(r.description)}</span>
+                            <span class="text-gray-500">(${_.escape(r.id)}; ${r.checked} checked)</span></p>
+                        ${r.failures.length ? `<ul class="mt-1 ml-4 list-disc">${r.failures.map(f => `<li>${_.escape(f.title)} <span class="text-gray-500">&mdash; ${_.escape(f.detail)}</span></li>`).join('')}</ul>` : ''}
+                    </li>`).join('')}
+            </ul>
+        `;
+    }
 
-            const button = document.createElement('button');
-            button.className = 'accordion-header w-full flex justify-between items-center p-3 text-left text-sm font-medium text-gray-700 bg-gray-100 hover:bg-gray-200 focus:outline-none';
-            button.innerHTML = `
-                    <span>Items Scanned for Accessibility (${scannedItems.length})</span>
-                    <svg class="w-5 h-5 transform transition-transform" fill="none" stroke="currentColor" viewBox="0 0 24 24"><path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M19 9l-7 7-7-7"></path></svg>
-                `;
+    const CONFORMANCE_COLORS: { [K in ConformanceLevel]: string } = {
+        'supports': 'green',
+        'partially-supports': 'yellow',
+        'does-not-support': 'red',
+        'not-evaluated': 'gray',
+    };
 
-            const content = document.createElement('div');
-            content.className = 'accordion-content bg-white';
-            const innerContent = document.createElement('div');
-            innerContent.className = 'p-4 border-t border-gray-200 max-h-48 overflow-y-auto';
-            const ul = document.createElement('ul');
-            ul.className = 'list-disc list-inside text-sm text-gray-600';
-            scannedItems.forEach(item => {
-                const li = document.createElement('li');
-                li.textContent = item.title;
-                ul.appendChild(li);
-            });
-            innerContent.appendChild(ul);
-            content.appendChild(innerContent);
-            accordionDiv.appendChild(button);
-            accordionDiv.appendChild(content);
+    /**
+     * Show the WCAG 2.1 A/AA conformance of the course below the checklist
+     * rules, criterion by criterion with the findings behind each.
+     */
+    function displayWcagConformance(wcag: WcagConformance) {
+        const container = document.getElementById('wcag-results')!;
+        const counts = _.countBy(wcag.criteria, c => c.conformance);
+        container.innerHTML = `
+            <h3 class="text-base font-semibold text-gray-800 mb-2">WCAG 2.1 Conformance
+                ${(Object.keys(CONFORMANCE_LABELS) as ConformanceLevel[]).map(level => createBadge(`${counts[level] || 0} ${CONFORMANCE_LABELS[level]}`, CONFORMANCE_COLORS[level])).join(' ')}</h3>
+            <p class="text-sm text-gray-500 mb-2">Judged from the automated checks only; criteria they do not cover need manual review.</p>
+            <ul class="space-y-2">
+                ${wcag.criteria.map(c => `
+                    <li class="p-3 rounded-md bg-gray-50 text-sm text-gray-700">
+                        <p>${createBadge(CONFORMANCE_LABELS[c.conformance], CONFORMANCE_COLORS[c.conformance])}
+                            <span class="font-medium">${_.escape(c.criterion.id)} ${_.escape(c.criterion.name)}</span>
+                            <span class="text-gray-500">(Level ${c.criterion.level})</span></p>
+                        <p class="mt-1 text-gray-600">${_.escape(c.remarks)}</p>
+                        ${c.findings.some(f => f.resultType !== 'passes') ? `<ul class="mt-1 ml-4 list-disc">${c.findings.filter(f => f.resultType !== 'passes').map(f => `
+                            <li>${_.escape(f.help)} <span class="text-gray-500">&mdash; ${f.resultType === 'violations' ? 'fails' : 'needs review'} in ${_.escape(f.items.join(', '))} (${f.elements} element(s))</span></li>`).join('')}</ul>` : ''}
+                    </li>`).join('')}
+            </ul>
+        `;
+        document.getElementById('wcag-export')!.classList.remove('hidden');
+    }
 
-            button.addEventListener('click', () => {
-                const icon = button.querySelector('svg');
-                if (content && icon) {
-                    if (content.style.maxHeight.charAt(0) !== '0') {
-                        content.style.maxHeight = '0px';
-                        icon.classList.remove('rotate-180');
-                    } else {
-                        content.style.maxHeight = 'fit-content';
-                        icon.classList.add('rotate-180');
-                    }
-                }
-            });
+    document.getElementById('wcag-report')!.addEventListener('click', () => {
+        const baseName = (currentFileName.replace(/\.(imscc|zip)$/i, '') || 'course') + '-qa';
+        const details = {
+            evaluator: (document.getElementById('wcag-evaluator') as HTMLInputElement).value.trim(),
+            notes: (document.getElementById('wcag-notes') as HTMLTextAreaElement).value.trim(),
+        };
+        downloadFile(`${baseName}-conformance.html`, renderConformanceReport(currentReport(), details), 'text/html;charset=utf-8');
+    });
 
-            return accordionDiv;
+    // Badge colors of the impact levels (see DEFAULT_BADGES), and matching chart bars
+    const IMPACT_COLORS: { [K in AxeImpact]: string } = { critical: 'red', serious: 'pink', moderate: 'yellow', minor: 'blue' };
+    const IMPACT_BAR_CLASSES: { [K in AxeImpact]: string } = { critical: 'bg-red-500', serious: 'bg-pink-500', moderate: 'bg-yellow-400', minor: 'bg-blue-400' };
+
+    /**
+     * Course-wide overview of the violations for prioritizing remediation:
+     * elements by impact, the rules failing most, and charts per module and item type.
+     */
+    function displayAccessibilityDashboard(violations: EnhancedAxeResult[]) {
+        const container = document.getElementById('accessibility-dashboard')!;
+        if (violations.length === 0) {
+            container.innerHTML = `<p>${createBadge('No accessibility violations found', 'green')}</p>`;
+            return;
         }
 
-        /* =========================================================================
-           Link, file attachment, video discovery & display
-           ========================================================================= */
-
-        /**
-         * Display results for external link inventory.
-         * Note: original code simulated link checks due to CORS; preserved here.
-         */
-        async function checkAndDisplayLinks(links: LinkObject[]) {
-            const container = document.getElementById('link-inventory-results')!;
-            // TODO: Add this back
-            const summaryContainer = document.getElementById('link-summary');
-
-            if (links.length > 0) {
-                container.innerHTML = '';
-            } else {
-                return;
-            }
+        const [totals] = countAxeResults(violations, () => 'course');
+        const rules = summarizeAxeRules(violations);
+
+        const chart = (title: string, counts: AxeResultCount[]) => {
+            const sorted = [...counts].sort((a, b) => b.elements - a.elements);
+            const max = sorted[0].elements;
+            return `
+                <div>
+                    <h3 class="text-sm font-semibold text-gray-800 mb-2">${title}</h3>
+                    <ul class="space-y-1">
+                        ${sorted.map(c => `
+                            <li class="grid grid-cols-[minmax(0,12rem)_1fr_auto] items-center gap-2 text-sm text-gray-700">
+                                <span class="truncate" title="${_.escape(c.label)}">${_.escape(c.label)}</span>
+                                <span class="flex h-3 rounded-sm bg-gray-100 overflow-hidden" aria-hidden="true">
+                                    ${AXE_IMPACTS.filter(impact => c.impacts[impact]).map(impact =>
+                                        `<span class="${IMPACT_BAR_CLASSES[impact]}" style="width:${(c.impacts[impact] / max) * 100}%" title="${c.impacts[impact]} ${impact}"></span>`).join('')}
+                                </span>
+                                <span>${c.elements} <span class="text-gray-500">in ${c.items} item(s)</span></span>
+                            </li>`).join('')}
+                    </ul>
+                </div>`;
+        };
 
-            // Create filter UI
-            const filterContainer = document.createElement('div');
-            filterContainer.innerHTML = `<label class="block text-sm font-medium text-gray-700 mb-2">Filter by Link Type:</label>`;
-            const filterCheckboxes = document.createElement('div');
-            filterCheckboxes.id = 'link-type-filters';
-            filterCheckboxes.className = 'flex flex-wrap gap-4';
+        container.innerHTML = `
+            <p class="flex flex-wrap gap-1 mb-3">
+                ${createBadge(`${totals.elements} failing element(s) in ${totals.items} item(s)`, 'purple')}
+                ${createBadge(`${rules.length} rule(s)`, 'gray')}
+                ${AXE_IMPACTS.filter(impact => totals.impacts[impact]).map(impact => createBadge(`${totals.impacts[impact]} ${capitalize(impact)}`, IMPACT_COLORS[impact])).join(' ')}
+            </p>
+            <div class="grid grid-cols-1 lg:grid-cols-2 gap-6">
+                ${chart('Violations per Module', countAxeResultsByModule(violations))}
+                ${chart('Violations per Item Type', countAxeResults(violations, r => r.parentItemType))}
+            </div>
+            <h3 class="text-sm font-semibold text-gray-800 mt-4 mb-2">Rules Failing Most Elements</h3>
+            <ol class="list-decimal ml-5 space-y-1 text-sm text-gray-700">
+                ${_.sortBy(rules, r => -r.elements).slice(0, 5).map(r => `
+                    <li>${r.impact ? DEFAULT_BADGES.impact[r.impact] : ''} ${_.escape(r.help)}
+                        <span class="text-gray-500">(${_.escape(r.rule)}; ${r.elements} element(s) in ${r.items} item(s), ${r.modules.length} module(s))</span></li>`).join('')}
+            </ol>
+        `;
+    }
 
-            LINK_TYPES.forEach(type => {
-                const filterId = `filter-link-type-${type.replace(/\s+/g, '')}`;
+    /**
+     * Build the accessibility controls and wire up filters and sorting.
+     */
+    function setupAccessibilityTab(results: EnhancedAxeResults, allScannedItems: Resource[]) {
+        displayAccessibilityDashboard(results.violations);
+
+        const controlsContainer = document.getElementById('accessibility-controls')!;
+        controlsContainer.innerHTML = '';
+
+        // Create grid for filters
+        const filterGrid = document.createElement('div');
+        filterGrid.className = 'grid grid-cols-1 md:grid-cols-2 lg:grid-cols-4 gap-4';
+
+        // 1. Result Type Filters
+        const resultTypeContainer = document.createElement('div');
+        resultTypeContainer.innerHTML = `<label class="block text-sm font-medium text-gray-700 mb-2">Show Results:</label>`;
+        const resultTypeFilters = document.createElement('div');
+        resultTypeFilters.id = 'result-type-filters';
+        resultTypeFilters.className = 'flex flex-wrap gap-4';
+
+        const categories = [
+            { name: 'Violations', data: results.violations, color: 'red' },
+            { name: 'Passes', data: results.passes, color: 'green' },
+            { name: 'Incomplete', data: results.incomplete, color: 'yellow' }
+        ];
+
+        categories.forEach(cat => {
+            const filterId = `filter-check-${cat.name.toLowerCase()}`;
+            const filterWrapper = document.createElement('div');
+            filterWrapper.className = 'flex items-center';
+            const checkbox = document.createElement('input');
+            checkbox.type = 'checkbox';
+            checkbox.id = filterId;
+            checkbox.dataset['category'] = cat.name.toLowerCase();
+            checkbox.className = 'h-4 w-4 rounded border-gray-300 text-indigo-600 focus:ring-indigo-500';
+            if (cat.name === 'Violations') checkbox.checked = true;
+
+            const label = document.createElement('label');
+            label.htmlFor = filterId;
+            label.className = 'ml-2 flex items-center cursor-pointer';
+            label.innerHTML = `${cat.name} ${cat.name === 'Incomplete' ? '(Manual Inspection Recommended)' : ''} &nbsp; ${createBadge(cat.data.length.toString(), 'purple')}`;
+
+            filterWrapper.appendChild(checkbox);
+            filterWrapper.appendChild(label);
+            resultTypeFilters.appendChild(filterWrapper);
+        });
+        resultTypeContainer.appendChild(resultTypeFilters);
+        filterGrid.appendChild(resultTypeContainer);
+
+        // 2. Item Type Filters
+        const allItemTypes = [...new Set([...results.violations, ...results.passes].map(r => r.parentItemType))];
+        if (allItemTypes.length > 1) {
+            const itemTypeContainer = document.createElement('div');
+            itemTypeContainer.innerHTML = `<label class="block text-sm font-medium text-gray-700 mb-2">Filter by Item Type:</label>`;
+            const itemTypeFilters = document.createElement('div');
+            itemTypeFilters.id = 'item-type-filters';
+            itemTypeFilters.className = 'flex flex-wrap gap-4';
+
+            allItemTypes.forEach(type => {
+                const filterId = `filter-item-type-${type.replace(/\s+/g, '')}`;
                 const filterWrapper = document.createElement('div');
                 filterWrapper.className = 'flex items-center';
                 const checkbox = document.createElement('input');
                 checkbox.type = 'checkbox';
                 checkbox.id = filterId;
-                checkbox.dataset['type'] = type;
+                checkbox.dataset['itemType'] = type;
                 checkbox.className = 'h-4 w-4 rounded border-gray-300 text-indigo-600 focus:ring-indigo-500';
-                checkbox.checked = true; // Check all by default
+                checkbox.checked = true;
 
                 const label = document.createElement('label');
                 label.htmlFor = filterId;
-                label.className = 'ml-2 flex items-center cursor-pointer';
-                label.textContent = type == 'osu' ? 'OSU' : `${type.charAt(0).toUpperCase()}${type.substring(1)}`;
-                label.innerHTML += `&nbsp; ${createBadge(links.filter(l => l.type == type).length.toString(), 'purple')}`;
+                label.className = 'ml-2 flex items-center cursor-pointer text-sm';
+                label.textContent = type;
+
                 filterWrapper.appendChild(checkbox);
                 filterWrapper.appendChild(label);
-                filterCheckboxes.appendChild(filterWrapper);
+                itemTypeFilters.appendChild(filterWrapper);
             });
+            itemTypeContainer.appendChild(itemTypeFilters);
+            filterGrid.appendChild(itemTypeContainer);
+        }
 
-            filterContainer.appendChild(filterCheckboxes);
-            container.appendChild(filterContainer);
+        // 3. Status Filters
+        const statusContainer = document.createElement('div');
+        statusContainer.innerHTML = `<label class="block text-sm font-medium text-gray-700 mb-2">Filter by Status:</label>`;
+        const statusFilters = document.createElement('div');
+        statusFilters.id = 'status-filters';
+        statusFilters.className = 'flex flex-wrap gap-4';
+        statusFilters.innerHTML = `
+                <div class="flex items-center">
+                    <input id="filter-status-published" type="checkbox" data-status="active" class="h-4 w-4 rounded border-gray-300 text-indigo-600 focus:ring-indigo-500" checked>
+                    <label for="filter-status-published" class="ml-2 text-sm">Published</label>
+                </div>
+                <div class="flex items-center">
+                    <input id="filter-status-unpublished" type="checkbox" data-status="unpublished" class="h-4 w-4 rounded border-gray-300 text-indigo-600 focus:ring-indigo-500" checked>
+                    <label for="filter-status-unpublished" class="ml-2 text-sm">Unpublished</label>
+                </div>
+            `;
+        statusContainer.appendChild(statusFilters);
+        filterGrid.appendChild(statusContainer);
+
+        // 4. Module Filters
+        const moduleContainer = document.createElement('div');
+        moduleContainer.innerHTML = `<label class="block text-sm font-medium text-gray-700 mb-2">Filter by Location:</label>`;
+        const moduleFilters = document.createElement('div');
+        moduleFilters.id = 'module-filters';
+        moduleFilters.className = 'flex flex-wrap gap-4';
+        moduleFilters.innerHTML = `
+                <div class="flex items-center">
+                    <input id="filter-module-in" type="checkbox" data-in-module="true" class="h-4 w-4 rounded border-gray-300 text-indigo-600 focus:ring-indigo-500" checked>
+                    <label for="filter-module-in" class="ml-2 text-sm">In a Module</label>
+                </div>
+                <div class="flex items-center">
+                    <input id="filter-module-out" type="checkbox" data-in-module="false" class="h-4 w-4 rounded border-gray-300 text-indigo-600 focus:ring-indigo-500" checked>
+                    <label for="filter-module-out" class="ml-2 text-sm">Not in a Module</label>
+                </div>
+            `;
+        moduleContainer.appendChild(moduleFilters);
+        filterGrid.appendChild(moduleContainer);
+
+        // 5. Triage Filters
+        const triageContainer = document.createElement('div');
+        triageContainer.innerHTML = `<label class="block text-sm font-medium text-gray-700 mb-2">Filter by Triage:</label>`;
+        const triageFilters = document.createElement('div');
+        triageFilters.id = 'accessibility-triage-filters';
+        triageFilters.className = 'flex flex-wrap gap-4';
+        triageFilters.innerHTML = triageFilterCheckboxes('accessibility');
+        triageContainer.appendChild(triageFilters);
+        filterGrid.appendChild(triageContainer);
+
+        controlsContainer.appendChild(filterGrid);
+
+        // 6. Grouping and sort controls
+        const selectClassName = 'mt-1 block w-full pl-3 pr-10 py-2 text-base border-gray-300 focus:outline-none focus:ring-indigo-500 focus:border-indigo-500 sm:text-sm rounded-md';
+        const sortContainer = document.createElement('div');
+        sortContainer.className = 'flex flex-wrap gap-4 mt-4';
+        sortContainer.innerHTML = `
+                <div class="w-full md:w-1/4">
+                    <label for="group-select" class="block text-sm font-medium text-gray-700">Group by:</label>
+                    <select id="group-select" class="${selectClassName}">
+                        <option value="item">Item</option>
+                        <option value="rule">Rule</option>
+                    </select>
+                </div>
+                <div class="w-full md:w-1/4">
+                    <label for="sort-select" class="block text-sm font-medium text-gray-700">Sort by:</label>
+                    <select id="sort-select" class="${selectClassName}">
+                        <option value="name-asc">Name (A-Z)</option>
+                        <option value="name-desc">Name (Z-A)</option>
+                        <option value="impact">Impact (worst first)</option>
+                        <option value="elements">Most elements</option>
+                    </select>
+                </div>
+            `;
+        controlsContainer.appendChild(sortContainer);
 
-            // Function to display links
-            const displayLinks = (filteredLinks: LinkObject[]) => {
-                let contentDiv = container.querySelector('.space-y-3');
-                if (!contentDiv) {
-                    contentDiv = document.createElement('div');
-                    contentDiv.className = 'space-y-3';
-                    container.appendChild(contentDiv);
-                }
-                contentDiv.innerHTML = ''; // Clear previous links
+        // Wire up events and render initial results
+        controlsContainer.querySelectorAll('input[type="checkbox"], select').forEach(el => {
+            el.addEventListener('change', renderAccessibilityResults);
+        });
+        renderAccessibilityResults();
 
-                if (filteredLinks.length === 0) {
-                    contentDiv.innerHTML = '<p class="text-gray-500">No links found for the selected types.</p>';
-                    return;
-                }
+        // Add debug accordion listing scanned items (mirrors original)
+        const debugAccordion = createDebugAccordion(allScannedItems);
+        document.getElementById('accessibility-results')!.appendChild(debugAccordion);
+    }
 
-                const linkTypeBadges = {
-                    osu: createBadge('OSU', 'red'),
-                    external: createBadge('External', 'blue'),
-                    course: createBadge('Course', 'yellow'),
-                    unknown: createBadge('Unknown', 'indigo'),
-                };
+    /**
+     * Render accessibility results honoring filters and sort control.
+     */
+    function renderAccessibilityResults() {
+        const resultsContainer = document.getElementById('accessibility-results')!;
+        resultsContainer.innerHTML = '';
 
-                for (const link of filteredLinks) {
-                    const linkDiv = document.createElement('div');
-                    linkDiv.className = 'p-3 rounded-md bg-gray-50 flex items-start space-x-3';
-                    linkDiv.innerHTML = `
-                    <div class="flex-grow min-w-0">
-                        <p class="font-medium text-gray-800 truncate" title="${link.text}">${link.text}</p>
-                        <p aria-description="link type">${linkTypeBadges[link.type]}</p>
-                        <p class="text-sm text-gray-500"><strong>Target</strong>: <a href="${link.url}" target="_blank"><u>${link.url}</u></a></p>
-                        <p class="text-sm text-gray-500"><strong>Found in</strong>: ${link.parentResourceTitle}</p>
-                    </div>
-                `;
-                    contentDiv.appendChild(linkDiv);
-                }
-            };
+        const selectedResultTypes = Array.from(document.querySelectorAll('#result-type-filters input:checked')).map(cb => (cb as HTMLInputElement).dataset['category']);
 
-            // Filter links based on selected types
-            const filterLinks = () => {
-                const selectedTypes = Array.from(filterCheckboxes.querySelectorAll('input:checked')).map(cb => (cb as HTMLInputElement).dataset['type']);
-                const filteredLinks = selectedTypes.length === 0 ? [] : links.filter(link => selectedTypes.includes(link.type));
-                displayLinks(filteredLinks);
-            };
+        const itemTypeFilters = document.querySelectorAll('#item-type-filters input');
+        const selectedItemTypes = Array.from(itemTypeFilters).length > 0
+            ? Array.from(itemTypeFilters).filter(cb => (cb as HTMLInputElement).checked).map(cb => (cb as HTMLInputElement).dataset['itemType'])
+            : null;
 
-            filterCheckboxes.querySelectorAll('input').forEach(checkbox => {
-                checkbox.addEventListener('change', filterLinks);
-            });
+        const selectedStatuses = Array.from(document.querySelectorAll('#status-filters input:checked')).map(cb => (cb as HTMLInputElement).dataset['status']);
+
+        const inModule = (document.getElementById('filter-module-in') as HTMLInputElement)?.checked;
+        const notInModule = (document.getElementById('filter-module-in') as HTMLInputElement)?.checked;
+
+        const selectedTriage = selectedTriageStatuses(document.getElementById('accessibility-triage-filters')!);
+
+        let filteredResults: EnhancedAxeResult[] = [];
+        selectedResultTypes.forEach(type => {
+            if (!type) return;
+            const results = accessibilityData[type as keyof EnhancedAxeResults];
+            if (Array.isArray(results)) {
+                // TS now knows results is an array at runtime; assert element type
+                filteredResults.push(...(results as EnhancedAxeResult[]));
+            }
+            // if (type && type in accessibilityData) filteredResults.push(...accessibilityData[type as keyof EnhancedAxeResults]);
+        });
 
-            // Initial display of links
-            filterLinks();
+        filteredResults = filteredResults.filter(result => {
+            const itemTypeMatch = selectedItemTypes ? selectedItemTypes.includes(result.parentItemType) : true;
+            const statusMatch = selectedStatuses.includes(result.parentItemStatus);
+            const inModuleMatch = inModule && result.parentItemModuleTitle;
+            const notInModuleMatch = notInModule && !result.parentItemModuleTitle;
+            // Passes are not findings to triage
+            const triageMatch = result.type === 'passes' || axeTriageStatuses(triageDecisions, result).some(status => selectedTriage.includes(status));
+            return itemTypeMatch && statusMatch && (inModuleMatch || notInModuleMatch) && triageMatch;
+        });
+
+        if (filteredResults.length === 0) {
+            resultsContainer.innerHTML = '<p class="text-center text-gray-500 py-4">No results match the current filters.</p>';
+            return;
         }
 
-        /**
-         * Display file attachments found in content.
-         */
-        function displayFileAttachments(files: FileObject[]) {
-            const container = document.getElementById('file-attachment-results')!;
-            const summaryContainer = document.getElementById('file-attachment-summary')!;
-            summaryContainer.innerHTML = `Attachments found: &nbsp; ${createBadge(files.length.toString(), 'purple')}`;
+        const sortValue = (document.getElementById('sort-select') as HTMLSelectElement)?.value || 'name-asc';
+        const groupValue = (document.getElementById('group-select') as HTMLSelectElement)?.value || 'item';
 
-            if (files.length === 0) {
-                container.innerHTML = '<p class="text-gray-500">No file attachments found.</p>';
-                return;
+        if (groupValue === 'rule') {
+            sortAccessibilityGroups(summarizeAxeRules(filteredResults), sortValue, r => r.help, r => r.impact, r => r.elements)
+                .forEach(rule => resultsContainer.appendChild(createRuleAccordion(rule)));
+            return;
+        }
+
+        const groupedByItem = filteredResults.reduce((acc, issue) => {
+            (acc[issue.parentItemTitle] = acc[issue.parentItemTitle] || []).push(issue);
+            return acc;
+        }, {} as { [key: string]: EnhancedAxeResult[] });
+
+        const worstImpact = (issues: EnhancedAxeResult[]) => AXE_IMPACTS.find(impact => issues.some(i => i.impact === impact)) || null;
+        const elementCount = (issues: EnhancedAxeResult[]) => issues.reduce((sum, i) => sum + (i.nodes.length || 1), 0);
+        sortAccessibilityGroups(Object.keys(groupedByItem), sortValue, title => title, title => worstImpact(groupedByItem[title]), title => elementCount(groupedByItem[title]))
+            .forEach(itemTitle => {
+                const issues = groupedByItem[itemTitle];
+                const itemAccordion = createItemAccordion(itemTitle, issues);
+                resultsContainer.appendChild(itemAccordion);
+            });
+    }
+
+    /**
+     * Order accessibility result groups (items or rules) by the chosen sort control value.
+     */
+    function sortAccessibilityGroups<T>(groups: T[], sortValue: string, name: (group: T) => string, impact: (group: T) => AxeImpact | null, elements: (group: T) => number): T[] {
+        const rank = (group: T) => {
+            const groupImpact = impact(group);
+            return groupImpact ? AXE_IMPACTS.indexOf(groupImpact) : AXE_IMPACTS.length;
+        };
+        return [...groups].sort((a, b) => {
+            if (sortValue === 'name-desc') return name(b).localeCompare(name(a));
+            if (sortValue === 'impact') return rank(a) - rank(b) || elements(b) - elements(a);
+            if (sortValue === 'elements') return elements(b) - elements(a) || rank(a) - rank(b);
+            return name(a).localeCompare(name(b));
+        });
+    }
+
+    /**
+     * Create an accordion block for a single item and its issues.
+     */
+    function createItemAccordion(itemTitle: string, issues: EnhancedAxeResult[]): HTMLElement {
+        const firstIssue = issues[0];
+        const accordionDiv = document.createElement('div');
+        accordionDiv.className = 'border border-gray-200 rounded-lg';
+
+        const button = document.createElement('button');
+        button.className = 'accordion-header w-full flex justify-between items-center p-3 text-left text-sm font-medium text-gray-800 bg-gray-50 hover:bg-gray-100 focus:outline-none';
+
+        const itemStatusIndicator = firstIssue.parentItemStatus === 'active'
+            ? DEFAULT_BADGES.status.published
+            : DEFAULT_BADGES.status.unpublished;
+
+        button.innerHTML = `
+            <div class="flex-grow min-w-0">
+                <p class="truncate font-semibold">${itemTitle}</p>
+                <p class="text-xs text-gray-500 truncate">Module: ${firstIssue.parentItemModuleTitle || 'N/A'}</p>
+            </div>
+            <div class="flex items-center flex-shrink-0 ml-4 space-x-2">
+                <span class="text-xs text-gray-600 bg-gray-100 px-2 py-1 rounded-md">${firstIssue.parentItemType}</span>
+                ${itemStatusIndicator}
+                <svg class="w-5 h-5 transform transition-transform" fill="none" stroke="currentColor" viewBox="0 0 24 24"><path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M19 9l-7 7-7-7"></path></svg>
+            </div>
+        `;
+
+        const content = document.createElement('div');
+        content.className = 'accordion-content bg-white';
+        const innerContent = document.createElement('div');
+        innerContent.className = 'p-4 border-t border-gray-200 space-y-2';
+
+        issues.forEach(issue => {
+            const issueAccordion = createIssueAccordion(issue);
+            innerContent.appendChild(issueAccordion);
+        });
+
+        content.appendChild(innerContent);
+        accordionDiv.appendChild(button);
+        accordionDiv.appendChild(content);
+
+        button.addEventListener('click', () => {
+            const icon = button.querySelector('svg');
+            if (content && icon) {
+                if (content.style.maxHeight.charAt(0) !== '0') {
+                    content.style.maxHeight = '0px'; // Collapse
+                    icon.classList.remove('rotate-180');
+                } else {
+                    content.style.maxHeight = 'fit-content'; // Expand to fit content
+                    icon.classList.add('rotate-180');
+                }
             }
-            container.innerHTML = '';
+        });
+
+        return accordionDiv;
+    }
+
+    /**
+     * Create an accordion for a single accessibility issue.
+     */
+    function createIssueAccordion(issue: EnhancedAxeResult): HTMLElement {
+        const accordionDiv = document.createElement('div');
+        accordionDiv.className = 'border border-gray-200 rounded-lg';
+
+        const button = document.createElement('button');
+        button.className = 'accordion-header w-full flex justify-between items-center p-2 text-left text-xs font-medium text-gray-700 bg-gray-50 hover:bg-gray-100 focus:outline-none';
+
+    
+        let issueTypeIndicator: string;
+        switch (issue.type) {
+            case 'violations':
+                issueTypeIndicator = createBadge('Violation', 'red');
+                break;  
+            case 'passes':
+                issueTypeIndicator = createBadge('Pass', 'green');
+                break;
+            case 'incomplete':
+                issueTypeIndicator = createBadge('Incomplete', 'yellow');
+                break;
+            default:
+                issueTypeIndicator = createBadge('Other', 'gray');
+                break;
+        }
 
-            files.forEach(file => {
-                const liDiv = document.createElement('li');
-                liDiv.className = 'p-3 rounded-md bg-gray-50 flex items-start space-x-3';
-                liDiv.innerHTML = `
+        // Elements are triaged one by one; the header shows every decision made on them
+        const triaged = issue.type !== 'passes';
+        const issueTriageBadges = () => triaged
+            ? axeTriageStatuses(triageDecisions, issue).filter(status => status !== 'open').map(status => createBadge(TRIAGE_STATUS_LABELS[status], TRIAGE_COLORS[status])).join(' ')
+            : '';
+
+        button.innerHTML = `
+                <span class="truncate pr-4">${issueTypeIndicator} ${_.escape(issue.help)}</span>
+                <div class="flex items-center flex-shrink-0 ml-4 space-x-1">
+                    <span data-triage-badge>${issueTriageBadges()}</span>
+                    ${DEFAULT_BADGES.impact[issue.impact!] || ''}
+                    <svg class="w-4 h-4 transform transition-transform ml-2" fill="none" stroke="currentColor" viewBox="0 0 24 24"><path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M19 9l-7 7-7-7"></path></svg>
+                </div>
+            `;
+
+
+
+        const content = document.createElement('div');
+        content.className = 'accordion-content bg-white';
+
+        const innerContent = document.createElement('div');
+        innerContent.className = 'p-3 border-t border-gray-200 text-xs space-y-2';
+
+        // TODO: Add feature to show issue type
+        innerContent.innerHTML = `
                 <div>
-                    <p class="font-medium text-gray-800 truncate" title="${file.parentAnchorText}">${file.parentAnchorText}</p>
-                    <p class="text-sm text-gray-500"><strong>In Item</strong>: ${createBadge(capitalize(file.parentResourceType))} ${file.parentResourceTitle}</p>
-                    <p class="text-sm text-gray-500"><strong>In Module</strong>: ${file.parentResourceModuleTitle}</p>
+                    <p class="font-semibold text-gray-800">Description:</p>
+                    <p class="text-gray-600">${_.escape(issue.description)}</p>
                 </div>
+                ${wcagCriteriaLabel(issue) ? `<div>
+                    <p class="font-semibold text-gray-800">WCAG Success Criteria:</p>
+                    <p class="text-gray-600">${_.escape(wcagCriteriaLabel(issue))}</p>
+                </div>` : ''}
+                <a href="${issue.helpUrl}" target="_blank" class="text-indigo-600 hover:underline font-semibold">Learn More &rarr;</a>
             `;
-                container.appendChild(liDiv);
-            });
+
+        (issue.nodes || []).forEach((node, index) => {
+            const nodeDiv = document.createElement('div');
+            nodeDiv.className = 'border-t border-gray-100 pt-2';
+            nodeDiv.innerHTML = `
+                    <p class="font-semibold text-gray-800">Affected Element${issue.nodes.length > 1 ? ` ${index + 1} of ${issue.nodes.length}` : ''}: <span data-triage-badge></span></p>
+                    <pre class="bg-gray-100 p-2 rounded-md text-xs overflow-x-auto"><code>${_.escape(node.html || '')}</code></pre>
+                    <p class="font-semibold text-gray-800">CSS Selector:</p>
+                    <p class="text-gray-600 font-mono">${_.escape(node.target.join(', '))}</p>
+                `;
+            if (triaged) {
+                const fingerprint = axeFingerprint(issue, node);
+                const badgeEl = nodeDiv.querySelector<HTMLElement>('[data-triage-badge]')!;
+                badgeEl.innerHTML = triageBadge(fingerprint);
+                nodeDiv.appendChild(createTriageControls(fingerprint, badgeEl));
+            }
+            innerContent.appendChild(nodeDiv);
+        });
+        // Change events from the elements' controls bubble here after they are saved
+        if (triaged) innerContent.addEventListener('change', () => {
+            button.querySelector<HTMLElement>('[data-triage-badge]')!.innerHTML = issueTriageBadges();
+        });
+
+        content.appendChild(innerContent);
+        accordionDiv.appendChild(button);
+        accordionDiv.appendChild(content);
+
+        button.addEventListener('click', (e) => {
+            e.stopPropagation();
+            const icon = button.querySelector('svg');
+            if (content && icon) {
+                if (content.style.maxHeight.charAt(0) !== '0') {
+                    content.style.maxHeight = '0px';
+                    icon.classList.remove('rotate-180');
+                } else {
+                    content.style.maxHeight = 'fit-content';
+                    icon.classList.add('rotate-180');
+                }
+            }
+        });
+
+        return accordionDiv;
+    }
+
+    /**
+     * Create an accordion block for one axe rule: the elements it matched
+     * across the course by impact, and where they are by module and item.
+     */
+    function createRuleAccordion(rule: AxeRuleSummary): HTMLElement {
+        const accordionDiv = document.createElement('div');
+        accordionDiv.className = 'border border-gray-200 rounded-lg';
+
+        const button = document.createElement('button');
+        button.className = 'accordion-header w-full flex justify-between items-center p-3 text-left text-sm font-medium text-gray-800 bg-gray-50 hover:bg-gray-100 focus:outline-none';
+
+        const resultTypeIndicator = rule.resultType === 'violations' ? createBadge('Violation', 'red')
+            : rule.resultType === 'passes' ? createBadge('Pass', 'green')
+            : rule.resultType === 'incomplete' ? createBadge('Incomplete', 'yellow')
+            : createBadge('Other', 'gray');
+
+        button.innerHTML = `
+            <div class="flex-grow min-w-0">
+                <p class="truncate font-semibold">${_.escape(rule.help)}</p>
+                <p class="text-xs text-gray-500 truncate">Rule: ${_.escape(rule.rule)} &middot; ${rule.elements} element(s) in ${rule.items} item(s), ${rule.modules.length} module(s)</p>
+            </div>
+            <div class="flex items-center flex-shrink-0 ml-4 space-x-2">
+                ${resultTypeIndicator}
+                ${rule.impact ? DEFAULT_BADGES.impact[rule.impact] : ''}
+                <svg class="w-5 h-5 transform transition-transform" fill="none" stroke="currentColor" viewBox="0 0 24 24"><path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M19 9l-7 7-7-7"></path></svg>
+            </div>
+        `;
+
+        const content = document.createElement('div');
+        content.className = 'accordion-content bg-white';
+        const innerContent = document.createElement('div');
+        innerContent.className = 'p-4 border-t border-gray-200 space-y-3 text-xs';
+        innerContent.innerHTML = `
+                ${AXE_IMPACTS.some(impact => rule.impacts[impact]) ? `<p class="flex flex-wrap gap-1">
+                    ${AXE_IMPACTS.filter(impact => rule.impacts[impact]).map(impact => createBadge(`${rule.impacts[impact]} ${capitalize(impact)}`, IMPACT_COLORS[impact])).join(' ')}
+                </p>` : ''}
+                ${rule.modules.map(m => `
+                    <div>
+                        <p class="font-semibold text-gray-800">${_.escape(m.moduleTitle)} <span class="font-normal text-gray-500">(${m.elements} element(s))</span></p>
+                        <ul class="ml-4 list-disc text-gray-600">
+                            ${m.items.map(i => `<li>${_.escape(i.title)} <span class="text-gray-500">&mdash; ${_.escape(i.itemType)}, ${i.elements} element(s)</span></li>`).join('')}
+                        </ul>
+                    </div>`).join('')}
+                <a href="${rule.helpUrl}" target="_blank" class="text-indigo-600 hover:underline font-semibold">Learn More &rarr;</a>
+            `;
+
+        content.appendChild(innerContent);
+        accordionDiv.appendChild(button);
+        accordionDiv.appendChild(content);
+
+        button.addEventListener('click', () => {
+            const icon = button.querySelector('svg');
+            if (content && icon) {
+                if (content.style.maxHeight.charAt(0) !== '0') {
+                    content.style.maxHeight = '0px';
+                    icon.classList.remove('rotate-180');
+                } else {
+                    content.style.maxHeight = 'fit-content';
+                    icon.classList.add('rotate-180');
+                }
+            }
+        });
+
+        return accordionDiv;
+    }
+
+    /**
+     * Create debug accordion listing scanned items (keeps original behavior).
+     */
+    function createDebugAccordion(scannedItems: Resource[]): HTMLElement {
+        const accordionDiv = document.createElement('div');
+        accordionDiv.className = 'border border-gray-200 rounded-lg mt-4';
+
+        const button = document.createElement('button');
+        button.className = 'accordion-header w-full flex justify-between items-center p-3 text-left text-sm font-medium text-gray-700 bg-gray-100 hover:bg-gray-200 focus:outline-none';
+        button.innerHTML = `
+                <span>Items Scanned for Accessibility (${scannedItems.length})</span>
+                <svg class="w-5 h-5 transform transition-transform" fill="none" stroke="currentColor" viewBox="0 0 24 24"><path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M19 9l-7 7-7-7"></path></svg>
+            `;
+
+        const content = document.createElement('div');
+        content.className = 'accordion-content bg-white';
+        const innerContent = document.createElement('div');
+        innerContent.className = 'p-4 border-t border-gray-200 max-h-48 overflow-y-auto';
+        const ul = document.createElement('ul');
+        ul.className = 'list-disc list-inside text-sm text-gray-600';
+        scannedItems.forEach(item => {
+            const li = document.createElement('li');
+            li.textContent = item.title;
+            ul.appendChild(li);
+        });
+        innerContent.appendChild(ul);
+        content.appendChild(innerContent);
+        accordionDiv.appendChild(button);
+        accordionDiv.appendChild(content);
+
+        button.addEventListener('click', () => {
+            const icon = button.querySelector('svg');
+            if (content && icon) {
+                if (content.style.maxHeight.charAt(0) !== '0') {
+                    content.style.maxHeight = '0px';
+                    icon.classList.remove('rotate-180');
+                } else {
+                    content.style.maxHeight = 'fit-content';
+                    icon.classList.add('rotate-180');
+                }
+            }
+        });
+
+        return accordionDiv;
+    }
+
+    /* =========================================================================
+       Link, file attachment, video discovery & display
+       ========================================================================= */
+
+    /**
+     * Display results for external link inventory.
+     * Note: original code simulated link checks due to CORS; preserved here.
+     */
+    async function checkAndDisplayLinks(links: LinkObject[]) {
+        const container = document.getElementById('link-inventory-results')!;
+        const summaryContainer = document.getElementById('link-summary')!;
+
+        if (links.length > 0) {
+            container.innerHTML = '';
+        } else {
+            return;
         }
 
-        /**
-         * Display video findings (platform & transcript presence).
-         */
-        function displayVideos(videos: VideoObject[]) {
-            const container = document.getElementById('video-results')!;
-            const summaryContainer = document.getElementById('video-summary')!;
-
-            const transcriptOrCaptionMentioned = videos.filter(v => v.transcriptOrCaptionMentioned).length;
-            const noTranscriptOrCaptionMentioned = videos.length - transcriptOrCaptionMentioned;
-
-            summaryContainer.innerHTML = `
-            <p><strong>Transcript and/or caption potentially included</strong>:</p>
-            <p>
-                    ${createBadge(`${transcriptOrCaptionMentioned} video(s) with surrounding mentions of transcript or caption`, 'yellow')}&nbsp;
-                    ${createBadge(`${noTranscriptOrCaptionMentioned} video(s) without surrounding mentions of transcript or caption`, 'red')}
-                </p>
-                    `;
+        const issueCount = (issue: LinkIssue) => links.filter(l => l.resolution?.issues.includes(issue)).length;
+        summaryContainer.innerHTML = `
+            ${createBadge(`${issueCount('broken')} broken`, 'red')}
+            ${createBadge(`${issueCount('unpublished-target')} to unpublished items`, 'yellow')}
+            ${createBadge(`${issueCount('not-in-module')} to items outside modules`, 'gray')}
+        `;
+
+        // Create filter UI
+        const filterContainer = document.createElement('div');
+        filterContainer.innerHTML = `<label class="block text-sm font-medium text-gray-700 mb-2">Filter by Link Type:</label>`;
+        const filterCheckboxes = document.createElement('div');
+        filterCheckboxes.id = 'link-type-filters';
+        filterCheckboxes.className = 'flex flex-wrap gap-4';
+
+        const types = linkTypes(institutionProfile);
+        types.forEach(({ id: type, label: typeLabel }) => {
+            const filterId = `filter-link-type-${type.replace(/\s+/g, '')}`;
+            const filterWrapper = document.createElement('div');
+            filterWrapper.className = 'flex items-center';
+            const checkbox = document.createElement('input');
+            checkbox.type = 'checkbox';
+            checkbox.id = filterId;
+            checkbox.dataset['type'] = type;
+            checkbox.className = 'h-4 w-4 rounded border-gray-300 text-indigo-600 focus:ring-indigo-500';
+            checkbox.checked = true; // Check all by default
+
+            const label = document.createElement('label');
+            label.htmlFor = filterId;
+            label.className = 'ml-2 flex items-center cursor-pointer';
+            label.textContent = typeLabel;
+            label.innerHTML += `&nbsp; ${createBadge(links.filter(l => l.type == type).length.toString(), 'purple')}`;
+            filterWrapper.appendChild(checkbox);
+            filterWrapper.appendChild(label);
+            filterCheckboxes.appendChild(filterWrapper);
+        });
 
-            if (videos.length === 0) {
-                container.innerHTML = '<p class="text-gray-500">No embedded videos found.</p>';
+        filterContainer.appendChild(filterCheckboxes);
+
+        const problemsWrapper = document.createElement('div');
+        problemsWrapper.className = 'flex items-center mt-3';
+        problemsWrapper.innerHTML = `
+            <input type="checkbox" id="filter-link-problems" class="h-4 w-4 rounded border-gray-300 text-indigo-600 focus:ring-indigo-500">
+            <label for="filter-link-problems" class="ml-2 cursor-pointer">Only course links with problems</label>
+        `;
+        filterContainer.appendChild(problemsWrapper);
+
+        const triageWrapper = document.createElement('div');
+        triageWrapper.className = 'mt-3';
+        triageWrapper.innerHTML = `
+            <label class="block text-sm font-medium text-gray-700 mb-2">Filter by Triage:</label>
+            <div class="flex flex-wrap gap-4">${triageFilterCheckboxes('link')}</div>
+        `;
+        filterContainer.appendChild(triageWrapper);
+        container.appendChild(filterContainer);
+
+        // Function to display links
+        const displayLinks = (filteredLinks: LinkObject[]) => {
+            let contentDiv = container.querySelector('.space-y-3');
+            if (!contentDiv) {
+                contentDiv = document.createElement('div');
+                contentDiv.className = 'space-y-3';
+                container.appendChild(contentDiv);
+            }
+            contentDiv.innerHTML = ''; // Clear previous links
+
+            if (filteredLinks.length === 0) {
+                contentDiv.innerHTML = '<p class="text-gray-500">No links found for the selected types.</p>';
                 return;
             }
-            container.innerHTML = '';
+
+            const linkTypeBadges: { [type: string]: string } = Object.fromEntries(types.map(t => [t.id, createBadge(t.label, t.color)]));
+
+            const issueBadgeColors: { [K in LinkIssue]: string } = {
+                'broken': 'red',
+                'unpublished-target': 'yellow',
+                'not-in-module': 'gray',
+            };
+
+            const resolutionDetails = (link: LinkObject) => {
+                const resolution = link.resolution;
+                if (!resolution) return '';
+                const issues = resolution.issues.map(issue => createBadge(LINK_ISSUE_LABELS[issue], issueBadgeColors[issue])).join(' ');
+                if (resolution.status === 'broken') {
+                    return `<p class="text-sm text-gray-500"><strong>Points to</strong>: missing ${resolution.targetKind} ${_.escape(resolution.targetIdentifier || '')} ${issues}</p>`;
+                }
+                if (resolution.status === 'unverifiable') {
+                    return `<p class="text-sm text-gray-500"><strong>Points to</strong>: course ${resolution.targetKind} page (not in export)</p>`;
+                }
+                return `<p class="text-sm text-gray-500"><strong>Points to</strong>: ${createBadge(capitalize(resolution.targetKind), 'green')} ${_.escape(resolution.targetTitle || '')} ${issues}</p>`;
+            };
+
+            for (const link of filteredLinks) {
+                const fingerprint = linkFingerprint(link);
+                const linkDiv = document.createElement('div');
+                linkDiv.className = 'p-3 rounded-md bg-gray-50 flex items-start space-x-3';
+                linkDiv.innerHTML = `
+                <div class="flex-grow min-w-0">
+                    <p class="font-medium text-gray-800 truncate" title="${link.text}">${link.text} <span data-triage-badge>${triageBadge(fingerprint)}</span></p>
+                    <p aria-description="link type">${linkTypeBadges[link.type]}</p>
+                    <p class="text-sm text-gray-500"><strong>Target</strong>: <a href="${link.url}" target="_blank"><u>${link.url}</u></a></p>
+                    ${resolutionDetails(link)}
+                    <p class="text-sm text-gray-500"><strong>Found in</strong>: ${link.parentResourceTitle}</p>
+                </div>
+            `;
+                linkDiv.firstElementChild!.appendChild(createTriageControls(fingerprint, linkDiv.querySelector<HTMLElement>('[data-triage-badge]')));
+                contentDiv.appendChild(linkDiv);
+            }
+        };
+
+        // Filter links based on selected types
+        const filterLinks = () => {
+            const selectedTypes = Array.from(filterCheckboxes.querySelectorAll('input:checked')).map(cb => (cb as HTMLInputElement).dataset['type']);
+            const problemsOnly = (document.getElementById('filter-link-problems') as HTMLInputElement).checked;
+            const selectedTriage = selectedTriageStatuses(triageWrapper);
+            const filteredLinks = selectedTypes.length === 0 ? [] : links.filter(link => selectedTypes.includes(link.type)
+                && (!problemsOnly || (link.resolution?.issues.length ?? 0) > 0)
+                && selectedTriage.includes(triageStatus(triageDecisions, linkFingerprint(link))));
+            displayLinks(filteredLinks);
+        };
+
+        filterContainer.querySelectorAll('input').forEach(checkbox => {
+            checkbox.addEventListener('change', filterLinks);
+        });
+
+        // Initial display of links
+        filterLinks();
+    }
+
+    /**
+     * Display the web_resources/ inventory: missing files, duplicates and every
+     * file with its size, type and where it is used.
+     */
+    function displayFileInventory(inventory: FileInventory) {
+        const container = document.getElementById('file-inventory-results')!;
+        const summaryContainer = document.getElementById('file-inventory-summary')!;
+
+        const totalSize = inventory.files.reduce((sum, f) => sum + f.size, 0);
+        const orphanedCount = inventory.files.filter(f => f.orphaned).length;
+        summaryContainer.innerHTML = `
+            ${createBadge(`${inventory.files.length} file(s), ${formatFileSize(totalSize)}`, 'purple')}
+            ${createBadge(`${orphanedCount} orphaned`, 'yellow')}
+            ${createBadge(`${inventory.missing.length} missing`, 'red')}
+            ${createBadge(`${inventory.duplicateGroups.length} duplicate set(s)`, 'pink')}
+        `;
+
+        container.innerHTML = '';
+
+        if (inventory.missing.length > 0) {
+            const section = document.createElement('div');
+            section.innerHTML = `<h3 class="text-base font-semibold text-gray-800 mb-2">Missing Files (${inventory.missing.length})</h3>`;
             const ul = document.createElement('ul');
-            ul.className = 'space-y-3';
-            videos.forEach(video => {
+            ul.className = 'space-y-2 mb-4';
+            inventory.missing.forEach(ref => {
                 const li = document.createElement('li');
-                li.className = 'p-3 bg-gray-50 rounded-md flex items-center space-x-3';
-                const statusIcon = video.transcriptOrCaptionMentioned
-                    ? `<svg class="w-5 h-5 text-yellow-500" fill="none" stroke="currentColor" viewBox="0 0 24 24" xmlns="http://www.w3.org/2000/svg"><path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M9 12l2 2 4-4m6 2a9 9 0 11-18 0 9 9 0 0118 0z"></path></svg>`
-                    : `<svg class="w-5 h-5 text-red-500" fill="none" stroke="currentColor" viewBox="0 0 24 24" xmlns="http://www.w3.org/2000/svg"><path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M12 9v2m0 4h.01M21 12a9 9 0 11-18 0 9 9 0 0118 0z"></path></svg>`;
-
+                li.className = 'p-3 rounded-md bg-red-50';
                 li.innerHTML = `
-                        <div>${statusIcon}</div>
-                        <div>
-                            <p class="font-medium text-gray-800">${video.title}</p>
-                            <p>${video.type == 'embed' ? createBadge('Embed', 'blue') : createBadge('Link', 'indigo')}</p>
-                            <p class="text-sm text-gray-500"><strong>Platform</strong>: ${video.platform}</p>
-                            <p class="text-sm text-gray-500"><strong>Found in:</strong> ${video.parentResourceTitle}</p>
-                            <p class="text-sm text-gray-500"><strong>URL:</strong> ${video.src}</p>
-                        </div>
-                    `;
+                    <p class="font-medium text-gray-800 break-all">${_.escape(ref.path)} ${createBadge('Missing', 'red')}</p>
+                    <p class="text-sm text-gray-500"><strong>In Item</strong>: ${createBadge(capitalize(ref.parentResourceType))} ${_.escape(ref.parentResourceTitle)} (&lt;${ref.element}&gt;)</p>
+                    <p class="text-sm text-gray-500"><strong>In Module</strong>: ${_.escape(ref.parentResourceModuleTitle)}</p>
+                `;
                 ul.appendChild(li);
             });
-            container.appendChild(ul);
+            section.appendChild(ul);
+            container.appendChild(section);
         }
 
-        /* =========================================================================
-           Content parsing helpers (links/files/videos               
-           ========================================================================= */
-
-        /**
-         * Find external links in a document and return structured items.
-         */
-        // TODO: Fix formatting issues
-        function findLinks(doc: Document, item: Resource): LinkObject[] {
-
-            const links: LinkObject[] = [];
-            if (!doc || !doc.querySelectorAll) return links;
-            doc.querySelectorAll('a[href]').forEach(a => {
-                const href = (a as HTMLAnchorElement).getAttribute('href');
-                if (href && !href.startsWith('#') && !href.startsWith('mailto') && !a.classList.contains('instructure_file_link') && !a.classList.contains('instructure_scribd_file')) {
-                    let type = 'unknown';
-                    if (href.startsWith('$CANVAS') || href.includes('$WIKI_REFERENCE$')) {
-                        type = 'course';
-                    } else if (href.includes('.osu.edu') || href.includes('.ohio-state.edu')) {
-                        type = 'osu';
-                    } else {
-                        type = 'external'
-                    }
-                    links.push({ url: href, text: a.textContent.trim(), parentResourceTitle: item.title, type: type as LinkType });
-                }
+        if (inventory.duplicateGroups.length > 0) {
+            const section = document.createElement('div');
+            section.innerHTML = `<h3 class="text-base font-semibold text-gray-800 mb-2">Duplicate Files (${inventory.duplicateGroups.length} set(s))</h3>`;
+            const ul = document.createElement('ul');
+            ul.className = 'space-y-2 mb-4';
+            inventory.duplicateGroups.forEach(group => {
+                const li = document.createElement('li');
+                li.className = 'p-3 rounded-md bg-gray-50';
+                li.innerHTML = `
+                    <p class="text-sm text-gray-500">${group.paths.length} identical copies, ${formatFileSize(group.size)} each</p>
+                    <ul class="list-disc list-inside text-sm text-gray-800 break-all">${group.paths.map(p => `<li>${_.escape(p)}</li>`).join('')}</ul>
+                `;
+                ul.appendChild(li);
             });
-            return links;
+            section.appendChild(ul);
+            container.appendChild(section);
         }
 
-        /**
-         * Find file attachment links in a document.
-         */
-        // TODO: Refactor
-        function findFileAttachments(doc: Document, item: Resource): FileObject[] {
-            const files: FileObject[] = [];
-
-            if (!doc || !doc.querySelectorAll) return files;
-            doc.querySelectorAll('a.instructure_file_link, a.instructure_scribd_file').forEach(a => {
-                files.push({
-                    parentAnchorText: a.textContent.trim(),
-                    parentResourceType: item.clarifiedType,
-                    parentResourceModuleTitle: item.moduleTitle === undefined ? '(None)' : item.moduleTitle,
-                    parentResourceTitle: item.title, href: (a as HTMLAnchorElement).href
-                });
+        if (inventory.files.length === 0) {
+            container.insertAdjacentHTML('beforeend', '<p class="text-gray-500">No course files found.</p>');
+            return;
+        }
+
+        // Filter by reference status
+        const filterContainer = document.createElement('div');
+        filterContainer.innerHTML = `<h3 class="text-base font-semibold text-gray-800 mb-2">Course Files (${inventory.files.length})</h3>`;
+        const filterCheckboxes = document.createElement('div');
+        filterCheckboxes.id = 'file-status-filters';
+        filterCheckboxes.className = 'flex flex-wrap gap-4 mb-2';
+        filterCheckboxes.innerHTML = `
+                <div class="flex items-center">
+                    <input id="filter-file-referenced" type="checkbox" data-orphaned="false" class="h-4 w-4 rounded border-gray-300 text-indigo-600 focus:ring-indigo-500" checked>
+                    <label for="filter-file-referenced" class="ml-2 text-sm">Referenced</label>
+                </div>
+                <div class="flex items-center">
+                    <input id="filter-file-orphaned" type="checkbox" data-orphaned="true" class="h-4 w-4 rounded border-gray-300 text-indigo-600 focus:ring-indigo-500" checked>
+                    <label for="filter-file-orphaned" class="ml-2 text-sm">Orphaned</label>
+                </div>
+            `;
+        filterContainer.appendChild(filterCheckboxes);
+        container.appendChild(filterContainer);
+
+        const list = document.createElement('ul');
+        list.className = 'space-y-2';
+        container.appendChild(list);
+
+        const duplicatePaths = new Set(inventory.duplicateGroups.flatMap(g => g.paths));
+
+        const renderFiles = () => {
+            const selected = Array.from(filterCheckboxes.querySelectorAll('input:checked')).map(cb => (cb as HTMLInputElement).dataset['orphaned']);
+            const files = inventory.files.filter(f => selected.includes(String(f.orphaned)));
+            list.innerHTML = files.length === 0 ? '<p class="text-gray-500">No files match the current filters.</p>' : '';
+            files.sort((a, b) => a.path.localeCompare(b.path)).forEach(file => {
+                const li = document.createElement('li');
+                li.className = 'p-3 rounded-md bg-gray-50';
+                li.innerHTML = `
+                    <p class="font-medium text-gray-800 break-all">${_.escape(file.path)}
+                        ${file.orphaned ? createBadge('Orphaned', 'yellow') : ''}
+                        ${duplicatePaths.has(file.path) ? createBadge('Duplicate', 'pink') : ''}
+                    </p>
+                    <p class="text-sm text-gray-500"><strong>Size</strong>: ${formatFileSize(file.size)} &nbsp; <strong>Type</strong>: ${_.escape(file.mimeType)}</p>
+                    <p class="text-sm text-gray-500"><strong>Used in</strong>: ${file.referencedBy.length ? _.escape(file.referencedBy.join(', ')) : (file.orphaned ? '(Not referenced)' : '(Referenced outside analyzed items)')}</p>
+                `;
+                list.appendChild(li);
             });
+        };
+
+        filterCheckboxes.querySelectorAll('input').forEach(checkbox => checkbox.addEventListener('change', renderFiles));
+        renderFiles();
+    }
+
+    /**
+     * Display file attachments found in content.
+     */
+    function displayFileAttachments(files: FileObject[], checks: DocumentCheck[]) {
+        const container = document.getElementById('file-attachment-results')!;
+        const summaryContainer = document.getElementById('file-attachment-summary')!;
+        const checksByPath = new Map(checks.map(c => [c.path, c]));
+
+        // Attachments link either straight to the file or to its manifest resource
+        const attachmentCheck = (file: FileObject): DocumentCheck | undefined => {
+            const fileRef = file.href.match(/^\$CANVAS_COURSE_REFERENCE\$\/file_ref\/([^/?#]+)/);
+            if (fileRef) {
+                const resource = allResources.find(r => r.identifier === fileRef[1]);
+                return resource?.href ? checksByPath.get(normalizeFileReference(resource.href.slice(WEB_RESOURCES_PREFIX.length))) : undefined;
+            }
+            return checksByPath.get(normalizeFileReference(file.href));
+        };
+
+        const checkedAttachments = files.map(attachmentCheck).filter(Boolean) as DocumentCheck[];
+        summaryContainer.innerHTML = `
+            Attachments found: &nbsp; ${createBadge(files.length.toString(), 'purple')}
+            ${createBadge(`${checkedAttachments.filter(c => c.issues.length > 0).length} with document issues`, 'red')}
+        `;
 
-            return files;
+        if (files.length === 0) {
+            container.innerHTML = '<p class="text-gray-500">No file attachments found.</p>';
+            return;
         }
+        container.innerHTML = '';
+
+        const documentDetails = (check: DocumentCheck | undefined) => {
+            if (!check) return '';
+            const issues = check.issues.length === 0
+                ? createBadge('No document issues found', 'green')
+                : check.issues.map(i => createBadge(i.detail ? `${DOCUMENT_ISSUE_LABELS[i.code]}: ${i.detail}` : DOCUMENT_ISSUE_LABELS[i.code], 'red')).join(' ');
+            return `
+                <p class="text-sm text-gray-500"><strong>Document</strong>: ${createBadge(check.format.toUpperCase(), 'blue')} ${_.escape(check.path)}
+                    &mdash; title: ${check.title ? _.escape(check.title) : '<em>none</em>'}, language: ${check.language ? _.escape(check.language) : '<em>none</em>'}</p>
+                <p class="text-sm text-gray-500 flex flex-wrap gap-1">${issues}</p>
+            `;
+        };
 
-        /**
-         * Find embedded iframes that correspond to supported video platforms.
-         */
-        function findVideos(doc: Document, item: Resource): VideoObject[] {
-            const videos: VideoObject[] = [];
-            if (!doc || !doc.querySelectorAll) return videos;
+        files.forEach(file => {
+            const liDiv = document.createElement('li');
+            liDiv.className = 'p-3 rounded-md bg-gray-50 flex items-start space-x-3';
+            liDiv.innerHTML = `
+            <div>
+                <p class="font-medium text-gray-800 truncate" title="${file.parentAnchorText}">${file.parentAnchorText}</p>
+                <p class="text-sm text-gray-500"><strong>In Item</strong>: ${createBadge(capitalize(file.parentResourceType))} ${file.parentResourceTitle}</p>
+                <p class="text-sm text-gray-500"><strong>In Module</strong>: ${file.parentResourceModuleTitle}</p>
+                ${documentDetails(attachmentCheck(file))}
+            </div>
+        `;
+            container.appendChild(liDiv);
+        });
+    }
 
-            // TODO: Future opportunity to refactor
+    /**
+     * Display the Assignments & Grading tab: setup problems, assignment groups and every graded item.
+     */
+    function displayGradebook(gradebook: Gradebook) {
+        const container = document.getElementById('grading-results')!;
+        const summaryContainer = document.getElementById('grading-summary')!;
+
+        summaryContainer.innerHTML = `
+            ${createBadge(`${gradebook.assignments.length} graded item(s)`, 'purple')}
+            ${createBadge(`${gradebook.findings.length} setup issue(s)`, gradebook.findings.length ? 'red' : 'green')}
+            ${createBadge(gradebook.weighted ? 'Weighted by group' : 'Not weighted', 'gray')}
+        `;
+
+        if (gradebook.assignments.length === 0 && gradebook.groups.length === 0) {
+            container.innerHTML = '<p class="text-gray-500">No graded items found.</p>';
+            return;
+        }
 
-            // Check iFrames
-            doc.querySelectorAll('iframe').forEach(iframe => {
-                const src = (iframe.src || '').toLowerCase();
-                const title = iframe.title || '(Title Not Found)';
-                let platform = 'Unknown';
-                let type = 'embed'
-                if (src.includes('www.youtube.com/embed/')) platform = 'YouTube';
-                else if (src.includes('player.vimeo.com')) platform = 'Vimeo';
-                else if (src.includes('https://mediasite.osu.edu/mediasite/lti/home/coverplay') || src.includes('mediasite.osu.edu/mediasite/play')) platform = 'Mediasite';
-                else if (src.includes('echo360.com/media')) platform = 'Echo360';
-                else if (src.includes('osucon.hosted.panopto.com')) platform = 'Panopto'
-                else if (src.includes('instructuremedia.com')) platform = 'Instructure';
+        const groupTitle = (identifier: string | null) => gradebook.groups.find(g => g.identifier === identifier)?.title || '(None)';
+        const findings = gradebook.findings.map(f => `
+            <li class="p-2 rounded-md bg-gray-50 text-sm text-gray-700">
+                ${createBadge(GRADING_ISSUE_LABELS[f.code], 'red')} <span class="font-medium">${_.escape(f.title)}</span>
+                ${f.detail ? `<span class="text-gray-500">(${_.escape(f.detail)})</span>` : ''}
+            </li>`).join('');
+        const totalWeight = gradebook.groups.reduce((sum, g) => sum + (g.weight || 0), 0);
+        const groups = gradebook.groups.map(g => `
+            <tr class="border-t border-gray-200">
+                <td class="py-1 pr-4">${_.escape(g.title)}</td>
+                <td class="py-1 pr-4">${gradebook.weighted && g.weight !== null ? `${g.weight}%` : '&mdash;'}</td>
+                <td class="py-1">${gradebook.assignments.filter(a => a.assignmentGroupIdentifier === g.identifier).length}</td>
+            </tr>`).join('');
+        const dates = (a: Gradebook['assignments'][number]) => [
+            a.unlockAt ? `Available ${_.escape(a.unlockAt.replace('T', ' '))}` : '',
+            a.dueAt ? `Due ${_.escape(a.dueAt.replace('T', ' '))}` : 'No due date',
+            a.lockAt ? `Until ${_.escape(a.lockAt.replace('T', ' '))}` : '',
+        ].filter(Boolean).join(' &middot; ');
+
+        container.innerHTML = `
+            ${findings ? `<ul class="space-y-2">${findings}</ul>` : `<p>${createBadge('No grading setup issues found', 'green')}</p>`}
+            <div>
+                <h3 class="text-base font-semibold text-gray-800 mb-2">Assignment Groups</h3>
+                <table class="text-sm text-gray-700">
+                    <thead><tr><th scope="col" class="text-left pr-4">Group</th><th scope="col" class="text-left pr-4">Weight</th><th scope="col" class="text-left">Items</th></tr></thead>
+                    <tbody>${groups}</tbody>
+                    ${gradebook.weighted ? `<tfoot><tr class="border-t border-gray-300 font-medium"><td class="py-1 pr-4">Total</td><td class="py-1 pr-4">${Math.round(totalWeight * 100) / 100}%</td><td></td></tr></tfoot>` : ''}
+                </table>
+            </div>
+            <div>
+                <h3 class="text-base font-semibold text-gray-800 mb-2">Graded Items</h3>
+                <ul class="space-y-3">
+                    ${gradebook.assignments.map(a => `
+                        <li class="p-3 rounded-md bg-gray-50">
+                            <p class="font-medium text-gray-800">${_.escape(a.title)} ${createBadge(getItemTypeLabel(a.itemType), 'blue')}
+                                ${a.status === 'active' ? DEFAULT_BADGES.status.published : DEFAULT_BADGES.status.unpublished}</p>
+                            <p class="text-sm text-gray-500"><strong>Points</strong>: ${a.pointsPossible ?? '&mdash;'} (${_.escape(a.gradingType)})
+                                &nbsp; <strong>Group</strong>: ${_.escape(groupTitle(a.assignmentGroupIdentifier))}</p>
+                            <p class="text-sm text-gray-500"><strong>Submission</strong>: ${_.escape(a.submissionTypes.join(', ') || '(none)')}${a.allowedExtensions.length ? ` (${_.escape(a.allowedExtensions.join(', '))})` : ''}</p>
+                            <p class="text-sm text-gray-500"><strong>Dates</strong>: ${dates(a)}</p>
+                            ${assignmentOptionsLabel(a) ? `<p class="text-sm text-gray-500"><strong>Options</strong>: ${_.escape(assignmentOptionsLabel(a))}</p>` : ''}
+                        </li>`).join('')}
+                </ul>
+            </div>
+        `;
+    }
 
-                if (platform != 'Unknown') {
-                    const traverseRootTag = iframe.parentElement instanceof HTMLParagraphElement ? iframe.parentElement : iframe;
+    /**
+     * Display the settings of every quiz and survey under the graded items, problems first.
+     */
+    function displayQuizSettings(audit: QuizSettingsAudit) {
+        const container = document.getElementById('quiz-results')!;
+        if (audit.quizzes.length === 0) {
+            container.innerHTML = '';
+            return;
+        }
+        const groupTitle = (identifier: string | null) => gradebook?.groups.find(g => g.identifier === identifier)?.title || '(None)';
+        const findings = audit.findings.map(f => `
+            <li class="p-2 rounded-md bg-gray-50 text-sm text-gray-700">
+                ${createBadge(QUIZ_SETTINGS_ISSUE_LABELS[f.code], 'red')} <span class="font-medium">${_.escape(f.title)}</span>
+                ${f.detail ? `<span class="text-gray-500">(${_.escape(f.detail)})</span>` : ''}
+            </li>`).join('');
+
+        container.innerHTML = `
+            <h3 class="text-base font-semibold text-gray-800 mb-2">Quiz Settings ${createBadge(`${audit.quizzes.length} quiz(zes) and survey(s)`, 'purple')}</h3>
+            ${findings ? `<ul class="space-y-2 mb-4">${findings}</ul>` : `<p class="mb-4">${createBadge('No quiz settings issues found', 'green')}</p>`}
+            <ul class="space-y-3">
+                ${audit.quizzes.map(q => `
+                    <li class="p-3 rounded-md bg-gray-50">
+                        <p class="font-medium text-gray-800">${_.escape(q.title)} ${createBadge(QUIZ_TYPE_LABELS[q.quizType] || q.quizType, 'blue')}
+                            ${q.status === 'active' ? DEFAULT_BADGES.status.published : DEFAULT_BADGES.status.unpublished}</p>
+                        <p class="text-sm text-gray-500"><strong>Points</strong>: ${q.pointsPossible ?? '&mdash;'}
+                            &nbsp; <strong>Questions</strong>: ${q.questionCount} (${q.questionPoints} pts)
+                            &nbsp; <strong>Group</strong>: ${_.escape(groupTitle(q.assignmentGroupIdentifier))}</p>
+                        <p class="text-sm text-gray-500"><strong>Attempts</strong>: ${_.escape(quizAttemptsLabel(q))}${q.scoringPolicy && q.allowedAttempts !== 1 ? ` (${_.escape(q.scoringPolicy.replace(/_/g, ' '))})` : ''}</p>
+                        <p class="text-sm text-gray-500"><strong>Correct answers</strong>: ${_.escape(quizCorrectAnswersLabel(q))}</p>
+                        ${quizRestrictionsLabel(q) ? `<p class="text-sm text-gray-500"><strong>Options</strong>: ${_.escape(quizRestrictionsLabel(q))}</p>` : ''}
+                    </li>`).join('')}
+            </ul>
+        `;
+    }
 
-                    const adjacentText = ((traverseRootTag.previousElementSibling?.innerHTML || '') + ' ' + (traverseRootTag.nextElementSibling?.innerHTML || '') + (traverseRootTag.nextElementSibling?.nextElementSibling?.innerHTML || '')).toLowerCase();
+    /**
+     * Display the rubrics under the graded items: coverage problems, then every rubric with its criteria.
+     */
+    function displayRubrics(inventory: RubricInventory) {
+        const container = document.getElementById('rubric-results')!;
+        const findings = inventory.findings.map(f => `
+            <li class="p-2 rounded-md bg-gray-50 text-sm text-gray-700">
+                ${createBadge(RUBRIC_ISSUE_LABELS[f.code], f.code === 'unused-rubric' ? 'yellow' : 'red')} <span class="font-medium">${_.escape(f.title)}</span>
+                ${f.detail ? `<span class="text-gray-500">(${_.escape(f.detail)})</span>` : ''}
+            </li>`).join('');
+
+        container.innerHTML = `
+            <h3 class="text-base font-semibold text-gray-800 mb-2">Rubrics ${createBadge(`${inventory.rubrics.length} rubric(s)`, 'purple')}</h3>
+            ${findings ? `<ul class="space-y-2 mb-4">${findings}</ul>` : `<p class="mb-4">${createBadge('No rubric coverage issues found', 'green')}</p>`}
+            <div class="space-y-4">
+                ${inventory.rubrics.map(rubric => `
+                    <div class="p-3 rounded-md bg-gray-50">
+                        <p class="font-medium text-gray-800">${_.escape(rubric.title)} ${createBadge(`${rubric.totalPoints} pts`, 'blue')}</p>
+                        <p class="text-sm text-gray-500"><strong>Used by</strong>: ${rubric.usedBy.length ? rubric.usedBy.map(a => `${_.escape(a.title)} (${a.pointsPossible ?? 0} pts)`).join(', ') : 'no items'}</p>
+                        <table class="mt-2 text-sm text-gray-700 w-full">
+                            <thead><tr><th scope="col" class="text-left pr-4">Criterion</th><th scope="col" class="text-left pr-4">Points</th><th scope="col" class="text-left">Ratings</th></tr></thead>
+                            <tbody>${rubric.criteria.map(c => `
+                                <tr class="border-t border-gray-200 align-top">
+                                    <td class="py-1 pr-4">${_.escape(c.description)}${c.longDescription ? `<p class="text-xs text-gray-500">${_.escape(c.longDescription)}</p>` : ''}</td>
+                                    <td class="py-1 pr-4">${c.points}</td>
+                                    <td class="py-1">${c.ratings.map(r => `${_.escape(r.description)} (${r.points})`).join(' &middot; ')}</td>
+                                </tr>`).join('')}
+                            </tbody>
+                        </table>
+                    </div>`).join('')}
+            </div>
+        `;
+    }
 
-                    const transcriptOrCaptionMentioned = /transcript|caption/i.test(adjacentText);
+    /**
+     * Display the Outcomes tab: alignment gaps, then the outcome-by-module and
+     * outcome-by-assessment matrices with unaligned outcomes and modules highlighted.
+     */
+    function displayOutcomes(matrix: OutcomeAlignments) {
+        const container = document.getElementById('outcomes-results')!;
+        const summaryContainer = document.getElementById('outcomes-summary')!;
+
+        const issueColors: { [K in OutcomeIssue]: string } = {
+            'unaligned-outcome': 'red',
+            'module-without-outcomes': 'yellow',
+            'outcome-not-found': 'red',
+        };
+        const unaligned = matrix.findings.filter(f => f.code === 'unaligned-outcome').length;
 
-                    videos.push({ title: title, platform, src: src, type: type, transcriptOrCaptionMentioned: transcriptOrCaptionMentioned, parentResourceTitle: item.title });
-                }
-            });
+        summaryContainer.innerHTML = `
+            ${createBadge(`${matrix.outcomes.length} outcome(s)`, 'purple')}
+            ${createBadge(`${unaligned} unaligned outcome(s)`, unaligned ? 'red' : 'green')}
+            ${createBadge(`${alignedAssessments(matrix).length} aligned item(s)`, 'blue')}
+        `;
 
-            doc.querySelectorAll('a').forEach(a => {
-                const src = (a.href || '').toLowerCase();
-                const title = a.text || '(Title Not Found)';
-                let platform = 'Unknown';
-                let type = 'link'
-                if (src.includes('www.youtube.com/watch') || src.includes('youtu.be')) platform = 'YouTube';
-                else if (src.includes('vimeo.com')) platform = 'Vimeo';
-                else if (src.includes('mediasite.osu.edu/mediasite/play')) platform = 'Mediasite';
-                else if (src.includes('external_tools')) platform = 'External Tool (potentially Mediasite';
-                else if (src.includes('echo360.org/media')) platform = 'Echo360';
-                else if (src.includes('osucon.hosted.panopto.com')) platform = 'Panopto'
-                else if (src.includes('instructuremedia.com')) platform = 'Instructure';
+        if (matrix.outcomes.length === 0) {
+            container.innerHTML = '<p class="text-gray-500">No learning outcomes found in this export.</p>';
+            return;
+        }
 
-                if (platform != 'Unknown') {
-                    const traverseRootTag = a.parentElement instanceof HTMLParagraphElement ? a.parentElement : a;
+        const findings = matrix.findings.map(f => `
+            <li class="p-2 rounded-md bg-gray-50 text-sm text-gray-700">
+                ${createBadge(OUTCOME_ISSUE_LABELS[f.code], issueColors[f.code])} <span class="font-medium">${_.escape(f.title)}</span>
+                ${f.detail ? `<span class="text-gray-500">(${_.escape(f.detail)})</span>` : ''}
+            </li>`).join('');
+
+        const unalignedModules = new Set(matrix.findings.filter(f => f.code === 'module-without-outcomes').map(f => f.title));
+        const isAligned = (identifier: string) => matrix.alignments.some(a => a.outcomeIdentifier === identifier);
+        const outcomeCell = (o: OutcomeAlignments['outcomes'][number]) => `
+            <th scope="row" class="text-left font-medium p-2 border ${isAligned(o.identifier) ? '' : 'bg-red-50 text-red-800'}">
+                ${_.escape(o.title)}${o.groupTitle ? `<span class="block text-xs font-normal text-gray-500">${_.escape(o.groupTitle)}</span>` : ''}
+            </th>`;
+        const matrixTable = (title: string, columns: { label: string, highlight: boolean }[], cell: (identifier: string, column: number) => string) => `
+            <div>
+                <h3 class="text-base font-semibold text-gray-800 mb-2">${title}</h3>
+                <div class="overflow-x-auto">
+                    <table class="text-sm text-gray-700 border-collapse">
+                        <thead><tr>
+                            <th scope="col" class="text-left p-2 border">Outcome</th>
+                            ${columns.map(c => `<th scope="col" class="p-2 border ${c.highlight ? 'bg-yellow-50 text-yellow-800' : ''}">${_.escape(c.label)}</th>`).join('')}
+                        </tr></thead>
+                        <tbody>
+                            ${matrix.outcomes.map(o => `<tr>${outcomeCell(o)}${columns.map((_c, i) => `<td class="p-2 border text-center">${cell(o.identifier, i)}</td>`).join('')}</tr>`).join('')}
+                        </tbody>
+                    </table>
+                </div>
+            </div>`;
+
+        const assessments = alignedAssessments(matrix);
+        container.innerHTML = `
+            ${findings ? `<ul class="space-y-2">${findings}</ul>` : `<p>${createBadge('Every outcome and module is aligned', 'green')}</p>`}
+            ${matrixTable('Outcomes by Module',
+                matrix.modules.map(m => ({ label: m, highlight: unalignedModules.has(m) })),
+                (identifier, i) => String(moduleAlignmentCount(matrix, identifier, matrix.modules[i]) || ''))}
+            ${assessments.length === 0 ? '<p class="text-gray-500">No assessments are aligned to an outcome.</p>' : matrixTable('Outcomes by Assessment',
+                assessments.map(a => ({ label: a.title, highlight: false })),
+                (identifier, i) => _.escape(assessmentAlignmentLabel(matrix, identifier, assessments[i].resourceIdentifier)))}
+        `;
+    }
 
-                    const adjacentText = ((traverseRootTag.previousElementSibling?.innerHTML || '') + ' ' + (traverseRootTag.nextElementSibling?.innerHTML || '') + (traverseRootTag.nextElementSibling?.nextElementSibling?.innerHTML || '')).toLowerCase();
+    /**
+     * Display the Calendar tab: date warnings, then every dated event week by week of the term.
+     */
+    function displayCalendar(calendar: CourseCalendar) {
+        const container = document.getElementById('calendar-results')!;
+        const summaryContainer = document.getElementById('calendar-summary')!;
+
+        const warningColors: { [K in DateWarningCode]: string } = {
+            'due-before-unlock': 'red',
+            'outside-term': 'yellow',
+            'deadline-cluster': 'purple',
+            'previous-term': 'red',
+        };
 
-                    const transcriptOrCaptionMentioned = /transcript|caption/i.test(adjacentText);
+        summaryContainer.innerHTML = `
+            ${createBadge(`${calendar.events.length} dated event(s)`, 'purple')}
+            ${createBadge(`${calendar.warnings.length} date warning(s)`, calendar.warnings.length ? 'red' : 'green')}
+            ${createBadge(`Times in ${calendar.timeZone}`, 'gray')}
+        `;
 
-                    videos.push({ title: title, platform, src: src, type: type, transcriptOrCaptionMentioned: transcriptOrCaptionMentioned, parentResourceTitle: item.title });
-                }
+        if (calendar.events.length === 0) {
+            container.innerHTML = '<p class="text-gray-500">No dated items found.</p>';
+            return;
+        }
+
+        const term = `${calendar.termStart ? _.escape(calendar.termStart.replace('T', ' ')) : 'no start date'} &ndash; ${calendar.termEnd ? _.escape(calendar.termEnd.replace('T', ' ')) : 'no end date'}`;
+        const warnings = calendar.warnings.map(w => `
+            <li class="p-2 rounded-md bg-gray-50 text-sm text-gray-700">
+                ${createBadge(DATE_WARNING_LABELS[w.code], warningColors[w.code])} <span class="font-medium">${_.escape(w.title)}</span>
+                ${w.detail ? `<span class="text-gray-500">(${_.escape(w.detail)})</span>` : ''}
+            </li>`).join('');
+        const weeks = calendarWeeks(calendar).map(week => `
+            <div>
+                <h3 class="text-base font-semibold text-gray-800 mb-2">${_.escape(week.label)}</h3>
+                <ul class="space-y-1">
+                    ${week.events.map(e => `
+                        <li class="flex items-center justify-between text-sm text-gray-700">
+                            <span class="truncate"><span class="font-mono text-gray-500">${_.escape(e.localTime)}</span> ${_.escape(e.title)}</span>
+                            <span class="flex-shrink-0 ml-4 space-x-2">
+                                ${createBadge(CALENDAR_EVENT_LABELS[e.kind], e.kind === 'due' ? 'red' : 'blue')}
+                                <span class="text-xs text-gray-600 bg-gray-100 px-2 py-1 rounded-md">${e.itemType === 'module' ? 'Module' : getItemTypeLabel(e.itemType)}</span>
+                            </span>
+                        </li>`).join('')}
+                </ul>
+            </div>`).join('');
+
+        container.innerHTML = `
+            <p class="text-sm text-gray-500"><strong>Term</strong>: ${term} (UTC)</p>
+            ${warnings ? `<ul class="space-y-2">${warnings}</ul>` : `<p>${createBadge('No date warnings', 'green')}</p>`}
+            ${weeks}
+        `;
+    }
+
+    /**
+     * Display the Changes tab: everything that differs between the earlier and the current export.
+     */
+    function displayCourseDiff(diff: CourseDiff) {
+        const container = document.getElementById('changes-results')!;
+        const summaryContainer = document.getElementById('changes-summary')!;
+        document.getElementById('changes-export')!.classList.remove('hidden');
+
+        summaryContainer.innerHTML = `
+            ${createBadge(`${courseDiffSize(diff)} change(s)`, 'purple')}
+            ${createBadge(`${diff.accessibility.introduced.length} new violation(s)`, diff.accessibility.introduced.length ? 'red' : 'green')}
+            ${createBadge(`${diff.accessibility.fixed.length} fixed violation(s)`, 'green')}
+        `;
+
+        const section = (title: string, rows: string[], empty: string) => `
+            <div>
+                <h3 class="text-base font-semibold text-gray-800 mb-2">${title}</h3>
+                ${rows.length ? `<ul class="space-y-2">${rows.join('')}</ul>` : `<p class="text-sm text-gray-500">${empty}</p>`}
+            </div>`;
+        const row = (badge: string, title: string, detail: string) => `
+            <li class="p-2 rounded-md bg-gray-50 text-sm text-gray-700">
+                ${badge} <span class="font-medium">${_.escape(title)}</span>
+                ${detail ? `<span class="text-gray-500">(${_.escape(detail)})</span>` : ''}
+            </li>`;
+        const changeColor = (kind: string) => kind === 'added' || kind === 'published' ? 'green' : kind === 'removed' || kind === 'unpublished' ? 'red' : 'blue';
+
+        const content = diff.content.map(c => `
+            <li class="p-2 rounded-md bg-gray-50 text-sm text-gray-700">
+                <p class="font-medium">${_.escape(c.title)} ${createBadge(getItemTypeLabel(c.itemType), 'gray')}</p>
+                ${c.removed.map(l => `<p class="mt-1 px-2 bg-red-50 text-red-800">&minus; ${_.escape(l)}</p>`).join('')}
+                ${c.added.map(l => `<p class="mt-1 px-2 bg-green-50 text-green-800">+ ${_.escape(l)}</p>`).join('')}
+            </li>`);
+        const axeRow = (color: string) => (a: CourseDiff['accessibility']['fixed'][number]) =>
+            row(createBadge(a.impact || a.rule, color), a.itemTitle, `${a.help}${a.target ? ` — ${a.target}` : ''}`);
+        const linkRow = (color: string, label: string) => (l: CourseDiff['links']['added'][number]) =>
+            row(createBadge(label, color), l.parentResourceTitle, `${l.text} <${l.url}>`);
+
+        container.innerHTML = `
+            <p class="text-sm text-gray-500"><strong>Earlier export</strong>: ${_.escape(diff.beforeFileName)} &nbsp; <strong>Later export</strong>: ${_.escape(diff.afterFileName)}</p>
+            ${section('Modules', diff.modules.map(c => row(createBadge(MODULE_CHANGE_LABELS[c.kind], changeColor(c.kind)), c.title, c.detail)), 'No module changes.')}
+            ${section('Items', diff.resources.map(c => row(createBadge(RESOURCE_CHANGE_LABELS[c.kind], changeColor(c.kind)), c.title, c.detail)), 'No items added, removed, renamed or republished.')}
+            ${section('Content Text', content, 'No text changes.')}
+            ${section('New Accessibility Violations', diff.accessibility.introduced.map(axeRow('red')), 'No new violations.')}
+            ${section('Fixed Accessibility Violations', diff.accessibility.fixed.map(axeRow('green')), 'No fixed violations.')}
+            ${section('Links', [...diff.links.added.map(linkRow('green', 'Added')), ...diff.links.removed.map(linkRow('red', 'Removed'))], 'No links added or removed.')}
+        `;
+    }
+
+    /**
+     * Display video findings: platform, caption status and the caption files matched to each video.
+     */
+    function displayVideos(videos: VideoObject[], captions: CaptionFile[]) {
+        const container = document.getElementById('video-results')!;
+        const summaryContainer = document.getElementById('video-summary')!;
+        const captionsByPath = new Map(captions.map(c => [c.path, c]));
+
+        const statusColors: { [K in CaptionStatus]: string } = {
+            'caption-file': 'green',
+            'caption-file-invalid': 'pink',
+            'transcript-linked': 'blue',
+            'mentioned': 'yellow',
+            'none': 'red',
+        };
+        const statusCounts = _.countBy(videos, v => v.captionStatus || 'none');
+
+        summaryContainer.innerHTML = `
+            <p><strong>Captions and transcripts</strong>:</p>
+            <p class="flex flex-wrap gap-1">
+                ${(Object.keys(CAPTION_STATUS_LABELS) as CaptionStatus[]).map(status => createBadge(`${statusCounts[status] || 0} ${CAPTION_STATUS_LABELS[status]}`, statusColors[status])).join(' ')}
+                ${createBadge(`${captions.filter(captionFileHasProblems).length} of ${captions.length} caption file(s) with problems`, 'pink')}
+            </p>
+        `;
+
+        if (videos.length === 0) {
+            container.innerHTML = '<p class="text-gray-500">No embedded videos found.</p>';
+            return;
+        }
+        container.innerHTML = `
+            <div id="video-triage-filters" class="mb-4">
+                <label class="block text-sm font-medium text-gray-700 mb-2">Filter by Triage:</label>
+                <div class="flex flex-wrap gap-4">${triageFilterCheckboxes('video')}</div>
+            </div>
+        `;
+        const triageFilters = document.getElementById('video-triage-filters')!;
+        const ul = document.createElement('ul');
+        ul.className = 'space-y-3';
+        container.appendChild(ul);
+
+        const renderVideos = () => {
+            const selectedTriage = selectedTriageStatuses(triageFilters);
+            const shown = videos.filter(video => selectedTriage.includes(triageStatus(triageDecisions, videoFingerprint(video))));
+            ul.innerHTML = shown.length ? '' : '<li class="text-gray-500">No videos match the current filters.</li>';
+            shown.forEach(renderVideo);
+        };
+
+        const renderVideo = (video: VideoObject) => {
+            const status = video.captionStatus || 'none';
+            const fingerprint = videoFingerprint(video);
+            const li = document.createElement('li');
+            li.className = 'p-3 bg-gray-50 rounded-md';
+
+            const captionDetails = (video.captionFiles || []).map(path => {
+                const file = captionsByPath.get(path);
+                const problems = file ? captionProblemsLabel(file) : '';
+                return `<li>${_.escape(path)} ${file ? createBadge(`${file.format.toUpperCase()}, ${file.cueCount} cue(s)`, 'blue') : ''}
+                    ${problems ? createBadge(problems, 'red') : createBadge('No problems found', 'green')}</li>`;
+            }).join('');
+
+            li.innerHTML = `
+                    <p class="font-medium text-gray-800">${_.escape(video.title)} ${createBadge(CAPTION_STATUS_LABELS[status], statusColors[status])} <span data-triage-badge>${triageBadge(fingerprint)}</span></p>
+                    <p>${video.type == 'embed' ? createBadge('Embed', 'blue') : createBadge('Link', 'indigo')}</p>
+                    <p class="text-sm text-gray-500"><strong>Platform</strong>: ${_.escape(video.platform)}</p>
+                    <p class="text-sm text-gray-500"><strong>Found in:</strong> ${_.escape(video.parentResourceTitle)}</p>
+                    <p class="text-sm text-gray-500 break-all"><strong>URL:</strong> ${_.escape(video.src)}</p>
+                    ${captionDetails ? `<p class="text-sm text-gray-500"><strong>Caption files:</strong></p><ul class="text-sm text-gray-500 list-disc ml-5">${captionDetails}</ul>` : ''}
+                    ${video.transcriptLinks.length ? `<p class="text-sm text-gray-500 break-all"><strong>Transcript:</strong> ${video.transcriptLinks.map(l => _.escape(l)).join(', ')}</p>` : ''}
+                `;
+            li.appendChild(createTriageControls(fingerprint, li.querySelector<HTMLElement>('[data-triage-badge]')));
+            ul.appendChild(li);
+        };
+
+        triageFilters.querySelectorAll('input').forEach(checkbox => checkbox.addEventListener('change', renderVideos));
+        renderVideos();
+    }
+
+    /* =========================================================================
+       Images tab: inventory and one-by-one review
+       ========================================================================= */
+
+    /**
+     * Thumbnail of a course image, or a placeholder for images outside the archive.
+     */
+    function imageThumbnail(image: ImageObject, sizeClass: string): string {
+        const url = image.path ? imageThumbnailUrls.get(image.path) : undefined;
+        if (!url) {
+            return `<div class="${sizeClass} flex items-center justify-center bg-gray-100 text-xs text-gray-500 rounded-md text-center p-1">${image.path ? 'Not in archive' : 'External image'}</div>`;
+        }
+        // The alt is shown next to the thumbnail, so the thumbnail itself is decorative
+        return `<img src="${url}" alt="" class="${sizeClass} object-contain bg-gray-100 rounded-md">`;
+    }
+
+    /**
+     * Display the Images tab: a viewer that steps through the images one at a
+     * time, and the full list with thumbnails below it.
+     */
+    function displayImages(images: ImageObject[]) {
+        const container = document.getElementById('image-results')!;
+        const summaryContainer = document.getElementById('image-summary')!;
+        const viewer = document.getElementById('image-viewer')!;
+        const withIssues = images.filter(i => i.issues.length > 0);
+        const issueCounts = _.countBy(images.flatMap(i => _.uniq(i.issues.map(issue => issue.code))));
+
+        summaryContainer.innerHTML = `
+            <p class="flex flex-wrap gap-1">
+                ${createBadge(`${images.length} image(s)`, 'purple')}
+                ${createBadge(`${withIssues.length} with alt text issues`, withIssues.length ? 'red' : 'green')}
+                ${Object.entries(issueCounts).map(([code, count]) => createBadge(`${count} ${IMAGE_ISSUE_LABELS[code as keyof typeof IMAGE_ISSUE_LABELS]}`, 'yellow')).join(' ')}
+            </p>
+        `;
+
+        if (images.length === 0) {
+            viewer.innerHTML = '';
+            container.innerHTML = '<p class="text-gray-500">No images found.</p>';
+            return;
+        }
+
+        let onlyIssues = withIssues.length > 0;
+        let position = 0;
+        const reviewed = () => onlyIssues ? withIssues : images;
+
+        const altLabel = (image: ImageObject) => image.alt === null ? '<em>missing</em>'
+            : image.decorative ? '<em>decorative</em>'
+            : _.escape(image.alt);
+
+        const renderViewer = () => {
+            const list = reviewed();
+            const image = list[position];
+            viewer.innerHTML = `
+                <div class="flex flex-wrap items-center gap-2 mb-3">
+                    <button type="button" data-step="-1" class="export-btn" ${position === 0 ? 'disabled' : ''}>&larr; Previous</button>
+                    <span class="text-sm text-gray-700" aria-live="polite">Image ${position + 1} of ${list.length}</span>
+                    <button type="button" data-step="1" class="export-btn" ${position >= list.length - 1 ? 'disabled' : ''}>Next &rarr;</button>
+                    <label class="text-sm text-gray-700 ml-4"><input type="checkbox" id="image-only-issues" ${onlyIssues ? 'checked' : ''} ${withIssues.length ? '' : 'disabled'}> Only images with issues</label>
+                </div>
+                <div class="flex flex-col md:flex-row gap-4">
+                    ${imageThumbnail(image, 'w-full md:w-80 h-64')}
+                    <div class="space-y-1 text-sm text-gray-700 min-w-0">
+                        <p><strong>Alt text</strong>: ${altLabel(image)}</p>
+                        ${image.issues.length
+                            ? `<p class="flex flex-wrap gap-1">${image.issues.map(i => createBadge(IMAGE_ISSUE_LABELS[i.code], 'red')).join(' ')}</p>`
+                            : `<p>${createBadge('No alt text issues found', 'green')}</p>`}
+                        ${image.issues.some(i => i.detail) ? `<p class="text-gray-500">${_.escape(imageIssuesLabel(image))}</p>` : ''}
+                        ${image.nearbyText ? `<p><strong>Nearby text</strong>: ${_.escape(image.nearbyText)}</p>` : ''}
+                        <p><strong>Found in</strong>: ${_.escape(image.parentResourceTitle)} <span class="text-gray-500">(${_.escape(image.parentResourceModuleTitle)})</span></p>
+                        <p class="text-gray-500 break-all"><strong>Source</strong>: ${_.escape(image.path || image.src)}</p>
+                    </div>
+                </div>
+            `;
+            viewer.querySelectorAll('button[data-step]').forEach(button => {
+                button.addEventListener('click', () => {
+                    position = Math.min(Math.max(0, position + Number((button as HTMLElement).dataset['step'])), reviewed().length - 1);
+                    renderViewer();
+                });
+            });
+            document.getElementById('image-only-issues')!.addEventListener('change', e => {
+                onlyIssues = (e.target as HTMLInputElement).checked;
+                position = 0;
+                renderViewer();
             });
-            return videos;
+        };
+
+        // Arrow keys step through the images while the viewer has focus
+        viewer.tabIndex = 0;
+        viewer.onkeydown = e => {
+            if (e.key !== 'ArrowLeft' && e.key !== 'ArrowRight') return;
+            const next = position + (e.key === 'ArrowRight' ? 1 : -1);
+            if (next < 0 || next >= reviewed().length) return;
+            position = next;
+            renderViewer();
+        };
+        renderViewer();
+
+        container.innerHTML = '';
+        const ul = document.createElement('ul');
+        ul.className = 'space-y-3';
+        images.forEach(image => {
+            const li = document.createElement('li');
+            li.className = 'p-3 bg-gray-50 rounded-md flex gap-3 items-start';
+            li.innerHTML = `
+                    ${imageThumbnail(image, 'w-20 h-20 flex-shrink-0')}
+                    <div class="min-w-0 flex-grow">
+                        <p class="text-sm text-gray-800"><strong>Alt text</strong>: ${altLabel(image)}</p>
+                        <p class="text-sm text-gray-500"><strong>Found in:</strong> ${_.escape(image.parentResourceTitle)}</p>
+                        ${image.issues.length ? `<p class="flex flex-wrap gap-1 mt-1">${image.issues.map(i => createBadge(IMAGE_ISSUE_LABELS[i.code], 'red')).join(' ')}</p>` : ''}
+                    </div>
+                    <button type="button" class="export-btn flex-shrink-0">Review</button>
+                `;
+            li.querySelector('button')!.addEventListener('click', () => {
+                onlyIssues = onlyIssues && image.issues.length > 0;
+                position = reviewed().indexOf(image);
+                renderViewer();
+                viewer.scrollIntoView({ block: 'nearest' });
+                viewer.focus();
+            });
+            ul.appendChild(li);
+        });
+        container.appendChild(ul);
+    }
+
+    /* =========================================================================
+       Fix mode
+       ========================================================================= */
+
+    const fixOptions = document.getElementById('fix-options')!;
+    const fixLanguageInput = document.getElementById('fix-language') as HTMLInputElement;
+    const fixPreviewButton = document.getElementById('fix-preview') as HTMLButtonElement;
+    const fixDownloadButton = document.getElementById('fix-download') as HTMLButtonElement;
+
+    fixOptions.innerHTML = Object.entries(REMEDIATION_LABELS).map(([code, label]) => `
+        <label class="text-sm text-gray-700"><input type="checkbox" name="fix-code" value="${code}" checked> ${_.escape(label)}</label>
+    `).join('');
+
+    function selectedFixes(): RemediationCode[] {
+        return Array.from(fixOptions.querySelectorAll<HTMLInputElement>('input[name="fix-code"]:checked')).map(input => input.value as RemediationCode);
+    }
+
+    function approvedRemediations(): ItemRemediation[] {
+        return Array.from(document.querySelectorAll<HTMLInputElement>('#fix-results input[data-fix-index]:checked'))
+            .map(input => remediations[Number(input.dataset['fixIndex'])]);
+    }
+
+    function updateFixDownload() {
+        const count = approvedRemediations().length;
+        fixDownloadButton.disabled = count === 0;
+        fixDownloadButton.textContent = count ? `Download fixed export (${count} item(s))` : 'Download fixed export';
+    }
+
+    /**
+     * Show every item the fixes change, with what changed, its HTML before and
+     * after, and a checkbox to approve it (all approved to start with).
+     */
+    function displayRemediations(items: ItemRemediation[]) {
+        const container = document.getElementById('fix-results')!;
+        const summaryContainer = document.getElementById('fix-summary')!;
+        const changeCounts = _.countBy(items.flatMap(i => i.changes.map(c => c.code)));
+        const fixable = items.filter(i => i.changes.length > 0).length;
+        const reviewCount = _.sumBy(items, i => i.review.length);
+
+        summaryContainer.innerHTML = `
+            <p class="flex flex-wrap gap-1">
+                ${createBadge(`${fixable} item(s) to fix`, fixable ? 'purple' : 'green')}
+                ${Object.entries(changeCounts).map(([code, count]) => createBadge(`${count} ${REMEDIATION_LABELS[code as RemediationCode]}`, 'blue')).join(' ')}
+                ${reviewCount ? createBadge(`${reviewCount} left for manual review`, 'yellow') : ''}
+            </p>
+        `;
+
+        if (items.length === 0) {
+            container.innerHTML = '<p class="text-gray-500">The selected fixes change nothing in this course.</p>';
+            updateFixDownload();
+            return;
+        }
+
+        container.innerHTML = '';
+        const ul = document.createElement('ul');
+        ul.className = 'space-y-3';
+        items.forEach((item, index) => {
+            const { removed, added } = diffLines(reviewLines(item.before), reviewLines(item.after));
+            const li = document.createElement('li');
+            li.className = 'p-3 bg-gray-50 rounded-md';
+            const reviewNotes = item.review.length ? `
+                    <p class="mt-1 ml-6 text-sm font-medium text-gray-800">Left for manual review:</p>
+                    <ul class="ml-6 list-disc text-sm text-gray-600">
+                        ${item.review.map(c => `<li>${_.escape(REMEDIATION_LABELS[c.code])}: ${_.escape(c.detail)}</li>`).join('')}
+                    </ul>` : '';
+            if (!item.changes.length) {
+                li.innerHTML = `
+                    <p class="flex flex-wrap items-center gap-2 text-sm font-medium text-gray-800">${_.escape(item.title)} ${createBadge(getItemTypeLabel(item.itemType), 'gray')}</p>
+                    ${reviewNotes}
+                `;
+                ul.appendChild(li);
+                return;
+            }
+            li.innerHTML = `
+                    <label class="flex flex-wrap items-center gap-2 text-sm font-medium text-gray-800">
+                        <input type="checkbox" data-fix-index="${index}" checked> Apply to ${_.escape(item.title)} ${createBadge(getItemTypeLabel(item.itemType), 'gray')}
+                    </label>
+                    <ul class="mt-1 ml-6 list-disc text-sm text-gray-600">
+                        ${item.changes.map(c => `<li>${_.escape(REMEDIATION_LABELS[c.code])}${c.detail ? `: ${_.escape(c.detail)}` : ''}</li>`).join('')}
+                    </ul>
+                    ${reviewNotes}
+                    <details class="mt-2 ml-6">
+                        <summary class="cursor-pointer text-sm text-indigo-600">Before and after</summary>
+                        <div class="text-xs font-mono break-all">
+                            ${removed.map(l => `<p class="mt-1 px-2 bg-red-50 text-red-800">&minus; ${_.escape(l)}</p>`).join('')}
+                            ${added.map(l => `<p class="mt-1 px-2 bg-green-50 text-green-800">+ ${_.escape(l)}</p>`).join('')}
+                        </div>
+                    </details>
+                `;
+            li.querySelector('input')!.addEventListener('change', updateFixDownload);
+            ul.appendChild(li);
+        });
+        container.appendChild(ul);
+        updateFixDownload();
+    }
+
+    /**
+     * Run the selected fixes over the loaded archive and show the changes for review.
+     */
+    async function previewFixes() {
+        const fixes = selectedFixes();
+        if (!currentFile) return;
+        if (fixes.length === 0) {
+            setInnerHTMLById('fix-results', '<p class="text-gray-500">Choose at least one fix.</p>');
+            return;
         }
+        fixPreviewButton.disabled = true;
+        fixDownloadButton.disabled = true;
+        setInnerHTMLById('fix-results', '<p class="text-gray-500">Applying fixes&hellip;</p>');
+        try {
+            const zip = await JSZip.loadAsync(currentFile);
+            remediations.length = 0;
+            remediations.push(...await remediateArchive(zip, allResources, fixes, fixLanguageInput.value.trim(), SHARED_PARSER));
+            displayRemediations(remediations);
+        } catch (e) {
+            console.error(e);
+            setInnerHTMLById('fix-results', `<p class="text-red-600" role="alert">Could not apply the fixes: ${_.escape((e as Error).message)}</p>`);
+        } finally {
+            fixPreviewButton.disabled = false;
+        }
+    }
 
-        /* =========================================================================
-           End DOMContentLoaded
-           ========================================================================= */
+    /**
+     * Write the approved fixes into a fresh copy of the archive and offer it for import into Canvas.
+     */
+    async function downloadFixedExport() {
+        const approved = approvedRemediations();
+        if (!currentFile || approved.length === 0) return;
+        fixDownloadButton.disabled = true;
+        try {
+            const archive = await buildRemediatedArchive(await JSZip.loadAsync(currentFile), approved);
+            const baseName = currentFileName.replace(/\.(imscc|zip)$/i, '') || 'course';
+            downloadFile(`${baseName}-fixed.imscc`, archive, 'application/zip');
+        } catch (e) {
+            console.error(e);
+            setInnerHTMLById('fix-summary', `<p class="text-red-600" role="alert">Could not write the fixed export: ${_.escape((e as Error).message)}</p>`);
+        } finally {
+            updateFixDownload();
+        }
     }
-});
\ No newline at end of file
+
+    fixPreviewButton.addEventListener('click', previewFixes);
+    fixDownloadButton.addEventListener('click', downloadFixedExport);
+
+    /* =========================================================================
+       End DOMContentLoaded
+       ========================================================================= */
+});
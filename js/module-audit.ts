@@ -0,0 +1,93 @@
+import type { Resource, Module, ModuleItem, ModuleCompletionRequirement, ModuleAuditCode, ModuleAuditFinding } from './types';
+
+/* =========================================================================
+   Module structure audit: empty modules and text headers, publish state
+   that disagrees between a module and its items, content outside modules
+   and content placed in several modules.
+   ========================================================================= */
+
+export const MODULE_AUDIT_LABELS: { [K in ModuleAuditCode]: string } = {
+    'empty-module': 'Empty module',
+    'published-in-unpublished-module': 'Published item in unpublished module',
+    'unpublished-in-published-module': 'Unpublished item in published module',
+    'not-in-module': 'Not in any module',
+    'multiple-modules': 'In several modules',
+    'empty-text-header': 'Text header without items',
+};
+
+const COMPLETION_REQUIREMENT_LABELS: { [type: string]: string } = {
+    must_view: 'View',
+    must_submit: 'Submit',
+    must_contribute: 'Contribute',
+    must_mark_done: 'Mark as done',
+    min_score: 'Score at least',
+    min_percentage: 'Score at least',
+};
+
+// Content students are expected to reach through modules; files, announcements
+// and question banks are reached through links and the course menu
+const MODULE_CONTENT_TYPES = ['page', 'assignment', 'quiz', 'new_quiz', 'survey', 'discussion'];
+
+const HEADER_CONTENT_TYPE = 'ContextModuleSubHeader';
+
+/**
+ * Short description of a completion requirement, e.g. "Score at least 7".
+ */
+export function completionRequirementLabel(requirement: ModuleCompletionRequirement): string {
+    const label = COMPLETION_REQUIREMENT_LABELS[requirement.type] || requirement.type;
+    if (requirement.minScore === null) return label;
+    return `${label} ${requirement.minScore}${requirement.type === 'min_percentage' ? '%' : ''}`;
+}
+
+function isHeader(item: ModuleItem): boolean {
+    return item.contentType === HEADER_CONTENT_TYPE;
+}
+
+/**
+ * Audit how the course's content is organized into modules.
+ */
+export function auditModuleStructure(modules: Module[], resources: Resource[]): ModuleAuditFinding[] {
+    const findings: ModuleAuditFinding[] = [];
+    const modulesByResource: Map<string, Module[]> = new Map();
+
+    modules.forEach(module => {
+        if (module.items.length === 0) {
+            findings.push({ code: 'empty-module', moduleTitle: module.title, itemTitle: null, detail: '' });
+            return;
+        }
+
+        const modulePublished = module.status === 'active';
+        module.items.forEach((item, index) => {
+            if (isHeader(item)) {
+                const next = module.items[index + 1];
+                if (!next || isHeader(next)) {
+                    findings.push({ code: 'empty-text-header', moduleTitle: module.title, itemTitle: item.title, detail: '' });
+                }
+                return;
+            }
+
+            const itemPublished = item.status === 'active';
+            if (itemPublished && !modulePublished) {
+                findings.push({ code: 'published-in-unpublished-module', moduleTitle: module.title, itemTitle: item.title, detail: '' });
+            } else if (!itemPublished && modulePublished) {
+                findings.push({ code: 'unpublished-in-published-module', moduleTitle: module.title, itemTitle: item.title, detail: '' });
+            }
+
+            if (item.identifierRef) {
+                const placedIn = modulesByResource.get(item.identifierRef) || [];
+                if (!placedIn.includes(module)) modulesByResource.set(item.identifierRef, [...placedIn, module]);
+            }
+        });
+    });
+
+    resources.forEach(resource => {
+        const placedIn = modulesByResource.get(resource.identifier) || [];
+        if (placedIn.length === 0 && MODULE_CONTENT_TYPES.includes(resource.clarifiedType)) {
+            findings.push({ code: 'not-in-module', moduleTitle: null, itemTitle: resource.title, detail: '' });
+        } else if (placedIn.length > 1) {
+            findings.push({ code: 'multiple-modules', moduleTitle: null, itemTitle: resource.title, detail: placedIn.map(m => m.title).join(', ') });
+        }
+    });
+
+    return findings;
+}
@@ -0,0 +1,171 @@
+import type { Resource, Module, RubricInventory, LearningOutcome, OutcomeAlignment, OutcomeAlignments, OutcomeFinding, OutcomeIssue, AlignmentSource } from './types';
+import type { FileContents } from './course-parser';
+import { childElement } from './grading';
+
+/* =========================================================================
+   Learning outcomes: the outcomes in course_settings/learning_outcomes.xml
+   and the assessments aligned to them, directly (the outcome's
+   <alignments>), through rubric criteria or through question banks, laid
+   out as an outcomes-by-module and outcomes-by-assessment matrix.
+   ========================================================================= */
+
+export const OUTCOME_ISSUE_LABELS: { [K in OutcomeIssue]: string } = {
+    'unaligned-outcome': 'Outcome not aligned to any assessment',
+    'module-without-outcomes': 'Module items align to no outcome',
+    'outcome-not-found': 'Aligned outcome missing from export',
+};
+
+export const ALIGNMENT_SOURCE_LABELS: { [K in AlignmentSource]: string } = {
+    'outcome': 'Aligned',
+    'rubric': 'Rubric',
+    'question-bank': 'Question bank',
+};
+
+// Module items that are navigation rather than content
+const NON_CONTENT_ITEM_TYPES = ['ContextModuleSubHeader', 'ExternalUrl'];
+
+function textField(el: Element, tagName: string): string {
+    return childElement(el, tagName)?.textContent?.trim() || '';
+}
+
+function numberOrNull(value: string): number | null {
+    return value === '' || isNaN(parseFloat(value)) ? null : parseFloat(value);
+}
+
+/**
+ * Every outcome in the file with its group, plus its direct alignments as
+ * outcome identifier -> aligned content identifiers.
+ */
+function parseOutcomes(content: string, parser: DOMParser): { outcomes: LearningOutcome[], direct: [string, string][] } {
+    const doc = parser.parseFromString(content, 'application/xml');
+    const outcomes: LearningOutcome[] = [];
+    const direct: [string, string][] = [];
+
+    Array.from(doc.getElementsByTagName('learningOutcome')).forEach(outcome => {
+        const identifier = outcome.getAttribute('identifier') || '';
+        const group = outcome.parentElement?.parentElement;
+        outcomes.push({
+            identifier,
+            title: textField(outcome, 'title') || '(Untitled outcome)',
+            description: (textField(outcome, 'description')).replace(/<[^>]*>/g, ' ').replace(/\s+/g, ' ').trim(),
+            groupTitle: group && (group.localName || group.tagName) === 'learningOutcomeGroup' ? textField(group, 'title') || null : null,
+            masteryPoints: numberOrNull(textField(outcome, 'mastery_points')),
+            pointsPossible: numberOrNull(textField(outcome, 'points_possible')),
+        });
+        const alignments = childElement(outcome, 'alignments');
+        if (alignments) {
+            Array.from(alignments.children).forEach(alignment => {
+                const contentId = textField(alignment, 'content_id');
+                if (contentId) direct.push([identifier, contentId]);
+            });
+        }
+    });
+
+    return { outcomes, direct };
+}
+
+/**
+ * Quizzes drawing questions from each question bank, by bank identifier.
+ */
+function quizzesByBank(resources: Resource[], fileContents: FileContents, parser: DOMParser): Map<string, Resource[]> {
+    const byBank = new Map<string, Resource[]>();
+    resources.filter(r => r.clarifiedType !== 'question_bank' && r.questionsHref && fileContents[r.questionsHref]).forEach(quiz => {
+        const content = fileContents[quiz.questionsHref!];
+        if (!content.includes('sourcebank_ref')) return;
+        const doc = parser.parseFromString(content, 'application/xml');
+        const banks = new Set(Array.from(doc.getElementsByTagName('sourcebank_ref')).map(ref => ref.textContent?.trim() || ''));
+        banks.forEach(bank => byBank.set(bank, [...(byBank.get(bank) || []), quiz]));
+    });
+    return byBank;
+}
+
+/**
+ * Read the course's outcomes and every alignment to them, and flag the gaps.
+ */
+export function parseOutcomeAlignments(fileContents: FileContents, resources: Resource[], modules: Module[], rubrics: RubricInventory, parser: DOMParser): OutcomeAlignments {
+    const content = fileContents['course_settings/learning_outcomes.xml'];
+    const { outcomes, direct } = content ? parseOutcomes(content, parser) : { outcomes: [], direct: [] };
+
+    const moduleTitles = (identifier: string) => modules.filter(m => m.items.some(i => i.identifierRef === identifier)).map(m => m.title);
+    const alignments: OutcomeAlignment[] = [];
+    const align = (outcomeIdentifier: string, resource: Resource, source: AlignmentSource, via: string | null) => {
+        if (alignments.some(a => a.outcomeIdentifier === outcomeIdentifier && a.resourceIdentifier === resource.identifier && a.source === source)) return;
+        alignments.push({
+            outcomeIdentifier,
+            resourceIdentifier: resource.identifier,
+            title: resource.title,
+            itemType: resource.clarifiedType,
+            moduleTitles: moduleTitles(resource.identifier),
+            source,
+            via,
+        });
+    };
+
+    const resourcesById = new Map(resources.map(r => [r.identifier, r]));
+    const bankQuizzes = quizzesByBank(resources, fileContents, parser);
+    direct.forEach(([outcomeIdentifier, contentId]) => {
+        const resource = resourcesById.get(contentId);
+        if (!resource) return;
+        if (resource.clarifiedType === 'question_bank') {
+            (bankQuizzes.get(contentId) || []).forEach(quiz => align(outcomeIdentifier, quiz, 'question-bank', resource.title));
+        } else {
+            align(outcomeIdentifier, resource, 'outcome', null);
+        }
+    });
+
+    rubrics.rubrics.forEach(rubric => {
+        rubric.criteria.filter(c => c.outcomeIdentifier).forEach(criterion => {
+            rubric.usedBy.forEach(item => {
+                const resource = resourcesById.get(item.resourceIdentifier);
+                if (resource) align(criterion.outcomeIdentifier!, resource, 'rubric', rubric.title);
+            });
+        });
+    });
+
+    const findings: OutcomeFinding[] = [];
+    if (outcomes.length > 0) {
+        outcomes.filter(o => !alignments.some(a => a.outcomeIdentifier === o.identifier)).forEach(o => {
+            findings.push({ code: 'unaligned-outcome', title: o.title, detail: o.groupTitle || '' });
+        });
+        modules.forEach(m => {
+            const items = m.items.filter(i => i.identifierRef && !NON_CONTENT_ITEM_TYPES.includes(i.contentType));
+            if (items.length > 0 && !alignments.some(a => a.moduleTitles.includes(m.title))) {
+                findings.push({ code: 'module-without-outcomes', title: m.title, detail: `${items.length} item(s)` });
+            }
+        });
+    }
+    const missing = new Set(alignments.map(a => a.outcomeIdentifier).filter(id => !outcomes.some(o => o.identifier === id)));
+    missing.forEach(id => {
+        findings.push({ code: 'outcome-not-found', title: id, detail: alignments.filter(a => a.outcomeIdentifier === id).map(a => a.title).join(', ') });
+    });
+
+    return { outcomes, alignments, modules: modules.map(m => m.title), findings };
+}
+
+/**
+ * Assessments aligned to at least one outcome, in the order they were first aligned.
+ */
+export function alignedAssessments(matrix: OutcomeAlignments): { resourceIdentifier: string, title: string, itemType: string }[] {
+    const seen = new Set<string>();
+    return matrix.alignments.filter(a => !seen.has(a.resourceIdentifier) && seen.add(a.resourceIdentifier))
+        .map(a => ({ resourceIdentifier: a.resourceIdentifier, title: a.title, itemType: a.itemType }));
+}
+
+/**
+ * Number of items in a module aligned to an outcome.
+ */
+export function moduleAlignmentCount(matrix: OutcomeAlignments, outcomeIdentifier: string, moduleTitle: string): number {
+    return new Set(matrix.alignments
+        .filter(a => a.outcomeIdentifier === outcomeIdentifier && a.moduleTitles.includes(moduleTitle))
+        .map(a => a.resourceIdentifier)).size;
+}
+
+/**
+ * How an assessment is aligned to an outcome, e.g. "Rubric: Essay Rubric", or '' when it isn't.
+ */
+export function assessmentAlignmentLabel(matrix: OutcomeAlignments, outcomeIdentifier: string, resourceIdentifier: string): string {
+    return matrix.alignments
+        .filter(a => a.outcomeIdentifier === outcomeIdentifier && a.resourceIdentifier === resourceIdentifier)
+        .map(a => a.via ? `${ALIGNMENT_SOURCE_LABELS[a.source]}: ${a.via}` : ALIGNMENT_SOURCE_LABELS[a.source])
+        .join('; ');
+}
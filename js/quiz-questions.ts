@@ -0,0 +1,224 @@
+import type { Resource } from './types';
+import type { FileContents } from './course-parser';
+
+/* =========================================================================
+   Quiz, question bank and New Quizzes questions: each QTI item (stem, answer
+   choices and feedback) becomes its own document so it is scanned like any
+   other content item and reported as "Quiz › Question N".
+   ========================================================================= */
+
+export interface QuizQuestion {
+    number: number,
+    identifier: string,
+    questionType: string,
+    doc: Document,
+};
+
+function childrenByTag(el: Element, tagName: string): Element[] {
+    return Array.from(el.children).filter(c => c.tagName.toLowerCase() === tagName);
+}
+
+/**
+ * Value of a QTI 1.2 <qtimetadatafield> (question_type, bank_title...).
+ */
+export function qtiMetadataField(item: Element, label: string): string {
+    const field = Array.from(item.querySelectorAll('qtimetadatafield')).find(f => f.querySelector('fieldlabel')?.textContent === label);
+    return field?.querySelector('fieldentry')?.textContent || '';
+}
+
+/**
+ * Copy a QTI <material> into an HTML element. HTML mattext is parsed as markup,
+ * anything else is kept as plain text.
+ */
+function appendMaterial(target: Element, material: Element) {
+    material.querySelectorAll('mattext').forEach(mattext => {
+        const block = target.ownerDocument.createElement('div');
+        if (mattext.getAttribute('texttype') === 'text/html') {
+            block.innerHTML = mattext.textContent || '';
+        } else {
+            block.textContent = mattext.textContent || '';
+        }
+        target.appendChild(block);
+    });
+}
+
+/**
+ * An empty HTML document for one question, with a helper that appends the
+ * stem/answers/feedback wrappers.
+ */
+function emptyQuestionDocument(title: string, parser: DOMParser): { doc: Document, section: (className: string) => Element } {
+    const doc = parser.parseFromString('<!DOCTYPE html><html lang="en"><head><title></title></head><body></body></html>', 'text/html');
+    doc.querySelector('title')!.textContent = title;
+
+    const section = (className: string) => {
+        const div = doc.createElement('div');
+        div.className = className;
+        doc.body.appendChild(div);
+        return div;
+    };
+    return { doc, section };
+}
+
+/**
+ * Build the HTML document for one QTI 1.2 item: stem, answer choices, then feedback.
+ */
+function questionDocument(item: Element, title: string, parser: DOMParser): Document {
+    const { doc, section } = emptyQuestionDocument(title, parser);
+
+    const presentation = item.querySelector('presentation');
+    if (presentation) {
+        const stem = section('question-stem');
+        childrenByTag(presentation, 'material').forEach(material => appendMaterial(stem, material));
+
+        const answers = section('question-answers');
+        const seenAnswers: Set<string> = new Set();
+        presentation.querySelectorAll('response_lid, response_str, response_num').forEach(response => {
+            // Matching questions put the left-hand prompt on the response itself
+            childrenByTag(response, 'material').forEach(material => appendMaterial(stem, material));
+            response.querySelectorAll('response_label').forEach(label => {
+                // ...and repeat the same right-hand choices for every prompt
+                const ident = label.getAttribute('ident') || '';
+                if (seenAnswers.has(ident)) return;
+                seenAnswers.add(ident);
+                label.querySelectorAll('material').forEach(material => appendMaterial(answers, material));
+            });
+        });
+    }
+
+    const feedback = section('question-feedback');
+    item.querySelectorAll('itemfeedback material').forEach(material => appendMaterial(feedback, material));
+
+    return doc;
+}
+
+// QTI 2.1 interactions rendered inline in Canvas; every other QTI element becomes a block
+const QTI_INLINE_ELEMENTS = ['inlineChoiceInteraction', 'inlineChoice', 'textEntryInteraction', 'hottext', 'gap', 'feedbackInline', 'printedVariable'];
+
+/**
+ * Copy QTI 2.1 item body markup into an HTML document. XHTML elements keep their
+ * tag and attributes; QTI interaction elements become divs/spans so their
+ * prompts and choices are still scanned.
+ */
+function importQtiNode(node: Node, doc: Document): Node | null {
+    if (node.nodeType === 3) return doc.createTextNode(node.textContent || '');
+    if (node.nodeType !== 1) return null;
+
+    const el = node as Element;
+    const tagName = el.localName || el.tagName;
+    const isQtiElement = /[A-Z]/.test(tagName) || ['prompt', 'hottext', 'gap'].includes(tagName);
+    const copy = doc.createElement(isQtiElement ? (QTI_INLINE_ELEMENTS.includes(tagName) ? 'span' : 'div') : tagName);
+    if (isQtiElement) {
+        copy.setAttribute('data-qti', tagName);
+    } else {
+        Array.from(el.attributes).forEach(attribute => {
+            if (!attribute.name.startsWith('xmlns')) copy.setAttribute(attribute.name, attribute.value);
+        });
+    }
+    el.childNodes.forEach(child => {
+        const imported = importQtiNode(child, doc);
+        if (imported) copy.appendChild(imported);
+    });
+    return copy;
+}
+
+/**
+ * Build the HTML document for one QTI 2.1 assessmentItem: item body, then feedback.
+ */
+function qti21QuestionDocument(item: Element, title: string, parser: DOMParser): Document {
+    const { doc, section } = emptyQuestionDocument(title, parser);
+
+    const stem = section('question-stem');
+    const itemBody = item.querySelector('itemBody');
+    if (itemBody) itemBody.childNodes.forEach(child => {
+        const imported = importQtiNode(child, doc);
+        if (imported) stem.appendChild(imported);
+    });
+
+    const feedback = section('question-feedback');
+    item.querySelectorAll('modalFeedback').forEach(modalFeedback => {
+        modalFeedback.childNodes.forEach(child => {
+            const imported = importQtiNode(child, doc);
+            if (imported) feedback.appendChild(imported);
+        });
+    });
+
+    return doc;
+}
+
+/**
+ * Resolve an href inside a QTI package relative to the file that contains it.
+ */
+function resolvePackagePath(baseFile: string, href: string): string {
+    const segments = baseFile.split('/').slice(0, -1);
+    href.split('/').forEach(segment => {
+        if (segment === '..') segments.pop();
+        else if (segment && segment !== '.') segments.push(segment);
+    });
+    return segments.join('/');
+}
+
+/**
+ * Title under which a question's findings are reported.
+ */
+export function questionTitle(quiz: Resource, number: number): string {
+    return `${quiz.title} › Question ${number}`;
+}
+
+/**
+ * Parse every question of a QTI assessment, in the order they appear
+ * (question groups included).
+ */
+export function parseQuizQuestions(content: string, quiz: Resource, parser: DOMParser): QuizQuestion[] {
+    const qtiDoc = parser.parseFromString(content, 'application/xml');
+    return Array.from(qtiDoc.querySelectorAll('item')).map((item, index) => ({
+        number: index + 1,
+        identifier: item.getAttribute('ident') || `${index + 1}`,
+        questionType: qtiMetadataField(item, 'question_type'),
+        doc: questionDocument(item, questionTitle(quiz, index + 1), parser),
+    }));
+}
+
+/**
+ * Parse the questions of a New Quizzes QTI 2.1 test by following its
+ * assessmentItemRef links to the item files.
+ */
+export function parseQti21Questions(testHref: string, fileContents: FileContents, quiz: Resource, parser: DOMParser): QuizQuestion[] {
+    const testDoc = parser.parseFromString(fileContents[testHref], 'application/xml');
+    const questions: QuizQuestion[] = [];
+
+    testDoc.querySelectorAll('assessmentItemRef').forEach(itemRef => {
+        const itemHref = resolvePackagePath(testHref, itemRef.getAttribute('href') || '');
+        if (!fileContents[itemHref]) return;
+        const item = parser.parseFromString(fileContents[itemHref], 'application/xml').querySelector('assessmentItem');
+        if (!item) return;
+
+        const number = questions.length + 1;
+        questions.push({
+            number,
+            identifier: item.getAttribute('identifier') || itemRef.getAttribute('identifier') || `${number}`,
+            questionType: item.querySelector('itemBody [responseIdentifier]')?.localName || '',
+            doc: qti21QuestionDocument(item, questionTitle(quiz, number), parser),
+        });
+    });
+
+    return questions;
+}
+
+/**
+ * The questions of a quiz, question bank or New Quiz as content items of their
+ * own, each with a resource that attributes findings to "Quiz › Question N".
+ */
+export function getQuestionItems(quiz: Resource, fileContents: FileContents, parser: DOMParser): { resource: Resource, doc: Document }[] {
+    if (!quiz.questionsHref || !fileContents[quiz.questionsHref]) return [];
+    const questions = quiz.clarifiedType === 'new_quiz'
+        ? parseQti21Questions(quiz.questionsHref, fileContents, quiz, parser)
+        : parseQuizQuestions(fileContents[quiz.questionsHref], quiz, parser);
+    return questions.map(question => ({
+        resource: {
+            ...quiz,
+            identifier: `${quiz.identifier}#${question.identifier}`,
+            title: questionTitle(quiz, question.number),
+        },
+        doc: question.doc,
+    }));
+}
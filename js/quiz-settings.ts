@@ -0,0 +1,138 @@
+import type { Resource, QuizSettings, QuizSettingsAudit, QuizSettingsFinding, QuizSettingsIssue } from './types';
+import type { FileContents } from './course-parser';
+import { childElement, fieldReader } from './grading';
+import { qtiMetadataField } from './quiz-questions';
+
+/* =========================================================================
+   Quiz settings: time limit, attempts, answer and result visibility,
+   lockdown, access restrictions and points of every classic quiz and
+   survey (assessment_meta.xml), totalled against its questions, and the
+   settings that usually mean a mistake.
+   ========================================================================= */
+
+export const QUIZ_SETTINGS_ISSUE_LABELS: { [K in QuizSettingsIssue]: string } = {
+    'no-questions': 'Published quiz without questions',
+    'unlimited-attempts-exam': 'Unlimited attempts on a graded exam',
+    'graded-survey': 'Survey is graded',
+    'points-mismatch': 'Points differ from question total',
+};
+
+export const QUIZ_TYPE_LABELS: { [quizType: string]: string } = {
+    practice_quiz: 'Practice quiz',
+    assignment: 'Graded quiz',
+    graded_survey: 'Graded survey',
+    survey: 'Ungraded survey',
+};
+
+// Graded quizzes that look like exams: timed, locked down or called one
+const EXAM_TITLE = /\b(?:exam|midterm|final|test)\b/i;
+
+function roundPoints(points: number): number {
+    return Math.round(points * 100) / 100;
+}
+
+/**
+ * Number of questions students get and their points: loose questions count
+ * once, question groups (including ones drawing from a bank) count their picks.
+ */
+export function countQuizQuestions(content: string, parser: DOMParser): { questionCount: number, questionPoints: number } {
+    const doc = parser.parseFromString(content, 'application/xml');
+    let questionCount = 0;
+    let questionPoints = 0;
+
+    Array.from(doc.getElementsByTagName('section')).forEach(section => {
+        const selection = childElement(section, 'selection_ordering')?.getElementsByTagName('selection')[0];
+        if (!selection) return;
+        const picks = parseInt(childElement(selection, 'selection_number')?.textContent || '0', 10) || 0;
+        const pointsPerItem = parseFloat(selection.getElementsByTagName('points_per_item')[0]?.textContent || '0') || 0;
+        questionCount += picks;
+        questionPoints += picks * pointsPerItem;
+    });
+
+    Array.from(doc.getElementsByTagName('item')).forEach(item => {
+        // Questions inside a group are already counted by its picks
+        for (let parent = item.parentElement; parent; parent = parent.parentElement) {
+            if ((parent.localName || parent.tagName) === 'section' && childElement(parent, 'selection_ordering')) return;
+        }
+        questionCount++;
+        questionPoints += parseFloat(qtiMetadataField(item, 'points_possible')) || 0;
+    });
+
+    return { questionCount, questionPoints: roundPoints(questionPoints) };
+}
+
+function readQuizSettings(resource: Resource, meta: Element, questions: { questionCount: number, questionPoints: number }): QuizSettings {
+    const assignment = childElement(meta, 'assignment');
+    const field = fieldReader(assignment ? [meta, assignment] : [meta]);
+    const flag = (tagName: string) => field(tagName) === 'true';
+    const points = field('points_possible');
+    const timeLimit = parseFloat(field('time_limit') || '');
+    const attempts = parseInt(field('allowed_attempts') || '1', 10);
+
+    return {
+        resourceIdentifier: resource.identifier,
+        title: resource.title,
+        itemType: resource.clarifiedType,
+        quizType: field('quiz_type') || 'assignment',
+        status: resource.status,
+        moduleTitle: resource.moduleTitle === undefined ? '(None)' : resource.moduleTitle,
+        pointsPossible: points === null ? null : parseFloat(points),
+        ...questions,
+        timeLimit: timeLimit > 0 ? timeLimit : null,
+        allowedAttempts: attempts < 0 ? null : attempts,
+        scoringPolicy: field('scoring_policy'),
+        shuffleAnswers: flag('shuffle_answers'),
+        // Canvas shows correct answers unless told not to
+        showCorrectAnswers: field('show_correct_answers') !== 'false',
+        showCorrectAnswersAt: field('show_correct_answers_at'),
+        hideCorrectAnswersAt: field('hide_correct_answers_at'),
+        showCorrectAnswersLastAttempt: flag('show_correct_answers_last_attempt'),
+        hideResults: field('hide_results'),
+        oneQuestionAtATime: flag('one_question_at_a_time'),
+        cantGoBack: flag('cant_go_back'),
+        requireLockdownBrowser: flag('require_lockdown_browser'),
+        hasAccessCode: !!field('access_code'),
+        ipFilter: field('ip_filter'),
+        assignmentGroupIdentifier: field('assignment_group_identifierref'),
+    };
+}
+
+function isGradedExam(quiz: QuizSettings): boolean {
+    return quiz.quizType === 'assignment' && (quiz.timeLimit !== null || quiz.requireLockdownBrowser || EXAM_TITLE.test(quiz.title));
+}
+
+function auditQuizSettings(quizzes: QuizSettings[]): QuizSettingsFinding[] {
+    const findings: QuizSettingsFinding[] = [];
+    quizzes.forEach(q => {
+        if (q.status === 'active' && q.questionCount === 0) {
+            findings.push({ code: 'no-questions', title: q.title, detail: QUIZ_TYPE_LABELS[q.quizType] || q.quizType });
+        }
+        if (q.allowedAttempts === null && isGradedExam(q)) {
+            findings.push({ code: 'unlimited-attempts-exam', title: q.title, detail: q.timeLimit !== null ? `${q.timeLimit} minute time limit` : '' });
+        }
+        if (q.quizType === 'graded_survey' && (q.pointsPossible || 0) > 0) {
+            findings.push({ code: 'graded-survey', title: q.title, detail: `${q.pointsPossible} points for completing it` });
+        }
+        // Surveys score every answer as complete, so their points never match the questions
+        if (q.quizType !== 'survey' && q.quizType !== 'graded_survey' && q.questionCount > 0 && q.pointsPossible !== null && roundPoints(q.pointsPossible) !== q.questionPoints) {
+            findings.push({ code: 'points-mismatch', title: q.title, detail: `quiz ${q.pointsPossible}, questions ${q.questionPoints}` });
+        }
+    });
+    return findings;
+}
+
+/**
+ * Read the settings of every classic quiz and survey and check them.
+ */
+export function parseQuizSettings(fileContents: FileContents, resources: Resource[], parser: DOMParser): QuizSettingsAudit {
+    const quizzes: QuizSettings[] = [];
+    resources.filter(r => (r.clarifiedType === 'quiz' || r.clarifiedType === 'survey') && r.settingsHref && fileContents[r.settingsHref]).forEach(resource => {
+        const meta = parser.parseFromString(fileContents[resource.settingsHref!], 'application/xml').documentElement;
+        if (!meta) return;
+        const questions = resource.questionsHref && fileContents[resource.questionsHref]
+            ? countQuizQuestions(fileContents[resource.questionsHref], parser)
+            : { questionCount: 0, questionPoints: 0 };
+        quizzes.push(readQuizSettings(resource, meta, questions));
+    });
+    return { quizzes, findings: auditQuizSettings(quizzes) };
+}
@@ -0,0 +1,328 @@
+import type JSZip from 'jszip';
+import type { Resource, ItemRemediation, RemediationChange, RemediationCode } from './types';
+
+/* =========================================================================
+   Fix mode: safe, mechanical accessibility fixes to the HTML of pages,
+   assignments and discussions, applied to a copy of the loaded archive
+   that Canvas can import again. Every change is reviewed item by item
+   before it is written.
+   ========================================================================= */
+
+export const REMEDIATION_LABELS: { [K in RemediationCode]: string } = {
+    'missing-lang': 'Add missing page language',
+    'table-headers': 'Add table header cells',
+    'empty-heading': 'Remove or unwrap empty headings',
+    'new-window-warning': 'Warn about links opening a new window',
+    'pseudo-heading': 'Turn bold or italic lines into headings',
+    'decorative-alt': 'Add empty alt text to decorative images',
+};
+
+// Quiz HTML lives in QTI, where rewriting it risks breaking the questions
+const REMEDIATION_ITEM_TYPES = ['page', 'assignment', 'discussion'];
+
+const NEW_WINDOW_WARNING = ' (opens in a new window)';
+const NEW_WINDOW_TEXT = /new (?:window|tab)/i;
+
+const EMPHASIS_TAGS = ['b', 'strong', 'i', 'em'];
+const INLINE_TAGS = [...EMPHASIS_TAGS, 'a', 'span', 'code', 'img', 'br', 'sub', 'sup', 'u', 'mark', 'small'];
+
+const LANGUAGE_TAG = /^[a-z]{2,3}(?:-[a-z0-9]{2,8})*$/i;
+
+// Longer emphasized lines, or ones ending like a sentence, are emphasis rather than headings
+const MAX_PSEUDO_HEADING_LENGTH = 120;
+const SENTENCE_END = /[.!?,;]$/;
+
+// Inline styles that set a table row apart, e.g. a shaded or bold header row
+const HEADER_ROW_STYLE = /(?:^|;)\s*(?:background(?:-color)?\s*:|font-weight\s*:\s*(?:bold|[6-9]00))/i;
+
+// Block elements that start a new line when reviewing a change
+const REVIEW_LINE_TAGS = /(<(?:html|head|body|h[1-6]|p|div|section|table|thead|tbody|tr|ul|ol|li|blockquote|figure|img|video|iframe)\b)/gi;
+
+function tagName(el: Element): string {
+    return (el.localName || el.tagName).toLowerCase();
+}
+
+function normalizeText(text: string): string {
+    return text.replace(/\s+/g, ' ').trim();
+}
+
+function shorten(text: string): string {
+    return text.length > 60 ? `${text.slice(0, 60)}…` : text;
+}
+
+/**
+ * Replace an element with one of another tag, keeping its attributes and children.
+ */
+function renameElement(el: Element, newTagName: string): Element {
+    const renamed = el.ownerDocument.createElement(newTagName);
+    Array.from(el.attributes).forEach(attr => renamed.setAttribute(attr.name, attr.value));
+    while (el.firstChild) renamed.appendChild(el.firstChild);
+    el.replaceWith(renamed);
+    return renamed;
+}
+
+/**
+ * Whether a cell's text is all bold, by markup or inline style.
+ */
+function isBoldCell(cell: Element): boolean {
+    const text = normalizeText(cell.textContent || '');
+    const boldText = Array.from(cell.querySelectorAll('b, strong')).map(el => normalizeText(el.textContent || '')).join(' ');
+    return /font-weight\s*:\s*(?:bold|[6-9]00)/i.test(cell.getAttribute('style') || '') || (text !== '' && boldText === text);
+}
+
+/**
+ * Whether a row looks like a header: shaded or bold where the row after it is not.
+ */
+function looksLikeHeaderRow(row: Element, next: Element): boolean {
+    const styled = (tr: Element) => HEADER_ROW_STYLE.test(tr.getAttribute('style') || '')
+        || Array.from(tr.children).every(cell => HEADER_ROW_STYLE.test(cell.getAttribute('style') || ''));
+    const bold = (tr: Element) => Array.from(tr.children).every(isBoldCell);
+    if (row.children.length === 0) return false;
+    return (styled(row) && !styled(next)) || (bold(row) && !bold(next));
+}
+
+/**
+ * Tables without header cells get their first row as column headers when
+ * they show signs of being data tables (a caption, a <thead>, a summary, or a
+ * first row set apart from the rest); the others may be layout tables and
+ * are left for review. Header cells without a scope get one from their position.
+ */
+function fixTableHeaders(doc: Document, review: RemediationChange[]): RemediationChange[] {
+    const changes: RemediationChange[] = [];
+    doc.querySelectorAll('table').forEach((table, index) => {
+        const role = (table.getAttribute('role') || '').toLowerCase();
+        if (role === 'presentation' || role === 'none') return;
+        const rows = Array.from(table.querySelectorAll('tr')).filter(tr => tr.closest('table') === table);
+        // A single row has nothing to head
+        if (rows.length < 2) return;
+        const headers = rows.flatMap(tr => Array.from(tr.children).filter(cell => tagName(cell) === 'th'));
+
+        if (headers.length === 0) {
+            const isDataTable = !!table.querySelector(':scope > caption, :scope > thead') || table.hasAttribute('summary') || looksLikeHeaderRow(rows[0], rows[1]);
+            if (!isDataTable) {
+                review.push({ code: 'table-headers', detail: `table ${index + 1}: no header cells, may be a layout table; left as is` });
+                return;
+            }
+            const firstRow = Array.from(rows[0].children).filter(cell => tagName(cell) === 'td');
+            firstRow.forEach(cell => renameElement(cell, 'th').setAttribute('scope', 'col'));
+            changes.push({ code: 'table-headers', detail: `table ${index + 1}: first row made column headers` });
+            return;
+        }
+        const unscoped = headers.filter(th => !th.hasAttribute('scope'));
+        unscoped.forEach(th => {
+            const inHeaderRow = th.parentElement === rows[0] || th.closest('thead') !== null;
+            th.setAttribute('scope', inHeaderRow ? 'col' : 'row');
+        });
+        if (unscoped.length) changes.push({ code: 'table-headers', detail: `table ${index + 1}: scope added to ${unscoped.length} header cell(s)` });
+    });
+    return changes;
+}
+
+function fixEmptyHeadings(doc: Document): RemediationChange[] {
+    const changes: RemediationChange[] = [];
+    doc.querySelectorAll('h1, h2, h3, h4, h5, h6').forEach(heading => {
+        const hasImageText = Array.from(heading.querySelectorAll('img')).some(img => !!img.getAttribute('alt'));
+        if (normalizeText(heading.textContent || '') || hasImageText) return;
+        if (heading.children.length === 0) {
+            heading.remove();
+            changes.push({ code: 'empty-heading', detail: `empty <${tagName(heading)}> removed` });
+            return;
+        }
+        // Media without text (an image with empty alt, a video) is content; only the heading goes
+        const kept = Array.from(heading.children).map(tagName);
+        heading.replaceWith(...Array.from(heading.childNodes));
+        changes.push({ code: 'empty-heading', detail: `<${tagName(heading)}> without text unwrapped, kept ${kept.map(tag => `<${tag}>`).join(', ')}` });
+    });
+    return changes;
+}
+
+function fixNewWindowLinks(doc: Document): RemediationChange[] {
+    const changes: RemediationChange[] = [];
+    doc.querySelectorAll('a[target="_blank"]').forEach(link => {
+        const label = link.getAttribute('aria-label');
+        const text = normalizeText(link.textContent || '');
+        if (NEW_WINDOW_TEXT.test(`${label || ''} ${text} ${link.getAttribute('title') || ''}`)) return;
+        // A link's aria-label replaces its text for screen readers, so the warning goes where it is read
+        if (label) {
+            link.setAttribute('aria-label', label + NEW_WINDOW_WARNING);
+        } else {
+            // Canvas hides this class visually and keeps it for screen readers
+            const warning = doc.createElement('span');
+            warning.className = 'screenreader-only';
+            warning.textContent = NEW_WINDOW_WARNING;
+            link.appendChild(warning);
+        }
+        changes.push({ code: 'new-window-warning', detail: shorten(label || text || link.getAttribute('href') || '') });
+    });
+    return changes;
+}
+
+/**
+ * Whether the content next to a loose element starts a new line rather than continuing its text.
+ */
+function standsAlone(el: Element, direction: 'previousSibling' | 'nextSibling'): boolean {
+    let node = el[direction];
+    while (node && node.nodeType === 3 && !normalizeText(node.textContent || '')) node = node[direction];
+    return !node || (node.nodeType === 1 && !INLINE_TAGS.includes(tagName(node as Element)));
+}
+
+/**
+ * The emphasis element a paragraph or loose line consists of, if that is all it holds.
+ */
+function pseudoHeadingEmphasis(el: Element): Element | null {
+    if (EMPHASIS_TAGS.includes(tagName(el))) {
+        return tagName(el.parentElement!) === 'body' && standsAlone(el, 'previousSibling') && standsAlone(el, 'nextSibling') ? el : null;
+    }
+    if (tagName(el) !== 'p') return null;
+    const meaningful = Array.from(el.childNodes).filter(node => node.nodeType !== 3 || normalizeText(node.textContent || ''));
+    if (meaningful.length !== 1 || meaningful[0].nodeType !== 1) return null;
+    const only = meaningful[0] as Element;
+    return EMPHASIS_TAGS.includes(tagName(only)) ? only : null;
+}
+
+/**
+ * Short bold or italic lines standing on their own become headings, one
+ * level below the page title or at the level of the heading before them.
+ */
+function fixPseudoHeadings(doc: Document): RemediationChange[] {
+    const changes: RemediationChange[] = [];
+    let level = 2;
+    Array.from(doc.body.querySelectorAll('h1, h2, h3, h4, h5, h6, p, b, strong, i, em')).forEach(el => {
+        const headingLevel = /^h([1-6])$/.exec(tagName(el));
+        if (headingLevel) {
+            level = Math.max(2, Number(headingLevel[1]));
+            return;
+        }
+        const emphasis = pseudoHeadingEmphasis(el);
+        if (!emphasis || !el.isConnected) return;
+        const text = normalizeText(emphasis.textContent || '');
+        if (!text || text.length > MAX_PSEUDO_HEADING_LENGTH || SENTENCE_END.test(text) || emphasis.querySelector('img, a')) return;
+
+        const heading = doc.createElement(`h${level}`);
+        if (el !== emphasis) Array.from(el.attributes).forEach(attr => heading.setAttribute(attr.name, attr.value));
+        while (emphasis.firstChild) heading.appendChild(emphasis.firstChild);
+        el.replaceWith(heading);
+        changes.push({ code: 'pseudo-heading', detail: `"${shorten(text)}" made <h${level}>` });
+    });
+    return changes;
+}
+
+function fixDecorativeAlt(doc: Document): RemediationChange[] {
+    const changes: RemediationChange[] = [];
+    doc.querySelectorAll('img:not([alt])').forEach(img => {
+        const role = (img.getAttribute('role') || '').toLowerCase();
+        const decorative = role === 'presentation' || role === 'none'
+            || img.getAttribute('aria-hidden') === 'true' || img.getAttribute('data-decorative') === 'true';
+        if (!decorative) return;
+        img.setAttribute('alt', '');
+        changes.push({ code: 'decorative-alt', detail: shorten((img.getAttribute('src') || '').split('/').pop() || '') });
+    });
+    return changes;
+}
+
+const DOCUMENT_FIXES: [RemediationCode, (doc: Document, review: RemediationChange[]) => RemediationChange[]][] = [
+    ['empty-heading', fixEmptyHeadings],
+    ['pseudo-heading', fixPseudoHeadings],
+    ['table-headers', fixTableHeaders],
+    ['new-window-warning', fixNewWindowLinks],
+    ['decorative-alt', fixDecorativeAlt],
+];
+
+function applyFixes(doc: Document, fixes: RemediationCode[], review: RemediationChange[]): RemediationChange[] {
+    return DOCUMENT_FIXES.filter(([code]) => fixes.includes(code)).flatMap(([, fix]) => fix(doc, review));
+}
+
+function escapeXml(text: string): string {
+    return text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+}
+
+/**
+ * Fix a page or assignment HTML file. Only the body and the <html> tag are
+ * rewritten, so the rest of the file stays exactly as Canvas exported it.
+ */
+export function remediateHtml(content: string, fixes: RemediationCode[], language: string, parser: DOMParser): { content: string, before: string, after: string, changes: RemediationChange[], review: RemediationChange[] } {
+    const doc = parser.parseFromString(content, 'text/html');
+    const before = doc.documentElement.outerHTML;
+    const review: RemediationChange[] = [];
+    const changes = applyFixes(doc, fixes, review);
+    let fixed = content;
+    if (changes.length) {
+        const body = /(<body\b[^>]*>)[\s\S]*(<\/body>)/i.exec(content);
+        fixed = body
+            ? content.slice(0, body.index) + body[1] + doc.body.innerHTML + body[2] + content.slice(body.index + body[0].length)
+            : doc.body.innerHTML;
+    }
+
+    // Canvas sets the language around the page it shows; the attribute keeps the exported file itself valid
+    const htmlTag = /<html\b[^>]*>/i.exec(fixed);
+    if (fixes.includes('missing-lang') && htmlTag && !/\slang\s*=/i.test(htmlTag[0]) && LANGUAGE_TAG.test(language)) {
+        doc.documentElement.setAttribute('lang', language);
+        fixed = fixed.slice(0, htmlTag.index) + htmlTag[0].replace(/^<html\b/i, `<html lang="${language}"`) + fixed.slice(htmlTag.index + htmlTag[0].length);
+        changes.unshift({ code: 'missing-lang', detail: `lang="${language}"` });
+    }
+
+    return { content: fixed, before, after: doc.documentElement.outerHTML, changes, review };
+}
+
+/**
+ * Fix the HTML message of a discussion topic XML file. The message has no
+ * document of its own, so its language comes from the course.
+ */
+export function remediateDiscussion(content: string, fixes: RemediationCode[], parser: DOMParser): { content: string, before: string, after: string, changes: RemediationChange[], review: RemediationChange[] } {
+    const text = /(<text\b[^>]*>)([\s\S]*?)(<\/text>)/.exec(content);
+    const html = parser.parseFromString(content, 'application/xml').querySelector('text')?.textContent || '';
+    if (!text || !html) return { content, before: '', after: '', changes: [], review: [] };
+
+    const doc = parser.parseFromString(html, 'text/html');
+    const before = doc.body.innerHTML;
+    const review: RemediationChange[] = [];
+    const changes = applyFixes(doc, fixes, review);
+    if (!changes.length) return { content, before, after: before, changes, review };
+
+    const fixed = content.slice(0, text.index) + text[1] + escapeXml(doc.body.innerHTML) + text[3] + content.slice(text.index + text[0].length);
+    return { content: fixed, before, after: doc.body.innerHTML, changes, review };
+}
+
+/**
+ * Run the selected fixes over every page, assignment and discussion in the
+ * archive and return the items they changed or left for review.
+ */
+export async function remediateArchive(zip: JSZip, resources: Resource[], fixes: RemediationCode[], language: string, parser: DOMParser): Promise<ItemRemediation[]> {
+    const items: ItemRemediation[] = [];
+    for (const resource of resources.filter(r => REMEDIATION_ITEM_TYPES.includes(r.clarifiedType) && r.analysisHref)) {
+        const entry = zip.file(resource.analysisHref!);
+        if (!entry) continue;
+        const content = await entry.async('string');
+        const result = resource.analysisType === 'discussion_xml'
+            ? remediateDiscussion(content, fixes, parser)
+            : remediateHtml(content, fixes, language, parser);
+        if (!result.changes.length && !result.review.length) continue;
+        items.push({
+            resourceIdentifier: resource.identifier,
+            title: resource.title,
+            itemType: resource.clarifiedType,
+            path: resource.analysisHref!,
+            content: result.content,
+            before: result.before,
+            after: result.after,
+            changes: result.changes,
+            review: result.review,
+        });
+    }
+    return items;
+}
+
+/**
+ * Write the approved fixes into the archive and package it for import into Canvas.
+ */
+export function buildRemediatedArchive(zip: JSZip, approved: ItemRemediation[]): Promise<Blob> {
+    approved.forEach(item => zip.file(item.path, item.content));
+    return zip.generateAsync({ type: 'blob', compression: 'DEFLATE', mimeType: 'application/zip' });
+}
+
+/**
+ * HTML split before its block elements, so that a change shows as the lines it touches.
+ */
+export function reviewLines(html: string): string[] {
+    return html.replace(REVIEW_LINE_TAGS, '\n$1').split('\n').map(line => line.trim()).filter(Boolean);
+}
@@ -0,0 +1,143 @@
+import * as axeCore from 'axe-core';
+import type * as Axe from 'axe-core';
+
+/* =========================================================================
+   Rendering items for the axe scan: each item is laid out in an offscreen,
+   sandboxed iframe styled like Canvas' rich content area, and axe runs inside
+   that frame, so contrast, target-size and visibility rules see the item's
+   real computed styles and boxes.
+   ========================================================================= */
+
+/**
+ * Approximation of Canvas' `.user_content` styles (fonts, colors, spacing)
+ * that instructor content is rendered against.
+ */
+export const CANVAS_CONTENT_STYLES = `
+html { background: #ffffff; }
+body {
+    margin: 0;
+    padding: 24px 36px;
+    max-width: 1000px;
+    font-family: "Lato Extended", "Lato", "Helvetica Neue", Helvetica, Arial, sans-serif;
+    font-size: 16px;
+    line-height: 1.5;
+    color: #273540;
+    background: #ffffff;
+}
+a { color: #2b7abc; text-decoration: none; }
+a:hover { text-decoration: underline; }
+h1, h2, h3, h4, h5, h6 { font-weight: normal; line-height: 1.5; margin: 6px 0; color: inherit; }
+h1 { font-size: 2em; }
+h2 { font-size: 1.8em; }
+h3 { font-size: 1.5em; }
+h4 { font-size: 1.3em; }
+h5 { font-size: 1.1em; }
+h6 { font-size: 1em; }
+p { margin: 12px 0; }
+ul, ol { margin: 0 0 6px 25px; padding: 0; }
+img { max-width: 100%; height: auto; vertical-align: middle; }
+table { border-collapse: collapse; border-spacing: 0; }
+td, th { padding: 4px; }
+pre, code { font-family: Monaco, Menlo, Consolas, "Courier New", monospace; font-size: 0.875em; }
+blockquote { margin: 0 0 12px; padding: 0 12px; border-left: 5px solid #c7cdd1; }
+hr { border: 0; border-top: 1px solid #c7cdd1; margin: 18px 0; }
+`;
+
+/**
+ * Nothing in a rendered item may load or run: inline styles only, images
+ * limited to data: URLs (placeholders keep their size attributes).
+ */
+export const RENDER_CONTENT_SECURITY_POLICY = "default-src 'none'; style-src 'unsafe-inline'; img-src data:; font-src data:";
+
+/**
+ * The render policy plus the one script allowed to run: axe, injected with
+ * this render's nonce. The item's own scripts and event handlers stay blocked.
+ */
+function renderPolicyWithScript(nonce: string): string {
+    return `${RENDER_CONTENT_SECURITY_POLICY}; script-src 'nonce-${nonce}'`;
+}
+
+function createNonce(): string {
+    return Array.from(crypto.getRandomValues(new Uint8Array(16)), byte => byte.toString(16).padStart(2, '0')).join('');
+}
+
+// Matches a typical Canvas content area so layout-dependent rules see realistic widths
+const FRAME_WIDTH = 1280;
+const FRAME_HEIGHT = 800;
+
+/**
+ * Wrap an item's HTML in a document carrying the content security policy and
+ * the Canvas stylesheet. The item's own styles come later and win, as in Canvas.
+ * With a scriptNonce, scripts carrying that nonce may run (see renderInFrame).
+ */
+export function buildRenderDocument(html: string, parser: DOMParser, scriptNonce: string | null = null): string {
+    const doc = parser.parseFromString(html, 'text/html');
+    const head = doc.head || doc.documentElement.insertBefore(doc.createElement('head'), doc.body);
+
+    const csp = doc.createElement('meta');
+    csp.setAttribute('http-equiv', 'Content-Security-Policy');
+    csp.setAttribute('content', scriptNonce ? renderPolicyWithScript(scriptNonce) : RENDER_CONTENT_SECURITY_POLICY);
+    const style = doc.createElement('style');
+    style.textContent = CANVAS_CONTENT_STYLES;
+
+    // The policy has to come before anything it governs
+    head.insertBefore(style, head.firstChild);
+    head.insertBefore(csp, head.firstChild);
+    // Canvas always sets the page language around the content
+    if (!doc.documentElement.getAttribute('lang')) doc.documentElement.setAttribute('lang', 'en');
+
+    return `<!DOCTYPE html>${doc.documentElement.outerHTML}`;
+}
+
+/**
+ * Create the offscreen iframe items are rendered in. The sandbox keeps forms
+ * and popups disabled; allow-scripts lets axe run in the frame (the render
+ * policy blocks every other script) and allow-same-origin lets this page inject
+ * it and read its results.
+ */
+export function createRenderFrame(): HTMLIFrameElement {
+    const frame = document.createElement('iframe');
+    frame.setAttribute('sandbox', 'allow-scripts allow-same-origin');
+    frame.setAttribute('aria-hidden', 'true');
+    frame.tabIndex = -1;
+    frame.title = 'Accessibility scan rendering';
+    // Offscreen but laid out: display:none or visibility:hidden would hide every element from axe
+    frame.style.cssText = `position: fixed; left: -${FRAME_WIDTH + 100}px; top: 0; width: ${FRAME_WIDTH}px; height: ${FRAME_HEIGHT}px; border: 0; pointer-events: none;`;
+    document.body.appendChild(frame);
+    return frame;
+}
+
+/**
+ * Render an item in the frame and resolve with its laid-out document once
+ * loaded, with axe loaded into the frame's window (see frameAxe).
+ */
+export function renderInFrame(frame: HTMLIFrameElement, html: string, parser: DOMParser): Promise<Document> {
+    const nonce = createNonce();
+    return new Promise((resolve, reject) => {
+        frame.onload = () => {
+            frame.onload = null;
+            const doc = frame.contentDocument;
+            if (!doc) {
+                reject(new Error('Rendered item is not accessible.'));
+                return;
+            }
+            // The page's own axe build has no source; the bundled copy carries it
+            const script = doc.createElement('script');
+            script.nonce = nonce;
+            script.textContent = axeCore.source;
+            doc.head.appendChild(script);
+            resolve(doc);
+        };
+        frame.srcdoc = buildRenderDocument(html, parser, nonce);
+    });
+}
+
+/**
+ * The axe loaded in a rendered item's window. Scans have to use this one: axe
+ * only accepts nodes from its own window and reads layout from its own document.
+ */
+export function frameAxe(doc: Document): typeof Axe {
+    const windowAxe = (doc.defaultView as (Window & { axe?: typeof Axe }) | null)?.axe;
+    if (!windowAxe) throw new Error('axe could not be loaded into the rendered item.');
+    return windowAxe;
+}
@@ -0,0 +1,1151 @@
+import type { Resource, Module, ModuleAuditFinding, Gradebook, AssignmentSettings, QuizSettings, QuizSettingsAudit, RubricInventory, OutcomeAlignments, CourseCalendar, CourseWorkload, ItemText, CourseDiff, AccessibilityChange, VideoObject, ImageObject, CaptionFile, FileObject, FileInventory, DocumentCheck, LinkObject, LinkIssue, EnhancedAxeResult, EnhancedAxeResults, AxeResultCount, WcagConformance, WcagLevel, TriageStatus, TriageDecisions } from './types';
+import { AXE_IMPACTS, countAxeResults, countAxeResultsByModule, summarizeAxeRules } from './accessibility';
+import { CONFORMANCE_LABELS, buildWcagConformance, wcagCriteriaLabel } from './wcag';
+import { TRIAGE_STATUS_LABELS, axeFingerprint, axeFingerprints, linkFingerprint, videoFingerprint, triageStatus, matchTriageDecisions } from './triage';
+import { LINK_ISSUE_LABELS } from './course-references';
+import { DOCUMENT_ISSUE_LABELS } from './document-checks';
+import { CAPTION_STATUS_LABELS } from './captions';
+import { IMAGE_ISSUE_LABELS } from './images';
+import { linkTypes } from './institution-profile';
+import { auditModuleStructure, completionRequirementLabel, MODULE_AUDIT_LABELS } from './module-audit';
+import { GRADING_ISSUE_LABELS } from './grading';
+import { RUBRIC_ISSUE_LABELS } from './rubrics';
+import { QUIZ_SETTINGS_ISSUE_LABELS, QUIZ_TYPE_LABELS } from './quiz-settings';
+import { OUTCOME_ISSUE_LABELS, alignedAssessments, moduleAlignmentCount, assessmentAlignmentLabel } from './outcomes';
+import { CALENDAR_EVENT_LABELS, DATE_WARNING_LABELS, calendarWeeks } from './course-calendar';
+import { WORKLOAD_ISSUE_LABELS, buildWorkload, formatMinutes } from './workload';
+import { MODULE_CHANGE_LABELS, RESOURCE_CHANGE_LABELS, courseDiffSize } from './course-diff';
+import { evaluateCustomRules } from './custom-rules';
+import type { CustomRuleSet, CustomRuleResult } from './custom-rules';
+import type { InstitutionProfile, LinkTypeDefinition } from './institution-profile';
+
+declare const _: typeof import('lodash');
+
+/* =========================================================================
+   QA report export (CSV, JSON, standalone HTML)
+   ========================================================================= */
+
+/**
+ * Version of the exported JSON document. Bump whenever the shape of
+ * CourseReport changes so downstream consumers can detect old exports.
+ */
+export const REPORT_SCHEMA_VERSION = 1;
+
+export interface CourseReport {
+    schemaVersion: number,
+    generatedAt: string,
+    sourceFileName: string,
+    // Profile the links and videos were classified with
+    institutionProfile: {
+        name: string,
+        linkTypes: LinkTypeDefinition[],
+    },
+    summary: {
+        resources: number,
+        modules: number,
+        moduleStructureIssues: number,
+        violations: number,
+        incomplete: number,
+        failedCustomRules: number,
+        passes: number,
+        triagedFindings: number,
+        wcagCriteriaNotSupported: number,
+        wcagCriteriaPartiallySupported: number,
+        links: number,
+        brokenLinks: number,
+        linksToUnpublished: number,
+        linksOutsideModules: number,
+        files: number,
+        videos: number,
+        images: number,
+        imagesWithIssues: number,
+        videosWithCaptionFiles: number,
+        videosWithInvalidCaptionFiles: number,
+        videosWithoutCaptionEvidence: number,
+        captionFilesWithProblems: number,
+        courseFiles: number,
+        orphanedFiles: number,
+        missingFiles: number,
+        duplicateFileSets: number,
+        documents: number,
+        documentsWithIssues: number,
+        gradedItems: number,
+        gradingIssues: number,
+        quizzes: number,
+        quizSettingsIssues: number,
+        rubrics: number,
+        rubricIssues: number,
+        outcomes: number,
+        unalignedOutcomes: number,
+        modulesWithoutOutcomes: number,
+        datedEvents: number,
+        dateWarnings: number,
+        estimatedWorkloadMinutes: number,
+        workloadIssues: number,
+    },
+    modules: Module[],
+    moduleAudit: ModuleAuditFinding[],
+    resources: Resource[],
+    accessibility: {
+        violations: EnhancedAxeResult[],
+        incomplete: EnhancedAxeResult[],
+        passes: EnhancedAxeResult[],
+        inapplicable: EnhancedAxeResult[],
+    },
+    // WCAG 2.1 A/AA conformance judged from the accessibility results
+    wcag: WcagConformance,
+    // Reviewer decisions on the accessibility results, links and videos of this export
+    triage: TriageDecisions,
+    links: LinkObject[],
+    files: FileObject[],
+    videos: VideoObject[],
+    images: ImageObject[],
+    fileInventory: FileInventory,
+    documentChecks: DocumentCheck[],
+    captionFiles: CaptionFile[],
+    gradebook: Gradebook,
+    quizzes: QuizSettingsAudit,
+    rubrics: RubricInventory,
+    outcomes: OutcomeAlignments,
+    calendar: CourseCalendar,
+    // Text of every analyzed item, for comparing exports (see diffCourseReports)
+    contentText: ItemText[],
+    workload: CourseWorkload,
+    customRules: {
+        name: string,
+        results: CustomRuleResult[],
+    },
+};
+
+/**
+ * Assemble every finding of one analysis run into a single serializable document.
+ */
+export function buildCourseReport(data: {
+    sourceFileName: string,
+    modules: Module[],
+    resources: Resource[],
+    accessibility: EnhancedAxeResults | undefined,
+    links: LinkObject[],
+    files: FileObject[],
+    videos: VideoObject[],
+    images: ImageObject[],
+    fileInventory: FileInventory | null,
+    documentChecks: DocumentCheck[],
+    captionFiles: CaptionFile[],
+    gradebook: Gradebook | null,
+    quizzes: QuizSettingsAudit | null,
+    rubrics: RubricInventory | null,
+    outcomes: OutcomeAlignments | null,
+    calendar: CourseCalendar | null,
+    contentText: ItemText[],
+    profile: InstitutionProfile,
+    rules: CustomRuleSet,
+    triage: TriageDecisions,
+}): CourseReport {
+    const accessibility = {
+        violations: data.accessibility?.violations || [],
+        incomplete: data.accessibility?.incomplete || [],
+        passes: data.accessibility?.passes || [],
+        inapplicable: data.accessibility?.inapplicable || [],
+    };
+    const fileInventory = data.fileInventory || { files: [], missing: [], duplicateGroups: [] };
+    const linksWithIssue = (issue: LinkIssue) => data.links.filter(l => l.resolution?.issues.includes(issue)).length;
+    const moduleAudit = auditModuleStructure(data.modules, data.resources);
+    const gradebook = data.gradebook || { weighted: false, groups: [], assignments: [], findings: [] };
+    const quizzes = data.quizzes || { quizzes: [], findings: [] };
+    const rubrics = data.rubrics || { rubrics: [], findings: [] };
+    const outcomes = data.outcomes || { outcomes: [], alignments: [], modules: [], findings: [] };
+    const workload = buildWorkload(data.contentText, data.videos, data.files, data.resources, data.modules);
+    const calendar = data.calendar || { timeZone: 'UTC', termStart: null, termEnd: null, events: [], warnings: [] };
+    const wcag = buildWcagConformance(accessibility);
+    const triage = matchTriageDecisions(data.triage, [
+        ...[...accessibility.violations, ...accessibility.incomplete].flatMap(axeFingerprints),
+        ...data.links.map(linkFingerprint),
+        ...data.videos.map(videoFingerprint),
+    ]);
+
+    const report: CourseReport = {
+        schemaVersion: REPORT_SCHEMA_VERSION,
+        generatedAt: new Date().toISOString(),
+        sourceFileName: data.sourceFileName,
+        institutionProfile: {
+            name: data.profile.name,
+            linkTypes: linkTypes(data.profile),
+        },
+        summary: {
+            resources: data.resources.length,
+            modules: data.modules.length,
+            moduleStructureIssues: moduleAudit.length,
+            violations: accessibility.violations.length,
+            incomplete: accessibility.incomplete.length,
+            failedCustomRules: 0,
+            passes: accessibility.passes.length,
+            triagedFindings: Object.values(triage).filter(d => d.status !== 'open').length,
+            wcagCriteriaNotSupported: wcag.criteria.filter(c => c.conformance === 'does-not-support').length,
+            wcagCriteriaPartiallySupported: wcag.criteria.filter(c => c.conformance === 'partially-supports').length,
+            links: data.links.length,
+            brokenLinks: linksWithIssue('broken'),
+            linksToUnpublished: linksWithIssue('unpublished-target'),
+            linksOutsideModules: linksWithIssue('not-in-module'),
+            files: data.files.length,
+            videos: data.videos.length,
+            images: data.images.length,
+            imagesWithIssues: data.images.filter(i => i.issues.length > 0).length,
+            videosWithCaptionFiles: data.videos.filter(v => v.captionStatus === 'caption-file').length,
+            videosWithInvalidCaptionFiles: data.videos.filter(v => v.captionStatus === 'caption-file-invalid').length,
+            videosWithoutCaptionEvidence: data.videos.filter(v => v.captionStatus === 'none').length,
+            captionFilesWithProblems: data.captionFiles.filter(captionFileHasProblems).length,
+            courseFiles: fileInventory.files.length,
+            orphanedFiles: fileInventory.files.filter(f => f.orphaned).length,
+            missingFiles: fileInventory.missing.length,
+            duplicateFileSets: fileInventory.duplicateGroups.length,
+            documents: data.documentChecks.length,
+            documentsWithIssues: data.documentChecks.filter(d => d.issues.length > 0).length,
+            gradedItems: gradebook.assignments.length,
+            gradingIssues: gradebook.findings.length,
+            quizzes: quizzes.quizzes.length,
+            quizSettingsIssues: quizzes.findings.length,
+            rubrics: rubrics.rubrics.length,
+            rubricIssues: rubrics.findings.length,
+            outcomes: outcomes.outcomes.length,
+            unalignedOutcomes: outcomes.findings.filter(f => f.code === 'unaligned-outcome').length,
+            modulesWithoutOutcomes: outcomes.findings.filter(f => f.code === 'module-without-outcomes').length,
+            datedEvents: calendar.events.length,
+            dateWarnings: calendar.warnings.length,
+            estimatedWorkloadMinutes: Math.round(workload.items.reduce((sum, i) => sum + i.minutes, 0)),
+            workloadIssues: workload.findings.length,
+        },
+        modules: data.modules,
+        moduleAudit,
+        resources: data.resources,
+        accessibility,
+        wcag,
+        triage,
+        links: data.links,
+        files: data.files,
+        videos: data.videos,
+        images: data.images,
+        fileInventory,
+        documentChecks: data.documentChecks,
+        captionFiles: data.captionFiles,
+        gradebook,
+        quizzes,
+        rubrics,
+        outcomes,
+        calendar,
+        contentText: data.contentText,
+        workload,
+        customRules: { name: data.rules.name, results: [] },
+    };
+
+    // Rules see the course through the assembled report
+    report.customRules.results = evaluateCustomRules(data.rules, report);
+    report.summary.failedCustomRules = report.customRules.results.filter(r => !r.passed).length;
+    return report;
+}
+
+export function captionFileHasProblems(file: CaptionFile): boolean {
+    return file.errors.length > 0 || file.emptyCues > 0 || file.gaps.length > 0;
+}
+
+/* =========================================================================
+   CSV
+   ========================================================================= */
+
+/**
+ * Quote a single CSV field (RFC 4180): always quoted, inner quotes doubled.
+ */
+function csvField(value: unknown): string {
+    const text = value === null || value === undefined ? '' : String(value);
+    return `"${text.replace(/"/g, '""')}"`;
+}
+
+/**
+ * Serialize a header row plus data rows to CSV. A BOM is prepended so Excel
+ * opens the file as UTF-8.
+ */
+export function toCsv(header: string[], rows: unknown[][]): string {
+    const lines = [header, ...rows].map(row => row.map(csvField).join(','));
+    return '\uFEFF' + lines.join('\r\n') + '\r\n';
+}
+
+export function moduleAuditToCsv(findings: ModuleAuditFinding[]): string {
+    return toCsv(
+        ['Issue', 'Module', 'Item', 'Details'],
+        findings.map(f => [MODULE_AUDIT_LABELS[f.code], f.moduleTitle || '', f.itemTitle || '', f.detail])
+    );
+}
+
+function assignmentGroupTitle(gradebook: Gradebook, assignment: { assignmentGroupIdentifier: string | null }): string {
+    return gradebook.groups.find(g => g.identifier === assignment.assignmentGroupIdentifier)?.title || '';
+}
+
+/**
+ * Peer review and group settings of an assignment, as one line of text.
+ */
+export function assignmentOptionsLabel(assignment: AssignmentSettings): string {
+    return [
+        ...(assignment.peerReviews ? [`Peer reviews${assignment.peerReviewCount ? ` (${assignment.peerReviewCount})` : ''}`] : []),
+        ...(assignment.groupCategory ? [`Group: ${assignment.groupCategory}${assignment.gradeGroupStudentsIndividually ? ', graded individually' : ''}`] : []),
+        ...(assignment.omitFromFinalGrade ? ['Not counted in final grade'] : []),
+    ].join('; ');
+}
+
+export function assignmentsToCsv(gradebook: Gradebook): string {
+    return toCsv(
+        ['Title', 'Item Type', 'Module', 'Status', 'Points', 'Grading Type', 'Submission Types', 'Allowed Extensions', 'Assignment Group', 'Due', 'Unlock', 'Lock', 'Options'],
+        gradebook.assignments.map(a => [
+            a.title,
+            a.itemType,
+            a.moduleTitle,
+            statusLabel(a.status),
+            a.pointsPossible ?? '',
+            a.gradingType,
+            a.submissionTypes.join('; '),
+            a.allowedExtensions.join('; '),
+            assignmentGroupTitle(gradebook, a),
+            a.dueAt || '',
+            a.unlockAt || '',
+            a.lockAt || '',
+            assignmentOptionsLabel(a),
+        ])
+    );
+}
+
+/**
+ * Attempts, time and visibility settings of a quiz in a few words.
+ */
+export function quizAttemptsLabel(quiz: QuizSettings): string {
+    return [
+        quiz.allowedAttempts === null ? 'Unlimited attempts' : `${quiz.allowedAttempts} attempt(s)`,
+        quiz.timeLimit === null ? 'No time limit' : `${quiz.timeLimit} min`,
+    ].join(', ');
+}
+
+export function quizCorrectAnswersLabel(quiz: QuizSettings): string {
+    if (quiz.hideResults === 'always') return 'Results hidden';
+    if (!quiz.showCorrectAnswers) return 'Not shown';
+    const when = [
+        ...(quiz.showCorrectAnswersLastAttempt ? ['after last attempt'] : []),
+        ...(quiz.showCorrectAnswersAt ? [`from ${quiz.showCorrectAnswersAt}`] : []),
+        ...(quiz.hideCorrectAnswersAt ? [`until ${quiz.hideCorrectAnswersAt}`] : []),
+    ];
+    return when.length ? `Shown ${when.join(', ')}` : 'Shown after submitting';
+}
+
+export function quizRestrictionsLabel(quiz: QuizSettings): string {
+    return [
+        ...(quiz.shuffleAnswers ? ['Shuffled answers'] : []),
+        ...(quiz.oneQuestionAtATime ? [quiz.cantGoBack ? 'One question at a time, no going back' : 'One question at a time'] : []),
+        ...(quiz.requireLockdownBrowser ? ['Lockdown browser'] : []),
+        ...(quiz.hasAccessCode ? ['Access code'] : []),
+        ...(quiz.ipFilter ? [`IP filter: ${quiz.ipFilter}`] : []),
+    ].join(', ');
+}
+
+export function quizzesToCsv(audit: QuizSettingsAudit, gradebook: Gradebook): string {
+    return toCsv(
+        ['Title', 'Type', 'Points', 'Questions', 'Question Points', 'Time Limit (min)', 'Allowed Attempts', 'Scoring', 'Correct Answers', 'Restrictions', 'Assignment Group', 'Module', 'Status', 'Issues'],
+        audit.quizzes.map(q => [
+            q.title,
+            QUIZ_TYPE_LABELS[q.quizType] || q.quizType,
+            q.pointsPossible ?? '',
+            q.questionCount,
+            q.questionPoints,
+            q.timeLimit ?? '',
+            q.allowedAttempts ?? 'Unlimited',
+            q.scoringPolicy || '',
+            quizCorrectAnswersLabel(q),
+            quizRestrictionsLabel(q),
+            assignmentGroupTitle(gradebook, q),
+            q.moduleTitle,
+            statusLabel(q.status),
+            audit.findings.filter(f => f.title === q.title).map(f => QUIZ_SETTINGS_ISSUE_LABELS[f.code]).join('; '),
+        ])
+    );
+}
+
+/**
+ * One row per criterion, with the rubric's total and the items using it.
+ */
+export function rubricsToCsv(inventory: RubricInventory): string {
+    const rows: unknown[][] = [];
+    inventory.rubrics.forEach(rubric => {
+        const usedBy = rubric.usedBy.map(a => `${a.title} (${a.pointsPossible ?? 0} pts)`).join('; ');
+        const criteria = rubric.criteria.length ? rubric.criteria : [null];
+        criteria.forEach(c => rows.push([
+            rubric.title,
+            rubric.totalPoints,
+            usedBy,
+            c ? c.description : '',
+            c ? c.points : '',
+            c ? c.ratings.map(r => `${r.description} (${r.points})`).join('; ') : '',
+            inventory.findings.filter(f => f.title === rubric.title || rubric.usedBy.some(a => a.title === f.title)).map(f => RUBRIC_ISSUE_LABELS[f.code]).join('; '),
+        ]));
+    });
+    return toCsv(['Rubric', 'Total Points', 'Used By', 'Criterion', 'Criterion Points', 'Ratings', 'Issues'], rows);
+}
+
+/**
+ * One row per analyzed item with its text metrics, media counts and estimated time.
+ */
+export function workloadToCsv(workload: CourseWorkload, modules: Module[]): string {
+    return toCsv(
+        ['Title', 'Item Type', 'Modules', 'Words', 'Grade Level', 'Reading (min)', 'Videos', 'Attachments', 'Estimated (min)', 'Issues'],
+        workload.items.map(i => [
+            i.title,
+            i.itemType,
+            modules.filter(m => m.items.some(item => item.identifierRef === i.resourceIdentifier)).map(m => m.title).join('; '),
+            i.words,
+            i.gradeLevel ?? '',
+            i.readingMinutes,
+            i.videos,
+            i.attachments,
+            i.minutes,
+            workload.findings.filter(f => f.code !== 'heavy-module' && f.title === i.title).map(f => WORKLOAD_ISSUE_LABELS[f.code]).join('; '),
+        ])
+    );
+}
+
+/**
+ * The alignment matrix: one row per outcome, with its aligned item count in
+ * every module, then how each aligned assessment is aligned to it.
+ */
+export function outcomesToCsv(matrix: OutcomeAlignments): string {
+    const assessments = alignedAssessments(matrix);
+    return toCsv(
+        ['Outcome', 'Group', 'Mastery Points', ...matrix.modules.map(m => `Module: ${m}`), ...assessments.map(a => a.title)],
+        matrix.outcomes.map(o => [
+            o.title,
+            o.groupTitle || '',
+            o.masteryPoints ?? '',
+            ...matrix.modules.map(m => moduleAlignmentCount(matrix, o.identifier, m)),
+            ...assessments.map(a => assessmentAlignmentLabel(matrix, o.identifier, a.resourceIdentifier)),
+        ])
+    );
+}
+
+export function calendarToCsv(calendar: CourseCalendar): string {
+    return toCsv(
+        [`Date (${calendar.timeZone})`, 'Event', 'Title', 'Item Type', 'Warnings'],
+        calendar.events.map(e => [
+            e.localTime,
+            CALENDAR_EVENT_LABELS[e.kind],
+            e.title,
+            e.itemType,
+            calendar.warnings.filter(w => w.title === e.title && w.detail.includes(e.localTime)).map(w => DATE_WARNING_LABELS[w.code]).join('; '),
+        ])
+    );
+}
+
+/**
+ * Every change of a comparison as one row: area, change, item and details.
+ */
+export function courseDiffToCsv(diff: CourseDiff): string {
+    const axeRow = (change: string) => (a: AccessibilityChange) => ['Accessibility', change, a.itemTitle, `${a.rule} (${a.impact}): ${a.help}${a.target ? ` at ${a.target}` : ''}`];
+    const linkRow = (change: string) => (l: LinkObject) => ['Links', change, l.parentResourceTitle, `${l.text} <${l.url}>`];
+    return toCsv(
+        ['Area', 'Change', 'Item', 'Details'],
+        [
+            ...diff.modules.map(c => ['Modules', MODULE_CHANGE_LABELS[c.kind], c.title, c.detail]),
+            ...diff.resources.map(c => ['Items', RESOURCE_CHANGE_LABELS[c.kind], c.title, c.detail]),
+            ...diff.content.map(c => ['Content', 'Text changed', c.title, [...c.removed.map(l => `- ${l}`), ...c.added.map(l => `+ ${l}`)].join('\n')]),
+            ...diff.accessibility.introduced.map(axeRow('New violation')),
+            ...diff.accessibility.fixed.map(axeRow('Fixed violation')),
+            ...diff.links.added.map(linkRow('Link added')),
+            ...diff.links.removed.map(linkRow('Link removed')),
+        ]
+    );
+}
+
+function statusLabel(status: string): string {
+    return status === 'active' ? 'Published' : 'Unpublished';
+}
+
+/**
+ * Triage status and note columns of a finding.
+ */
+function triageFields(triage: TriageDecisions, fingerprint: string): string[] {
+    return [TRIAGE_STATUS_LABELS[triageStatus(triage, fingerprint)], triage[fingerprint]?.note || ''];
+}
+
+/**
+ * Decisions on an axe result's elements, e.g. "False positive: 2 of 3 (note)";
+ * open elements are left out.
+ */
+function axeTriageLabel(triage: TriageDecisions, result: EnhancedAxeResult): string {
+    const decided = axeFingerprints(result).filter(fingerprint => triageStatus(triage, fingerprint) !== 'open');
+    return Object.entries(_.groupBy(decided, fingerprint => triageStatus(triage, fingerprint))).map(([status, fingerprints]) => {
+        const notes = fingerprints.map(fingerprint => triage[fingerprint].note).filter(Boolean);
+        return `${TRIAGE_STATUS_LABELS[status as TriageStatus]}: ${fingerprints.length} of ${result.nodes.length}${notes.length ? ` (${notes.join('; ')})` : ''}`;
+    }).join(', ');
+}
+
+/**
+ * One row per failing element, plus one for every rule that passed.
+ */
+export function customRulesToCsv(results: CustomRuleResult[]): string {
+    return toCsv(
+        ['Rule', 'Description', 'Severity', 'Result', 'Checked', 'Item', 'Details'],
+        results.flatMap(r => r.passed
+            ? [[r.id, r.description, r.severity, 'Pass', r.checked, '', '']]
+            : r.failures.map(f => [r.id, r.description, r.severity, 'Fail', r.checked, f.title, f.detail]))
+    );
+}
+
+/**
+ * One row per affected node so every element can be tracked individually.
+ */
+export function accessibilityToCsv(results: EnhancedAxeResult[], triage: TriageDecisions = {}): string {
+    const rows: unknown[][] = [];
+    results.forEach(result => {
+        const nodes = result.nodes && result.nodes.length ? result.nodes : [null];
+        nodes.forEach(node => {
+            rows.push([
+                result.type,
+                result.id,
+                result.impact || '',
+                result.help,
+                wcagCriteriaLabel(result),
+                result.parentItemTitle,
+                result.parentItemType,
+                result.parentItemModuleTitle || '(None)',
+                statusLabel(result.parentItemStatus),
+                node ? node.target.join(', ') : '',
+                node ? node.html : '',
+                result.helpUrl,
+                ...(node ? triageFields(triage, axeFingerprint(result, node)) : ['', '']),
+            ]);
+        });
+    });
+    return toCsv(['Result', 'Rule', 'Impact', 'Issue', 'WCAG', 'Parent Item', 'Item Type', 'Module', 'Status', 'Selector', 'Element', 'Help URL', 'Triage', 'Triage Note'], rows);
+}
+
+function linkIssuesLabel(link: LinkObject): string {
+    return (link.resolution?.issues || []).map(issue => LINK_ISSUE_LABELS[issue]).join('; ');
+}
+
+export function linksToCsv(links: LinkObject[], triage: TriageDecisions = {}): string {
+    return toCsv(
+        ['Link Text', 'URL', 'Link Type', 'Parent Item', 'Item Type', 'Module', 'Status', 'Target', 'Target Type', 'Resolution', 'Issues', 'Triage', 'Triage Note'],
+        links.map(l => [
+            l.text,
+            l.url,
+            l.type,
+            l.parentResourceTitle,
+            l.parentResourceType,
+            l.parentResourceModuleTitle,
+            statusLabel(l.parentResourceStatus),
+            l.resolution?.targetTitle || l.resolution?.targetIdentifier || '',
+            l.resolution?.targetKind || '',
+            l.resolution?.status || '',
+            linkIssuesLabel(l),
+            ...triageFields(triage, linkFingerprint(l)),
+        ])
+    );
+}
+
+export function filesToCsv(files: FileObject[]): string {
+    return toCsv(
+        ['Anchor Text', 'Href', 'Parent Item', 'Item Type', 'Module', 'Status'],
+        files.map(f => [f.parentAnchorText, f.href, f.parentResourceTitle, f.parentResourceType, f.parentResourceModuleTitle, statusLabel(f.parentResourceStatus)])
+    );
+}
+
+/**
+ * Every file in web_resources/ with its reference and duplicate flags.
+ */
+export function fileInventoryToCsv(inventory: FileInventory): string {
+    const duplicatePaths = new Set(inventory.duplicateGroups.flatMap(g => g.paths));
+    const rows: unknown[][] = inventory.files.map(f => [
+        f.path, f.size, f.mimeType, f.hash, f.orphaned ? 'Yes' : 'No', duplicatePaths.has(f.path) ? 'Yes' : 'No', 'Yes', f.referencedBy.join('; '), '', '', '',
+    ]);
+    inventory.missing.forEach(ref => {
+        rows.push([ref.path, '', '', '', 'No', 'No', 'No', ref.parentResourceTitle, ref.parentResourceType, ref.parentResourceModuleTitle, statusLabel(ref.parentResourceStatus)]);
+    });
+    return toCsv(['Path', 'Size (bytes)', 'MIME Type', 'SHA-256', 'Orphaned', 'Duplicate', 'In Archive', 'Referenced By', 'Item Type', 'Module', 'Status'], rows);
+}
+
+function documentIssuesLabel(check: DocumentCheck): string {
+    return check.issues.map(i => i.detail ? `${DOCUMENT_ISSUE_LABELS[i.code]} (${i.detail})` : DOCUMENT_ISSUE_LABELS[i.code]).join('; ');
+}
+
+export function documentChecksToCsv(checks: DocumentCheck[]): string {
+    return toCsv(
+        ['Path', 'Format', 'Size (bytes)', 'Title', 'Language', 'Issues'],
+        checks.map(d => [d.path, d.format.toUpperCase(), d.size, d.title || '', d.language || '', documentIssuesLabel(d)])
+    );
+}
+
+function captionStatusLabel(video: VideoObject): string {
+    return video.captionStatus ? CAPTION_STATUS_LABELS[video.captionStatus] : '';
+}
+
+export function videosToCsv(videos: VideoObject[], triage: TriageDecisions = {}): string {
+    return toCsv(
+        ['Title', 'Platform', 'Embed/Link', 'URL', 'Captions', 'Caption Files', 'Transcript Links', 'Transcript/Caption Mentioned', 'Parent Item', 'Item Type', 'Module', 'Status', 'Triage', 'Triage Note'],
+        videos.map(v => [
+            v.title,
+            v.platform,
+            v.type,
+            v.src,
+            captionStatusLabel(v),
+            (v.captionFiles || []).join('; '),
+            v.transcriptLinks.join('; '),
+            v.transcriptOrCaptionMentioned ? 'Yes' : 'No',
+            v.parentResourceTitle,
+            v.parentResourceType,
+            v.parentResourceModuleTitle,
+            statusLabel(v.parentResourceStatus),
+            ...triageFields(triage, videoFingerprint(v)),
+        ])
+    );
+}
+
+export function imageIssuesLabel(image: ImageObject): string {
+    return image.issues.map(i => i.detail ? `${IMAGE_ISSUE_LABELS[i.code]} (${i.detail})` : IMAGE_ISSUE_LABELS[i.code]).join('; ');
+}
+
+export function imagesToCsv(images: ImageObject[]): string {
+    return toCsv(
+        ['Source', 'Alt Text', 'Decorative', 'In Link', 'Nearby Text', 'Issues', 'Parent Item', 'Item Type', 'Module', 'Status'],
+        images.map(i => [
+            i.path || i.src,
+            i.alt === null ? '(missing)' : i.alt,
+            i.decorative ? 'Yes' : 'No',
+            i.inLink ? 'Yes' : 'No',
+            i.nearbyText,
+            imageIssuesLabel(i),
+            i.parentResourceTitle,
+            i.parentResourceType,
+            i.parentResourceModuleTitle,
+            statusLabel(i.parentResourceStatus),
+        ])
+    );
+}
+
+function formatSeconds(seconds: number): string {
+    const whole = Math.floor(seconds);
+    return `${Math.floor(whole / 60)}:${String(whole % 60).padStart(2, '0')}`;
+}
+
+/**
+ * Problems found in a caption file, as one line of text.
+ */
+export function captionProblemsLabel(file: CaptionFile): string {
+    return [
+        ...file.errors,
+        ...(file.emptyCues > 0 ? [`${file.emptyCues} empty cue(s)`] : []),
+        ...file.gaps.map(g => `No captions ${formatSeconds(g.start)}-${formatSeconds(g.end)}`),
+    ].join('; ');
+}
+
+export function captionFilesToCsv(files: CaptionFile[]): string {
+    return toCsv(
+        ['Path', 'Format', 'Cues', 'Empty Cues', 'Last Cue Ends (s)', 'Gaps', 'Problems'],
+        files.map(f => [f.path, f.format.toUpperCase(), f.cueCount, f.emptyCues, f.duration.toFixed(1), f.gaps.length, captionProblemsLabel(f)])
+    );
+}
+
+/* =========================================================================
+   Standalone HTML report
+   ========================================================================= */
+
+const REPORT_STYLES = `
+    body { font-family: system-ui, -apple-system, "Segoe UI", sans-serif; color: #1f2937; margin: 2rem; line-height: 1.4; }
+    h1 { font-size: 1.75rem; margin-bottom: 0.25rem; }
+    h2 { font-size: 1.25rem; border-bottom: 2px solid #e5e7eb; padding-bottom: 0.25rem; margin-top: 2rem; }
+    h3 { font-size: 1rem; margin: 1rem 0 0.25rem; }
+    .meta { color: #6b7280; margin: 0; }
+    table { border-collapse: collapse; width: 100%; font-size: 0.85rem; margin-top: 0.5rem; }
+    th, td { border: 1px solid #d1d5db; padding: 0.35rem 0.5rem; text-align: left; vertical-align: top; }
+    th { background: #f3f4f6; }
+    td.url, td code { word-break: break-all; }
+    .summary td:first-child { font-weight: 600; width: 16rem; }
+    .empty { color: #6b7280; font-style: italic; }
+    ul.module { margin: 0; padding-left: 1.25rem; }
+    @media print {
+        body { margin: 0.5in; }
+        h2 { page-break-after: avoid; }
+        tr { page-break-inside: avoid; }
+    }
+`;
+
+/**
+ * Unlock date, prerequisites and completion requirements of a module, if it has any.
+ */
+function moduleSettingsHtml(module: Module): string {
+    const itemTitle = (identifier: string) => module.items.find(i => i.identifier === identifier)?.title || identifier;
+    const settings = [
+        ...(module.unlockAt ? [`Unlocks ${module.unlockAt}`] : []),
+        ...(module.prerequisites.length ? [`Prerequisites: ${module.prerequisites.map(p => p.title || p.identifierRef).join(', ')}`] : []),
+        ...(module.completionRequirements.length ? [`Complete ${module.requirementCount === 'one' ? 'one of' : 'all of'}: ${module.completionRequirements.map(r => `${itemTitle(r.moduleItemIdentifier)} (${completionRequirementLabel(r)})`).join(', ')}`] : []),
+        ...(module.requireSequentialProgress ? ['Items must be completed in order'] : []),
+    ];
+    return settings.length ? `<p class="meta">${settings.map(s => _.escape(s)).join('<br />')}</p>` : '';
+}
+
+function htmlTable(caption: string, header: string[], rows: unknown[][], cellClasses: string[] = []): string {
+    if (rows.length === 0) return `<p class="empty">No ${_.escape(caption.toLowerCase())} found.</p>`;
+    const head = header.map(h => `<th scope="col">${_.escape(h)}</th>`).join('');
+    const body = rows.map(row => `<tr>${row.map((cell, i) => {
+        const cls = cellClasses[i] ? ` class="${cellClasses[i]}"` : '';
+        return `<td${cls}>${_.escape(cell === null || cell === undefined ? '' : String(cell))}</td>`;
+    }).join('')}</tr>`).join('\n');
+    return `<table><caption class="meta">${_.escape(caption)}</caption><thead><tr>${head}</tr></thead><tbody>${body}</tbody></table>`;
+}
+
+/**
+ * Render the report as a self-contained, printable HTML document
+ * (no scripts, no external stylesheets).
+ */
+export function renderHtmlReport(report: CourseReport): string {
+    const s = report.summary;
+    const linkTypeLabels = Object.fromEntries(report.institutionProfile.linkTypes.map(t => [t.id, t.label]));
+    const summaryRows: [string, number][] = [
+        ['Modules', s.modules],
+        ['Module structure issues', s.moduleStructureIssues],
+        ['Content items', s.resources],
+        ['Accessibility violations', s.violations],
+        ['Needs manual review (incomplete)', s.incomplete],
+        ['Triaged findings', s.triagedFindings],
+        ['WCAG 2.1 criteria not supported', s.wcagCriteriaNotSupported],
+        ['WCAG 2.1 criteria partially supported', s.wcagCriteriaPartiallySupported],
+        ['Failed checklist rules', s.failedCustomRules],
+        ['Links', s.links],
+        ['Broken course links', s.brokenLinks],
+        ['Links to unpublished items', s.linksToUnpublished],
+        ['Links to items outside modules', s.linksOutsideModules],
+        ['File attachments', s.files],
+        ['Videos', s.videos],
+        ['Images', s.images],
+        ['Images with alt text issues', s.imagesWithIssues],
+        ['Videos with caption files', s.videosWithCaptionFiles],
+        ['Videos with only invalid caption files', s.videosWithInvalidCaptionFiles],
+        ['Videos with no caption/transcript evidence', s.videosWithoutCaptionEvidence],
+        ['Caption files with problems', s.captionFilesWithProblems],
+        ['Course files', s.courseFiles],
+        ['Orphaned files', s.orphanedFiles],
+        ['Missing files', s.missingFiles],
+        ['Duplicate file sets', s.duplicateFileSets],
+        ['Documents checked (PDF/Word/PowerPoint)', s.documents],
+        ['Documents with accessibility issues', s.documentsWithIssues],
+        ['Graded items', s.gradedItems],
+        ['Grading setup issues', s.gradingIssues],
+        ['Quizzes and surveys', s.quizzes],
+        ['Quiz settings issues', s.quizSettingsIssues],
+        ['Rubrics', s.rubrics],
+        ['Rubric issues', s.rubricIssues],
+        ['Learning outcomes', s.outcomes],
+        ['Outcomes not aligned to an assessment', s.unalignedOutcomes],
+        ['Modules aligned to no outcome', s.modulesWithoutOutcomes],
+        ['Dated events', s.datedEvents],
+        ['Date warnings', s.dateWarnings],
+        ['Estimated student workload (minutes)', s.estimatedWorkloadMinutes],
+        ['Workload issues', s.workloadIssues],
+    ];
+
+    const modulesHtml = report.modules.length === 0
+        ? '<p class="empty">No course structure found in manifest.</p>'
+        : report.modules.map(module => `
+            <h3>${_.escape(module.title)} <span class="meta">(${statusLabel(module.status)})</span></h3>
+            ${moduleSettingsHtml(module)}
+            ${module.items.length === 0 ? '<p class="empty">No items.</p>' : `<ul class="module">${module.items.map(item =>
+                `<li style="margin-left:${Math.max(0, item.indent || 0) * 1.25}rem">${_.escape(item.title)} <span class="meta">&mdash; ${_.escape(item.clarifiedType !== 'tbd' ? item.clarifiedType : item.contentType)}, ${statusLabel(item.status)}</span></li>`
+            ).join('')}</ul>`}
+        `).join('');
+
+    const axeRows = (results: EnhancedAxeResult[]) => results.map(r => [
+        r.impact || '',
+        r.help,
+        wcagCriteriaLabel(r),
+        r.parentItemTitle,
+        r.parentItemType,
+        r.parentItemModuleTitle || '(None)',
+        statusLabel(r.parentItemStatus),
+        r.nodes.length,
+        axeTriageLabel(report.triage, r),
+    ]);
+    const axeHeader = ['Impact', 'Issue', 'WCAG', 'Parent Item', 'Item Type', 'Module', 'Status', 'Elements', 'Triage'];
+    const axeCountRows = (counts: AxeResultCount[]) => _.sortBy(counts, c => -c.elements).map(c => [c.label, c.elements, c.items, ...AXE_IMPACTS.map(impact => c.impacts[impact])]);
+    const axeCountHeader = (label: string) => [label, 'Elements', 'Items', ...AXE_IMPACTS.map(_.capitalize)];
+
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="UTF-8" />
+<title>Course QA Report &ndash; ${_.escape(report.sourceFileName)}</title>
+<style>${REPORT_STYLES}</style>
+</head>
+<body>
+<header>
+    <h1>Course QA Report</h1>
+    <p class="meta">Archive: ${_.escape(report.sourceFileName)}</p>
+    <p class="meta">Generated: ${_.escape(new Date(report.generatedAt).toLocaleString())}</p>
+    <p class="meta">Institution profile: ${_.escape(report.institutionProfile.name)}</p>
+</header>
+<main>
+    <section>
+        <h2>Summary</h2>
+        <table class="summary"><tbody>${summaryRows.map(([label, count]) => `<tr><td>${label}</td><td>${count}</td></tr>`).join('')}</tbody></table>
+    </section>
+    <section>
+        <h2>Course Structure</h2>
+        <h3>Module Structure Audit</h3>
+        ${htmlTable('Module structure issues', ['Issue', 'Module', 'Item', 'Details'],
+            report.moduleAudit.map(f => [MODULE_AUDIT_LABELS[f.code], f.moduleTitle || '', f.itemTitle || '', f.detail]))}
+        ${modulesHtml}
+    </section>
+    <section>
+        <h2>Accessibility Violations</h2>
+        ${htmlTable('Accessibility violations', axeHeader, axeRows(report.accessibility.violations))}
+        <h3>Violations by Rule</h3>
+        ${htmlTable('Violations by rule', ['Impact', 'Rule', 'Issue', 'Elements', 'Items', 'Modules'],
+            summarizeAxeRules(report.accessibility.violations).map(r => [r.impact || '', r.rule, r.help, r.elements, r.items, r.modules.map(m => `${m.moduleTitle} (${m.elements})`).join('; ')]))}
+        <h3>Violations by Module and Item Type</h3>
+        ${htmlTable('Violations by module', axeCountHeader('Module'), axeCountRows(countAxeResultsByModule(report.accessibility.violations)))}
+        ${htmlTable('Violations by item type', axeCountHeader('Item Type'), axeCountRows(countAxeResults(report.accessibility.violations, r => r.parentItemType)))}
+        <h3>Needs Manual Review</h3>
+        ${htmlTable('Incomplete checks', axeHeader, axeRows(report.accessibility.incomplete))}
+        <h3>Checklist Rules <span class="meta">(${_.escape(report.customRules.name)})</span></h3>
+        ${htmlTable('Checklist rules', ['Severity', 'Rule', 'Result', 'Checked', 'Failures'],
+            report.customRules.results.map(r => [r.severity, r.description, r.passed ? 'Pass' : 'Fail', r.checked, r.failures.map(f => `${f.title}: ${f.detail}`).join('; ')]))}
+    </section>
+    <section>
+        <h2>WCAG 2.1 Conformance</h2>
+        ${htmlTable('WCAG 2.1 conformance', ['Criterion', 'Level', 'Conformance', 'Remarks'],
+            report.wcag.criteria.map(c => [`${c.criterion.id} ${c.criterion.name}`, c.criterion.level, CONFORMANCE_LABELS[c.conformance], c.remarks]))}
+    </section>
+    <section>
+        <h2>Link Inventory</h2>
+        <h3>Course Link Problems</h3>
+        ${htmlTable('Course link problems', ['Link Text', 'URL', 'Target', 'Issues', 'Parent Item', 'Module', 'Status'],
+            report.links.filter(l => (l.resolution?.issues.length ?? 0) > 0).map(l => [
+                l.text,
+                l.url,
+                l.resolution!.targetTitle || l.resolution!.targetIdentifier || '',
+                linkIssuesLabel(l),
+                l.parentResourceTitle,
+                l.parentResourceModuleTitle,
+                statusLabel(l.parentResourceStatus),
+            ]),
+            ['', 'url'])}
+        <h3>All Links</h3>
+        ${htmlTable('Links', ['Link Text', 'URL', 'Type', 'Parent Item', 'Module', 'Status'],
+            report.links.map(l => [l.text, l.url, linkTypeLabels[l.type] || l.type, l.parentResourceTitle, l.parentResourceModuleTitle, statusLabel(l.parentResourceStatus)]),
+            ['', 'url'])}
+    </section>
+    <section>
+        <h2>File Attachments</h2>
+        ${htmlTable('File attachments', ['Anchor Text', 'Href', 'Parent Item', 'Module', 'Status'],
+            report.files.map(f => [f.parentAnchorText, f.href, f.parentResourceTitle, f.parentResourceModuleTitle, statusLabel(f.parentResourceStatus)]),
+            ['', 'url'])}
+    </section>
+    <section>
+        <h2>File Inventory</h2>
+        <h3>Missing Files</h3>
+        ${htmlTable('Missing files', ['Path', 'Parent Item', 'Module', 'Status'],
+            report.fileInventory.missing.map(r => [r.path, r.parentResourceTitle, r.parentResourceModuleTitle, statusLabel(r.parentResourceStatus)]),
+            ['url'])}
+        <h3>Orphaned Files</h3>
+        ${htmlTable('Orphaned files', ['Path', 'Size (bytes)', 'MIME Type'],
+            report.fileInventory.files.filter(f => f.orphaned).map(f => [f.path, f.size, f.mimeType]),
+            ['url'])}
+        <h3>Duplicate Files</h3>
+        ${htmlTable('Duplicate files', ['Copies', 'Size (bytes)', 'Paths'],
+            report.fileInventory.duplicateGroups.map(g => [g.paths.length, g.size, g.paths.join(', ')]),
+            ['', '', 'url'])}
+    </section>
+    <section>
+        <h2>Document Accessibility</h2>
+        ${htmlTable('Document accessibility', ['Path', 'Format', 'Title', 'Language', 'Issues'],
+            report.documentChecks.map(d => [d.path, d.format.toUpperCase(), d.title || '', d.language || '', documentIssuesLabel(d)]),
+            ['url'])}
+    </section>
+    <section>
+        <h2>Assignments &amp; Grading</h2>
+        <p class="meta">${report.gradebook.weighted ? 'Final grade weighted by assignment group' : 'Final grade not weighted by group'}</p>
+        ${htmlTable('Grading setup issues', ['Issue', 'Item', 'Details'],
+            report.gradebook.findings.map(f => [GRADING_ISSUE_LABELS[f.code], f.title, f.detail]))}
+        <h3>Assignment Groups</h3>
+        ${htmlTable('Assignment groups', ['Group', 'Weight', 'Items'],
+            report.gradebook.groups.map(g => [g.title, g.weight === null ? '' : `${g.weight}%`, report.gradebook.assignments.filter(a => a.assignmentGroupIdentifier === g.identifier).length]))}
+        <h3>Graded Items</h3>
+        ${htmlTable('Graded items', ['Title', 'Type', 'Points', 'Grading', 'Submission', 'Group', 'Due', 'Unlock', 'Lock', 'Options', 'Status'],
+            report.gradebook.assignments.map(a => [a.title, a.itemType, a.pointsPossible ?? '', a.gradingType, a.submissionTypes.join(', '), assignmentGroupTitle(report.gradebook, a), a.dueAt || '', a.unlockAt || '', a.lockAt || '', assignmentOptionsLabel(a), statusLabel(a.status)]))}
+        <h3>Quiz Settings</h3>
+        ${htmlTable('Quiz settings issues', ['Issue', 'Quiz', 'Details'],
+            report.quizzes.findings.map(f => [QUIZ_SETTINGS_ISSUE_LABELS[f.code], f.title, f.detail]))}
+        ${htmlTable('Quizzes and surveys', ['Title', 'Type', 'Points', 'Questions', 'Attempts & Time', 'Correct Answers', 'Restrictions', 'Group', 'Status'],
+            report.quizzes.quizzes.map(q => [q.title, QUIZ_TYPE_LABELS[q.quizType] || q.quizType, q.pointsPossible ?? '', `${q.questionCount} (${q.questionPoints} pts)`, quizAttemptsLabel(q), quizCorrectAnswersLabel(q), quizRestrictionsLabel(q), assignmentGroupTitle(report.gradebook, q), statusLabel(q.status)]))}
+        <h3>Rubrics</h3>
+        ${htmlTable('Rubric issues', ['Issue', 'Item', 'Details'],
+            report.rubrics.findings.map(f => [RUBRIC_ISSUE_LABELS[f.code], f.title, f.detail]))}
+        ${report.rubrics.rubrics.map(rubric => `
+            <h3>${_.escape(rubric.title)} <span class="meta">(${rubric.totalPoints} points)</span></h3>
+            <p class="meta">Used by: ${rubric.usedBy.length ? _.escape(rubric.usedBy.map(a => `${a.title} (${a.pointsPossible ?? 0} pts)`).join(', ')) : 'no items'}</p>
+            ${htmlTable(`${rubric.title} criteria`, ['Criterion', 'Points', 'Ratings'],
+                rubric.criteria.map(c => [c.description, c.points, c.ratings.map(r => `${r.description} (${r.points})`).join('; ')]))}
+        `).join('')}
+    </section>
+    <section>
+        <h2>Student Workload</h2>
+        <p class="meta">Estimated at ${report.workload.settings.wordsPerMinute} words per minute, ${report.workload.settings.minutesPerVideo} minutes per video and ${report.workload.settings.minutesPerAttachment} minutes per attachment</p>
+        ${htmlTable('Workload issues', ['Issue', 'Item/Module', 'Details'],
+            report.workload.findings.map(f => [WORKLOAD_ISSUE_LABELS[f.code], f.title, f.detail]))}
+        ${htmlTable('Workload by module', ['Module', 'Items', 'Words', 'Videos', 'Attachments', 'Estimated Time'],
+            report.workload.modules.map(m => [m.title, m.items, m.words, m.videos, m.attachments, formatMinutes(m.minutes)]))}
+        ${htmlTable('Workload by item', ['Title', 'Type', 'Words', 'Grade Level', 'Reading', 'Videos', 'Attachments', 'Estimated Time'],
+            report.workload.items.map(i => [i.title, i.itemType, i.words, i.gradeLevel ?? '', formatMinutes(i.readingMinutes), i.videos, i.attachments, formatMinutes(i.minutes)]))}
+    </section>
+    <section>
+        <h2>Learning Outcomes</h2>
+        ${htmlTable('Outcome alignment issues', ['Issue', 'Outcome/Module', 'Details'],
+            report.outcomes.findings.map(f => [OUTCOME_ISSUE_LABELS[f.code], f.title, f.detail]))}
+        <h3>Outcomes by Module</h3>
+        ${htmlTable('Aligned items per outcome and module', ['Outcome', ...report.outcomes.modules],
+            report.outcomes.outcomes.map(o => [o.title, ...report.outcomes.modules.map(m => moduleAlignmentCount(report.outcomes, o.identifier, m) || '')]))}
+        <h3>Outcomes by Assessment</h3>
+        ${htmlTable('Alignment per outcome and assessment', ['Outcome', ...alignedAssessments(report.outcomes).map(a => a.title)],
+            report.outcomes.outcomes.map(o => [o.title, ...alignedAssessments(report.outcomes).map(a => assessmentAlignmentLabel(report.outcomes, o.identifier, a.resourceIdentifier))]))}
+    </section>
+    <section>
+        <h2>Course Calendar</h2>
+        <p class="meta">Term: ${_.escape(report.calendar.termStart || 'no start date')} &ndash; ${_.escape(report.calendar.termEnd || 'no end date')}; times in ${_.escape(report.calendar.timeZone)}</p>
+        ${htmlTable('Date warnings', ['Warning', 'Item', 'Details'],
+            report.calendar.warnings.map(w => [DATE_WARNING_LABELS[w.code], w.title, w.detail]))}
+        ${calendarWeeks(report.calendar).map(week => `
+            <h3>${_.escape(week.label)}</h3>
+            ${htmlTable(week.label, ['Date', 'Event', 'Title', 'Item Type'], week.events.map(e => [e.localTime, CALENDAR_EVENT_LABELS[e.kind], e.title, e.itemType]))}
+        `).join('')}
+    </section>
+    <section>
+        <h2>Images</h2>
+        ${htmlTable('Images', ['Source', 'Alt Text', 'Issues', 'Parent Item', 'Module', 'Status'],
+            report.images.map(i => [i.path || i.src, i.alt === null ? '(missing)' : (i.decorative ? '(decorative)' : i.alt), imageIssuesLabel(i), i.parentResourceTitle, i.parentResourceModuleTitle, statusLabel(i.parentResourceStatus)]),
+            ['url'])}
+    </section>
+    <section>
+        <h2>Videos &amp; Transcripts</h2>
+        ${htmlTable('Videos', ['Title', 'Platform', 'Embed/Link', 'URL', 'Captions', 'Caption Files', 'Parent Item', 'Module', 'Status'],
+            report.videos.map(v => [v.title, v.platform, v.type, v.src, captionStatusLabel(v), (v.captionFiles || []).join(', '), v.parentResourceTitle, v.parentResourceModuleTitle, statusLabel(v.parentResourceStatus)]),
+            ['', '', '', 'url', '', 'url'])}
+        <h3>Caption Files</h3>
+        ${htmlTable('Caption files', ['Path', 'Format', 'Cues', 'Problems'],
+            report.captionFiles.map(f => [f.path, f.format.toUpperCase(), f.cueCount, captionProblemsLabel(f)]),
+            ['url'])}
+    </section>
+</main>
+</body>
+</html>
+`;
+}
+
+const CONFORMANCE_STYLES = `
+    dt { font-weight: 600; margin-top: 0.5rem; }
+    dd { margin-left: 1.25rem; }
+    td.conformance { white-space: nowrap; font-weight: 600; }
+    td.does-not-support { color: #b91c1c; }
+    td.partially-supports { color: #a16207; }
+    td.supports { color: #15803d; }
+`;
+
+/**
+ * Render the WCAG 2.1 conformance of the course as a standalone accessibility
+ * conformance report in the layout of a VPAT WCAG edition: product
+ * information, terms, and one table per conformance level with remarks,
+ * followed by the findings behind every criterion not fully supported.
+ */
+export function renderConformanceReport(report: CourseReport, details: { evaluator: string, notes: string } | null = null): string {
+    const wcag = report.wcag;
+    const accessibility = report.accessibility;
+    const itemsScanned = new Set([...accessibility.violations, ...accessibility.incomplete, ...accessibility.passes, ...accessibility.inapplicable].map(r => r.parentItemTitle)).size;
+    const count = (conformance: keyof typeof CONFORMANCE_LABELS) => wcag.criteria.filter(c => c.conformance === conformance).length;
+
+    const criteriaTable = (level: WcagLevel) => {
+        const rows = wcag.criteria.filter(c => c.criterion.level === level).map(c => `
+            <tr>
+                <td>${_.escape(`${c.criterion.id} ${c.criterion.name}`)} (Level ${level})</td>
+                <td class="conformance ${c.conformance}">${CONFORMANCE_LABELS[c.conformance]}</td>
+                <td>${_.escape(c.remarks)}</td>
+            </tr>`).join('');
+        return `<table><caption class="meta">Success Criteria, Level ${level}</caption>
+            <thead><tr><th scope="col">Criteria</th><th scope="col">Conformance Level</th><th scope="col">Remarks and Explanations</th></tr></thead>
+            <tbody>${rows}</tbody></table>`;
+    };
+
+    const findingRows = wcag.criteria.filter(c => c.conformance === 'does-not-support' || c.conformance === 'partially-supports' || c.findings.some(f => f.resultType === 'incomplete'))
+        .flatMap(c => c.findings.filter(f => f.resultType !== 'passes').map(f => [
+            `${c.criterion.id} ${c.criterion.name}`,
+            f.resultType === 'violations' ? 'Fails' : 'Needs review',
+            f.impact,
+            f.help,
+            f.rule,
+            f.elements,
+            f.items.join('; '),
+        ]));
+
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="UTF-8" />
+<title>Accessibility Conformance Report &ndash; ${_.escape(report.sourceFileName)}</title>
+<style>${REPORT_STYLES}${CONFORMANCE_STYLES}</style>
+</head>
+<body>
+<header>
+    <h1>Accessibility Conformance Report</h1>
+    <p class="meta">WCAG 2.1 Level A and AA, in the layout of the VPAT&reg; WCAG edition</p>
+</header>
+<main>
+    <section>
+        <h2>Product Information</h2>
+        <table class="summary"><tbody>
+            <tr><td>Course export</td><td>${_.escape(report.sourceFileName)}</td></tr>
+            <tr><td>Report date</td><td>${_.escape(new Date(report.generatedAt).toLocaleDateString())}</td></tr>
+            <tr><td>Evaluator</td><td>${_.escape(details?.evaluator || '')}</td></tr>
+            <tr><td>Evaluation methods used</td><td>Automated testing of ${itemsScanned} content item(s) with axe-core${wcag.axeVersion ? ` ${_.escape(wcag.axeVersion)}` : ''} in the Canvas course export, each rendered as Canvas shows it. Automated testing covers only part of WCAG; criteria marked Not Evaluated need manual review.</td></tr>
+            <tr><td>Notes</td><td style="white-space: pre-wrap">${_.escape(details?.notes || '')}</td></tr>
+        </tbody></table>
+    </section>
+    <section>
+        <h2>Applicable Standards</h2>
+        <table><thead><tr><th scope="col">Standard</th><th scope="col">Included in Report</th></tr></thead><tbody>
+            <tr><td>Web Content Accessibility Guidelines 2.1, Level A</td><td>Yes</td></tr>
+            <tr><td>Web Content Accessibility Guidelines 2.1, Level AA</td><td>Yes</td></tr>
+            <tr><td>Web Content Accessibility Guidelines 2.1, Level AAA</td><td>No</td></tr>
+        </tbody></table>
+    </section>
+    <section>
+        <h2>Terms</h2>
+        <dl>
+            <dt>${CONFORMANCE_LABELS['supports']} (${count('supports')})</dt>
+            <dd>The automated checks for the criterion passed in every item they apply to.</dd>
+            <dt>${CONFORMANCE_LABELS['partially-supports']} (${count('partially-supports')})</dt>
+            <dd>Some items fail the criterion: at most half of the items it was checked in.</dd>
+            <dt>${CONFORMANCE_LABELS['does-not-support']} (${count('does-not-support')})</dt>
+            <dd>Most items the criterion was checked in fail it.</dd>
+            <dt>${CONFORMANCE_LABELS['not-evaluated']} (${count('not-evaluated')})</dt>
+            <dd>The automated checks do not cover the criterion or found nothing to check; it needs manual review.</dd>
+        </dl>
+    </section>
+    <section>
+        <h2>WCAG 2.1 Report</h2>
+        <h3>Table 1: Success Criteria, Level A</h3>
+        ${criteriaTable('A')}
+        <h3>Table 2: Success Criteria, Level AA</h3>
+        ${criteriaTable('AA')}
+    </section>
+    <section>
+        <h2>Supporting Findings</h2>
+        ${htmlTable('Supporting findings', ['Criterion', 'Result', 'Impact', 'Issue', 'Rule', 'Elements', 'Items'], findingRows)}
+    </section>
+</main>
+</body>
+</html>
+`;
+}
+
+const DIFF_STYLES = `
+    ins, del { display: block; text-decoration: none; padding: 0.1rem 0.35rem; white-space: pre-wrap; }
+    ins { background: #dcfce7; }
+    del { background: #fee2e2; }
+    ins::before { content: "+ "; }
+    del::before { content: "\\2212  "; }
+    .signoff td:first-child { font-weight: 600; width: 10rem; }
+    .signoff td { height: 2rem; }
+`;
+
+/**
+ * Render a comparison of two exports as a printable change report, ending in a
+ * sign-off block for the reviewer. Reviewer name and notes are filled in when given.
+ */
+export function renderHtmlDiffReport(diff: CourseDiff, signOff: { reviewer: string, notes: string } | null = null): string {
+    const moduleOrderRows = Array.from({ length: Math.max(diff.moduleOrder.before.length, diff.moduleOrder.after.length) }, (_unused, i) => [
+        i + 1,
+        diff.moduleOrder.before[i] || '',
+        diff.moduleOrder.after[i] || '',
+    ]);
+    const axeRows = (changes: AccessibilityChange[]) => changes.map(a => [a.impact, a.help, a.rule, a.itemTitle, a.itemType, a.target]);
+    const axeHeader = ['Impact', 'Issue', 'Rule', 'Item', 'Item Type', 'Selector'];
+    const linkRows = (links: LinkObject[]) => links.map(l => [l.text, l.url, l.parentResourceTitle, l.parentResourceModuleTitle]);
+
+    const contentHtml = diff.content.length === 0
+        ? '<p class="empty">No text changes found.</p>'
+        : diff.content.map(c => `
+            <h3>${_.escape(c.title)} <span class="meta">(${_.escape(c.itemType)})</span></h3>
+            ${c.removed.map(l => `<del>${_.escape(l)}</del>`).join('')}
+            ${c.added.map(l => `<ins>${_.escape(l)}</ins>`).join('')}
+        `).join('');
+
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="UTF-8" />
+<title>Course Change Report &ndash; ${_.escape(diff.afterFileName)}</title>
+<style>${REPORT_STYLES}${DIFF_STYLES}</style>
+</head>
+<body>
+<header>
+    <h1>Course Change Report</h1>
+    <p class="meta">Earlier export: ${_.escape(diff.beforeFileName)}</p>
+    <p class="meta">Later export: ${_.escape(diff.afterFileName)}</p>
+    <p class="meta">Generated: ${_.escape(new Date(diff.generatedAt).toLocaleString())}</p>
+</header>
+<main>
+    <section>
+        <h2>Summary</h2>
+        <table class="summary"><tbody>
+            <tr><td>Total changes</td><td>${courseDiffSize(diff)}</td></tr>
+            <tr><td>Module changes</td><td>${diff.modules.length}</td></tr>
+            <tr><td>Item changes</td><td>${diff.resources.length}</td></tr>
+            <tr><td>Items with text changes</td><td>${diff.content.length}</td></tr>
+            <tr><td>New accessibility violations</td><td>${diff.accessibility.introduced.length}</td></tr>
+            <tr><td>Fixed accessibility violations</td><td>${diff.accessibility.fixed.length}</td></tr>
+            <tr><td>Links added</td><td>${diff.links.added.length}</td></tr>
+            <tr><td>Links removed</td><td>${diff.links.removed.length}</td></tr>
+        </tbody></table>
+    </section>
+    <section>
+        <h2>Modules</h2>
+        ${htmlTable('Module changes', ['Change', 'Module', 'Details'], diff.modules.map(c => [MODULE_CHANGE_LABELS[c.kind], c.title, c.detail]))}
+        <h3>Module Order</h3>
+        ${htmlTable('Module order', ['#', 'Earlier export', 'Later export'], moduleOrderRows)}
+    </section>
+    <section>
+        <h2>Items</h2>
+        ${htmlTable('Item changes', ['Change', 'Item', 'Type', 'Details'], diff.resources.map(c => [RESOURCE_CHANGE_LABELS[c.kind], c.title, c.itemType, c.detail]))}
+    </section>
+    <section>
+        <h2>Content Text</h2>
+        ${contentHtml}
+    </section>
+    <section>
+        <h2>Accessibility</h2>
+        <h3>New Violations</h3>
+        ${htmlTable('New violations', axeHeader, axeRows(diff.accessibility.introduced), ['', '', '', '', '', 'url'])}
+        <h3>Fixed Violations</h3>
+        ${htmlTable('Fixed violations', axeHeader, axeRows(diff.accessibility.fixed), ['', '', '', '', '', 'url'])}
+    </section>
+    <section>
+        <h2>Links</h2>
+        <h3>Added Links</h3>
+        ${htmlTable('Added links', ['Link Text', 'URL', 'Parent Item', 'Module'], linkRows(diff.links.added), ['', 'url'])}
+        <h3>Removed Links</h3>
+        ${htmlTable('Removed links', ['Link Text', 'URL', 'Parent Item', 'Module'], linkRows(diff.links.removed), ['', 'url'])}
+    </section>
+    <section>
+        <h2>Review Sign-off</h2>
+        <table class="signoff"><tbody>
+            <tr><td>Reviewer</td><td>${_.escape(signOff?.reviewer || '')}</td></tr>
+            <tr><td>Date</td><td>${signOff?.reviewer ? _.escape(new Date().toLocaleDateString()) : ''}</td></tr>
+            <tr><td>Decision</td><td>&#9744; Approved &nbsp;&nbsp; &#9744; Changes required</td></tr>
+            <tr><td>Notes</td><td style="white-space: pre-wrap">${_.escape(signOff?.notes || '')}</td></tr>
+            <tr><td>Signature</td><td></td></tr>
+        </tbody></table>
+    </section>
+</main>
+</body>
+</html>
+`;
+}
@@ -0,0 +1,89 @@
+import type { Gradebook, Rubric, RubricCriterion, RubricFinding, RubricInventory, RubricIssue } from './types';
+import type { FileContents } from './course-parser';
+import { childElement, isGraded } from './grading';
+
+/* =========================================================================
+   Rubrics: every rubric in course_settings/rubrics.xml with its criteria
+   and ratings, the graded items that use it (rubric_identifierref in their
+   settings) and the coverage gaps between the two.
+   ========================================================================= */
+
+export const RUBRIC_ISSUE_LABELS: { [K in RubricIssue]: string } = {
+    'graded-without-rubric': 'Graded item without rubric',
+    'points-mismatch': 'Rubric points differ from item points',
+    'unused-rubric': 'Rubric not used by any item',
+    'rubric-not-found': 'Rubric missing from export',
+};
+
+// Item types that are graded with rubrics in Canvas; quizzes score themselves
+const RUBRIC_ITEM_TYPES = ['assignment', 'discussion'];
+
+function numberField(el: Element, tagName: string): number {
+    return parseFloat(childElement(el, tagName)?.textContent || '0') || 0;
+}
+
+function textField(el: Element, tagName: string): string {
+    return childElement(el, tagName)?.textContent?.trim() || '';
+}
+
+function parseCriterion(criterion: Element): RubricCriterion {
+    const ratings = childElement(criterion, 'ratings');
+    return {
+        description: textField(criterion, 'description') || '(Untitled criterion)',
+        longDescription: textField(criterion, 'long_description'),
+        points: numberField(criterion, 'points'),
+        ratings: ratings ? Array.from(ratings.children).map(rating => ({
+            description: textField(rating, 'description'),
+            points: numberField(rating, 'points'),
+        })) : [],
+        outcomeIdentifier: textField(criterion, 'learning_outcome_identifierref') || textField(criterion, 'learning_outcome_external_identifier') || null,
+    };
+}
+
+function roundPoints(points: number): number {
+    return Math.round(points * 100) / 100;
+}
+
+/**
+ * Read the course's rubrics and check them against the gradebook.
+ */
+export function parseRubrics(fileContents: FileContents, gradebook: Gradebook, parser: DOMParser): RubricInventory {
+    const content = fileContents['course_settings/rubrics.xml'];
+    const doc = content ? parser.parseFromString(content, 'application/xml') : null;
+
+    const rubrics: Rubric[] = doc ? Array.from(doc.getElementsByTagName('rubric')).map(rubric => {
+        const criteria = childElement(rubric, 'criteria');
+        const parsedCriteria = criteria ? Array.from(criteria.children).map(parseCriterion) : [];
+        const identifier = rubric.getAttribute('identifier') || '';
+        return {
+            identifier,
+            title: textField(rubric, 'title') || '(Untitled rubric)',
+            totalPoints: roundPoints(parsedCriteria.reduce((sum, c) => sum + c.points, 0)),
+            criteria: parsedCriteria,
+            usedBy: gradebook.assignments.filter(a => a.rubricIdentifier === identifier).map(a => ({
+                resourceIdentifier: a.resourceIdentifier,
+                title: a.title,
+                itemType: a.itemType,
+                pointsPossible: a.pointsPossible,
+            })),
+        };
+    }) : [];
+
+    const findings: RubricFinding[] = [];
+    gradebook.assignments.forEach(a => {
+        if (!RUBRIC_ITEM_TYPES.includes(a.itemType) || !isGraded(a)) return;
+        const rubric = a.rubricIdentifier ? rubrics.find(r => r.identifier === a.rubricIdentifier) : undefined;
+        if (!a.rubricIdentifier) {
+            findings.push({ code: 'graded-without-rubric', title: a.title, detail: `${a.pointsPossible ?? 0} points` });
+        } else if (!rubric) {
+            findings.push({ code: 'rubric-not-found', title: a.title, detail: a.rubricIdentifier });
+        } else if (a.pointsPossible !== null && roundPoints(a.pointsPossible) !== rubric.totalPoints) {
+            findings.push({ code: 'points-mismatch', title: a.title, detail: `${rubric.title}: rubric ${rubric.totalPoints}, item ${a.pointsPossible}` });
+        }
+    });
+    rubrics.filter(r => r.usedBy.length === 0).forEach(r => {
+        findings.push({ code: 'unused-rubric', title: r.title, detail: `${r.criteria.length} criterion(s), ${r.totalPoints} points` });
+    });
+
+    return { rubrics, findings };
+}
@@ -0,0 +1,111 @@
+import type * as Axe from 'axe-core'
+import type { EnhancedAxeResult, LinkObject, VideoObject, TriageStatus, TriageDecisions } from './types';
+
+/* =========================================================================
+   Triage: reviewer decisions (false positive, fixed, deferred) and notes on
+   accessibility results, links and videos. Decisions are keyed by a
+   fingerprint of the finding — the item's resource identifier plus the rule
+   and one element's selector, or the URL — which stays the same across
+   exports of one course, so a later export picks up the decisions made on an
+   earlier one.
+   ========================================================================= */
+
+export const TRIAGE_STATUS_LABELS: { [K in TriageStatus]: string } = {
+    'open': 'Open',
+    'false-positive': 'False positive',
+    'fixed': 'Fixed',
+    'deferred': 'Deferred',
+};
+
+export const TRIAGE_STATUSES = Object.keys(TRIAGE_STATUS_LABELS) as TriageStatus[];
+
+/**
+ * Fingerprint of one element an axe result matched: the item, the rule and the
+ * element. Each element is decided on its own, so an export where the rule
+ * matches more or fewer elements keeps the decisions on the others.
+ */
+export function axeFingerprint(result: EnhancedAxeResult, node: Axe.NodeResult): string {
+    return ['axe', result.parentItemIdentifier, result.id, node.target.join(' ')].join('|');
+}
+
+export function axeFingerprints(result: EnhancedAxeResult): string[] {
+    return result.nodes.map(node => axeFingerprint(result, node));
+}
+
+export function linkFingerprint(link: LinkObject): string {
+    return ['link', link.parentResourceIdentifier, link.url].join('|');
+}
+
+export function videoFingerprint(video: VideoObject): string {
+    return ['video', video.parentResourceIdentifier, video.src].join('|');
+}
+
+/**
+ * Status of a finding; findings without a decision are open.
+ */
+export function triageStatus(decisions: TriageDecisions, fingerprint: string): TriageStatus {
+    return decisions[fingerprint]?.status || 'open';
+}
+
+/**
+ * Statuses of an axe result's elements, each listed once.
+ */
+export function axeTriageStatuses(decisions: TriageDecisions, result: EnhancedAxeResult): TriageStatus[] {
+    return [...new Set(axeFingerprints(result).map(fingerprint => triageStatus(decisions, fingerprint)))];
+}
+
+/**
+ * An axe result without the elements marked false positive, or null when all of them are.
+ */
+export function withoutFalsePositives(decisions: TriageDecisions, result: EnhancedAxeResult): EnhancedAxeResult | null {
+    const nodes = result.nodes.filter(node => triageStatus(decisions, axeFingerprint(result, node)) !== 'false-positive');
+    return nodes.length ? { ...result, nodes } : null;
+}
+
+/**
+ * Decisions that apply to the given findings, e.g. to store with a report.
+ */
+export function matchTriageDecisions(decisions: TriageDecisions, fingerprints: string[]): TriageDecisions {
+    const matched: TriageDecisions = {};
+    fingerprints.forEach(fingerprint => {
+        if (decisions[fingerprint]) matched[fingerprint] = decisions[fingerprint];
+    });
+    return matched;
+}
+
+/**
+ * Combine two sets of decisions; where both decide a finding, the later change wins.
+ */
+export function mergeTriageDecisions(current: TriageDecisions, incoming: TriageDecisions): TriageDecisions {
+    const merged: TriageDecisions = { ...current };
+    Object.entries(incoming).forEach(([fingerprint, decision]) => {
+        if (!merged[fingerprint] || merged[fingerprint].updatedAt < decision.updatedAt) merged[fingerprint] = decision;
+    });
+    return merged;
+}
+
+/**
+ * Read and validate a decisions file as downloaded from the app.
+ */
+export function parseTriageDecisions(json: string): TriageDecisions {
+    let data: unknown;
+    try {
+        data = JSON.parse(json);
+    } catch (e) {
+        throw new Error(`Decisions file is not valid JSON: ${(e as Error).message}`);
+    }
+    if (!data || typeof data !== 'object' || Array.isArray(data)) throw new Error('Decisions file must be a JSON object.');
+
+    const decisions: TriageDecisions = {};
+    Object.entries(data as { [fingerprint: string]: unknown }).forEach(([fingerprint, value]) => {
+        const decision = value as { [key: string]: unknown } | null;
+        if (!decision || typeof decision !== 'object') throw new Error(`Decision for "${fingerprint}" must be an object.`);
+        if (!TRIAGE_STATUSES.includes(decision.status as TriageStatus)) throw new Error(`Decision for "${fingerprint}" must have a status of ${TRIAGE_STATUSES.join(', ')}.`);
+        decisions[fingerprint] = {
+            status: decision.status as TriageStatus,
+            note: typeof decision.note === 'string' ? decision.note : '',
+            updatedAt: typeof decision.updatedAt === 'string' ? decision.updatedAt : '',
+        };
+    });
+    return decisions;
+}
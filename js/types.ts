@@ -0,0 +1,707 @@
+import type * as Axe from 'axe-core'
+import type { InstitutionProfile } from './institution-profile';
+
+/* =======================================================================
+    Shared course model types
+    ======================================================================== */
+
+export interface Resource {
+    title: string,
+    moduleTitle?: string,
+    identifier: string,
+    identifierref: string | null,
+    href?: string
+    status: string,
+    clarifiedType: string,
+    contentType: string,
+    analysisHref: string | null,
+    analysisType: string | null,
+    // QTI file holding a quiz's questions
+    questionsHref?: string,
+    // Canvas settings file: assignment_settings.xml, assessment_meta.xml or the discussion's topicMeta
+    settingsHref?: string,
+};
+
+export interface Module {
+    identifier: string,
+    title: string,
+    items: ModuleItem[],
+    status: string,
+    // Module settings from module_meta.xml
+    unlockAt: string | null,
+    requireSequentialProgress: boolean,
+    // 'one' when students only have to complete one of the requirements
+    requirementCount: 'all' | 'one',
+    prerequisites: ModulePrerequisite[],
+    completionRequirements: ModuleCompletionRequirement[],
+};
+
+// A module that has to be completed before this one unlocks
+export interface ModulePrerequisite {
+    identifierRef: string,
+    title: string,
+};
+
+/**
+ * What students have to do with a module item to complete the module.
+ * type - must_view, must_submit, must_contribute, must_mark_done, min_score or min_percentage
+ */
+export interface ModuleCompletionRequirement {
+    type: string,
+    moduleItemIdentifier: string,
+    minScore: number | null,
+};
+
+export type ModuleAuditCode = 'empty-module' | 'published-in-unpublished-module' | 'unpublished-in-published-module' | 'not-in-module' | 'multiple-modules' | 'empty-text-header';
+
+// One problem with how the course is organized into modules
+export interface ModuleAuditFinding {
+    code: ModuleAuditCode,
+    moduleTitle: string | null,
+    itemTitle: string | null,
+    detail: string,
+};
+
+export interface ModuleItem {
+    identifier: string,
+    title: string,
+    identifierRef: string | null,
+    moduleTitle: string,
+    status: string,
+    indent: number,
+    clarifiedType: string,
+    contentType: string,
+}
+
+export interface VideoObject {
+    title: string;
+    platform: string;
+    type: string;
+    src: string;
+    transcriptOrCaptionMentioned: boolean;
+    // Links next to the video: transcripts, and caption files offered for download
+    transcriptLinks: string[];
+    captionLinks: string[];
+    // <track> files of a Canvas-hosted <video>, and the video file itself (web_resources/ paths)
+    trackSources: string[];
+    mediaPath?: string;
+    // Set once the video is matched against caption files in the archive
+    captionStatus?: CaptionStatus;
+    captionFiles?: string[];
+    parentResourceIdentifier: string;
+    parentResourceTitle: string;
+    parentResourceType: string;
+    parentResourceModuleTitle: string;
+    parentResourceStatus: string;
+}
+
+export type CaptionStatus = 'caption-file' | 'caption-file-invalid' | 'transcript-linked' | 'mentioned' | 'none';
+
+// A .vtt/.srt/.dfxp caption file in web_resources/ and what parsing it turned up
+export interface CaptionFile {
+    path: string,
+    format: 'vtt' | 'srt' | 'dfxp',
+    cueCount: number,
+    emptyCues: number,
+    // Seconds covered by the last cue
+    duration: number,
+    errors: string[],
+    gaps: { start: number, end: number }[],
+};
+
+export interface FileObject {
+    href: string;
+    parentAnchorText: string;
+    parentResourceIdentifier: string;
+    parentResourceType: string;
+    parentResourceModuleTitle: string;
+    parentResourceTitle: string;
+    parentResourceStatus: string;
+};
+
+export type ImageIssueCode = 'missing-alt' | 'filename-alt' | 'long-alt' | 'redundant-alt' | 'image-of-alt' | 'decorative-in-link' | 'image-of-text';
+
+export interface ImageIssue {
+    code: ImageIssueCode,
+    detail: string,
+};
+
+// An <img> in a content item, with what its alt text says and the problems with it
+export interface ImageObject {
+    src: string,
+    // Path under web_resources/ when the image is a course file
+    path: string | null,
+    // null when the alt attribute is missing altogether
+    alt: string | null,
+    decorative: boolean,
+    inLink: boolean,
+    // Text of the surrounding paragraph, caption or link
+    nearbyText: string,
+    issues: ImageIssue[],
+    parentResourceIdentifier: string,
+    parentResourceTitle: string,
+    parentResourceType: string,
+    parentResourceModuleTitle: string,
+    parentResourceStatus: string,
+};
+
+/**
+ * A file stored under web_resources/ in the archive.
+ */
+export interface CourseFile {
+    path: string;
+    size: number;
+    mimeType: string;
+    hash: string;
+    referencedBy: string[];
+    orphaned: boolean;
+};
+
+/**
+ * An element in a content item pointing at a file ($IMS-CC-FILEBASE$/...).
+ */
+export interface FileReference {
+    path: string;
+    element: string;
+    parentResourceIdentifier: string;
+    parentResourceTitle: string;
+    parentResourceType: string;
+    parentResourceModuleTitle: string;
+    parentResourceStatus: string;
+};
+
+export interface DocumentIssue {
+    code: 'no-title' | 'no-language' | 'images-without-alt' | 'no-headings' | 'slides-without-titles' | 'untagged' | 'no-text-layer' | 'unreadable',
+    detail: string,
+};
+
+// Accessibility check of one PDF/DOCX/PPTX file in web_resources/
+export interface DocumentCheck {
+    path: string,
+    format: 'pdf' | 'docx' | 'pptx',
+    size: number,
+    title: string | null,
+    language: string | null,
+    issues: DocumentIssue[],
+};
+
+/**
+ * Grading settings of an assignment, graded quiz or graded discussion.
+ * Dates are as exported by Canvas (ISO 8601, no time zone).
+ */
+export interface AssignmentSettings {
+    resourceIdentifier: string,
+    title: string,
+    itemType: string,
+    status: string,
+    moduleTitle: string,
+    pointsPossible: number | null,
+    gradingType: string,
+    submissionTypes: string[],
+    allowedExtensions: string[],
+    assignmentGroupIdentifier: string | null,
+    rubricIdentifier: string | null,
+    dueAt: string | null,
+    unlockAt: string | null,
+    lockAt: string | null,
+    peerReviews: boolean,
+    peerReviewCount: number,
+    groupCategory: string | null,
+    gradeGroupStudentsIndividually: boolean,
+    omitFromFinalGrade: boolean,
+};
+
+export interface AssignmentGroup {
+    identifier: string,
+    title: string,
+    position: number,
+    weight: number | null,
+};
+
+export type GradingIssue = 'weights-not-100' | 'zero-points' | 'no-submission-types' | 'discussion-without-due-date';
+
+export interface GradingFinding {
+    code: GradingIssue,
+    title: string,
+    detail: string,
+};
+
+// Gradebook setup: assignment groups, their weighting and every graded item
+export interface Gradebook {
+    weighted: boolean,
+    groups: AssignmentGroup[],
+    assignments: AssignmentSettings[],
+    findings: GradingFinding[],
+};
+
+// Settings of a classic quiz or survey from its assessment_meta.xml, with its questions totalled from the QTI
+export interface QuizSettings {
+    resourceIdentifier: string,
+    title: string,
+    itemType: string,
+    // practice_quiz, assignment, graded_survey or survey
+    quizType: string,
+    status: string,
+    moduleTitle: string,
+    pointsPossible: number | null,
+    // Questions students answer (question groups count their picks) and the points they add up to
+    questionCount: number,
+    questionPoints: number,
+    // Minutes; null when untimed
+    timeLimit: number | null,
+    // null when attempts are unlimited
+    allowedAttempts: number | null,
+    scoringPolicy: string | null,
+    shuffleAnswers: boolean,
+    showCorrectAnswers: boolean,
+    showCorrectAnswersAt: string | null,
+    hideCorrectAnswersAt: string | null,
+    showCorrectAnswersLastAttempt: boolean,
+    // always, until_after_last_attempt or null when results are shown
+    hideResults: string | null,
+    oneQuestionAtATime: boolean,
+    cantGoBack: boolean,
+    requireLockdownBrowser: boolean,
+    // Only whether there is one; the code itself stays out of reports
+    hasAccessCode: boolean,
+    ipFilter: string | null,
+    assignmentGroupIdentifier: string | null,
+};
+
+export type QuizSettingsIssue = 'no-questions' | 'unlimited-attempts-exam' | 'graded-survey' | 'points-mismatch';
+
+export interface QuizSettingsFinding {
+    code: QuizSettingsIssue,
+    title: string,
+    detail: string,
+};
+
+export interface QuizSettingsAudit {
+    quizzes: QuizSettings[],
+    findings: QuizSettingsFinding[],
+};
+
+export interface RubricRating {
+    description: string,
+    points: number,
+};
+
+export interface RubricCriterion {
+    description: string,
+    longDescription: string,
+    points: number,
+    ratings: RubricRating[],
+    // Learning outcome the criterion assesses, if any
+    outcomeIdentifier: string | null,
+};
+
+// An item graded with a rubric
+export interface RubricAssociation {
+    resourceIdentifier: string,
+    title: string,
+    itemType: string,
+    pointsPossible: number | null,
+};
+
+/**
+ * A rubric from course_settings/rubrics.xml.
+ * totalPoints - sum of the criteria's points (what the rubric actually awards)
+ */
+export interface Rubric {
+    identifier: string,
+    title: string,
+    totalPoints: number,
+    criteria: RubricCriterion[],
+    usedBy: RubricAssociation[],
+};
+
+export type RubricIssue = 'graded-without-rubric' | 'points-mismatch' | 'unused-rubric' | 'rubric-not-found';
+
+export interface RubricFinding {
+    code: RubricIssue,
+    title: string,
+    detail: string,
+};
+
+export interface RubricInventory {
+    rubrics: Rubric[],
+    findings: RubricFinding[],
+};
+
+export interface LearningOutcome {
+    identifier: string,
+    title: string,
+    description: string,
+    groupTitle: string | null,
+    masteryPoints: number | null,
+    pointsPossible: number | null,
+};
+
+/**
+ * How an item is aligned to an outcome.
+ * outcome       - listed in the outcome's own <alignments>
+ * rubric        - a criterion of the item's rubric is linked to the outcome
+ * question-bank - the quiz draws questions from a bank aligned to the outcome
+ */
+export type AlignmentSource = 'outcome' | 'rubric' | 'question-bank';
+
+export interface OutcomeAlignment {
+    outcomeIdentifier: string,
+    resourceIdentifier: string,
+    title: string,
+    itemType: string,
+    moduleTitles: string[],
+    source: AlignmentSource,
+    // Rubric or question bank the alignment goes through
+    via: string | null,
+};
+
+export type OutcomeIssue = 'unaligned-outcome' | 'module-without-outcomes' | 'outcome-not-found';
+
+export interface OutcomeFinding {
+    code: OutcomeIssue,
+    title: string,
+    detail: string,
+};
+
+// Outcomes of the course and the assessments aligned to them
+export interface OutcomeAlignments {
+    outcomes: LearningOutcome[],
+    alignments: OutcomeAlignment[],
+    // Titles of the modules, in course order, for the matrix columns
+    modules: string[],
+    findings: OutcomeFinding[],
+};
+
+export type CalendarEventKind = 'due' | 'unlock' | 'lock' | 'post' | 'module-unlock';
+
+/**
+ * One dated setting of an item or module.
+ * date      - as exported by Canvas
+ * localTime - "YYYY-MM-DD HH:MM" in the course's time zone
+ */
+export interface CalendarEvent {
+    date: string,
+    localTime: string,
+    kind: CalendarEventKind,
+    title: string,
+    itemType: string,
+    resourceIdentifier: string | null,
+};
+
+export type DateWarningCode = 'due-before-unlock' | 'outside-term' | 'deadline-cluster' | 'previous-term';
+
+export interface DateWarning {
+    code: DateWarningCode,
+    title: string,
+    detail: string,
+};
+
+// Every dated item in the course, with the term from course_settings.xml
+export interface CourseCalendar {
+    timeZone: string,
+    termStart: string | null,
+    termEnd: string | null,
+    events: CalendarEvent[],
+    warnings: DateWarning[],
+};
+
+// Visible text of one analyzed item (page, assignment, quiz question, ...), one line per block
+export interface ItemText {
+    resourceIdentifier: string,
+    title: string,
+    itemType: string,
+    text: string,
+};
+
+// Reading and media load of one content item (quiz questions count toward their quiz)
+export interface ItemWorkload {
+    resourceIdentifier: string,
+    title: string,
+    itemType: string,
+    words: number,
+    // Flesch-Kincaid grade level; null when there is too little text to tell
+    gradeLevel: number | null,
+    readingMinutes: number,
+    videos: number,
+    attachments: number,
+    // Reading time plus the allowance for videos and attachments
+    minutes: number,
+};
+
+export interface ModuleWorkload {
+    title: string,
+    items: number,
+    words: number,
+    videos: number,
+    attachments: number,
+    minutes: number,
+};
+
+export type WorkloadIssue = 'dense-text' | 'long-item' | 'heavy-module';
+
+export interface WorkloadFinding {
+    code: WorkloadIssue,
+    title: string,
+    detail: string,
+};
+
+/**
+ * Assumptions behind the estimates and the limits that flag items and modules.
+ */
+export interface WorkloadSettings {
+    wordsPerMinute: number,
+    minutesPerVideo: number,
+    minutesPerAttachment: number,
+    maxGradeLevel: number,
+    maxWordsPerItem: number,
+    maxModuleMinutes: number,
+};
+
+export interface CourseWorkload {
+    settings: WorkloadSettings,
+    items: ItemWorkload[],
+    modules: ModuleWorkload[],
+    findings: WorkloadFinding[],
+};
+
+export type RemediationCode = 'missing-lang' | 'table-headers' | 'empty-heading' | 'new-window-warning' | 'pseudo-heading' | 'decorative-alt';
+
+export interface RemediationChange {
+    code: RemediationCode,
+    detail: string,
+}
+
+// An item whose HTML the selected fixes changed: the archive file and its fixed content, and the HTML before and after for review
+export interface ItemRemediation {
+    resourceIdentifier: string,
+    title: string,
+    itemType: string,
+    path: string,
+    content: string,
+    before: string,
+    after: string,
+    changes: RemediationChange[],
+    // What the fixes left alone because it needs a person to decide
+    review: RemediationChange[],
+}
+
+export type ModuleChangeKind = 'added' | 'removed' | 'renamed' | 'moved' | 'published' | 'unpublished' | 'items-changed';
+
+export type ResourceChangeKind = 'added' | 'removed' | 'renamed' | 'published' | 'unpublished' | 'module-changed';
+
+export interface ModuleChange {
+    kind: ModuleChangeKind,
+    title: string,
+    detail: string,
+};
+
+export interface ResourceChange {
+    kind: ResourceChangeKind,
+    title: string,
+    itemType: string,
+    detail: string,
+};
+
+// Lines of an item's text only in the earlier export (removed) or only in the later one (added)
+export interface ContentChange {
+    title: string,
+    itemType: string,
+    removed: string[],
+    added: string[],
+};
+
+// One element failing one axe rule, identified across exports by item, rule and selector
+export interface AccessibilityChange {
+    rule: string,
+    impact: string,
+    help: string,
+    // The later export's identifier of the item
+    itemIdentifier: string,
+    itemTitle: string,
+    itemType: string,
+    target: string,
+};
+
+/**
+ * What changed between two exports of a course. Items are matched by their
+ * manifest identifier, which Canvas keeps through course copies, and by title
+ * and type where identifiers differ.
+ */
+export interface CourseDiff {
+    beforeFileName: string,
+    afterFileName: string,
+    generatedAt: string,
+    moduleOrder: { before: string[], after: string[] },
+    modules: ModuleChange[],
+    resources: ResourceChange[],
+    content: ContentChange[],
+    accessibility: { introduced: AccessibilityChange[], fixed: AccessibilityChange[] },
+    links: { added: LinkObject[], removed: LinkObject[] },
+};
+
+export interface FileInventory {
+    files: CourseFile[];
+    missing: FileReference[];
+    duplicateGroups: { hash: string, size: number, paths: string[] }[];
+};
+
+// A link category id from the institution profile, or 'external', 'course' or 'unknown'
+export type LinkType = string;
+
+export type LinkIssue = 'broken' | 'unpublished-target' | 'not-in-module';
+
+/**
+ * Where an internal course link ($WIKI_REFERENCE$, $CANVAS_OBJECT_REFERENCE$, ...) points.
+ * status - 'resolved' when the target is in the export, 'broken' when it should be
+ *          but isn't, 'unverifiable' for course navigation links with no single target
+ */
+export interface LinkResolution {
+    targetKind: string;
+    status: 'resolved' | 'broken' | 'unverifiable';
+    targetIdentifier: string | null;
+    targetTitle: string | null;
+    targetStatus: string | null;
+    issues: LinkIssue[];
+};
+
+export interface LinkObject {
+    url: string;
+    text: string;
+    parentResourceIdentifier: string;
+    parentResourceTitle: string;
+    parentResourceType: string;
+    parentResourceModuleTitle: string;
+    parentResourceStatus: string;
+    type: LinkType;
+    resolution?: LinkResolution;
+};
+
+export type EnhancedAxeResult = Axe.Result & {
+    type: String,
+    parentItemIdentifier: string,
+    parentItemTitle: string,
+    parentItemType: string,
+    parentItemStatus: string,
+    parentItemModuleTitle: string,
+};
+
+export type EnhancedAxeResults = Omit<Axe.AxeResults, 'violations' | 'passes' | 'incomplete' | 'inapplicable'> & {
+    violations: EnhancedAxeResult[],
+    passes: EnhancedAxeResult[],
+    incomplete: EnhancedAxeResult[],
+    inapplicable: EnhancedAxeResult[]
+};
+
+export type WcagLevel = 'A' | 'AA';
+
+export interface WcagCriterion {
+    // e.g. '1.4.3'
+    id: string,
+    name: string,
+    level: WcagLevel,
+};
+
+export type ConformanceLevel = 'supports' | 'partially-supports' | 'does-not-support' | 'not-evaluated';
+
+// An axe rule tagged with a success criterion and what it found in the course
+export interface ConformanceFinding {
+    rule: string,
+    help: string,
+    // violations, incomplete or passes
+    resultType: string,
+    impact: string,
+    elements: number,
+    items: string[],
+};
+
+// How the course conforms to one WCAG success criterion, judged from the axe results tagged with it
+export interface CriterionConformance {
+    criterion: WcagCriterion,
+    conformance: ConformanceLevel,
+    remarks: string,
+    itemsEvaluated: number,
+    itemsFailing: number,
+    findings: ConformanceFinding[],
+};
+
+export interface WcagConformance {
+    // axe-core version the results came from, when known
+    axeVersion: string | null,
+    criteria: CriterionConformance[],
+};
+
+export type AxeImpact = 'critical' | 'serious' | 'moderate' | 'minor';
+
+export type ImpactCounts = { [K in AxeImpact]: number };
+
+// Elements in one group of axe results (a module, an item type, ...) and the items they are in
+export interface AxeResultCount {
+    label: string,
+    elements: number,
+    items: number,
+    impacts: ImpactCounts,
+};
+
+// Every element matched by one axe rule across the course, by module and item
+export interface AxeRuleSummary {
+    rule: string,
+    // violations, incomplete or passes
+    resultType: string,
+    help: string,
+    helpUrl: string,
+    impact: AxeImpact | null,
+    elements: number,
+    items: number,
+    impacts: ImpactCounts,
+    modules: {
+        moduleTitle: string,
+        elements: number,
+        items: { identifier: string, title: string, itemType: string, elements: number }[],
+    }[],
+};
+
+export type TriageStatus = 'open' | 'false-positive' | 'fixed' | 'deferred';
+
+/**
+ * A reviewer's decision on one finding (see triage.ts for the fingerprints).
+ */
+export interface TriageDecision {
+    status: TriageStatus,
+    note: string,
+    // ISO date and time of the last change
+    updatedAt: string,
+};
+
+// Decisions by finding fingerprint
+export type TriageDecisions = { [fingerprint: string]: TriageDecision };
+
+/* =======================================================================
+    Analysis worker protocol
+    ======================================================================== */
+
+/**
+ * An item's extracted HTML, handed back to the page for the axe scan.
+ */
+export interface AnalysisItem {
+    resource: Resource,
+    html: string,
+};
+
+export type AnalysisWorkerRequest = { type: 'analyze', file: File, profile: InstitutionProfile };
+
+export type AnalysisWorkerMessage =
+    | { type: 'progress', percentage: number, status: string }
+    | { type: 'structure', resources: Resource[], modules: Module[] }
+    | { type: 'item', resource: Resource, html: string, text: string, links: LinkObject[], files: FileObject[], videos: VideoObject[], images: ImageObject[], fileReferences: FileReference[] }
+    | { type: 'thumbnails', thumbnails: { [path: string]: Blob } }
+    | { type: 'files', inventory: FileInventory }
+    | { type: 'documents', checks: DocumentCheck[] }
+    | { type: 'captions', files: CaptionFile[] }
+    | { type: 'grading', gradebook: Gradebook }
+    | { type: 'rubrics', rubrics: RubricInventory }
+    | { type: 'quizzes', quizzes: QuizSettingsAudit }
+    | { type: 'outcomes', outcomes: OutcomeAlignments }
+    | { type: 'calendar', calendar: CourseCalendar }
+    | { type: 'done' }
+    | { type: 'error', message: string };
@@ -0,0 +1,151 @@
+import type { EnhancedAxeResult, WcagCriterion, ConformanceLevel, ConformanceFinding, CriterionConformance, WcagConformance } from './types';
+import { summarizeAxeRules } from './accessibility';
+
+/* =========================================================================
+   WCAG 2.1 conformance: axe results mapped to the Level A and AA success
+   criteria through their wcag### tags, and a conformance level per
+   criterion in the terms accessibility conformance reports (ACR/VPAT) use.
+   ========================================================================= */
+
+export const CONFORMANCE_LABELS: { [K in ConformanceLevel]: string } = {
+    'supports': 'Supports',
+    'partially-supports': 'Partially Supports',
+    'does-not-support': 'Does Not Support',
+    'not-evaluated': 'Not Evaluated',
+};
+
+export const WCAG_21_CRITERIA: WcagCriterion[] = [
+    { id: '1.1.1', name: 'Non-text Content', level: 'A' },
+    { id: '1.2.1', name: 'Audio-only and Video-only (Prerecorded)', level: 'A' },
+    { id: '1.2.2', name: 'Captions (Prerecorded)', level: 'A' },
+    { id: '1.2.3', name: 'Audio Description or Media Alternative (Prerecorded)', level: 'A' },
+    { id: '1.2.4', name: 'Captions (Live)', level: 'AA' },
+    { id: '1.2.5', name: 'Audio Description (Prerecorded)', level: 'AA' },
+    { id: '1.3.1', name: 'Info and Relationships', level: 'A' },
+    { id: '1.3.2', name: 'Meaningful Sequence', level: 'A' },
+    { id: '1.3.3', name: 'Sensory Characteristics', level: 'A' },
+    { id: '1.3.4', name: 'Orientation', level: 'AA' },
+    { id: '1.3.5', name: 'Identify Input Purpose', level: 'AA' },
+    { id: '1.4.1', name: 'Use of Color', level: 'A' },
+    { id: '1.4.2', name: 'Audio Control', level: 'A' },
+    { id: '1.4.3', name: 'Contrast (Minimum)', level: 'AA' },
+    { id: '1.4.4', name: 'Resize Text', level: 'AA' },
+    { id: '1.4.5', name: 'Images of Text', level: 'AA' },
+    { id: '1.4.10', name: 'Reflow', level: 'AA' },
+    { id: '1.4.11', name: 'Non-text Contrast', level: 'AA' },
+    { id: '1.4.12', name: 'Text Spacing', level: 'AA' },
+    { id: '1.4.13', name: 'Content on Hover or Focus', level: 'AA' },
+    { id: '2.1.1', name: 'Keyboard', level: 'A' },
+    { id: '2.1.2', name: 'No Keyboard Trap', level: 'A' },
+    { id: '2.1.4', name: 'Character Key Shortcuts', level: 'A' },
+    { id: '2.2.1', name: 'Timing Adjustable', level: 'A' },
+    { id: '2.2.2', name: 'Pause, Stop, Hide', level: 'A' },
+    { id: '2.3.1', name: 'Three Flashes or Below Threshold', level: 'A' },
+    { id: '2.4.1', name: 'Bypass Blocks', level: 'A' },
+    { id: '2.4.2', name: 'Page Titled', level: 'A' },
+    { id: '2.4.3', name: 'Focus Order', level: 'A' },
+    { id: '2.4.4', name: 'Link Purpose (In Context)', level: 'A' },
+    { id: '2.4.5', name: 'Multiple Ways', level: 'AA' },
+    { id: '2.4.6', name: 'Headings and Labels', level: 'AA' },
+    { id: '2.4.7', name: 'Focus Visible', level: 'AA' },
+    { id: '2.5.1', name: 'Pointer Gestures', level: 'A' },
+    { id: '2.5.2', name: 'Pointer Cancellation', level: 'A' },
+    { id: '2.5.3', name: 'Label in Name', level: 'A' },
+    { id: '2.5.4', name: 'Motion Actuation', level: 'A' },
+    { id: '3.1.1', name: 'Language of Page', level: 'A' },
+    { id: '3.1.2', name: 'Language of Parts', level: 'AA' },
+    { id: '3.2.1', name: 'On Focus', level: 'A' },
+    { id: '3.2.2', name: 'On Input', level: 'A' },
+    { id: '3.2.3', name: 'Consistent Navigation', level: 'AA' },
+    { id: '3.2.4', name: 'Consistent Identification', level: 'AA' },
+    { id: '3.3.1', name: 'Error Identification', level: 'A' },
+    { id: '3.3.2', name: 'Labels or Instructions', level: 'A' },
+    { id: '3.3.3', name: 'Error Suggestion', level: 'AA' },
+    { id: '3.3.4', name: 'Error Prevention (Legal, Financial, Data)', level: 'AA' },
+    { id: '4.1.1', name: 'Parsing', level: 'A' },
+    { id: '4.1.2', name: 'Name, Role, Value', level: 'A' },
+    { id: '4.1.3', name: 'Status Messages', level: 'AA' },
+];
+
+// Success criterion tags, e.g. wcag143 or wcag1410; wcag2a, wcag21aa and the like name levels instead
+const CRITERION_TAG = /^wcag(\d)(\d)(\d{1,2})$/;
+
+/**
+ * Success criteria an axe result is tagged with, e.g. ['1.4.3'].
+ */
+export function wcagCriteria(result: { tags: string[] }): string[] {
+    return result.tags.map(tag => CRITERION_TAG.exec(tag)).filter((m): m is RegExpExecArray => !!m).map(m => `${m[1]}.${m[2]}.${m[3]}`);
+}
+
+/**
+ * Criteria of a result for people, e.g. "1.4.3 Contrast (Minimum) (AA)".
+ */
+export function wcagCriteriaLabel(result: { tags: string[] }): string {
+    return wcagCriteria(result).map(id => {
+        const criterion = WCAG_21_CRITERIA.find(c => c.id === id);
+        return criterion ? `${id} ${criterion.name} (${criterion.level})` : id;
+    }).join('; ');
+}
+
+function plural(count: number, noun: string): string {
+    return `${count} ${noun}${count === 1 ? '' : 's'}`;
+}
+
+/**
+ * Judge one criterion from the results tagged with it. Failures in more than
+ * half of the items it could be checked in make it "Does Not Support", fewer
+ * "Partially Supports". Automated checks alone cannot show a criterion is
+ * met where they found nothing to check, so those stay "Not Evaluated".
+ */
+function judgeCriterion(violations: EnhancedAxeResult[], incomplete: EnhancedAxeResult[], passes: EnhancedAxeResult[], inapplicable: EnhancedAxeResult[]): { conformance: ConformanceLevel, remarks: string, itemsEvaluated: number, itemsFailing: number } {
+    const items = (results: EnhancedAxeResult[]) => new Set(results.map(r => r.parentItemIdentifier));
+    const elements = (results: EnhancedAxeResult[]) => results.reduce((sum, r) => sum + (r.nodes.length || 1), 0);
+    const evaluated = items([...violations, ...incomplete, ...passes]).size;
+    const failing = items(violations).size;
+    const verb = (count: number, singular: string, pluralForm: string) => count === 1 ? singular : pluralForm;
+    const review = incomplete.length ? ` ${plural(elements(incomplete), 'element')} in ${plural(items(incomplete).size, 'item')} ${verb(elements(incomplete), 'needs', 'need')} manual review.` : '';
+
+    if (violations.length) {
+        const helps = Array.from(new Set(violations.map(v => v.help))).join('; ');
+        return {
+            conformance: failing > evaluated / 2 ? 'does-not-support' : 'partially-supports',
+            remarks: `${plural(elements(violations), 'element')} in ${failing} of ${plural(evaluated, 'checked item')} ${verb(elements(violations), 'fails', 'fail')}: ${helps}.${review}`,
+            itemsEvaluated: evaluated,
+            itemsFailing: failing,
+        };
+    }
+    if (passes.length) {
+        return { conformance: 'supports', remarks: `Automated checks passed in ${plural(evaluated, 'item')}.${review}`, itemsEvaluated: evaluated, itemsFailing: 0 };
+    }
+    const remarks = incomplete.length ? review.trim()
+        : inapplicable.length ? 'The automated checks found no content they apply to; review manually.'
+        : 'Not covered by automated checks; review manually.';
+    return { conformance: 'not-evaluated', remarks, itemsEvaluated: evaluated, itemsFailing: 0 };
+}
+
+/**
+ * Conformance of the course with every WCAG 2.1 Level A and AA success criterion.
+ */
+export function buildWcagConformance(accessibility: { violations: EnhancedAxeResult[], incomplete: EnhancedAxeResult[], passes: EnhancedAxeResult[], inapplicable: EnhancedAxeResult[] }): WcagConformance {
+    const tagged = (results: EnhancedAxeResult[], id: string) => results.filter(r => wcagCriteria(r).includes(id));
+    const anyResult = [...accessibility.violations, ...accessibility.passes, ...accessibility.incomplete, ...accessibility.inapplicable][0];
+    const axeVersion = anyResult ? /\/axe\/(\d+\.\d+)\//.exec(anyResult.helpUrl || '')?.[1] || null : null;
+
+    const criteria: CriterionConformance[] = WCAG_21_CRITERIA.map(criterion => {
+        const violations = tagged(accessibility.violations, criterion.id);
+        const incomplete = tagged(accessibility.incomplete, criterion.id);
+        const passes = tagged(accessibility.passes, criterion.id);
+        const inapplicable = tagged(accessibility.inapplicable, criterion.id);
+        const findings: ConformanceFinding[] = summarizeAxeRules([...violations, ...incomplete, ...passes]).map(r => ({
+            rule: r.rule,
+            help: r.help,
+            resultType: r.resultType,
+            impact: r.impact || '',
+            elements: r.elements,
+            items: Array.from(new Set(r.modules.flatMap(m => m.items.map(i => i.title)))),
+        }));
+        return { criterion, ...judgeCriterion(violations, incomplete, passes, inapplicable), findings };
+    });
+
+    return { axeVersion, criteria };
+}
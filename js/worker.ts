@@ -0,0 +1,112 @@
+import { DOMParser as LinkedomDOMParser } from 'linkedom';
+import type JSZipArchive from 'jszip';
+import { readArchiveContents, parseCourseStructure, getAnalysisTargets, discoverItemContent } from './course-parser';
+import type { FileContents } from './course-parser';
+import { buildFileInventory, findRawFileReferences } from './file-inventory';
+import { checkCourseDocuments } from './document-checks';
+import { buildCaptionIndex, verifyVideoCaptions } from './captions';
+import { parseGradebook } from './grading';
+import { parseRubrics } from './rubrics';
+import { parseQuizSettings } from './quiz-settings';
+import { parseOutcomeAlignments } from './outcomes';
+import { loadImageThumbnails } from './images';
+import { buildCourseCalendar } from './course-calendar';
+import { buildCourseIndex, resolveCourseLinks } from './course-references';
+import type { InstitutionProfile } from './institution-profile';
+import type { AnalysisWorkerRequest, AnalysisWorkerMessage, FileReference } from './types';
+
+declare const JSZip: typeof import('jszip');
+declare function importScripts(...urls: string[]): void;
+
+/* =========================================================================
+   Analysis worker: unzipping, manifest parsing and link/file/video discovery
+   run here so large archives don't freeze the page. The axe scan needs a
+   real rendered DOM and stays on the main thread.
+   ========================================================================= */
+
+importScripts('https://cdnjs.cloudflare.com/ajax/libs/jszip/3.10.1/jszip.min.js');
+
+// Workers have no DOMParser of their own
+const SHARED_PARSER = new LinkedomDOMParser() as unknown as DOMParser;
+
+function post(message: AnalysisWorkerMessage) {
+    self.postMessage(message);
+}
+
+function updateProgress(percentage: number, status: string) {
+    post({ type: 'progress', percentage, status });
+}
+
+/**
+ * Loads the ZIP archive and reads its text entries into a map of name->content.
+ */
+async function extractArchive(file: File): Promise<{ zip: JSZipArchive, fileContents: FileContents }> {
+    updateProgress(10, 'Unzipping archive...');
+    const zip = await JSZip.loadAsync(file);
+
+    updateProgress(30, 'Reading all course files...');
+    const fileContents = await readArchiveContents(zip, (fileCount, totalFiles) => {
+        const progress = 30 + (45 * (fileCount / totalFiles));
+        updateProgress(progress, `Reading file ${fileCount} of ${totalFiles}`);
+    });
+    return { zip, fileContents };
+}
+
+async function analyze(file: File, profile: InstitutionProfile) {
+    const { zip, fileContents } = await extractArchive(file);
+
+    updateProgress(77, 'Parsing manifest...');
+    const { resources, modules } = parseCourseStructure(fileContents, SHARED_PARSER);
+    post({ type: 'structure', resources, modules });
+    const gradebook = parseGradebook(fileContents, resources, SHARED_PARSER);
+    post({ type: 'grading', gradebook });
+    post({ type: 'quizzes', quizzes: parseQuizSettings(fileContents, resources, SHARED_PARSER) });
+    const rubrics = parseRubrics(fileContents, gradebook, SHARED_PARSER);
+    post({ type: 'rubrics', rubrics });
+    post({ type: 'outcomes', outcomes: parseOutcomeAlignments(fileContents, resources, modules, rubrics, SHARED_PARSER) });
+    post({ type: 'calendar', calendar: buildCourseCalendar(fileContents, resources, modules, SHARED_PARSER) });
+    const courseIndex = buildCourseIndex(resources, modules, fileContents, Object.keys(zip.files), SHARED_PARSER);
+    const captionIndex = await buildCaptionIndex(zip, fileContents, resources, SHARED_PARSER);
+    post({ type: 'captions', files: captionIndex.files });
+
+    const fileReferences: FileReference[] = [];
+    const imagePaths: string[] = [];
+    const items = resources.filter(r => (r.analysisHref && fileContents[r.analysisHref]) || r.questionsHref);
+    items.forEach((item, index) => {
+        updateProgress(80 + (5 * (index / items.length)), `Scanning ${item.title}...`);
+        getAnalysisTargets(item, fileContents, SHARED_PARSER).forEach(({ resource, doc }) => {
+            const discovered = discoverItemContent(doc, resource, profile);
+            resolveCourseLinks(discovered.links, courseIndex);
+            verifyVideoCaptions(discovered.videos, captionIndex);
+            fileReferences.push(...discovered.fileReferences);
+            discovered.images.forEach(image => { if (image.path) imagePaths.push(image.path); });
+            post({
+                type: 'item',
+                resource,
+                html: doc.documentElement ? doc.documentElement.outerHTML : '',
+                ...discovered,
+            });
+        });
+    });
+
+    post({ type: 'thumbnails', thumbnails: await loadImageThumbnails(zip, imagePaths) });
+
+    const inventory = await buildFileInventory(zip, fileReferences, findRawFileReferences(fileContents), (fileCount, totalFiles) => {
+        updateProgress(85 + (3 * (fileCount / totalFiles)), `Inventorying file ${fileCount} of ${totalFiles}`);
+    });
+    post({ type: 'files', inventory });
+
+    const checks = await checkCourseDocuments(zip, JSZip, SHARED_PARSER, (documentCount, totalDocuments) => {
+        updateProgress(88 + (2 * (documentCount / totalDocuments)), `Checking document ${documentCount} of ${totalDocuments}`);
+    });
+    post({ type: 'documents', checks });
+
+    post({ type: 'done' });
+}
+
+self.onmessage = (e: MessageEvent<AnalysisWorkerRequest>) => {
+    if (e.data.type !== 'analyze') return;
+    analyze(e.data.file, e.data.profile).catch(error => {
+        post({ type: 'error', message: (error as Error).message });
+    });
+};
@@ -0,0 +1,130 @@
+import type { Module, Resource, ItemText, VideoObject, FileObject, ItemWorkload, ModuleWorkload, WorkloadFinding, WorkloadIssue, WorkloadSettings, CourseWorkload } from './types';
+
+/* =========================================================================
+   Student workload: word count, Flesch-Kincaid grade level and reading
+   time of every analyzed item, its videos and attachments, and the
+   estimated time a module asks of students.
+   ========================================================================= */
+
+export const WORKLOAD_ISSUE_LABELS: { [K in WorkloadIssue]: string } = {
+    'dense-text': 'Dense text',
+    'long-item': 'Long item',
+    'heavy-module': 'Heavy module',
+};
+
+// Video length and document size are not in the export, so they count as a
+// fixed allowance each; reading speed is for study reading, not skimming
+export const DEFAULT_WORKLOAD_SETTINGS: WorkloadSettings = {
+    wordsPerMinute: 200,
+    minutesPerVideo: 10,
+    minutesPerAttachment: 15,
+    maxGradeLevel: 12,
+    maxWordsPerItem: 2500,
+    maxModuleMinutes: 180,
+};
+
+// Grade levels of shorter texts swing too much to be useful
+const MIN_WORDS_FOR_GRADE_LEVEL = 100;
+
+/**
+ * Rough syllable count of an English word: vowel groups, less a silent final e.
+ */
+function countSyllables(word: string): number {
+    const lower = word.toLowerCase().replace(/[^a-z]/g, '');
+    if (lower.length <= 3) return 1;
+    const groups = lower.replace(/(?:[^laeiouy]es|ed|[^laeiouy]e)$/, '').replace(/^y/, '').match(/[aeiouy]{1,2}/g);
+    return Math.max(1, groups ? groups.length : 0);
+}
+
+/**
+ * Word count and Flesch-Kincaid grade level of text with one block per line.
+ * Lines without closing punctuation (headings, list items) count as sentences.
+ */
+export function measureText(text: string): { words: number, gradeLevel: number | null } {
+    const sentences = text.split(/[.!?]+(?=\s|$)|\n/).map(s => s.match(/[\p{L}\p{N}][\p{L}\p{N}'’-]*/gu) || []).filter(words => words.length > 0);
+    const words = sentences.flat().filter(w => /\p{L}/u.test(w));
+    if (words.length < MIN_WORDS_FOR_GRADE_LEVEL) return { words: words.length, gradeLevel: null };
+    const syllables = words.reduce((sum, w) => sum + countSyllables(w), 0);
+    const grade = 0.39 * (words.length / sentences.length) + 11.8 * (syllables / words.length) - 15.59;
+    return { words: words.length, gradeLevel: Math.round(Math.max(0, grade) * 10) / 10 };
+}
+
+function roundMinutes(minutes: number): number {
+    return Math.round(minutes * 10) / 10;
+}
+
+/**
+ * Estimate the workload of every analyzed item and module, and flag what exceeds the settings' limits.
+ */
+export function buildWorkload(contentText: ItemText[], videos: VideoObject[], files: FileObject[], resources: Resource[], modules: Module[], settings: WorkloadSettings = DEFAULT_WORKLOAD_SETTINGS): CourseWorkload {
+    // Quiz questions are analyzed as "quiz#question"; they belong to their quiz
+    const baseIdentifier = (identifier: string) => identifier.split('#')[0];
+    const resourcesById = new Map(resources.map(r => [r.identifier, r]));
+
+    const texts = new Map<string, string[]>();
+    contentText.forEach(t => {
+        const identifier = baseIdentifier(t.resourceIdentifier);
+        texts.set(identifier, [...(texts.get(identifier) || []), t.text]);
+    });
+    const countFor = (parents: string[], identifier: string) => parents.filter(parent => baseIdentifier(parent) === identifier).length;
+    const videoParents = videos.map(v => v.parentResourceIdentifier);
+    const fileParents = files.map(f => f.parentResourceIdentifier);
+
+    const items: ItemWorkload[] = Array.from(texts, ([identifier, parts]) => {
+        const resource = resourcesById.get(identifier);
+        const first = contentText.find(t => baseIdentifier(t.resourceIdentifier) === identifier)!;
+        const { words, gradeLevel } = measureText(parts.join('\n'));
+        const itemVideos = countFor(videoParents, identifier);
+        const attachments = countFor(fileParents, identifier);
+        const readingMinutes = words / settings.wordsPerMinute;
+        return {
+            resourceIdentifier: identifier,
+            title: resource ? resource.title : first.title,
+            itemType: resource ? resource.clarifiedType : first.itemType,
+            words,
+            gradeLevel,
+            readingMinutes: roundMinutes(readingMinutes),
+            videos: itemVideos,
+            attachments,
+            minutes: roundMinutes(readingMinutes + itemVideos * settings.minutesPerVideo + attachments * settings.minutesPerAttachment),
+        };
+    });
+    const itemsById = new Map(items.map(i => [i.resourceIdentifier, i]));
+
+    const moduleWorkloads: ModuleWorkload[] = modules.map(m => {
+        const identifiers = Array.from(new Set(m.items.map(i => i.identifierRef).filter((id): id is string => !!id)));
+        const measured = identifiers.map(id => itemsById.get(id)).filter((i): i is ItemWorkload => !!i);
+        return {
+            title: m.title,
+            items: measured.length,
+            words: measured.reduce((sum, i) => sum + i.words, 0),
+            videos: measured.reduce((sum, i) => sum + i.videos, 0),
+            attachments: measured.reduce((sum, i) => sum + i.attachments, 0),
+            minutes: roundMinutes(measured.reduce((sum, i) => sum + i.minutes, 0)),
+        };
+    });
+
+    const findings: WorkloadFinding[] = [];
+    items.forEach(i => {
+        if (i.gradeLevel !== null && i.gradeLevel > settings.maxGradeLevel) {
+            findings.push({ code: 'dense-text', title: i.title, detail: `grade level ${i.gradeLevel}, limit ${settings.maxGradeLevel}` });
+        }
+        if (i.words > settings.maxWordsPerItem) {
+            findings.push({ code: 'long-item', title: i.title, detail: `${i.words} words, limit ${settings.maxWordsPerItem}` });
+        }
+    });
+    moduleWorkloads.filter(m => m.minutes > settings.maxModuleMinutes).forEach(m => {
+        findings.push({ code: 'heavy-module', title: m.title, detail: `about ${formatMinutes(m.minutes)}, limit ${formatMinutes(settings.maxModuleMinutes)}` });
+    });
+
+    return { settings, items, modules: moduleWorkloads, findings };
+}
+
+/**
+ * Duration for people, e.g. "45 min" or "3 h 10 min".
+ */
+export function formatMinutes(minutes: number): string {
+    const rounded = Math.max(0, Math.round(minutes));
+    if (rounded < 60) return `${rounded} min`;
+    return rounded % 60 ? `${Math.floor(rounded / 60)} h ${rounded % 60} min` : `${rounded / 60} h`;
+}